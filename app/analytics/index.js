@@ -0,0 +1,82 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+/**
+ * The events published on the analytics bus, named after their GA4 counterparts. The payloads
+ * hold the commerce data as returned by the API, subscribers translate them for their destination.
+ */
+export const EVENTS = Object.freeze({
+    // {product}
+    VIEW_ITEM: 'view_item',
+    // {category, searchResults}
+    VIEW_ITEM_LIST: 'view_item_list',
+    // {searchText, searchResults}
+    VIEW_SEARCH_RESULTS: 'view_search_results',
+    // {product, category} or {product, searchText}
+    SELECT_ITEM: 'select_item',
+    // {basket}
+    VIEW_CART: 'view_cart',
+    // {items, basket}
+    ADD_TO_CART: 'add_to_cart',
+    // {item, basket}, the item is the removed `ProductItem`
+    REMOVE_FROM_CART: 'remove_from_cart',
+    // {item}, the item as added to the customer product list
+    ADD_TO_WISHLIST: 'add_to_wishlist',
+    // {basket}
+    BEGIN_CHECKOUT: 'begin_checkout',
+    // {step, stepName, basket}
+    CHECKOUT_PROGRESS: 'checkout_progress',
+    // {order}
+    PURCHASE: 'purchase',
+    // {content, path}
+    VIEW_CONTENT: 'view_content'
+})
+
+/**
+ * A vendor-neutral bus for analytics events. Pages and hooks publish what the shopper does
+ * once, and every subscriber (e.g. Einstein, the GA4 data layer or a debug logger) forwards
+ * the events it is interested in to its destination.
+ *
+ * A subscriber is a function that is called with every event: `({type, payload, timestamp}) => {}`.
+ */
+export class AnalyticsBus {
+    constructor() {
+        this._subscribers = []
+    }
+
+    /**
+     * @param {function} subscriber
+     * @returns {function} A function that removes the subscriber again.
+     */
+    subscribe(subscriber) {
+        this._subscribers.push(subscriber)
+        return () => {
+            this._subscribers = this._subscribers.filter((s) => s !== subscriber)
+        }
+    }
+
+    /**
+     * Passes the event to all subscribers. A failing subscriber doesn't affect the others.
+     * @param {string} type - One of `EVENTS`
+     * @param {Object} [payload]
+     */
+    publish(type, payload = {}) {
+        const event = {type, payload, timestamp: Date.now()}
+        this._subscribers.forEach((subscriber) => {
+            try {
+                subscriber(event)
+            } catch (error) {
+                console.warn(`Analytics subscriber failed to handle the "${type}" event`, error)
+            }
+        })
+    }
+}
+
+// Events are only published on the client, so the app shares a single bus.
+const analytics = new AnalyticsBus()
+
+export default analytics
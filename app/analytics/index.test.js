@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {AnalyticsBus, EVENTS} from './index'
+
+describe('AnalyticsBus', () => {
+    test('passes published events to all subscribers', () => {
+        const bus = new AnalyticsBus()
+        const first = jest.fn()
+        const second = jest.fn()
+        bus.subscribe(first)
+        bus.subscribe(second)
+
+        bus.publish(EVENTS.VIEW_ITEM, {product: {id: '123'}})
+
+        const event = {
+            type: 'view_item',
+            payload: {product: {id: '123'}},
+            timestamp: expect.any(Number)
+        }
+        expect(first).toHaveBeenCalledWith(event)
+        expect(second).toHaveBeenCalledWith(event)
+    })
+
+    test('stops passing events to removed subscribers', () => {
+        const bus = new AnalyticsBus()
+        const subscriber = jest.fn()
+        const unsubscribe = bus.subscribe(subscriber)
+
+        unsubscribe()
+        bus.publish(EVENTS.VIEW_CART)
+
+        expect(subscriber).not.toHaveBeenCalled()
+    })
+
+    test('a failing subscriber does not affect the others', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {})
+        const bus = new AnalyticsBus()
+        const subscriber = jest.fn()
+        bus.subscribe(() => {
+            throw new Error('failed')
+        })
+        bus.subscribe(subscriber)
+
+        bus.publish(EVENTS.PURCHASE, {order: {}})
+
+        expect(subscriber).toHaveBeenCalled()
+        expect(console.warn).toHaveBeenCalled()
+        console.warn.mockRestore()
+    })
+})
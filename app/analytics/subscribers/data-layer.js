@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {EVENTS} from '../index'
+
+// Converts a SCAPI `Product` (e.g. on the product detail page) into a GA4 item.
+const fromProduct = (product) => ({
+    item_id: product.master?.masterId || product.id,
+    item_variant: product.id,
+    item_name: product.name,
+    price: product.price,
+    quantity: 1
+})
+
+// Converts a SCAPI `ProductSearchHit` into a GA4 item.
+const fromSearchHit = (hit, index) => ({
+    item_id: hit.productId,
+    item_name: hit.productName,
+    price: hit.price,
+    index
+})
+
+// Converts a SCAPI `ProductItem` of a basket or order into a GA4 item.
+const fromProductItem = (item) => ({
+    item_id: item.productId,
+    item_name: item.productName,
+    price: item.basePrice ?? item.price,
+    quantity: item.quantity
+})
+
+// Returns the GA4 `ecommerce` object for an event, or `undefined` for the events that
+// have no GA4 counterpart.
+const toEcommerce = ({type, payload}) => {
+    switch (type) {
+        case EVENTS.VIEW_ITEM:
+            return {
+                currency: payload.product.currency,
+                value: payload.product.price,
+                items: [fromProduct(payload.product)]
+            }
+        case EVENTS.VIEW_ITEM_LIST:
+            return {
+                item_list_id: payload.category?.id,
+                item_list_name: payload.category?.name,
+                items: payload.searchResults?.hits?.map(fromSearchHit) || []
+            }
+        case EVENTS.VIEW_SEARCH_RESULTS:
+            return {
+                search_term: payload.searchText,
+                items: payload.searchResults?.hits?.map(fromSearchHit) || []
+            }
+        case EVENTS.SELECT_ITEM:
+            return {
+                item_list_id: payload.category?.id,
+                item_list_name: payload.category?.name,
+                items: [fromSearchHit(payload.product)]
+            }
+        case EVENTS.ADD_TO_CART:
+            return {
+                currency: payload.basket?.currency,
+                value: payload.items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+                // The basket has the details (e.g. the name) of the added items.
+                items: payload.items.map((item) =>
+                    fromProductItem({
+                        ...payload.basket?.productItems?.find(
+                            (productItem) => productItem.productId === item.productId
+                        ),
+                        ...item
+                    })
+                )
+            }
+        case EVENTS.REMOVE_FROM_CART:
+            return {
+                currency: payload.basket?.currency,
+                value: payload.item.price,
+                items: [fromProductItem(payload.item)]
+            }
+        case EVENTS.ADD_TO_WISHLIST:
+            return {
+                items: [{item_id: payload.item.id, quantity: payload.item.quantity}]
+            }
+        case EVENTS.VIEW_CART:
+        case EVENTS.BEGIN_CHECKOUT:
+            return {
+                currency: payload.basket.currency,
+                value: payload.basket.productSubTotal,
+                items: payload.basket.productItems?.map(fromProductItem) || []
+            }
+        case EVENTS.PURCHASE:
+            return {
+                transaction_id: payload.order.orderNo,
+                currency: payload.order.currency,
+                value: payload.order.orderTotal,
+                tax: payload.order.taxTotal,
+                shipping: payload.order.shippingTotal,
+                items: payload.order.productItems?.map(fromProductItem) || []
+            }
+    }
+}
+
+/**
+ * Pushes the analytics events as GA4 ecommerce events to the data layer, which e.g. Google
+ * Tag Manager picks up. Events without a GA4 counterpart are skipped.
+ * https://developers.google.com/analytics/devguides/collection/ga4/ecommerce
+ * @param {Object} [options]
+ * @param {string} [options.name] - The name of the data layer on `window`
+ * @param {function} [options.isAllowed] - Returns whether events may be pushed, e.g. depending on consent
+ * @returns {function}
+ */
+const createDataLayerSubscriber =
+    ({name = 'dataLayer', isAllowed = () => true} = {}) =>
+    (event) => {
+        const ecommerce = toEcommerce(event)
+        if (!ecommerce || !isAllowed()) {
+            return
+        }
+
+        const dataLayer = (window[name] = window[name] || [])
+        // Clear the previous ecommerce object, as recommended by Google.
+        dataLayer.push({ecommerce: null})
+        dataLayer.push({event: event.type, ecommerce})
+    }
+
+export default createDataLayerSubscriber
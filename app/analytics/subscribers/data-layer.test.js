@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {EVENTS} from '../index'
+import createDataLayerSubscriber from './data-layer'
+
+const basket = {
+    currency: 'USD',
+    productSubTotal: 120,
+    productItems: [
+        {productId: '701643', productName: 'Striped Shirt', basePrice: 40, price: 80, quantity: 2},
+        {productId: '701644', productName: 'Slim Pants', basePrice: 40, price: 40, quantity: 1}
+    ]
+}
+
+afterEach(() => {
+    delete window.dataLayer
+})
+
+describe('createDataLayerSubscriber', () => {
+    test('pushes GA4 ecommerce events', () => {
+        const subscriber = createDataLayerSubscriber()
+        subscriber({type: EVENTS.BEGIN_CHECKOUT, payload: {basket}})
+
+        expect(window.dataLayer).toEqual([
+            {ecommerce: null},
+            {
+                event: 'begin_checkout',
+                ecommerce: {
+                    currency: 'USD',
+                    value: 120,
+                    items: [
+                        {item_id: '701643', item_name: 'Striped Shirt', price: 40, quantity: 2},
+                        {item_id: '701644', item_name: 'Slim Pants', price: 40, quantity: 1}
+                    ]
+                }
+            }
+        ])
+    })
+
+    test('takes the details of added items from the basket', () => {
+        const subscriber = createDataLayerSubscriber()
+        subscriber({
+            type: EVENTS.ADD_TO_CART,
+            payload: {items: [{productId: '701643', price: 40, quantity: 1}], basket}
+        })
+
+        expect(window.dataLayer[1].ecommerce).toEqual({
+            currency: 'USD',
+            value: 40,
+            items: [{item_id: '701643', item_name: 'Striped Shirt', price: 40, quantity: 1}]
+        })
+    })
+
+    test('pushes removed items and wishlist adds', () => {
+        const subscriber = createDataLayerSubscriber()
+        subscriber({
+            type: EVENTS.REMOVE_FROM_CART,
+            payload: {item: basket.productItems[1], basket}
+        })
+        subscriber({type: EVENTS.ADD_TO_WISHLIST, payload: {item: {id: '701643', quantity: 1}}})
+
+        expect(window.dataLayer[1]).toEqual({
+            event: 'remove_from_cart',
+            ecommerce: {
+                currency: 'USD',
+                value: 40,
+                items: [{item_id: '701644', item_name: 'Slim Pants', price: 40, quantity: 1}]
+            }
+        })
+        expect(window.dataLayer[3]).toEqual({
+            event: 'add_to_wishlist',
+            ecommerce: {items: [{item_id: '701643', quantity: 1}]}
+        })
+    })
+
+    test('maps purchases to the order totals', () => {
+        const subscriber = createDataLayerSubscriber()
+        subscriber({
+            type: EVENTS.PURCHASE,
+            payload: {
+                order: {
+                    ...basket,
+                    orderNo: '00001',
+                    orderTotal: 135,
+                    taxTotal: 6,
+                    shippingTotal: 9
+                }
+            }
+        })
+
+        expect(window.dataLayer[1]).toMatchObject({
+            event: 'purchase',
+            ecommerce: {transaction_id: '00001', value: 135, tax: 6, shipping: 9}
+        })
+    })
+
+    test('skips events without a GA4 counterpart and events that are not allowed', () => {
+        createDataLayerSubscriber()({type: EVENTS.CHECKOUT_PROGRESS, payload: {step: 1}})
+        createDataLayerSubscriber({isAllowed: () => false})({
+            type: EVENTS.VIEW_CART,
+            payload: {basket}
+        })
+
+        expect(window.dataLayer).toBeUndefined()
+    })
+})
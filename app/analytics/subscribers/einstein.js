@@ -0,0 +1,45 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {EVENTS} from '../index'
+
+/**
+ * Forwards analytics events to the matching Einstein activities.
+ * @param {EinsteinAPI} einstein
+ * @returns {function}
+ */
+const createEinsteinSubscriber =
+    (einstein) =>
+    ({type, payload}) => {
+        switch (type) {
+            case EVENTS.VIEW_ITEM:
+                return einstein.sendViewProduct(payload.product)
+            case EVENTS.VIEW_ITEM_LIST:
+                return einstein.sendViewCategory(payload.category, payload.searchResults)
+            case EVENTS.VIEW_SEARCH_RESULTS:
+                return einstein.sendViewSearch(payload.searchText, payload.searchResults)
+            case EVENTS.SELECT_ITEM:
+                return payload.searchText
+                    ? einstein.sendClickSearch(payload.searchText, payload.product)
+                    : einstein.sendClickCategory(payload.category, payload.product)
+            case EVENTS.ADD_TO_CART:
+                return payload.items.forEach((item) => einstein.sendAddToCart(item))
+            case EVENTS.REMOVE_FROM_CART:
+                return einstein.sendRemoveFromCart(payload.item)
+            case EVENTS.ADD_TO_WISHLIST:
+                return einstein.sendAddToWishlist(payload.item)
+            case EVENTS.BEGIN_CHECKOUT:
+                return einstein.sendBeginCheckout(payload.basket)
+            case EVENTS.CHECKOUT_PROGRESS:
+                return einstein.sendCheckoutStep(payload.stepName, payload.step, payload.basket)
+            case EVENTS.PURCHASE:
+                return einstein.sendPlaceOrder(payload.order)
+            case EVENTS.VIEW_CONTENT:
+                return einstein.sendViewContent(payload.content, payload.path)
+        }
+    }
+
+export default createEinsteinSubscriber
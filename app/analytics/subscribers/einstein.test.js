@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {EVENTS} from '../index'
+import createEinsteinSubscriber from './einstein'
+
+const einstein = {
+    sendClickCategory: jest.fn(),
+    sendClickSearch: jest.fn(),
+    sendAddToCart: jest.fn(),
+    sendRemoveFromCart: jest.fn(),
+    sendAddToWishlist: jest.fn(),
+    sendCheckoutStep: jest.fn(),
+    sendPlaceOrder: jest.fn(),
+    sendViewContent: jest.fn()
+}
+
+describe('createEinsteinSubscriber', () => {
+    test('forwards events to the matching Einstein activities', () => {
+        const subscriber = createEinsteinSubscriber(einstein)
+        const product = {productId: '123'}
+        const category = {id: 'mens'}
+        const basket = {basketId: 'abc'}
+
+        subscriber({type: EVENTS.SELECT_ITEM, payload: {product, category}})
+        subscriber({type: EVENTS.SELECT_ITEM, payload: {product, searchText: 'shirt'}})
+        subscriber({type: EVENTS.ADD_TO_CART, payload: {items: [{}, {}], basket}})
+        subscriber({
+            type: EVENTS.CHECKOUT_PROGRESS,
+            payload: {step: 1, stepName: 'shipping_address', basket}
+        })
+
+        expect(einstein.sendClickCategory).toHaveBeenCalledWith(category, product)
+        expect(einstein.sendClickSearch).toHaveBeenCalledWith('shirt', product)
+        expect(einstein.sendAddToCart).toHaveBeenCalledTimes(2)
+        expect(einstein.sendCheckoutStep).toHaveBeenCalledWith('shipping_address', 1, basket)
+    })
+
+    test('forwards cart, wishlist, order and content events', () => {
+        const subscriber = createEinsteinSubscriber(einstein)
+        const item = {productId: '123', price: 10, quantity: 1}
+        const order = {orderNo: '00001'}
+        const content = {id: 'about-us'}
+
+        subscriber({type: EVENTS.REMOVE_FROM_CART, payload: {item, basket: {}}})
+        subscriber({type: EVENTS.ADD_TO_WISHLIST, payload: {item: {id: '123', quantity: 1}}})
+        subscriber({type: EVENTS.PURCHASE, payload: {order}})
+        subscriber({type: EVENTS.VIEW_CONTENT, payload: {content, path: '/page/about-us'}})
+
+        expect(einstein.sendRemoveFromCart).toHaveBeenCalledWith(item)
+        expect(einstein.sendAddToWishlist).toHaveBeenCalledWith({id: '123', quantity: 1})
+        expect(einstein.sendPlaceOrder).toHaveBeenCalledWith(order)
+        expect(einstein.sendViewContent).toHaveBeenCalledWith(content, '/page/about-us')
+    })
+
+    test('ignores events without an Einstein activity', () => {
+        const subscriber = createEinsteinSubscriber(einstein)
+        expect(() => subscriber({type: EVENTS.VIEW_CART, payload: {}})).not.toThrow()
+    })
+})
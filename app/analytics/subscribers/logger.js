@@ -0,0 +1,19 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+/**
+ * Logs every analytics event to the console, which helps when debugging the tracking.
+ * @param {Object} [logger] - Defaults to `console`
+ * @returns {function}
+ */
+const createLoggerSubscriber =
+    (logger = console) =>
+    ({type, payload}) => {
+        logger.log(`[analytics] ${type}`, payload)
+    }
+
+export default createLoggerSubscriber
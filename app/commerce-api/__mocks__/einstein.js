@@ -17,6 +17,8 @@ class EinsteinAPI {
         this.config = commerceAPI._config.einsteinConfig
     }
 
+    setConsent() {}
+
     async sendViewProduct() {
         return {requestId: 'test-req-id', uuid: 'test-uuid'}
     }
@@ -8,8 +8,10 @@
 /* eslint-disable no-unused-vars */
 import {getAppOrigin} from 'pwa-kit-react-sdk/utils/url'
 import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import {AuthExpiredError, InvalidCredentialsError} from './errors'
 import {createCodeVerifier, generateCodeChallenge} from './pkce'
-import {isTokenValid, createGetTokenBody} from './utils'
+import {isTokenValid, getTokenValidSeconds, createGetTokenBody} from './utils'
+import SessionChannel from './session-channel'
 import fetch from 'cross-fetch'
 import Cookies from 'js-cookie'
 
@@ -34,11 +36,23 @@ const refreshTokenRegisteredStorageKey = 'cc-nx'
 const refreshTokenGuestStorageKey = 'cc-nx-g'
 const oidStorageKey = 'oid'
 const dwSessionIdKey = 'dwsid'
+const userTypeStorageKey = 'user-type'
+const loginTimeStorageKey = 'login-time'
+const loginMethodStorageKey = 'login-method'
 const REFRESH_TOKEN_COOKIE_AGE = 90 // 90 days. This value matches SLAS cartridge.
 
 const EXPIRED_TOKEN = 'EXPIRED_TOKEN'
 const INVALID_TOKEN = 'invalid refresh_token'
 
+const SESSION_MODE_HTTP_ONLY = 'httpOnly'
+
+// The name of the channel to the shopper's other tabs, and of the lock for refreshing tokens.
+const SESSION_CHANNEL_NAME = 'auth'
+const REFRESH_LOCK_NAME = 'auth-refresh'
+
+// The access token is refreshed in the background this many seconds before it's considered invalid.
+const TOKEN_REFRESH_MARGIN = 30
+
 /**
  * A  class that provides auth functionality for the retail react app.
  */
@@ -54,6 +68,32 @@ class Auth {
         // this._storage = this._onClient ? new CookieStorage() : new Map()
         this._storage = this._onClient ? new LocalStorage() : new Map()
 
+        // In the httpOnly session mode, tokens are exchanged through the app server, which keeps the
+        // refresh tokens in httpOnly cookies, and the access token is only kept in memory.
+        const {mode, path} = this._config.sessionConfig || {}
+        this._sessionPath = this._onClient && mode === SESSION_MODE_HTTP_ONLY ? path : undefined
+        this._tokenStorage = this._sessionPath ? new Map() : this._storage
+
+        // The passwordless login codes are requested and exchanged through the app server.
+        this._passwordlessPath = this._config.passwordlessConfig?.path
+
+        // Tabs share the stored session, so they tell each other when the shopper logs in or out.
+        this._sessionListeners = []
+        if (this._onClient) {
+            this._channel = new SessionChannel(SESSION_CHANNEL_NAME)
+            this._channel.subscribe((message) => this._handleSessionMessage(message))
+        }
+
+        // Refresh the access token before it expires, so that requests don't have to wait for it.
+        // Timers don't run reliably in hidden tabs, so the refresh is paused until the tab is
+        // visible again, and then caught up on if the token expired in the meantime.
+        if (this._onClient) {
+            document.addEventListener('visibilitychange', () =>
+                this._scheduleTokenRefresh({catchUp: true})
+            )
+            this._scheduleTokenRefresh()
+        }
+
         const configOid = api._config.parameters.organizationId
         if (!this.oid) {
             this.oid = configOid
@@ -77,6 +117,16 @@ class Auth {
         GUEST: 'guest'
     }
 
+    /**
+     * Enum for the ways registered shoppers log in
+     * @enum {string}
+     */
+    static LOGIN_METHOD = {
+        PASSWORD: 'password',
+        PASSWORDLESS: 'passwordless',
+        IDP: 'idp'
+    }
+
     /**
      * Returns the api client configuration
      * @returns {boolean}
@@ -86,17 +136,18 @@ class Auth {
     }
 
     get authToken() {
-        return this._storage.get(tokenStorageKey)
+        return this._tokenStorage.get(tokenStorageKey)
     }
 
     set authToken(token) {
-        this._storage.set(tokenStorageKey, token)
+        this._tokenStorage.set(tokenStorageKey, token)
     }
 
     get userType() {
-        return this._storage.get(refreshTokenRegisteredStorageKey)
-            ? Auth.USER_TYPE.REGISTERED
-            : Auth.USER_TYPE.GUEST
+        const isRegistered = this._sessionPath
+            ? this._storage.get(userTypeStorageKey) === Auth.USER_TYPE.REGISTERED
+            : this._storage.get(refreshTokenRegisteredStorageKey)
+        return isRegistered ? Auth.USER_TYPE.REGISTERED : Auth.USER_TYPE.GUEST
     }
 
     get refreshToken() {
@@ -107,6 +158,15 @@ class Auth {
         return this._storage.get(storageKey)
     }
 
+    /**
+     * Returns true when there is a refresh token to continue the session with. The refresh token
+     * can't be read in the httpOnly session mode, so the user type saved with it is checked instead.
+     * @returns {boolean}
+     */
+    get hasRefreshToken() {
+        return this._sessionPath ? !!this._storage.get(userTypeStorageKey) : !!this.refreshToken
+    }
+
     get usid() {
         return this._storage.get(usidStorageKey)
     }
@@ -139,6 +199,57 @@ class Auth {
         this._storage.set(oidStorageKey, oid)
     }
 
+    /**
+     * When the shopper last logged in, in milliseconds since the epoch, or 0 if unknown. Unlike
+     * the tokens, it isn't updated when the session is refreshed.
+     * @returns {number}
+     */
+    get loginTime() {
+        return Number(this._storage.get(loginTimeStorageKey)) || 0
+    }
+
+    /**
+     * How the registered shopper last logged in, as `{method, idp}`, where the method is one of
+     * `LOGIN_METHOD` and `idp` names the identity provider of the `idp` method.
+     * @returns {{method: string, idp: (string|undefined)}}
+     */
+    get loginMethod() {
+        const loginMethod = this._storage.get(loginMethodStorageKey)
+        return loginMethod ? JSON.parse(loginMethod) : {method: Auth.LOGIN_METHOD.PASSWORD}
+    }
+
+    set loginMethod(loginMethod) {
+        this._storage.set(loginMethodStorageKey, JSON.stringify(loginMethod))
+    }
+
+    /**
+     * The SLAS session the SFRA session (the `dwsid` cookie) was last bridged for, as
+     * `{customerId, userType, timestamp}`. See `SessionBridge`.
+     */
+    get bridgedSession() {
+        const session = this._storage.get(dwSessionIdKey)
+        return session ? JSON.parse(session) : undefined
+    }
+
+    set bridgedSession(session) {
+        this._storage.set(dwSessionIdKey, JSON.stringify(session))
+    }
+
+    /**
+     * Adds a listener for the session changes in the shopper's other tabs. The listener is called
+     * with `{type, customerId, userType}`, where the type is one of `login`, `logout`, `refresh` or
+     * `idle-logout` (see `announceIdleLogout`). The stored tokens are already up to date when it is
+     * called.
+     * @param {function} listener
+     * @returns {function} A function that removes the listener again.
+     */
+    onSessionChange(listener) {
+        this._sessionListeners.push(listener)
+        return () => {
+            this._sessionListeners = this._sessionListeners.filter((l) => l !== listener)
+        }
+    }
+
     /**
      * Save refresh token in designated storage.
      *
@@ -146,6 +257,12 @@ class Auth {
      * @param {USER_TYPE} type Type of the user.
      */
     _saveRefreshToken(token, type) {
+        if (this._sessionPath) {
+            // The app server has already stored the refresh token in a cookie.
+            this._storage.set(userTypeStorageKey, type || Auth.USER_TYPE.GUEST)
+            return
+        }
+
         if (type === Auth.USER_TYPE.REGISTERED) {
             this._storage.set(refreshTokenRegisteredStorageKey, token, {
                 expires: REFRESH_TOKEN_COOKIE_AGE
@@ -173,20 +290,8 @@ class Auth {
         data.append('client_id', this._config.parameters.clientId)
         data.append('redirect_uri', redirectUri)
 
-        const options = {
-            headers: {
-                'Content-Type': `application/x-www-form-urlencoded`
-            },
-            body: data
-        }
-
-        const response = await this._api.shopperLogin.getAccessToken(options)
-        // Check for error response before handling the token
-        if (response.status_code) {
-            throw new HTTPError(response.status_code, response.message)
-        }
-        this._handleShopperLoginTokenResponse(response)
-        return response
+        const response = await this._getAccessToken(data)
+        return this._completeLogin(response)
     }
 
     /**
@@ -207,8 +312,8 @@ class Auth {
                 authorizationMethod = '_loginWithCredentials'
             } else if (isTokenValid(this.authToken)) {
                 authorizationMethod = '_reuseCurrentLogin'
-            } else if (this.refreshToken) {
-                authorizationMethod = '_refreshAccessToken'
+            } else if (this.hasRefreshToken) {
+                authorizationMethod = '_refreshAccessTokenWithLock'
             }
             return this[authorizationMethod](credentials).catch((error) => {
                 const retryErrors = [INVALID_TOKEN, EXPIRED_TOKEN]
@@ -230,24 +335,142 @@ class Auth {
         return this._pendingLogin
     }
 
+    /**
+     * Sends the shopper to log in with an external identity provider (e.g. Google) that is
+     * configured for the SLAS client. The browser leaves the app and comes back to the `/callback`
+     * route, where `loginWithIdpCallback` completes the login.
+     * @param {string} idp - The name of the identity provider in the SLAS configuration
+     */
+    async loginWithIdp(idp) {
+        const codeVerifier = createCodeVerifier()
+        const codeChallenge = await generateCodeChallenge(codeVerifier)
+
+        sessionStorage.setItem('codeVerifier', codeVerifier)
+        // Remembered for the login method, once the shopper comes back
+        sessionStorage.setItem('idp', idp)
+
+        const {clientId, organizationId, siteId} = this._config.parameters
+        const parameters = new URLSearchParams({
+            redirect_uri: `${getAppOrigin()}${slasCallbackEndpoint}`,
+            client_id: clientId,
+            channel_id: siteId,
+            code_challenge: codeChallenge,
+            response_type: 'code',
+            hint: idp
+        })
+        // mergeBasket API requires guest usid to be sent in the authToken
+        if (this.usid) {
+            parameters.append('usid', this.usid)
+        }
+
+        // The identity provider's login page has to be shown in the browser, so unlike the other
+        // login flows, the authorization request is a navigation instead of a fetch.
+        window.location.assign(
+            `${this._config.proxy}/shopper/auth/v1/organizations/${organizationId}/oauth2/authorize?${parameters}`
+        )
+    }
+
+    /**
+     * Completes the login with an external identity provider, when SLAS redirected the shopper
+     * back to the `/callback` route.
+     * @param {string} url - The url of the callback page, with the authorization code
+     * @returns {Promise<object>} - a skeleton registered customer object that can be used to retrieve a complete customer object
+     */
+    async loginWithIdpCallback(url) {
+        return this._loginAfterPendingLogin(() => this._loginWithIdpCallback(url))
+    }
+
+    /**
+     * Emails the shopper a one-time code for the passwordless login, see `loginWithCode`. SLAS
+     * only issues the codes to private clients, so they are requested through the app server.
+     * @param {string} email
+     */
+    async requestLoginCode(email) {
+        const body = new URLSearchParams({
+            user_id: email,
+            channel_id: this._config.parameters.siteId
+        })
+        if (this._config.locale) {
+            body.append('locale', this._config.locale)
+        }
+
+        const response = await fetch(`${getAppOrigin()}${this._passwordlessPath}/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': `application/x-www-form-urlencoded`
+            },
+            body
+        })
+        if (!response.ok) {
+            const json = await response.json().catch(() => ({}))
+            throw new HTTPError(response.status, json.message)
+        }
+    }
+
+    /**
+     * Logs the shopper in with the one-time code emailed by `requestLoginCode`.
+     * @param {string} code
+     * @returns {Promise<object>} - a skeleton registered customer object that can be used to retrieve a complete customer object
+     */
+    async loginWithCode(code) {
+        return this._loginAfterPendingLogin(() => this._loginWithCode(code))
+    }
+
+    /**
+     * Discards the current access token and logs in again, so that a new token is issued even
+     * when the current one still looks valid, e.g. after the API rejected it. The stored refresh
+     * token is used to keep the current session.
+     * @returns {Promise}
+     */
+    async forceLogin() {
+        if (this._pendingLogin) {
+            return this._pendingLogin
+        }
+        this._tokenStorage.delete(tokenStorageKey)
+        return this.login()
+    }
+
     /**
      * Clears the stored auth token and optionally logs back in as guest.
      * @param {boolean} [shouldLoginAsGuest=true] - Indicates if we should automatically log back in as a guest
      * @returns {(Promise<Customer>|undefined)}
      */
     async logout(shouldLoginAsGuest = true) {
-        const options = {
-            parameters: {
-                refresh_token: this.refreshToken,
-                client_id: this._config.parameters.clientId,
-                channel_id: this._config.parameters.siteId
+        if (this._sessionPath) {
+            await fetch(`${getAppOrigin()}${this._sessionPath}/logout`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    Authorization: this.authToken || '',
+                    'Content-Type': `application/x-www-form-urlencoded`
+                },
+                body: new URLSearchParams({channel_id: this._config.parameters.siteId})
+            })
+        } else {
+            const options = {
+                parameters: {
+                    refresh_token: this.refreshToken,
+                    client_id: this._config.parameters.clientId,
+                    channel_id: this._config.parameters.siteId
+                }
             }
+            await this._api.shopperLogin.logoutCustomer(options, true)
         }
-        await this._api.shopperLogin.logoutCustomer(options, true)
         await this._clearAuth()
         if (shouldLoginAsGuest) {
+            // The other tabs are told about the guest login instead, so that they don't start
+            // their own guest sessions in the meantime.
             return this.login()
         }
+        this._broadcastSessionChange('logout')
+    }
+
+    /**
+     * Tells the shopper's other tabs that this tab logs them out for being idle, so that they
+     * don't do the same. They follow the logout like any other.
+     */
+    announceIdleLogout() {
+        this._broadcastSessionChange('idle-logout')
     }
 
     /**
@@ -314,6 +537,9 @@ class Auth {
         const response = await this._api.shopperLogin.authenticateCustomer(options, true)
         if (response.status >= 400) {
             const json = await response.json()
+            if (response.status === 401) {
+                throw new InvalidCredentialsError(json.message, {status: response.status})
+            }
             throw new HTTPError(response.status, json.message)
         }
 
@@ -324,6 +550,120 @@ class Auth {
         )
 
         const {customer_id} = await this.getLoggedInToken(tokenBody)
+        this.loginMethod = {method: Auth.LOGIN_METHOD.PASSWORD}
+        const customer = {
+            customerId: customer_id,
+            authType: Auth.USER_TYPE.REGISTERED
+        }
+
+        return customer
+    }
+
+    /**
+     * Runs a login that the shopper started, after the pending login, e.g. the session restore
+     * on the app start, which must not overwrite the new tokens. Other logins wait for this one.
+     * @private
+     * @param {function} loginFlow - Returns a promise of the skeleton customer object
+     * @returns {Promise<object>}
+     */
+    async _loginAfterPendingLogin(loginFlow) {
+        if (this._pendingLogin) {
+            await this._pendingLogin.catch(() => {})
+        }
+
+        this._pendingLogin = loginFlow().finally(() => {
+            this._pendingLogin = undefined
+        })
+
+        return this._pendingLogin
+    }
+
+    /**
+     * Stores the tokens of a login and tells the other tabs about it.
+     * @private
+     * @param {object} response - The response of the SLAS token endpoint
+     * @returns {object} The response
+     */
+    _completeLogin(response) {
+        // Check for error response before handling the token
+        if (response.status_code) {
+            throw new HTTPError(response.status_code, response.message)
+        }
+        this._handleShopperLoginTokenResponse(response)
+        this._storage.set(loginTimeStorageKey, Date.now())
+        this._scheduleTokenRefresh()
+        this._broadcastSessionChange('login')
+        return response
+    }
+
+    /**
+     * Exchanges a one-time code of the passwordless login for the shopper's tokens.
+     * @private
+     * @param {string} code
+     * @returns {object} - a skeleton registered customer object
+     */
+    async _loginWithCode(code) {
+        const body = new URLSearchParams({pwdless_login_token: code})
+        // mergeBasket API requires guest usid to be sent in the authToken
+        if (this.usid) {
+            body.append('usid', this.usid)
+        }
+
+        const response = await fetch(`${getAppOrigin()}${this._passwordlessPath}/token`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': `application/x-www-form-urlencoded`
+            },
+            body
+        })
+        const json = await response.json()
+        if (!response.ok) {
+            if (response.status === 400 || response.status === 401) {
+                throw new InvalidCredentialsError(json.message, {status: response.status})
+            }
+            throw new HTTPError(response.status, json.message)
+        }
+
+        const {customer_id} = this._completeLogin(json)
+        this.loginMethod = {method: Auth.LOGIN_METHOD.PASSWORDLESS}
+        const customer = {
+            customerId: customer_id,
+            authType: Auth.USER_TYPE.REGISTERED
+        }
+
+        return customer
+    }
+
+    /**
+     * Exchanges the authorization code of an identity provider login for the shopper's tokens.
+     * @private
+     * @param {string} url - The url of the callback page
+     * @returns {object} - a skeleton registered customer object
+     */
+    async _loginWithIdpCallback(url) {
+        const searchParams = new URL(url).searchParams
+        if (!searchParams.get('code')) {
+            // SLAS passes the errors of the identity provider (e.g. when the shopper cancelled)
+            // as OAuth error parameters.
+            throw new HTTPError(
+                400,
+                searchParams.get('error_description') ||
+                    searchParams.get('error') ||
+                    'Missing authorization code'
+            )
+        }
+
+        const tokenBody = createGetTokenBody(
+            url,
+            `${getAppOrigin()}${slasCallbackEndpoint}`,
+            window.sessionStorage.getItem('codeVerifier')
+        )
+        const idp = window.sessionStorage.getItem('idp')
+        window.sessionStorage.removeItem('idp')
+
+        const {customer_id} = await this.getLoggedInToken(tokenBody)
+        this.loginMethod = {method: Auth.LOGIN_METHOD.IDP, idp}
         const customer = {
             customerId: customer_id,
             authType: Auth.USER_TYPE.REGISTERED
@@ -405,6 +745,24 @@ class Auth {
         return rawResponse
     }
 
+    /**
+     * Refreshes the access token, unless another tab is already doing so. Tabs share the refresh
+     * token, so they take turns and reuse the access token the other tab got, if it's shared.
+     * @private
+     * @returns {<Promise>} - Handle Shopper Login Promise
+     */
+    async _refreshAccessTokenWithLock() {
+        if (!this._onClient || !navigator.locks) {
+            return this._refreshAccessToken()
+        }
+        const token = this.authToken
+        return navigator.locks.request(REFRESH_LOCK_NAME, () =>
+            this.authToken !== token && isTokenValid(this.authToken)
+                ? this._reuseCurrentLogin()
+                : this._refreshAccessToken()
+        )
+    }
+
     /**
      * Refreshes Logged In Token
      * @private
@@ -413,21 +771,21 @@ class Auth {
     async _refreshAccessToken() {
         const data = new URLSearchParams()
         data.append('grant_type', 'refresh_token')
-        data.append('refresh_token', this.refreshToken)
+        // In the httpOnly session mode, the app server adds the refresh token from its cookie.
+        if (!this._sessionPath) {
+            data.append('refresh_token', this.refreshToken)
+        }
         data.append('client_id', this._config.parameters.clientId)
 
-        const options = {
-            headers: {
-                'Content-Type': `application/x-www-form-urlencoded`
-            },
-            body: data
-        }
-        const response = await this._api.shopperLogin.getAccessToken(options)
+        const response = await this._getAccessToken(data)
         // Check for error response before handling the token
         if (response.status_code) {
-            throw new HTTPError(response.status_code, response.message)
+            // The refresh token is no longer valid, the shopper has to log in again.
+            throw new AuthExpiredError(response.message, {status: response.status_code})
         }
         this._handleShopperLoginTokenResponse(response)
+        this._scheduleTokenRefresh()
+        this._broadcastSessionChange('refresh')
 
         const {id_token, enc_user_id, customer_id} = response
         let customer = {
@@ -441,18 +799,123 @@ class Auth {
         return customer
     }
 
+    /**
+     * Requests an access token from SLAS, or from the app server in the httpOnly session mode.
+     * The app server responds like SLAS, but without the refresh token.
+     * @private
+     * @param {URLSearchParams} data - The token request body
+     * @returns {Promise<object>} - The token response
+     */
+    async _getAccessToken(data) {
+        const options = {
+            headers: {
+                'Content-Type': `application/x-www-form-urlencoded`
+            },
+            body: data
+        }
+
+        if (!this._sessionPath) {
+            return this._api.shopperLogin.getAccessToken(options)
+        }
+
+        const response = await fetch(`${getAppOrigin()}${this._sessionPath}/token`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            ...options
+        })
+        return response.json()
+    }
+
+    /**
+     * Schedules the background refresh of the access token. Only valid tokens are refreshed in the
+     * background, expired ones are refreshed by the next request as before.
+     * @private
+     * @param {Object} [options]
+     * @param {boolean} [options.catchUp] - Refresh an expired token right away, e.g. when the tab
+     * becomes visible again
+     */
+    _scheduleTokenRefresh({catchUp = false} = {}) {
+        // On the server, a timer would outlive the request it was rendered for.
+        if (!this._onClient) {
+            return
+        }
+        clearTimeout(this._refreshTimer)
+        if (document.visibilityState === 'hidden' || !this.hasRefreshToken) {
+            return
+        }
+
+        let validSeconds
+        try {
+            validSeconds = getTokenValidSeconds(this.authToken)
+        } catch {
+            return
+        }
+        if (!validSeconds && !(catchUp && this.authToken)) {
+            return
+        }
+
+        const delay = Math.max(validSeconds - TOKEN_REFRESH_MARGIN, 0) * 1000
+        this._refreshTimer = setTimeout(() => this._refreshInBackground(), delay)
+    }
+
+    /**
+     * Refreshes the access token like `login` does, so that requests in the meantime wait for it
+     * instead of refreshing it themselves.
+     * @private
+     */
+    _refreshInBackground() {
+        if (this._pendingLogin) {
+            return
+        }
+        this._pendingLogin = this._refreshAccessTokenWithLock().finally(() => {
+            this._pendingLogin = undefined
+            this._scheduleTokenRefresh()
+        })
+        this._pendingLogin.catch(() => {
+            // The next request logs in again, like it does without the background refresh.
+        })
+    }
+
+    /**
+     * Tells the shopper's other tabs about a session change.
+     * @private
+     * @param {string} type - `login`, `logout` or `refresh`
+     */
+    _broadcastSessionChange(type) {
+        this._channel?.postMessage({type, customerId: this.cid, userType: this.userType})
+    }
+
+    /**
+     * Handles a session change in another tab.
+     * @private
+     * @param {Object} message
+     */
+    _handleSessionMessage(message) {
+        // In the httpOnly session mode, the access token kept in memory belongs to the previous
+        // session. The next login refreshes it with the new session's cookie.
+        if (this._sessionPath && (message.type === 'login' || message.type === 'logout')) {
+            this._tokenStorage.delete(tokenStorageKey)
+        }
+        this._scheduleTokenRefresh()
+        this._sessionListeners.forEach((listener) => listener(message))
+    }
+
     /**
      * Removes the stored auth token.
      * @private
      */
     _clearAuth() {
-        this._storage.delete(tokenStorageKey)
+        clearTimeout(this._refreshTimer)
+        this._tokenStorage.delete(tokenStorageKey)
+        this._storage.delete(userTypeStorageKey)
         this._storage.delete(refreshTokenRegisteredStorageKey)
         this._storage.delete(refreshTokenGuestStorageKey)
         this._storage.delete(usidStorageKey)
         this._storage.delete(cidStorageKey)
         this._storage.delete(encUserIdStorageKey)
         this._storage.delete(dwSessionIdKey)
+        this._storage.delete(loginTimeStorageKey)
+        this._storage.delete(loginMethodStorageKey)
     }
 }
 
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import CommerceAPI from '.'
+import {app as appConfig} from '../../config/default'
+import {exampleTokenReponse as mockExampleTokenResponse} from './mock-data'
+
+jest.mock('commerce-sdk-isomorphic', () => {
+    const sdk = jest.requireActual('commerce-sdk-isomorphic')
+    return {
+        ...sdk,
+        ShopperLogin: class ShopperLoginMock {
+            async getAccessToken() {
+                return mockExampleTokenResponse
+            }
+        }
+    }
+})
+
+const apiConfig = {
+    ...appConfig.commerceAPI,
+    proxy: undefined,
+    locale: 'en-GB',
+    currency: 'GBP'
+}
+
+// Runs without a DOM, like the server side rendering does.
+describe('Auth on the server', () => {
+    beforeAll(() => {
+        process.env.APP_ORIGIN = 'https://www.example.com'
+    })
+    afterEach(() => {
+        jest.restoreAllMocks()
+    })
+    afterAll(() => {
+        delete process.env.APP_ORIGIN
+    })
+
+    test('logs in and refreshes the token without scheduling a background refresh', async () => {
+        jest.spyOn(global, 'setTimeout')
+        const api = new CommerceAPI(apiConfig)
+
+        await api.auth.login()
+        await api.auth._refreshAccessToken()
+
+        expect(setTimeout).not.toHaveBeenCalled()
+    })
+})
@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+const CLOSED = 'closed'
+const OPEN = 'open'
+const HALF_OPEN = 'half-open'
+
+/**
+ * Thrown instead of calling the service while the circuit is open.
+ */
+export class CircuitOpenError extends Error {
+    constructor(message = 'The circuit is open.') {
+        super(message)
+        this.name = 'CircuitOpenError'
+    }
+}
+
+/**
+ * Thrown when a call takes longer than the configured timeout.
+ */
+export class TimeoutError extends Error {
+    constructor(timeout) {
+        super(`The request timed out after ${timeout} ms.`)
+        this.name = 'TimeoutError'
+    }
+}
+
+/**
+ * Guards calls to an unreliable service. After `failureThreshold` consecutive failures (or
+ * timeouts) the circuit opens and calls fail immediately for `resetTimeout` seconds. After that,
+ * a single trial call is let through: it closes the circuit again when it succeeds, or reopens
+ * it when it fails.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Time in ms after which a call is considered failed.
+     * @param {number} [options.failureThreshold] - Number of consecutive failures that open the circuit.
+     * @param {number} [options.resetTimeout] - Time in seconds the circuit stays open.
+     */
+    constructor({timeout = 3000, failureThreshold = 3, resetTimeout = 30} = {}) {
+        this._timeout = timeout
+        this._failureThreshold = failureThreshold
+        this._resetTimeout = resetTimeout
+        this._failures = 0
+        this._openedAt = undefined
+        this._trialPending = false
+    }
+
+    get state() {
+        if (this._openedAt === undefined) {
+            return CLOSED
+        }
+        if (Date.now() - this._openedAt < this._resetTimeout * 1000) {
+            return OPEN
+        }
+        return HALF_OPEN
+    }
+
+    get isOpen() {
+        return this.state === OPEN
+    }
+
+    /**
+     * Calls the given function unless the circuit is open.
+     * @param {function} func - A function which returns a promise
+     * @returns {Promise}
+     */
+    async call(func) {
+        const state = this.state
+        if (state === OPEN || (state === HALF_OPEN && this._trialPending)) {
+            throw new CircuitOpenError()
+        }
+        this._trialPending = state === HALF_OPEN
+
+        try {
+            const result = await this._withTimeout(func())
+            this._onSuccess()
+            return result
+        } catch (error) {
+            this._onFailure()
+            throw error
+        } finally {
+            this._trialPending = false
+        }
+    }
+
+    _withTimeout(promise) {
+        if (!this._timeout) {
+            return promise
+        }
+        let timer
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new TimeoutError(this._timeout)), this._timeout)
+        })
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+    }
+
+    _onSuccess() {
+        this._failures = 0
+        this._openedAt = undefined
+    }
+
+    _onFailure() {
+        this._failures++
+        if (this.state === HALF_OPEN || this._failures >= this._failureThreshold) {
+            this._openedAt = Date.now()
+        }
+    }
+}
+
+export default CircuitBreaker
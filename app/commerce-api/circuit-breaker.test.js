@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import CircuitBreaker, {CircuitOpenError, TimeoutError} from './circuit-breaker'
+
+const fail = () => Promise.reject(new Error('failed'))
+const succeed = () => Promise.resolve('success')
+
+describe('CircuitBreaker', () => {
+    afterEach(() => {
+        jest.restoreAllMocks()
+        jest.useRealTimers()
+    })
+
+    test('opens after the failure threshold is reached', async () => {
+        const breaker = new CircuitBreaker({failureThreshold: 2})
+        await expect(breaker.call(fail)).rejects.toThrow('failed')
+        expect(breaker.state).toEqual('closed')
+        await expect(breaker.call(fail)).rejects.toThrow('failed')
+        expect(breaker.isOpen).toBe(true)
+
+        const func = jest.fn(succeed)
+        await expect(breaker.call(func)).rejects.toThrow(CircuitOpenError)
+        expect(func).not.toHaveBeenCalled()
+    })
+
+    test('resets the failure count after a success', async () => {
+        const breaker = new CircuitBreaker({failureThreshold: 2})
+        await expect(breaker.call(fail)).rejects.toThrow()
+        await expect(breaker.call(succeed)).resolves.toEqual('success')
+        await expect(breaker.call(fail)).rejects.toThrow()
+        expect(breaker.state).toEqual('closed')
+    })
+
+    test('lets a trial call through after the reset timeout', async () => {
+        const now = Date.now()
+        jest.spyOn(Date, 'now').mockReturnValue(now)
+        const breaker = new CircuitBreaker({failureThreshold: 1, resetTimeout: 10})
+        await expect(breaker.call(fail)).rejects.toThrow()
+        expect(breaker.state).toEqual('open')
+
+        Date.now.mockReturnValue(now + 10 * 1000)
+        expect(breaker.state).toEqual('half-open')
+        await expect(breaker.call(fail)).rejects.toThrow('failed')
+        expect(breaker.state).toEqual('open')
+
+        Date.now.mockReturnValue(now + 20 * 1000)
+        await expect(breaker.call(succeed)).resolves.toEqual('success')
+        expect(breaker.state).toEqual('closed')
+    })
+
+    test('fails calls that exceed the timeout', async () => {
+        jest.useFakeTimers()
+        const breaker = new CircuitBreaker({timeout: 100})
+        const promise = breaker.call(() => new Promise(() => {}))
+        jest.advanceTimersByTime(100)
+        await expect(promise).rejects.toThrow(TimeoutError)
+    })
+})
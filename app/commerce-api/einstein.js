@@ -5,12 +5,61 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import fetch from 'cross-fetch'
+import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
 import {keysToCamel} from './utils'
+import CircuitBreaker from './circuit-breaker'
+import Queue from '../utils/queue'
+import {requestIdleCallback} from '../utils/utils'
+import {applyGlobalPrivacyControl, getStoredConsent, NO_CONSENT} from '../utils/consent'
 
 class EinsteinAPI {
     constructor(commerceAPI) {
         this.commerceAPI = commerceAPI
         this.config = commerceAPI?._config?.einsteinConfig
+        // Stops waiting on Einstein once it is slow or failing repeatedly.
+        this.circuitBreaker = new CircuitBreaker(this.config?.circuitBreaker)
+
+        // Nothing is tracked and requests are anonymous until the shopper consents, see `setConsent`.
+        this.consent = {analytics: false, personalization: false}
+
+        // On the client, activities are buffered and sent in batches when the browser is idle.
+        // Whatever is left when the page is hidden or unloaded is sent with keepalive requests, so
+        // that activities aren't lost on navigation (e.g. a click on a recommendation).
+        this.activityQueue = new Queue()
+        this._onClient = typeof window !== 'undefined'
+        if (this._onClient) {
+            // Start from the consent the shopper gave on an earlier visit, so that the activities
+            // of the first page aren't dropped before the `ConsentProvider` catches up.
+            const {analytics, personalization} = applyGlobalPrivacyControl(
+                getStoredConsent() || NO_CONSENT
+            )
+            this.consent = {analytics, personalization}
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.flushActivities({keepalive: true})
+                }
+            })
+            window.addEventListener('pagehide', () => this.flushActivities({keepalive: true}))
+        }
+    }
+
+    /**
+     * Updates the shopper's consent. Activities are only sent with consent to `analytics`, and the
+     * shopper is only identified with consent to `personalization`.
+     * @param {Object} consent
+     * @param {boolean} consent.analytics
+     * @param {boolean} consent.personalization
+     */
+    setConsent({analytics = false, personalization = false} = {}) {
+        this.consent = {analytics, personalization}
+
+        // Drop the activities that were queued before the consent was withdrawn.
+        if (!analytics) {
+            while (!this.activityQueue.isEmpty) {
+                this.activityQueue.dequeue().resolve({})
+            }
+        }
     }
 
     /**
@@ -25,18 +74,23 @@ class EinsteinAPI {
 
         const body = {...params}
 
+        // Without consent to personalization, requests are sent anonymously.
+        const {personalization} = this.consent
+
         // If we have an encrypted user id (authenticaed users only) use it as the `userId` otherwise
         // we won't send a `userId` param for guest users.
-        if (this.commerceAPI.auth.encUserId) {
+        if (personalization && this.commerceAPI.auth.encUserId) {
             body.userId = this.commerceAPI.auth.encUserId
         }
 
         // Append the `usid` as the `cookieId` value if present. (It should always be present as long
         // as the user is initilized)
-        if (this.commerceAPI.auth.usid) {
-            body.cookieId = this.commerceAPI.auth.usid
-        } else {
-            console.warn('Missing `cookieId`. For optimal results this value must be defined.')
+        if (personalization) {
+            if (this.commerceAPI.auth.usid) {
+                body.cookieId = this.commerceAPI.auth.usid
+            } else {
+                console.warn('Missing `cookieId`. For optimal results this value must be defined.')
+            }
         }
 
         // The first part of the siteId is the realm
@@ -112,31 +166,48 @@ class EinsteinAPI {
     }
 
     async einsteinFetch(endpoint, method, body) {
-        const config = this.config
-        const {host, einsteinId} = config
+        try {
+            // Include `userId` and `cookieId` parameters.
+            return await this._send(endpoint, method, body && this._buildBody(body))
+        } catch {
+            console.warn('Einstein request failed')
+            return {}
+        }
+    }
+
+    /**
+     * Sends a request to Einstein through the circuit breaker. Unlike `einsteinFetch`, this
+     * rejects when the request fails, times out or the circuit is open.
+     * @private
+     * @param {string} endpoint
+     * @param {string} method
+     * @param {Object} [body]
+     * @param {Object} [options]
+     * @param {boolean} [options.keepalive] - Lets the request outlive the page
+     */
+    async _send(endpoint, method, body, {keepalive = false} = {}) {
+        const {host, einsteinId} = this.config
 
         const headers = {
             'Content-Type': 'application/json',
             'x-cq-client-id': einsteinId
         }
 
-        // Include `userId` and `cookieId` parameters.
-        if (body) {
-            body = this._buildBody(body)
-        }
-
-        let response
-        try {
-            response = await fetch(`${host}/v3${endpoint}`, {
+        const response = await this.circuitBreaker.call(async () => {
+            const response = await fetch(`${host}/v3${endpoint}`, {
                 method: method,
                 headers: headers,
                 ...(body && {
                     body: JSON.stringify(body)
-                })
+                }),
+                ...(keepalive && {keepalive})
             })
-        } catch {
-            console.warn('Einstein request failed')
-        }
+            // Only server errors count as failures, client errors are ours to fix.
+            if (response.status >= 500) {
+                throw new HTTPError(response.status, response.statusText)
+            }
+            return response
+        })
 
         if (!response?.ok) {
             return {}
@@ -147,19 +218,82 @@ class EinsteinAPI {
         return keysToCamel(responseJson)
     }
 
+    /**
+     * Adds an activity to the queue and schedules a flush. The body is built right away, so
+     * that the activity is attributed to the shopper who triggered it.
+     * @private
+     * @returns {Promise} Resolves with the Einstein response once the activity was sent.
+     */
+    _enqueueActivity(endpoint, body) {
+        if (!this.consent.analytics) {
+            return Promise.resolve({})
+        }
+        if (!this._onClient) {
+            return this.einsteinFetch(endpoint, 'POST', body)
+        }
+
+        return new Promise((resolve) => {
+            this.activityQueue.enqueue({endpoint, body: this._buildBody(body), resolve})
+
+            if (!this._flushScheduled) {
+                this._flushScheduled = true
+                requestIdleCallback(() => {
+                    this._flushScheduled = false
+                    this.flushActivities()
+                })
+            }
+        })
+    }
+
+    /**
+     * Sends all queued activities. A flush that is already in progress picks up the
+     * activities queued in the meantime, so calling this while flushing returns the
+     * pending flush.
+     * @param {Object} [options]
+     * @param {boolean} [options.keepalive] - Send all the activities at once with keepalive
+     *  requests, which complete even when the page is unloaded. Unlike beacons, these keep the
+     *  `x-cq-client-id` header that Einstein authenticates the requests with.
+     * @returns {Promise}
+     */
+    flushActivities({keepalive = false} = {}) {
+        if (keepalive) {
+            while (!this.activityQueue.isEmpty) {
+                const {endpoint, body, resolve} = this.activityQueue.dequeue()
+                this._send(endpoint, 'POST', body, {keepalive}).catch(() => {})
+                resolve({})
+            }
+            return Promise.resolve()
+        }
+
+        if (!this._pendingFlush) {
+            this._pendingFlush = this.activityQueue
+                .process(async ({endpoint, body, resolve}) => {
+                    try {
+                        resolve(await this._send(endpoint, 'POST', body))
+                    } catch {
+                        console.warn('Einstein request failed')
+                        resolve({})
+                    }
+                })
+                .finally(() => {
+                    this._pendingFlush = undefined
+                })
+        }
+        return this._pendingFlush
+    }
+
     /**
      * Tells the Einstein engine when a user views a product.
      * https://developer.salesforce.com/docs/commerce/einstein-api/references#einstein-recommendations:Summary
      **/
     async sendViewProduct(product, args) {
         const endpoint = `/activities/${this.config.siteId}/viewProduct`
-        const method = 'POST'
         const body = {
             product: this._constructEinsteinProduct(product),
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -167,7 +301,6 @@ class EinsteinAPI {
      **/
     async sendViewSearch(searchText, searchResults, args) {
         const endpoint = `/activities/${this.config.siteId}/viewSearch`
-        const method = 'POST'
 
         const products = searchResults?.hits?.map((product) =>
             this._constructEinsteinProduct(product)
@@ -180,7 +313,7 @@ class EinsteinAPI {
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -188,14 +321,13 @@ class EinsteinAPI {
      **/
     async sendClickSearch(searchText, product, args) {
         const endpoint = `/activities/${this.config.siteId}/clickSearch`
-        const method = 'POST'
         const body = {
             searchText,
             product: this._constructEinsteinProduct(product),
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -203,7 +335,6 @@ class EinsteinAPI {
      **/
     async sendViewCategory(category, searchResults, args) {
         const endpoint = `/activities/${this.config.siteId}/viewCategory`
-        const method = 'POST'
 
         const products = searchResults?.hits?.map((product) =>
             this._constructEinsteinProduct(product)
@@ -218,7 +349,7 @@ class EinsteinAPI {
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -227,7 +358,6 @@ class EinsteinAPI {
      **/
     async sendClickCategory(category, product, args) {
         const endpoint = `/activities/${this.config.siteId}/clickCategory`
-        const method = 'POST'
         const body = {
             category: {
                 id: category.id
@@ -236,7 +366,7 @@ class EinsteinAPI {
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -245,7 +375,6 @@ class EinsteinAPI {
      **/
     async sendViewReco(recommenderDetails, products, args) {
         const endpoint = `/activities/${this.config.siteId}/viewReco`
-        const method = 'POST'
         const {__recoUUID, recommenderName} = recommenderDetails
         const body = {
             recommenderName,
@@ -254,7 +383,7 @@ class EinsteinAPI {
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -263,7 +392,6 @@ class EinsteinAPI {
      **/
     async sendClickReco(recommenderDetails, product, args) {
         const endpoint = `/activities/${this.config.siteId}/clickReco`
-        const method = 'POST'
         const {__recoUUID, recommenderName} = recommenderDetails
         const body = {
             recommenderName,
@@ -272,7 +400,7 @@ class EinsteinAPI {
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -281,13 +409,12 @@ class EinsteinAPI {
      **/
     async sendViewPage(path, args) {
         const endpoint = `/activities/${this.config.siteId}/viewPage`
-        const method = 'POST'
         const body = {
             currentLocation: path,
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -295,7 +422,6 @@ class EinsteinAPI {
      **/
     async sendBeginCheckout(basket, args) {
         const endpoint = `/activities/${this.config.siteId}/beginCheckout`
-        const method = 'POST'
         const products = basket.productItems.map((item) => this._constructEinsteinItem(item))
         const subTotal = basket.productSubTotal
         const body = {
@@ -304,7 +430,7 @@ class EinsteinAPI {
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -313,7 +439,6 @@ class EinsteinAPI {
      **/
     async sendCheckoutStep(stepName, stepNumber, basket, args) {
         const endpoint = `/activities/${this.config.siteId}/checkoutStep`
-        const method = 'POST'
         const body = {
             stepName,
             stepNumber,
@@ -321,7 +446,7 @@ class EinsteinAPI {
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
     }
 
     /**
@@ -330,13 +455,62 @@ class EinsteinAPI {
      **/
     async sendAddToCart(item, args) {
         const endpoint = `/activities/${this.config.siteId}/addToCart`
-        const method = 'POST'
         const body = {
             products: [this._constructEinsteinItem(item)],
             ...args
         }
 
-        return this.einsteinFetch(endpoint, method, body)
+        return this._enqueueActivity(endpoint, body)
+    }
+
+    /**
+     * Tells the Einstein engine when a user removes an item from their cart.
+     **/
+    async sendRemoveFromCart(item, args) {
+        const endpoint = `/activities/${this.config.siteId}/removeFromCart`
+        const body = {
+            products: [this._constructEinsteinItem(item)],
+            ...args
+        }
+
+        return this._enqueueActivity(endpoint, body)
+    }
+
+    /**
+     * Tells the Einstein engine when a user adds a product to their wishlist.
+     **/
+    async sendAddToWishlist(product, args) {
+        const endpoint = `/activities/${this.config.siteId}/addToWishlist`
+        const body = {
+            products: [this._constructEinsteinProduct(product)],
+            ...args
+        }
+
+        return this._enqueueActivity(endpoint, body)
+    }
+
+    /**
+     * Tells the Einstein engine when a user places an order.
+     **/
+    async sendPlaceOrder(order, args) {
+        const endpoint = `/activities/${this.config.siteId}/placeOrder`
+        const products = order.productItems.map((item) => this._constructEinsteinItem(item))
+        const body = {
+            orderNo: order.orderNo,
+            products,
+            amount: order.orderTotal,
+            ...args
+        }
+
+        return this._enqueueActivity(endpoint, body)
+    }
+
+    /**
+     * Tells the Einstein engine when a user views a content asset (e.g. a Page Designer page).
+     * There is no dedicated activity for content, so this is sent as a page view.
+     **/
+    async sendViewContent(content, path, args) {
+        return this.sendViewPage(path, {contentId: content.id, ...args})
     }
 
     /**
@@ -364,7 +538,12 @@ class EinsteinAPI {
         }
 
         // Fetch the recommendations
-        const reco = await this.einsteinFetch(endpoint, method, body)
+        let reco
+        try {
+            reco = await this._send(endpoint, method, this._buildBody(body))
+        } catch {
+            return this.getFallbackRecommendations(products)
+        }
 
         reco.recommenderName = recommenderName
 
@@ -385,11 +564,54 @@ class EinsteinAPI {
         }
 
         // Fetch the recommendations
-        const reco = await this.einsteinFetch(endpoint, method, body)
+        let reco
+        try {
+            reco = await this._send(endpoint, method, this._buildBody(body))
+        } catch {
+            return this.getFallbackRecommendations(products)
+        }
 
         return this.fetchRecProductDetails(reco)
     }
 
+    /**
+     * Get the products to show in place of recommendations while Einstein is unavailable, as
+     * configured by `fallbackRecommendations`: the search hits for the category of the given
+     * products (or the configured category) in the configured sort order, e.g. top sellers.
+     * The result is flagged with `isFallback`, since it can't be reported back to Einstein.
+     **/
+    async getFallbackRecommendations(products) {
+        const fallback = this.config.fallbackRecommendations
+        if (!fallback) {
+            return {}
+        }
+
+        const categoryId =
+            products?.find((product) => product.primaryCategoryId)?.primaryCategoryId ||
+            fallback.categoryId
+        let result
+        try {
+            result = await this.commerceAPI.shopperSearch.productSearch({
+                parameters: {
+                    refine: [`cgid=${categoryId}`],
+                    sort: fallback.sort,
+                    limit: fallback.limit
+                }
+            })
+        } catch {
+            return {}
+        }
+
+        // Don't recommend the products that are already shown.
+        const productIds = products?.map((product) => product.id || product.productId) || []
+        const recs = result?.hits?.filter((hit) => !productIds.includes(hit.productId))
+        if (!recs?.length) {
+            return {}
+        }
+
+        return {recs, isFallback: true}
+    }
+
     async fetchRecProductDetails(reco) {
         const ids = reco.recs?.map((rec) => rec.id)
         if (ids?.length > 0) {
@@ -40,6 +40,7 @@ const config = {
 }
 
 const einsteinApi = new EinsteinAPI(config)
+einsteinApi.setConsent({analytics: true, personalization: true})
 
 beforeEach(() => {
     jest.resetModules()
@@ -189,6 +190,66 @@ describe('EinsteinAPI', () => {
         )
     })
 
+    test('removeFromCart sends expected api request', async () => {
+        await einsteinApi.sendRemoveFromCart(mockAddToCartProduct)
+        expect(fetch).toHaveBeenCalledWith(
+            'http://localhost/test-path/v3/activities/test-site-id/removeFromCart',
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-cq-client-id': 'test-id'
+                },
+                body: '{"products":[{"id":"883360544021M","sku":"","price":155,"quantity":1}],"cookieId":"test-usid","realm":"test","instanceType":"sbx"}'
+            }
+        )
+    })
+
+    test('addToWishlist sends expected api request', async () => {
+        await einsteinApi.sendAddToWishlist({id: '883360544021M', quantity: 1})
+        expect(fetch).toHaveBeenCalledWith(
+            'http://localhost/test-path/v3/activities/test-site-id/addToWishlist',
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-cq-client-id': 'test-id'
+                },
+                body: '{"products":[{"id":"883360544021M","sku":"","altId":"","altIdType":""}],"cookieId":"test-usid","realm":"test","instanceType":"sbx"}'
+            }
+        )
+    })
+
+    test('placeOrder sends expected api request', async () => {
+        await einsteinApi.sendPlaceOrder({...mockBasket, orderNo: '00001', orderTotal: 35.99})
+        expect(fetch).toHaveBeenCalledWith(
+            'http://localhost/test-path/v3/activities/test-site-id/placeOrder',
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-cq-client-id': 'test-id'
+                },
+                body: '{"orderNo":"00001","products":[{"id":"682875719029M","sku":"","price":29.99,"quantity":1}],"amount":35.99,"cookieId":"test-usid","realm":"test","instanceType":"sbx"}'
+            }
+        )
+    })
+
+    test('viewContent sends a page view with the content id', async () => {
+        await einsteinApi.sendViewContent({id: 'about-us'}, '/en-GB/page/about-us')
+        expect(fetch).toHaveBeenCalledWith(
+            'http://localhost/test-path/v3/activities/test-site-id/viewPage',
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-cq-client-id': 'test-id'
+                },
+                body: '{"currentLocation":"/en-GB/page/about-us","contentId":"about-us","cookieId":"test-usid","realm":"test","instanceType":"sbx"}'
+            }
+        )
+    })
+
     test('clickRecommendation sends expected api request', async () => {
         await einsteinApi.sendClickReco(mockRecommenderDetails, mockProduct)
         expect(fetch).toHaveBeenCalledWith(
@@ -326,6 +387,137 @@ describe('EinsteinAPI', () => {
         })
     })
 
+    test('getRecommendations returns the fallback products when Einstein fails', async () => {
+        const productSearchSpy = jest.fn(() => ({
+            hits: [{productId: 'prod_123'}, {productId: 'prod_456'}]
+        }))
+        const api = new EinsteinAPI({
+            ...config,
+            _config: {
+                einsteinConfig: {
+                    ...config._config.einsteinConfig,
+                    fallbackRecommendations: {categoryId: 'root', sort: 'top-sellers', limit: 5}
+                }
+            },
+            shopperSearch: {productSearch: productSearchSpy}
+        })
+        fetch.mockImplementationOnce(() => Promise.reject(new Error('Network error')))
+
+        const res = await api.getRecommendations('testRecommenderName', [
+            {id: 'prod_123', primaryCategoryId: 'womens'}
+        ])
+
+        expect(productSearchSpy).toHaveBeenCalledWith({
+            parameters: {refine: ['cgid=womens'], sort: 'top-sellers', limit: 5}
+        })
+        expect(res).toEqual({recs: [{productId: 'prod_456'}], isFallback: true})
+    })
+
+    test('stops calling Einstein after repeated failures', async () => {
+        const api = new EinsteinAPI({
+            ...config,
+            _config: {
+                einsteinConfig: {
+                    ...config._config.einsteinConfig,
+                    circuitBreaker: {failureThreshold: 2}
+                }
+            }
+        })
+        fetch.mockImplementation(() => Promise.resolve({ok: false, status: 503}))
+
+        await api.getZoneRecommendations('test-zone')
+        await api.getZoneRecommendations('test-zone')
+        const res = await api.getZoneRecommendations('test-zone')
+
+        expect(fetch).toHaveBeenCalledTimes(2)
+        expect(res).toEqual({})
+        fetch.mockReset()
+        fetch.mockImplementation(() => ({json: jest.fn(), ok: true}))
+    })
+
+    test('queues activities and sends them in order when idle', async () => {
+        const api = new EinsteinAPI(config)
+        api.setConsent({analytics: true, personalization: true})
+        const viewProduct = api.sendViewProduct(mockProduct)
+        const viewPage = api.sendViewPage('/')
+        expect(fetch).not.toHaveBeenCalled()
+        expect(api.activityQueue.length).toEqual(2)
+
+        await Promise.all([viewProduct, viewPage])
+
+        expect(fetch).toHaveBeenCalledTimes(2)
+        expect(fetch.mock.calls[0][0]).toEqual(
+            'http://localhost/test-path/v3/activities/test-site-id/viewProduct'
+        )
+        expect(fetch.mock.calls[1][0]).toEqual(
+            'http://localhost/test-path/v3/activities/test-site-id/viewPage'
+        )
+        expect(api.activityQueue.isEmpty).toBe(true)
+    })
+
+    test('sends queued activities with keepalive requests when the page is hidden', async () => {
+        const api = new EinsteinAPI(config)
+        api.setConsent({analytics: true, personalization: true})
+        const viewPage = api.sendViewPage('/')
+        const clickSearch = api.sendClickSearch('test', mockProduct)
+
+        window.dispatchEvent(new Event('pagehide'))
+        expect(fetch).toHaveBeenCalledTimes(2)
+        await Promise.all([viewPage, clickSearch])
+
+        expect(fetch).toHaveBeenLastCalledWith(
+            'http://localhost/test-path/v3/activities/test-site-id/clickSearch',
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-cq-client-id': 'test-id'
+                },
+                body: '{"searchText":"test","product":{"id":"56736828M","sku":"56736828M","altId":"","altIdType":""},"cookieId":"test-usid","realm":"test","instanceType":"sbx"}',
+                keepalive: true
+            }
+        )
+        expect(api.activityQueue.isEmpty).toBe(true)
+    })
+
+    test('does not send activities without consent to analytics', async () => {
+        const api = new EinsteinAPI(config)
+
+        await expect(api.sendViewProduct(mockProduct)).resolves.toEqual({})
+        expect(fetch).not.toHaveBeenCalled()
+        expect(api.activityQueue.isEmpty).toBe(true)
+    })
+
+    test('starts from the consent stored on an earlier visit', async () => {
+        document.cookie = `consent=${JSON.stringify({analytics: true, personalization: false})}`
+        const api = new EinsteinAPI(config)
+        document.cookie = 'consent=; expires=Thu, 01 Jan 1970 00:00:00 GMT'
+
+        expect(api.consent).toEqual({analytics: true, personalization: false})
+        await api.sendViewPage('/')
+        expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('drops queued activities when the consent is withdrawn', async () => {
+        const api = new EinsteinAPI(config)
+        api.setConsent({analytics: true, personalization: true})
+        const viewPage = api.sendViewPage('/')
+        api.setConsent({analytics: false, personalization: false})
+
+        await expect(viewPage).resolves.toEqual({})
+        expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('sends anonymous requests without consent to personalization', async () => {
+        const api = new EinsteinAPI({...config, auth: {usid: 'test-usid', encUserId: 'enc-id'}})
+        api.setConsent({analytics: true, personalization: false})
+        await api.sendViewPage('/')
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body)
+        expect(body.cookieId).toBeUndefined()
+        expect(body.userId).toBeUndefined()
+    })
+
     test('getRecommenders send expected api request', async () => {
         await einsteinApi.getRecommenders()
 
@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
+
+// This module provides typed errors for failed Commerce API requests, so that callers can
+// branch on the kind of failure (e.g. `error instanceof InvalidCouponError`) rather than
+// matching error messages. SCAPI describes failures with a `type` URI, e.g.
+// https://api.commercecloud.salesforce.com/documentation/error/v1/errors/basket-not-found
+// and OCAPI with a fault type, e.g. `BasketNotFoundException`.
+
+/**
+ * Base class for all failed Commerce API requests.
+ */
+export class CommerceAPIError extends HTTPError {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.status] - The HTTP status of the failed request, if known.
+     * @param {string} [details.type] - The SCAPI error type URI or OCAPI fault type.
+     * @param {string} [details.title]
+     * @param {Object} [details.arguments] - Additional OCAPI fault details.
+     */
+    constructor(message, {status, type, title, arguments: args} = {}) {
+        super(status, message)
+        // `HTTPError` pins the prototype to its own class, so we restore the subclass here.
+        this.constructor = new.target
+        Object.setPrototypeOf(this, new.target.prototype)
+        this.name = new.target.name
+        this.type = type
+        this.title = title
+        this.arguments = args
+    }
+}
+
+/** The basket doesn't exist (anymore), e.g. after it was turned into an order. */
+export class BasketNotFoundError extends CommerceAPIError {}
+
+/** The coupon code is unknown, expired or can't be applied to the basket. */
+export class InvalidCouponError extends CommerceAPIError {}
+
+/** The gift certificate code is unknown, or the gift certificate is disabled or used up. */
+export class InvalidGiftCertificateError extends CommerceAPIError {}
+
+/** The payment instruments of the basket don't add up to its order total. */
+export class OrderTotalNotCoveredError extends CommerceAPIError {}
+
+/** A product isn't available in the requested quantity. */
+export class OutOfStockError extends CommerceAPIError {}
+
+/** The access token was rejected because it expired or is no longer valid. */
+export class AuthExpiredError extends CommerceAPIError {}
+
+/** The customer's login or password is incorrect. */
+export class InvalidCredentialsError extends CommerceAPIError {}
+
+/** A customer account with this login already exists. */
+export class LoginAlreadyInUseError extends CommerceAPIError {}
+
+// Maps the SCAPI error names (the last segment of the type URI) and OCAPI fault types to
+// the error classes.
+const errorClassesByType = {
+    'basket-not-found': BasketNotFoundError,
+    BasketNotFoundException: BasketNotFoundError,
+
+    'invalid-coupon-code': InvalidCouponError,
+    'coupon-code-not-found': InvalidCouponError,
+    'coupon-code-already-in-basket': InvalidCouponError,
+    InvalidCouponCodeException: InvalidCouponError,
+    CouponCodeAlreadyInBasketException: InvalidCouponError,
+    CouponCodeUnknownException: InvalidCouponError,
+
+    'gift-certificate-not-found': InvalidGiftCertificateError,
+    GiftCertificateNotFoundException: InvalidGiftCertificateError,
+
+    'product-item-not-available': OutOfStockError,
+    'product-out-of-stock': OutOfStockError,
+    ProductItemNotAvailableException: OutOfStockError,
+    InsufficientInventoryException: OutOfStockError,
+
+    unauthorized: AuthExpiredError,
+    'expired-token': AuthExpiredError,
+    InvalidAccessTokenException: AuthExpiredError,
+    ExpiredTokenException: AuthExpiredError,
+
+    'invalid-credentials': InvalidCredentialsError,
+    InvalidCredentialsException: InvalidCredentialsError,
+
+    'login-already-in-use': LoginAlreadyInUseError,
+    LoginAlreadyInUseException: LoginAlreadyInUseError
+}
+
+/**
+ * Returns the error name of a SCAPI error type URI or OCAPI fault type.
+ * @param {string} [type]
+ * @returns {string|undefined}
+ */
+export const getErrorName = (type) => {
+    if (!type) {
+        return undefined
+    }
+    return type.split('/').pop()
+}
+
+/**
+ * Creates the matching typed error for an error response of the Commerce API.
+ * @param {Object} errorResponse - A SCAPI error response (`{title, type, detail}`) or an OCAPI
+ *  fault converted with `convertOcapiFaultToCapiError`.
+ * @param {number} [status] - The HTTP status of the failed request, if known.
+ * @returns {CommerceAPIError}
+ */
+export const createCommerceAPIError = (errorResponse = {}, status) => {
+    const {title, type, detail} = errorResponse
+    const ErrorClass =
+        errorClassesByType[getErrorName(type)] ||
+        (status === 401 ? AuthExpiredError : CommerceAPIError)
+
+    return new ErrorClass(detail || title, {
+        status: status || errorResponse.status,
+        type,
+        title,
+        arguments: errorResponse.arguments
+    })
+}
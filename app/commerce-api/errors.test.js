@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import {
+    AuthExpiredError,
+    BasketNotFoundError,
+    CommerceAPIError,
+    InvalidCouponError,
+    InvalidGiftCertificateError,
+    LoginAlreadyInUseError,
+    OutOfStockError,
+    createCommerceAPIError,
+    getErrorName
+} from './errors'
+
+const SCAPI_ERRORS_URL = 'https://api.commercecloud.salesforce.com/documentation/error/v1/errors'
+
+describe('errors', () => {
+    test('getErrorName returns the last segment of SCAPI type URIs', () => {
+        expect(getErrorName(`${SCAPI_ERRORS_URL}/basket-not-found`)).toEqual('basket-not-found')
+        expect(getErrorName('BasketNotFoundException')).toEqual('BasketNotFoundException')
+        expect(getErrorName(undefined)).toBeUndefined()
+    })
+
+    test('creates typed errors from SCAPI error responses', () => {
+        const error = createCommerceAPIError(
+            {
+                title: 'Basket Not Found',
+                type: `${SCAPI_ERRORS_URL}/basket-not-found`,
+                detail: 'No basket with ID 123 could be found.'
+            },
+            404
+        )
+        expect(error).toBeInstanceOf(BasketNotFoundError)
+        expect(error).toBeInstanceOf(CommerceAPIError)
+        expect(error).toBeInstanceOf(HTTPError)
+        expect(error).toBeInstanceOf(Error)
+        expect(error.name).toEqual('BasketNotFoundError')
+        expect(error.status).toEqual(404)
+        expect(error.message).toEqual('No basket with ID 123 could be found.')
+        expect(error.title).toEqual('Basket Not Found')
+
+        expect(
+            createCommerceAPIError({
+                title: 'Login Already In Use',
+                type: `${SCAPI_ERRORS_URL}/login-already-in-use`,
+                detail: 'The login is already in use.'
+            })
+        ).toBeInstanceOf(LoginAlreadyInUseError)
+        expect(
+            createCommerceAPIError({
+                title: 'Gift Certificate Not Found',
+                type: `${SCAPI_ERRORS_URL}/gift-certificate-not-found`,
+                detail: 'No gift certificate with the code could be found.'
+            })
+        ).toBeInstanceOf(InvalidGiftCertificateError)
+    })
+
+    test('creates typed errors from OCAPI faults', () => {
+        const coupon = createCommerceAPIError({
+            title: 'Invalid coupon',
+            type: 'InvalidCouponCodeException',
+            detail: 'Invalid coupon',
+            arguments: {couponCode: 'abc'},
+            fault: true
+        })
+        expect(coupon).toBeInstanceOf(InvalidCouponError)
+        expect(coupon.arguments).toEqual({couponCode: 'abc'})
+
+        expect(
+            createCommerceAPIError({type: 'ProductItemNotAvailableException', detail: 'oos'}, 400)
+        ).toBeInstanceOf(OutOfStockError)
+        expect(
+            createCommerceAPIError({type: 'InvalidAccessTokenException', detail: 'expired'}, 401)
+        ).toBeInstanceOf(AuthExpiredError)
+    })
+
+    test('falls back to the status or the base class for unknown types', () => {
+        const unauthorized = createCommerceAPIError({type: 'SomethingElse', detail: 'nope'}, 401)
+        expect(unauthorized).toBeInstanceOf(AuthExpiredError)
+
+        const unknown = createCommerceAPIError({type: 'SomethingElse', title: 'Oops'}, 500)
+        expect(unknown.constructor).toBe(CommerceAPIError)
+        expect(unknown.message).toEqual('Oops')
+        expect(unknown.status).toEqual(500)
+    })
+})
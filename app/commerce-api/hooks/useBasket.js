@@ -5,16 +5,25 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import {useContext, useMemo} from 'react'
-import useEinstein from './useEinstein'
+import {nanoid} from 'nanoid'
+import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
 import {useCommerceAPI, BasketContext} from '../contexts'
 import useCustomer from './useCustomer'
 import {isError} from '../utils'
+import {OrderTotalNotCoveredError, OutOfStockError, createCommerceAPIError} from '../errors'
+import analytics, {EVENTS} from '../../analytics'
+import {
+    getPickupShipmentId,
+    getStoreAddress,
+    isPickupShipment
+} from '../../utils/store-pickup-utils'
+import {isOrderTotalCovered} from '../../utils/payment-utils'
+import {COPIED_BASKET} from '../../constants'
 
 export default function useBasket(opts = {}) {
     const {currency} = opts
     const api = useCommerceAPI()
     const customer = useCustomer()
-    const einstein = useEinstein()
     const {basket, setBasket: _setBasket} = useContext(BasketContext)
 
     const setBasket = (basketData) => {
@@ -22,6 +31,119 @@ export default function useBasket(opts = {}) {
         _setBasket({_productItemsDetail, ...basketData})
     }
 
+    const throwIfError = (response) => {
+        if (isError(response)) {
+            throw createCommerceAPIError(response)
+        }
+        return response
+    }
+
+    // Throws an OutOfStockError when the store doesn't have the items in stock in the requested
+    // quantities, counting the ones that are already picked up there.
+    const checkStoreInventory = async (items, store) => {
+        const quantities = {}
+        const storeItems = (basket.productItems || []).filter(
+            (basketItem) =>
+                basketItem.c_fromStoreId === store.id &&
+                !items.some((item) => item.itemId === basketItem.itemId)
+        )
+        ;[...storeItems, ...items].forEach(({productId, quantity}) => {
+            quantities[productId] = (quantities[productId] || 0) + quantity
+        })
+
+        const response = throwIfError(
+            await api.shopperProducts.getProducts({
+                parameters: {
+                    ids: Object.keys(quantities).join(','),
+                    inventoryIds: store.inventoryId
+                },
+                // The stock may have changed since the products were cached
+                cache: false
+            })
+        )
+        const unavailableIds = Object.keys(quantities).filter((productId) => {
+            const product = response.data?.find((product) => product.id === productId)
+            const inventory = product?.inventories?.find(({id}) => id === store.inventoryId)
+            return !inventory?.orderable || (inventory.ats || 0) < quantities[productId]
+        })
+        if (unavailableIds.length > 0) {
+            throw new OutOfStockError(
+                `Not in stock at store ${store.id}: ${unavailableIds.join(', ')}`
+            )
+        }
+    }
+
+    // Returns the id of the shipment of the items picked up at the given store, creating it
+    // with the store's address and the store pickup shipping method if the basket has none yet.
+    const getOrCreatePickupShipment = async (store) => {
+        const shipment = basket.shipments?.find(
+            (shipment) => isPickupShipment(shipment) && shipment.c_fromStoreId === store.id
+        )
+        if (shipment) {
+            return shipment.shipmentId
+        }
+
+        const shipmentId = getPickupShipmentId(store.id)
+        throwIfError(
+            await api.shopperBaskets.createShipmentForBasket({
+                body: {
+                    shipmentId,
+                    shippingAddress: getStoreAddress(store),
+                    c_fromStoreId: store.id
+                },
+                parameters: {basketId: basket.basketId}
+            })
+        )
+
+        try {
+            // Like in SFRA, the shipping method of pickup shipments is flagged with the
+            // `c_storePickupEnabled` custom attribute.
+            const shippingMethods = throwIfError(
+                await api.shopperBaskets.getShippingMethodsForShipment({
+                    parameters: {basketId: basket.basketId, shipmentId}
+                })
+            )
+            const pickupMethod = shippingMethods.applicableShippingMethods?.find(
+                (method) => method.c_storePickupEnabled
+            )
+            if (!pickupMethod) {
+                throw new Error('No store pickup shipping method is available for this basket')
+            }
+            throwIfError(
+                await api.shopperBaskets.updateShippingMethodForShipment({
+                    body: {id: pickupMethod.id},
+                    parameters: {basketId: basket.basketId, shipmentId}
+                })
+            )
+        } catch (error) {
+            // Don't leave a pickup shipment without a pickup shipping method in the basket
+            await api.shopperBaskets.removeShipmentFromBasket({
+                parameters: {basketId: basket.basketId, shipmentId}
+            })
+            throw error
+        }
+
+        return shipmentId
+    }
+
+    // Removes the pickup shipments that no longer hold items from the basket, and returns the
+    // updated basket.
+    const removeEmptyPickupShipments = async (response) => {
+        const emptyShipments = (response.shipments || []).filter(
+            (shipment) =>
+                isPickupShipment(shipment) &&
+                !response.productItems?.some((item) => item.shipmentId === shipment.shipmentId)
+        )
+        for (const {shipmentId} of emptyShipments) {
+            response = throwIfError(
+                await api.shopperBaskets.removeShipmentFromBasket({
+                    parameters: {basketId: basket.basketId, shipmentId}
+                })
+            )
+        }
+        return response
+    }
+
     const self = useMemo(() => {
         return {
             ...basket,
@@ -63,7 +185,7 @@ export default function useBasket(opts = {}) {
 
                 // Throw if there was a problem getting the customer baskets
                 if (isError(customerBaskets)) {
-                    throw new Error(customerBaskets)
+                    throw createCommerceAPIError(customerBaskets)
                 }
 
                 // We only support single baskets for now. Grab the first one.
@@ -75,7 +197,7 @@ export default function useBasket(opts = {}) {
 
                     // Throw if there was a problem creating the basket
                     if (isError(basket)) {
-                        throw new Error(basket)
+                        throw createCommerceAPIError(basket)
                     }
                 }
 
@@ -101,7 +223,7 @@ export default function useBasket(opts = {}) {
                     parameters: {basketId}
                 })
                 if (isError(updateBasket)) {
-                    throw new Error(updateBasket)
+                    throw createCommerceAPIError(updateBasket)
                 } else {
                     setBasket(updateBasket)
                 }
@@ -113,17 +235,34 @@ export default function useBasket(opts = {}) {
              * @param {array} item
              * @param {string} item.productId - The id of the product.
              * @param {number} item.quantity - The quantity of the item.
+             * @param {Object} [options]
+             * @param {Object} [options.pickupStore] - The store the items are picked up at. They
+             * are shipped when not given, and an OutOfStockError is thrown when the store
+             * doesn't have them in stock.
              */
-            async addItemToBasket(item) {
+            async addItemToBasket(item, {pickupStore} = {}) {
+                let body = item
+                if (pickupStore) {
+                    const items = Array.isArray(item) ? item : [item]
+                    await checkStoreInventory(items, pickupStore)
+                    const shipmentId = await getOrCreatePickupShipment(pickupStore)
+                    body = items.map((productItem) => ({
+                        ...productItem,
+                        shipmentId,
+                        inventoryId: pickupStore.inventoryId,
+                        c_fromStoreId: pickupStore.id
+                    }))
+                }
+
                 const response = await api.shopperBaskets.addItemToBasket({
-                    body: item,
+                    body,
                     parameters: {basketId: basket.basketId}
                 })
-                if (response.fault) {
-                    throw new Error(response)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 } else {
                     setBasket(response)
-                    item.map((eachItem) => einstein.sendAddToCart(eachItem))
+                    analytics.publish(EVENTS.ADD_TO_CART, {items: item, basket: response})
                 }
             },
 
@@ -133,13 +272,22 @@ export default function useBasket(opts = {}) {
              * @param {string} itemId - The id of the basket item.
              */
             async removeItemFromBasket(itemId) {
-                const response = await api.shopperBaskets.removeItemFromBasket({
+                const item = basket.productItems?.find(
+                    (productItem) => productItem.itemId === itemId
+                )
+                let response = await api.shopperBaskets.removeItemFromBasket({
                     parameters: {basketId: basket.basketId, itemId: itemId}
                 })
-                if (response.fault) {
-                    throw new Error(response)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 } else {
+                    if (item && basket.shipments?.some((shipment) => isPickupShipment(shipment))) {
+                        response = await removeEmptyPickupShipments(response)
+                    }
                     setBasket(response)
+                    if (item) {
+                        analytics.publish(EVENTS.REMOVE_FROM_CART, {item, basket: response})
+                    }
                 }
             },
 
@@ -156,13 +304,50 @@ export default function useBasket(opts = {}) {
                     body: item,
                     parameters: {basketId: basket.basketId, itemId: basketItemId}
                 })
-                if (response.fault) {
-                    throw new Error(response)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 } else {
                     setBasket(response)
                 }
             },
 
+            /**
+             * Picks up an item of the basket at a store, or ships it again. The items picked up
+             * at a store are moved to the store's pickup shipment, and reserved from its
+             * inventory. An OutOfStockError is thrown when the store doesn't have them in stock.
+             *
+             * @param {Object} item - The basket item.
+             * @param {Object|null} store - The store, or null to ship the item.
+             */
+            async setItemPickupStore(item, store) {
+                if (store) {
+                    await checkStoreInventory([item], store)
+                }
+                const body = store
+                    ? {
+                          quantity: item.quantity,
+                          shipmentId: await getOrCreatePickupShipment(store),
+                          inventoryId: store.inventoryId,
+                          c_fromStoreId: store.id
+                      }
+                    : {
+                          quantity: item.quantity,
+                          shipmentId: 'me',
+                          inventoryId: null,
+                          c_fromStoreId: null
+                      }
+
+                let response = throwIfError(
+                    await api.shopperBaskets.updateItemInBasket({
+                        body,
+                        parameters: {basketId: basket.basketId, itemId: item.itemId}
+                    })
+                )
+                response = await removeEmptyPickupShipments(response)
+
+                setBasket(response)
+            },
+
             /**
              * Get the product information for all items in the basket.
              *
@@ -193,17 +378,18 @@ export default function useBasket(opts = {}) {
             },
 
             /**
-             * Set the shipping address for the current basket.
+             * Set the shipping address of a shipment of the current basket.
              * @external Address
              * @see https://salesforcecommercecloud.github.io/commerce-sdk-isomorphic/modules/shopperbaskets.html#orderaddress
+             * @param {string} [shipmentId] - The id of the shipment, the default one if not given.
              */
-            async setShippingAddress(address) {
+            async setShippingAddress(address, shipmentId = 'me') {
                 const response = await api.shopperBaskets.updateShippingAddressForShipment({
                     body: address,
                     parameters: {
                         basketId: basket.basketId,
-                        shipmentId: 'me',
-                        useAsBilling: !basket.billingAddress
+                        shipmentId,
+                        useAsBilling: shipmentId === 'me' && !basket.billingAddress
                     }
                 })
 
@@ -211,19 +397,103 @@ export default function useBasket(opts = {}) {
             },
 
             /**
-             * Set the shipping method for the current basket.
+             * Set the shipping method of a shipment of the current basket.
              *
              * @param {string} id - The id of the shipping method.
+             * @param {string} [shipmentId] - The id of the shipment, the default one if not given.
              */
-            async setShippingMethod(id) {
+            async setShippingMethod(id, shipmentId = 'me') {
                 const response = await api.shopperBaskets.updateShippingMethodForShipment({
                     body: {id},
-                    parameters: {basketId: basket.basketId, shipmentId: 'me'}
+                    parameters: {basketId: basket.basketId, shipmentId}
                 })
 
                 setBasket(response)
             },
 
+            /**
+             * Ships the items of the current basket to several addresses, with one shipment per
+             * address. The first address is used for the default shipment, the next ones reuse
+             * the other shipments of the basket or create new ones, and the shipments that are
+             * left without items are removed. The pickup shipments are left as they are.
+             * If a request fails, the basket is still updated with the changes made until then.
+             *
+             * @param {Array<Object>} shipments
+             * @param {Object} shipments[].shippingAddress - The address of the shipment.
+             * @param {Array<string>} shipments[].itemIds - The ids of the items shipped there.
+             */
+            async setShipments(shipments) {
+                const shipmentIds = basket.shipments
+                    .filter((shipment) => !isPickupShipment(shipment))
+                    .map((shipment) => shipment.shipmentId)
+
+                // The items of the removed shipments must all be shipped somewhere else
+                const removedShipmentIds = shipmentIds.slice(shipments.length)
+                const shippedItemIds = shipments.flatMap(({itemIds}) => itemIds)
+                const isItemLeftBehind = basket.productItems?.some(
+                    (item) =>
+                        removedShipmentIds.includes(item.shipmentId) &&
+                        !shippedItemIds.includes(item.itemId)
+                )
+                if (isItemLeftBehind) {
+                    throw new Error('Cannot remove a shipment that still has items')
+                }
+
+                let response
+                try {
+                    for (const [index, {shippingAddress, itemIds}] of shipments.entries()) {
+                        let shipmentId = shipmentIds[index]
+                        if (shipmentId) {
+                            response = throwIfError(
+                                await api.shopperBaskets.updateShippingAddressForShipment({
+                                    body: shippingAddress,
+                                    parameters: {
+                                        basketId: basket.basketId,
+                                        shipmentId,
+                                        useAsBilling: index === 0 && !basket.billingAddress
+                                    }
+                                })
+                            )
+                        } else {
+                            // Shipment ids must be unique within the basket, also across edits
+                            shipmentId = `shipment-${nanoid(8)}`
+                            response = throwIfError(
+                                await api.shopperBaskets.createShipmentForBasket({
+                                    body: {shipmentId, shippingAddress},
+                                    parameters: {basketId: basket.basketId}
+                                })
+                            )
+                        }
+
+                        const itemsToMove = response.productItems.filter(
+                            (item) =>
+                                itemIds.includes(item.itemId) && item.shipmentId !== shipmentId
+                        )
+                        for (const item of itemsToMove) {
+                            response = throwIfError(
+                                await api.shopperBaskets.updateItemInBasket({
+                                    body: {quantity: item.quantity, shipmentId},
+                                    parameters: {basketId: basket.basketId, itemId: item.itemId}
+                                })
+                            )
+                        }
+                    }
+
+                    for (const shipmentId of removedShipmentIds) {
+                        response = throwIfError(
+                            await api.shopperBaskets.removeShipmentFromBasket({
+                                parameters: {basketId: basket.basketId, shipmentId}
+                            })
+                        )
+                    }
+                } finally {
+                    // Keep the basket in sync with the changes that were made before a failure
+                    if (response) {
+                        setBasket(response)
+                    }
+                }
+            },
+
             /**
              * Set the billing address for the current basket.
              * @external Address
@@ -239,64 +509,36 @@ export default function useBasket(opts = {}) {
             },
 
             /**
-             * Set the payment instrument for the current basket
-             *
-             * NOTE: API does allow adding multiple payment instruments to split payment. However,
-             * we are currently only handling a single payment instrument.
-             * Commerce API does not have an endpoint to edit a payment instrument, but OCAPI does.
-             * We want to emulate Commerce API behavior (when using OCAPI) so we'll just remove the
-             * existing payment and add the new one to simulate editing. We're making an assumption
-             * that our basket will never have more than one payment instrument applied at any time.
+             * Adds a payment instrument to the current basket. A basket can hold several payment
+             * instruments to split the payment, e.g. gift certificates and credit cards, each
+             * paying its `amount` of the order total.
              *
              * @external PaymentInstrument
              * @see https://salesforcecommercecloud.github.io/commerce-sdk-isomorphic/modules/shopperbaskets.html#basketpaymentinstrumentrequest
+             * @param {PaymentInstrument} paymentInstrument
+             * @returns {Object} - The updated basket
              */
-            async setPaymentInstrument(paymentInstrument) {
-                // Keep reference to existing payment instrument id
-                let existingPaymentInstrumentId =
-                    basket.paymentInstruments && basket.paymentInstruments[0]?.paymentInstrumentId
-
-                // Add the new payment instrument to basket
-                let response = await api.shopperBaskets.addPaymentInstrumentToBasket({
+            async addPaymentInstrument(paymentInstrument) {
+                const response = await api.shopperBaskets.addPaymentInstrumentToBasket({
                     body: paymentInstrument,
                     parameters: {basketId: basket.basketId}
                 })
 
-                // TOOO: Handle possible error when adding payment instrument.
-                // We won't attempt to remove the previous payment instrument in this case.
-
-                // Remove the previous payment instrument if it existed
-                if (existingPaymentInstrumentId) {
-                    response = await api.shopperBaskets.removePaymentInstrumentFromBasket({
-                        parameters: {
-                            basketId: basket.basketId,
-                            paymentInstrumentId: existingPaymentInstrumentId
-                        }
-                    })
-                }
+                setBasket(throwIfError(response))
 
-                setBasket(response)
+                return response
             },
 
             /**
-             * Remove the payment instrument for the current basket
+             * Removes a payment instrument from the current basket.
+             * @param {string} paymentInstrumentId
              */
-            async removePaymentInstrument() {
-                let paymentInstrumentId =
-                    basket.paymentInstruments && basket.paymentInstruments[0]?.paymentInstrumentId
-
-                if (!paymentInstrumentId) {
-                    return
-                }
-
+            async removePaymentInstrument(paymentInstrumentId) {
                 const response = await api.shopperBaskets.removePaymentInstrumentFromBasket({
-                    parameters: {
-                        basketId: basket.basketId,
-                        paymentInstrumentId: paymentInstrumentId
-                    }
+                    parameters: {basketId: basket.basketId, paymentInstrumentId}
                 })
 
-                setBasket(response)
+                setBasket(throwIfError(response))
             },
 
             /**
@@ -324,8 +566,8 @@ export default function useBasket(opts = {}) {
                     parameters: {basketId: basket.basketId}
                 })
 
-                if (response.fault) {
-                    throw new Error(response)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 }
 
                 setBasket(response)
@@ -340,8 +582,8 @@ export default function useBasket(opts = {}) {
                     parameters: {basketId: basket.basketId, couponItemId}
                 })
 
-                if (response.fault) {
-                    throw new Error(response)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 }
 
                 setBasket(response)
@@ -362,8 +604,16 @@ export default function useBasket(opts = {}) {
 
             /**
              * Creates an order using the current basket.
+             * @returns {Object} - The created order
+             * @throws {OrderTotalNotCoveredError} If the payment instruments don't cover the order total
              */
             async createOrder() {
+                if (!isOrderTotalCovered(basket)) {
+                    throw new OrderTotalNotCoveredError(
+                        `The payments of basket ${basket.basketId} don't cover its order total`
+                    )
+                }
+
                 const response = await api.shopperOrders.createOrder({
                     // We send the SLAS usid via this header. This is required by ECOM to map
                     // Einstein events sent via the API with the finishOrder event fired by ECOM
@@ -373,23 +623,26 @@ export default function useBasket(opts = {}) {
                     body: {basketId: basket.basketId}
                 })
 
-                if (response.fault || (response.title && response.type && response.detail)) {
-                    throw new Error(response.title)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 }
 
                 // We replace the basket with the order result data so we can display
                 // it on the confirmation page. The basket is automatically deleted
                 // in SF so we need to make sure a new one is created when leaving the confirmation.
                 setBasket(response)
+
+                return response
             },
 
             /**
-             * Fetches the applicable shipping methods for the current basket
+             * Fetches the applicable shipping methods for a shipment of the current basket
+             * @param {string} [shipmentId] - The id of the shipment, the default one if not given.
              * @returns {Object} - API response containing data
              */
-            getShippingMethods() {
+            getShippingMethods(shipmentId = 'me') {
                 return api.shopperBaskets.getShippingMethodsForShipment({
-                    parameters: {basketId: basket.basketId, shipmentId: 'me'}
+                    parameters: {basketId: basket.basketId, shipmentId}
                 })
             },
 
@@ -398,6 +651,23 @@ export default function useBasket(opts = {}) {
              * and delete the previous shopper's basket.
              */
             async mergeBasket() {
+                // The items of the customer's basket were copied to the guest basket when they
+                // were logged out for being idle, see `useCustomer.logoutToGuest`.
+                const copiedBasket = JSON.parse(window.localStorage.getItem(COPIED_BASKET))
+                if (copiedBasket?.customerId === customer.customerId) {
+                    // Note that we're using the raw response here, as the successful response
+                    // has no json to parse.
+                    const response = await api.shopperBaskets.deleteBasket(
+                        {parameters: {basketId: copiedBasket.basketId}},
+                        true
+                    )
+                    // The basket may be gone already, e.g. after an order in another browser
+                    if (!response.ok && response.status !== 404) {
+                        throw new HTTPError(response.status, 'Failed to delete the basket')
+                    }
+                }
+                window.localStorage.removeItem(COPIED_BASKET)
+
                 const response = api.shopperBaskets.mergeBasket({
                     headers: {
                         'Content-Type': 'application/json' // This is not required since the request has no body but CommerceAPI throws a '419 - Unsupported Media Type' error if this header is removed.
@@ -407,8 +677,8 @@ export default function useBasket(opts = {}) {
                     }
                 })
 
-                if (response.fault) {
-                    throw new Error(response)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 }
 
                 setBasket(response)
@@ -0,0 +1,255 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import PropTypes from 'prop-types'
+import {screen, waitFor} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {renderWithProviders} from '../../utils/test-utils'
+import mockConfig from '../../../config/mocks/default'
+import useBasket from './useBasket'
+import {OutOfStockError} from '../errors'
+
+const homeAddress = {firstName: 'Test', lastName: 'McTester', city: 'Home'}
+const officeAddress = {firstName: 'Test', lastName: 'McTester', city: 'Office'}
+
+// A basket with its items in two shipments, as returned by OCAPI
+const ocapiBasket = {
+    basket_id: 'basketId',
+    shipments: [
+        {shipment_id: 'me', shipping_address: {city: 'Old'}},
+        {shipment_id: 'shipment-2', shipping_address: {city: 'Other'}}
+    ],
+    product_items: [
+        {item_id: 'item-1', product_id: 'product-1', quantity: 1, shipment_id: 'me'},
+        {item_id: 'item-2', product_id: 'product-2', quantity: 1, shipment_id: 'shipment-2'}
+    ]
+}
+
+const initialBasket = {
+    basketId: 'basketId',
+    shipments: [
+        {shipmentId: 'me', shippingAddress: {city: 'Old'}},
+        {shipmentId: 'shipment-2', shippingAddress: {city: 'Other'}}
+    ],
+    productItems: [
+        {itemId: 'item-1', productId: 'product-1', quantity: 1, shipmentId: 'me'},
+        {itemId: 'item-2', productId: 'product-2', quantity: 1, shipmentId: 'shipment-2'}
+    ]
+}
+
+const store = {id: '00019', name: 'Downtown', inventoryId: 'inventory_m_store_store19'}
+
+const MockComponent = ({action}) => {
+    const basket = useBasket()
+    const [error, setError] = useState()
+    return (
+        <div>
+            <button onClick={() => action(basket).catch(setError)}>Update</button>
+            <div>Ships to {basket.shipments?.[0].shippingAddress.city}</div>
+            {error && (
+                <div>
+                    {error instanceof OutOfStockError && 'Out of stock '}Error: {error.message}
+                </div>
+            )}
+        </div>
+    )
+}
+
+MockComponent.propTypes = {
+    action: PropTypes.func
+}
+
+const renderComponent = (shipments, basket = initialBasket) =>
+    renderWithProviders(<MockComponent action={(basket) => basket.setShipments(shipments)} />, {
+        wrapperProps: {initialBasket: basket}
+    })
+
+const mockStoreInventory = (ats) =>
+    global.server.use(
+        rest.get('*/products', (req, res, ctx) =>
+            res(
+                ctx.delay(0),
+                ctx.json({
+                    data: [
+                        {
+                            id: 'product-1',
+                            inventories: [{id: store.inventoryId, ats, orderable: ats > 0}]
+                        }
+                    ]
+                })
+            )
+        )
+    )
+
+let requests
+beforeEach(() => {
+    requests = []
+    global.server.use(
+        rest.put('*/baskets/basketId/shipments/me/shipping_address', (req, res, ctx) => {
+            requests.push('update address')
+            return res(
+                ctx.delay(0),
+                ctx.json({
+                    ...ocapiBasket,
+                    shipments: [
+                        {shipment_id: 'me', shipping_address: {city: req.body.city}},
+                        ...ocapiBasket.shipments.slice(1)
+                    ]
+                })
+            )
+        }),
+        rest.post('*/baskets/basketId/shipments', (req, res, ctx) => {
+            requests.push(`create ${req.body.shipment_id}`)
+            return res(
+                ctx.delay(0),
+                ctx.json({
+                    ...ocapiBasket,
+                    shipments: [...ocapiBasket.shipments, {shipment_id: req.body.shipment_id}]
+                })
+            )
+        }),
+        rest.patch('*/baskets/basketId/items/:itemId', (req, res, ctx) => {
+            requests.push(`move ${req.params.itemId} to ${req.body.shipment_id}`)
+            return res(ctx.delay(0), ctx.json(ocapiBasket))
+        }),
+        rest.delete('*/baskets/basketId/shipments/:shipmentId', (req, res, ctx) => {
+            requests.push(`remove ${req.params.shipmentId}`)
+            return res(ctx.delay(0), ctx.json(ocapiBasket))
+        }),
+        rest.get('*/baskets/basketId/shipments/:shipmentId/shipping_methods', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.json({applicable_shipping_methods: [{id: '001'}]}))
+        )
+    )
+})
+
+describe('store pickup', () => {
+    const addItem = (basket) =>
+        basket.addItemToBasket({productId: 'product-1', quantity: 2}, {pickupStore: store})
+
+    test('does not reserve items the store does not have in stock', async () => {
+        mockStoreInventory(1)
+        renderWithProviders(<MockComponent action={addItem} />, {wrapperProps: {initialBasket}})
+
+        user.click(screen.getByText('Update'))
+        expect(await screen.findByText(/Out of stock Error:/)).toBeInTheDocument()
+        expect(requests).toEqual([])
+    })
+
+    test('reads the current stock rather than a cached one', async () => {
+        mockStoreInventory(1)
+        renderWithProviders(<MockComponent action={addItem} />, {
+            wrapperProps: {
+                initialBasket,
+                appConfig: {
+                    ...mockConfig.app,
+                    commerceAPI: {...mockConfig.app.commerceAPI, cacheConfig: {ttl: 60}}
+                }
+            }
+        })
+
+        user.click(screen.getByText('Update'))
+        expect(await screen.findByText(/Out of stock Error:/)).toBeInTheDocument()
+
+        mockStoreInventory(5)
+        user.click(screen.getByText('Update'))
+        expect(
+            await screen.findByText(/No store pickup shipping method is available/)
+        ).toBeInTheDocument()
+    })
+
+    test('counts the items already picked up at the store', async () => {
+        mockStoreInventory(1)
+        renderWithProviders(
+            <MockComponent
+                action={(basket) => basket.setItemPickupStore(initialBasket.productItems[0], store)}
+            />,
+            {
+                wrapperProps: {
+                    initialBasket: {
+                        ...initialBasket,
+                        productItems: [
+                            ...initialBasket.productItems,
+                            {
+                                itemId: 'item-3',
+                                productId: 'product-1',
+                                quantity: 1,
+                                shipmentId: 'pickup-00019',
+                                c_fromStoreId: store.id
+                            }
+                        ]
+                    }
+                }
+            }
+        )
+
+        user.click(screen.getByText('Update'))
+        expect(await screen.findByText(/Out of stock Error:/)).toBeInTheDocument()
+        expect(requests).toEqual([])
+    })
+
+    test('removes the pickup shipment when there is no store pickup shipping method', async () => {
+        mockStoreInventory(5)
+        renderWithProviders(<MockComponent action={addItem} />, {wrapperProps: {initialBasket}})
+
+        user.click(screen.getByText('Update'))
+        expect(
+            await screen.findByText(/No store pickup shipping method is available/)
+        ).toBeInTheDocument()
+        expect(requests).toEqual(['create pickup-00019', 'remove pickup-00019'])
+    })
+})
+
+describe('setShipments', () => {
+    test('creates the new shipments with unique ids', async () => {
+        renderComponent(
+            [
+                {shippingAddress: homeAddress, itemIds: ['item-2']},
+                {shippingAddress: officeAddress, itemIds: []},
+                {shippingAddress: officeAddress, itemIds: ['item-1']}
+            ],
+            {...initialBasket, shipments: initialBasket.shipments.slice(0, 1)}
+        )
+
+        user.click(screen.getByText('Update'))
+        await waitFor(() => expect(requests).toHaveLength(5))
+        const createdIds = requests
+            .filter((request) => request.startsWith('create'))
+            .map((request) => request.split(' ')[1])
+        expect(createdIds).toHaveLength(2)
+        expect(new Set(createdIds).size).toBe(2)
+        expect(createdIds).not.toContain('shipment-2')
+    })
+
+    test('does not remove shipments that still have items', async () => {
+        renderComponent([{shippingAddress: homeAddress, itemIds: ['item-1']}])
+
+        user.click(screen.getByText('Update'))
+        expect(
+            await screen.findByText('Error: Cannot remove a shipment that still has items')
+        ).toBeInTheDocument()
+        expect(requests).toEqual([])
+    })
+
+    test('keeps the changes that were made before a failed request', async () => {
+        global.server.use(
+            rest.patch('*/baskets/basketId/items/:itemId', (req, res, ctx) =>
+                res(
+                    ctx.delay(0),
+                    ctx.status(500),
+                    ctx.json({fault: {type: 'InternalServerError', message: 'Failed'}})
+                )
+            )
+        )
+        renderComponent([{shippingAddress: homeAddress, itemIds: ['item-1', 'item-2']}])
+
+        user.click(screen.getByText('Update'))
+        expect(await screen.findByText(/Error:/)).toBeInTheDocument()
+        expect(screen.getByText('Ships to Home')).toBeInTheDocument()
+        expect(requests).toEqual(['update address'])
+    })
+})
@@ -6,14 +6,48 @@
  */
 import {useContext, useMemo} from 'react'
 import {nanoid} from 'nanoid'
+import fetch from 'cross-fetch'
+import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import {getAppOrigin} from 'pwa-kit-react-sdk/utils/url'
 import {useCommerceAPI, CustomerContext} from '../contexts'
+import {isError, keysToCamel} from '../utils'
+import {createCommerceAPIError} from '../errors'
+import {COPIED_BASKET} from '../../constants'
+import {getPickupShipments} from '../../utils/store-pickup-utils'
 
 const AuthTypes = Object.freeze({GUEST: 'guest', REGISTERED: 'registered'})
 
+// Where the shopper is sent after logging in with an identity provider.
+const idpRedirectPathStorageKey = 'idp-redirect-path'
+
 export default function useCustomer() {
     const api = useCommerceAPI()
     const {customer, setCustomer} = useContext(CustomerContext)
 
+    // Creates a shipment like the given one, with the same id, address and shipping method, in
+    // another basket.
+    const copyShipment = async (
+        basketId,
+        {shipmentId, shippingAddress, shippingMethod, c_fromStoreId}
+    ) => {
+        // The address id belongs to the other basket
+        const {id, ...address} = shippingAddress || {}
+        const shipment = await api.shopperBaskets.createShipmentForBasket({
+            body: {shipmentId, shippingAddress: address, c_fromStoreId},
+            parameters: {basketId}
+        })
+        if (isError(shipment)) {
+            throw createCommerceAPIError(shipment)
+        }
+        const response = await api.shopperBaskets.updateShippingMethodForShipment({
+            body: {id: shippingMethod?.id},
+            parameters: {basketId, shipmentId}
+        })
+        if (isError(response)) {
+            throw createCommerceAPIError(response)
+        }
+    }
+
     const self = useMemo(() => {
         return {
             ...customer,
@@ -73,6 +107,63 @@ export default function useCustomer() {
                 }
             },
 
+            /**
+             * Emails the customer a one-time code for the passwordless login.
+             *
+             * @param {string} email
+             */
+            async requestLoginCode(email) {
+                await api.auth.requestLoginCode(email)
+            },
+
+            /**
+             * Log in customer account with the one-time code from `requestLoginCode`.
+             *
+             * @param {string} code
+             */
+            async loginWithCode(code) {
+                const skeletonCustomer = await api.auth.loginWithCode(code)
+                const customer = await api.shopperCustomers.getCustomer({
+                    parameters: {customerId: skeletonCustomer.customerId}
+                })
+                setCustomer(customer)
+            },
+
+            /**
+             * Log in customer account with an external identity provider, e.g. Google. The
+             * browser leaves the app, and `loginWithIdpCallback` completes the login when the
+             * shopper comes back.
+             *
+             * @param {string} idp - The name of the identity provider in the SLAS configuration
+             * @param {string} [redirectPath] - Where the shopper is sent after logging in
+             */
+            async loginWithIdp(idp, redirectPath) {
+                if (redirectPath) {
+                    window.sessionStorage.setItem(idpRedirectPathStorageKey, redirectPath)
+                } else {
+                    window.sessionStorage.removeItem(idpRedirectPathStorageKey)
+                }
+                await api.auth.loginWithIdp(idp)
+            },
+
+            /**
+             * Completes the login with an external identity provider.
+             *
+             * @param {string} url - The url of the callback page, with the authorization code
+             * @returns {string|undefined} The redirect path passed to `loginWithIdp`
+             */
+            async loginWithIdpCallback(url) {
+                const skeletonCustomer = await api.auth.loginWithIdpCallback(url)
+                const customer = await api.shopperCustomers.getCustomer({
+                    parameters: {customerId: skeletonCustomer.customerId}
+                })
+                setCustomer(customer)
+
+                const redirectPath = window.sessionStorage.getItem(idpRedirectPathStorageKey)
+                window.sessionStorage.removeItem(idpRedirectPathStorageKey)
+                return redirectPath || undefined
+            },
+
             /**
              * Log out current customer.
              * and retrive a guest access token
@@ -82,6 +173,65 @@ export default function useCustomer() {
                 setCustomer(customer)
             },
 
+            /**
+             * Log out the current customer to a guest session that keeps their basket, e.g. when
+             * their session times out. The items are copied to a new guest basket. The customer's
+             * basket can only be deleted with their login, so it's deleted when they log back in
+             * (see `useBasket.mergeBasket`), and the items aren't merged into it twice. Items picked
+             * up in store are copied to a pickup shipment of the same store in the guest basket.
+             *
+             * @param {object} [basket] - The customer's current basket
+             */
+            async logoutToGuest(basket) {
+                const productItems = (basket?.productItems || []).map((item) => ({
+                    productId: item.productId,
+                    quantity: item.quantity,
+                    ...(item.optionItems && {
+                        optionItems: item.optionItems.map(({optionId, optionValueId}) => ({
+                            optionId,
+                            optionValueId
+                        }))
+                    }),
+                    ...(item.c_fromStoreId && {
+                        shipmentId: item.shipmentId,
+                        inventoryId: item.inventoryId,
+                        c_fromStoreId: item.c_fromStoreId
+                    })
+                }))
+                const pickupShipments = getPickupShipments(basket)
+
+                const guest = await api.auth.logout()
+                try {
+                    if (productItems.length > 0) {
+                        const guestBasket = await api.shopperBaskets.createBasket({})
+                        if (isError(guestBasket)) {
+                            throw createCommerceAPIError(guestBasket)
+                        }
+                        for (const shipment of pickupShipments) {
+                            await copyShipment(guestBasket.basketId, shipment)
+                        }
+                        const response = await api.shopperBaskets.addItemToBasket({
+                            body: productItems,
+                            parameters: {basketId: guestBasket.basketId}
+                        })
+                        if (isError(response)) {
+                            throw createCommerceAPIError(response)
+                        }
+                        window.localStorage.setItem(
+                            COPIED_BASKET,
+                            JSON.stringify({
+                                basketId: basket.basketId,
+                                customerId: basket.customerInfo?.customerId
+                            })
+                        )
+                    }
+                } finally {
+                    // The basket hook picks up the guest basket for the new customer. If the
+                    // items couldn't be copied, they are still in the customer's basket.
+                    setCustomer(guest)
+                }
+            },
+
             /**
              * Fetch current customer information.
              */
@@ -119,8 +269,8 @@ export default function useCustomer() {
 
                 const response = await api.shopperCustomers.registerCustomer({body})
                 // Check for error json response
-                if (response.detail && response.title && response.type) {
-                    throw new Error(response.detail)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 }
 
                 // Send a new login request with the given credentials to ensure tokens are updated.
@@ -158,8 +308,8 @@ export default function useCustomer() {
                 })
 
                 // Check for error json response
-                if (response.detail && response.title && response.type) {
-                    throw new Error(response.detail)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 }
 
                 // This previous request does return the updated customer profile, however it does
@@ -196,8 +346,8 @@ export default function useCustomer() {
                 if (rawResponse.status >= 400) {
                     const json = await rawResponse.json()
                     // Check for error json response
-                    if (json.detail && json.title && json.type) {
-                        throw new Error(json.detail)
+                    if (isError(json)) {
+                        throw createCommerceAPIError(json, rawResponse.status)
                     }
                 }
 
@@ -218,11 +368,41 @@ export default function useCustomer() {
                 const response = await api.shopperCustomers.getResetPasswordToken({body: {login}})
 
                 // Check for error json response
-                if (response.detail && response.title && response.type) {
-                    throw new Error(response.detail)
+                if (isError(response)) {
+                    throw createCommerceAPIError(response)
                 }
             },
 
+            /**
+             * Sets a new password with the reset token that was emailed to the customer, and
+             * logs them in with it.
+             *
+             * @param {object} data
+             * @param {string} data.resetToken - The token from the password reset email
+             * @param {string} data.login - customer email address
+             * @param {string} data.newPassword
+             */
+            async resetPassword({resetToken, login, newPassword}) {
+                // Note that we're using the raw response here. This request does not return
+                // data when successful, but the sdk tries to parse the json (potential sdk bug).
+                const rawResponse = await api.shopperCustomers.resetPassword(
+                    {body: {resetToken, login, newPassword}},
+                    true
+                )
+
+                // Success has no json response to parse, but errors do, so handle that here.
+                // Not every failure has a SCAPI error body though (e.g. a gateway error page).
+                if (!rawResponse.ok) {
+                    const json = await rawResponse.json().catch(() => undefined)
+                    if (isError(json)) {
+                        throw createCommerceAPIError(json, rawResponse.status)
+                    }
+                    throw new HTTPError(rawResponse.status, 'Failed to reset the password')
+                }
+
+                await self.login({email: login, password: newPassword})
+            },
+
             /**
              * Add a new saved address.
              *
@@ -343,6 +523,40 @@ export default function useCustomer() {
                 return response
             },
 
+            /**
+             * Look up a guest order. The app server reads the order and only returns it when the
+             * email and the postal code of its billing or shipping address match, so that shoppers
+             * can only see the orders they placed.
+             *
+             * @param {object} data
+             * @param {string} data.orderNo
+             * @param {string} data.email
+             * @param {string} data.postalCode
+             * @returns {Promise<object|undefined>} The order, or undefined if none matches
+             */
+            async getGuestOrder({orderNo, email, postalCode}) {
+                const response = await fetch(
+                    `${getAppOrigin()}${api._config.orderLookupConfig.path}`,
+                    {
+                        method: 'POST',
+                        headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+                        body: new URLSearchParams({
+                            order_no: orderNo,
+                            email,
+                            postal_code: postalCode
+                        })
+                    }
+                )
+                // No order matches the details
+                if (response.status === 404) {
+                    return undefined
+                }
+                if (!response.ok) {
+                    throw new HTTPError(response.status, 'Failed to look up the order')
+                }
+                return keysToCamel(await response.json())
+            },
+
             async getCustomerOrderProductsDetail(ids) {
                 const response = await api.shopperProducts.getProducts({
                     parameters: {ids: ids.join(',')}
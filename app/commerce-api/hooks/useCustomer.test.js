@@ -0,0 +1,120 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {screen} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {renderWithProviders} from '../../utils/test-utils'
+import useCustomer from './useCustomer'
+
+const store = {id: '00019', inventoryId: 'inventory_m_store_store19'}
+
+const basket = {
+    basketId: 'basketId',
+    customerInfo: {customerId: 'customerId'},
+    shipments: [
+        {shipmentId: 'me', shippingMethod: {id: '001'}},
+        {
+            shipmentId: 'pickup-00019',
+            shippingAddress: {id: 'address-1', firstName: 'Downtown', city: 'Boston'},
+            shippingMethod: {id: '005'},
+            c_fromStoreId: store.id
+        }
+    ],
+    productItems: [
+        {
+            itemId: 'item-1',
+            productId: 'product-1',
+            quantity: 1,
+            shipmentId: 'me',
+            optionItems: [{itemId: 'option-1', optionId: 'warranty', optionValueId: '1year'}]
+        },
+        {
+            itemId: 'item-2',
+            productId: 'product-2',
+            quantity: 2,
+            shipmentId: 'pickup-00019',
+            inventoryId: store.inventoryId,
+            c_fromStoreId: store.id
+        }
+    ]
+}
+
+const MockComponent = ({basket}) => {
+    const customer = useCustomer()
+    return (
+        <div>
+            <button onClick={() => customer.logoutToGuest(basket)}>Log out</button>
+            {customer.isGuest && <div>Logged in as guest</div>}
+        </div>
+    )
+}
+
+MockComponent.propTypes = {
+    basket: PropTypes.object
+}
+
+let requests
+beforeEach(() => {
+    requests = []
+    global.server.use(
+        rest.post('*/baskets', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.json({basket_id: 'guestBasketId'}))
+        ),
+        rest.post('*/baskets/guestBasketId/shipments', (req, res, ctx) => {
+            requests.push({createShipment: req.body})
+            return res(ctx.delay(0), ctx.json({basket_id: 'guestBasketId'}))
+        }),
+        rest.put(
+            '*/baskets/guestBasketId/shipments/:shipmentId/shipping_method',
+            (req, res, ctx) => {
+                requests.push({[`setShippingMethod ${req.params.shipmentId}`]: req.body})
+                return res(ctx.delay(0), ctx.json({basket_id: 'guestBasketId'}))
+            }
+        ),
+        rest.post('*/baskets/guestBasketId/items', (req, res, ctx) => {
+            requests.push({addItems: req.body})
+            return res(ctx.delay(0), ctx.json({basket_id: 'guestBasketId'}))
+        })
+    )
+})
+
+describe('logoutToGuest', () => {
+    test('copies the items picked up in store to the same store', async () => {
+        renderWithProviders(<MockComponent basket={basket} />)
+
+        user.click(screen.getByText('Log out'))
+        expect(await screen.findByText('Logged in as guest')).toBeInTheDocument()
+        expect(requests).toEqual([
+            {
+                createShipment: {
+                    shipment_id: 'pickup-00019',
+                    shipping_address: {first_name: 'Downtown', city: 'Boston'},
+                    c_fromStoreId: store.id
+                }
+            },
+            {'setShippingMethod pickup-00019': {id: '005'}},
+            {
+                addItems: [
+                    {
+                        product_id: 'product-1',
+                        quantity: 1,
+                        option_items: [{option_id: 'warranty', option_value_id: '1year'}]
+                    },
+                    {
+                        product_id: 'product-2',
+                        quantity: 2,
+                        shipment_id: 'pickup-00019',
+                        inventory_id: store.inventoryId,
+                        c_fromStoreId: store.id
+                    }
+                ]
+            }
+        ])
+    })
+})
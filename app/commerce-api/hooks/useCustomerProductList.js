@@ -11,8 +11,13 @@ import useCustomerProductLists from './useCustomerProductLists'
  * This hook is built on top of the useCustomerProductLists hook,
  * to provide functionalities to manage a single list.
  * A typical use case is wish list.
+ *
+ * @param {string} name
+ * @param {string} type
+ * @param {Object} [options]
+ * @param {function} [options.onItemCreated] - Called with the item after it was added to the list
  */
-const useCustomerProductList = (name, type) => {
+const useCustomerProductList = (name, type, {onItemCreated} = {}) => {
     // cpl is the shorthand for "Cutomer Product Lists"
     const cpl = useCustomerProductLists()
     const self = useMemo(() => {
@@ -55,11 +60,15 @@ const useCustomerProductList = (name, type) => {
              * @param {number} item.quantity
              */
             createListItem: async (item) => {
+                let createdItem
                 if (!self.isInitialized) {
                     const list = await self.init()
-                    return cpl.createListItem(list.id, item)
+                    createdItem = await cpl.createListItem(list.id, item)
+                } else {
+                    createdItem = await cpl.createListItem(self.data.id, item)
                 }
-                return cpl.createListItem(self.data.id, item)
+                onItemCreated?.(item)
+                return createdItem
             },
 
             /**
@@ -5,6 +5,7 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import {useEffect} from 'react'
+import {useCommerceAPI} from '../contexts'
 import useBasket from './useBasket'
 import useCustomer from './useCustomer'
 
@@ -15,6 +16,7 @@ import useCustomer from './useCustomer'
  */
 const useShopper = (opts = {}) => {
     const {currency} = opts
+    const api = useCommerceAPI()
     const customer = useCustomer()
     const basket = useBasket({currency})
 
@@ -23,6 +25,18 @@ const useShopper = (opts = {}) => {
         customer.login()
     }, [])
 
+    // Follow the logins and logouts in the shopper's other tabs. The session is already stored, so
+    // logging in restores it, and the basket is updated for the new customer below.
+    useEffect(
+        () =>
+            api.auth.onSessionChange(({type}) => {
+                if (type === 'login' || type === 'logout') {
+                    customer.login()
+                }
+            }),
+        []
+    )
+
     // Handle basket init/updates in response to customer/basket changes.
     useEffect(() => {
         const hasBasket = basket?.loaded
@@ -56,7 +70,7 @@ const useShopper = (opts = {}) => {
             basket.updateCustomerInfo({email: customer.email})
             return
         }
-    }, [customer.authType, basket.loaded])
+    }, [customer.customerId, customer.authType, basket.loaded])
 
     // Call merge basket whenever user type changes from guest to registered
     useEffect(() => {
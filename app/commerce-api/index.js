@@ -10,9 +10,22 @@ import * as sdk from 'commerce-sdk-isomorphic'
 import {getAppOrigin} from 'pwa-kit-react-sdk/utils/url'
 import ShopperBaskets from './shopper-baskets'
 import OcapiShopperOrders from './ocapi-shopper-orders'
-import {getTenantId, isError, isTokenValid} from './utils'
+import OcapiShopperStores from './ocapi-shopper-stores'
+import {
+    cloneResponse,
+    getBackoffDelay,
+    getTenantId,
+    isError,
+    isRetryable,
+    isTokenValid,
+    isUnauthorized,
+    readSdkResponse,
+    wait
+} from './utils'
 import Auth from './auth'
 import EinsteinAPI from './einstein'
+import SessionBridge from './session-bridge'
+import ResponseCache from './response-cache'
 
 /**
  * The configuration details for the connecting to the API.
@@ -25,6 +38,13 @@ import EinsteinAPI from './einstein'
  * @property {string} [parameters.shortCode]
  * @property {string} [parameters.siteId]
  * @property {string} [parameters.version]
+ * @property {Object} [cacheConfig] - Enables caching of read-only API responses when set.
+ * @property {number} [cacheConfig.ttl] - Time in seconds a cached response is considered fresh.
+ * @property {Object} [retryConfig] - Limits for retrying read-only calls on transient failures.
+ * @property {number} [retryConfig.maxRetries] - Retries after the first attempt, defaults to none.
+ * @property {number} [retryConfig.baseDelay] - Delay in ms before the first retry, doubled for each next one.
+ * @property {number} [retryConfig.maxDelay] - Upper limit in ms for the delay between retries.
+ * @property {Array<number>} [retryConfig.retryStatuses] - HTTP statuses that are retried.
  */
 
 /**
@@ -40,6 +60,21 @@ import EinsteinAPI from './einstein'
  * @typedef {Object} Customer
  */
 
+/**
+ * Hooks that are applied to every proxied SDK method call, see `CommerceAPI.use`.
+ * Each hook receives a context object describing the call: `apiName` (e.g. `shopperProducts`),
+ * `methodName` (e.g. `getProduct`) and the current `args` for the SDK method.
+ * @typedef {Object} Middleware
+ * @property {function(Array, Object): (Array|undefined|Promise<Array|undefined>)} [onRequest] -
+ *  Called with the SDK method arguments before the request is sent. Return new arguments to
+ *  replace them, or nothing to leave them as they are.
+ * @property {function(*, Object): (*|Promise<*>)} [onResponse] - Called with the response of the
+ *  SDK method. Return a new value to replace the response, or nothing to leave it as it is.
+ * @property {function(Error, Object): (*|Promise<*>)} [onError] - Called when the request fails.
+ *  Return a value to resolve the call with it instead, throw to replace the error, or return
+ *  nothing to pass the error on to the next middleware.
+ */
+
 /**
  * A wrapper class that proxies calls to the underlying commerce-sdk-isomorphic.
  * The sdk class instances are created automatically with the given config.
@@ -57,46 +92,89 @@ class CommerceAPI {
 
         this._config = {proxy, ...restConfig}
 
+        this._middleware = []
+        this._pendingRequests = new Map()
+
+        if (this._config.cacheConfig) {
+            this.responseCache = new ResponseCache(this._config.cacheConfig)
+        }
+
         this.auth = new Auth(this)
 
         if (this._config.einsteinConfig?.einsteinId) {
             this.einstein = new EinsteinAPI(this)
         }
 
+        if (this._config.sessionBridgeConfig?.enabled) {
+            this.sessionBridge = new SessionBridge(this)
+        }
+
         // A mapping of property names to the SDK class constructors we'll be
         // providing instances for.
         //
         // NOTE: `sendLocale` and `sendCurrency` for sending locale and currency info to the API:
         // - boolean, if you want to affect _all_ methods for a given API
         // - OR an array (listing the API's methods), if you want to affect only certain methods of an API
+        //
+        // NOTE: `cache` lists the read-only methods of an API whose responses are kept in the
+        // response cache (when enabled). Basket, customer and other mutating calls are never cached.
+        // Calls that need fresh data, e.g. inventory reads, skip the cache with `{cache: false}` in
+        // their fetch options.
+        //
+        // NOTE: `readOnly` lists the read-only (GET style) methods of an API. Identical concurrent
+        // calls to these share a single request, and they are retried on transient failures.
         const apiConfigs = {
             shopperCustomers: {
                 api: sdk.ShopperCustomers,
-                sendLocale: false
+                sendLocale: false,
+                readOnly: [
+                    'getCustomer',
+                    'getCustomerBaskets',
+                    'getCustomerOrders',
+                    'getCustomerProductList',
+                    'getCustomerProductLists'
+                ]
             },
             shopperBaskets: {
                 api: ShopperBaskets,
                 sendLocale: false,
-                sendCurrency: ['createBasket']
+                sendCurrency: ['createBasket'],
+                readOnly: [
+                    'getBasket',
+                    'getPaymentMethodsForBasket',
+                    'getShippingMethodsForShipment'
+                ]
             },
             shopperExperience: {
-                api: sdk.ShopperExperience
+                api: sdk.ShopperExperience,
+                readOnly: ['getPage', 'getPages']
             },
             shopperGiftCertificates: {
-                api: sdk.ShopperGiftCertificates
+                api: sdk.ShopperGiftCertificates,
+                sendLocale: false
             },
             shopperLogin: {api: sdk.ShopperLogin, sendLocale: false},
-            shopperOrders: {api: OcapiShopperOrders},
+            shopperOrders: {api: OcapiShopperOrders, readOnly: ['getOrder']},
             shopperProducts: {
                 api: sdk.ShopperProducts,
-                sendCurrency: ['getProduct', 'getProducts']
+                sendCurrency: ['getProduct', 'getProducts'],
+                cache: ['getProduct', 'getProducts', 'getCategory', 'getCategories'],
+                readOnly: ['getProduct', 'getProducts', 'getCategory', 'getCategories']
             },
             shopperPromotions: {
-                api: sdk.ShopperPromotions
+                api: sdk.ShopperPromotions,
+                readOnly: ['getPromotions', 'getPromotionsForCampaign']
+            },
+            shopperStores: {
+                api: OcapiShopperStores,
+                sendLocale: false,
+                readOnly: ['searchStores', 'getStore']
             },
             shopperSearch: {
                 api: sdk.ShopperSearch,
-                sendCurrency: ['productSearch', 'getSearchSuggestions']
+                sendCurrency: ['productSearch', 'getSearchSuggestions'],
+                cache: ['productSearch', 'getSearchSuggestions'],
+                readOnly: ['productSearch', 'getSearchSuggestions']
             }
         }
 
@@ -107,6 +185,8 @@ class CommerceAPI {
         const self = this
         Object.keys(apiConfigs).forEach((key) => {
             const SdkClass = apiConfigs[key].api
+            // The OCAPI classes report failures themselves, the SDK classes need the raw response
+            const isSdkApi = Object.values(sdk).includes(SdkClass)
             self._sdkInstances = {
                 ...self._sdkInstances,
                 [key]: new Proxy(new SdkClass(this._config), {
@@ -144,11 +224,56 @@ class CommerceAPI {
                                     ...fetchOptions.parameters
                                 }
 
-                                return self.willSendRequest(prop, ...args).then((newArgs) => {
-                                    return obj[prop](...newArgs).then((res) =>
-                                        self.didReceiveResponse(res, newArgs)
-                                    )
-                                })
+                                const {cache = [], readOnly = []} = apiConfigs[key]
+                                const context = {
+                                    apiName: key,
+                                    methodName: prop,
+                                    isReadOnly: readOnly.includes(prop)
+                                }
+
+                                // Raw responses (requested with a truthy second argument) can only
+                                // be read once, so those are never shared or cached.
+                                const isRawResponse = !!args[1]
+
+                                // The SDK returns error responses as their JSON body, which doesn't
+                                // tell the HTTP status. Read-only calls ask for the raw response
+                                // instead, so that transient failures can be retried.
+                                const request =
+                                    context.isReadOnly && isSdkApi && !isRawResponse
+                                        ? ([fetchOptions]) =>
+                                              obj[prop](fetchOptions, true).then(readSdkResponse)
+                                        : (newArgs) => obj[prop](...newArgs)
+                                let send = () => self._send(context, args, request)
+
+                                const requestKey = ResponseCache.createKey(
+                                    key,
+                                    prop,
+                                    locale,
+                                    currency,
+                                    fetchOptions.parameters
+                                )
+
+                                // Identical concurrent calls share one request, unless the caller
+                                // opts out with `{dedupe: false}` in its fetch options.
+                                if (
+                                    context.isReadOnly &&
+                                    fetchOptions.dedupe !== false &&
+                                    !isRawResponse
+                                ) {
+                                    const sendRequest = send
+                                    send = () => self._sendDeduped(requestKey, sendRequest)
+                                }
+
+                                if (
+                                    self.responseCache &&
+                                    cache.includes(prop) &&
+                                    fetchOptions.cache !== false &&
+                                    !isRawResponse
+                                ) {
+                                    return self._sendCached(requestKey, send)
+                                }
+
+                                return send()
                             }
                         }
                         return obj[prop]
@@ -162,6 +287,7 @@ class CommerceAPI {
             })
         })
         this.getConfig = this.getConfig.bind(this)
+        this.use = this.use.bind(this)
     }
 
     /**
@@ -172,6 +298,191 @@ class CommerceAPI {
         return this._config
     }
 
+    /**
+     * Registers a middleware that is applied to every proxied method call to the SDK. Middleware
+     * is applied in the order it was registered, after `willSendRequest` for requests and after
+     * `didReceiveResponse` for responses.
+     *
+     * @example
+     * api.use({
+     *     onRequest: ([fetchOptions, ...rest]) => [
+     *         {...fetchOptions, headers: {...fetchOptions.headers, 'x-correlation-id': nanoid()}},
+     *         ...rest
+     *     ],
+     *     onError: (error, {methodName}) => console.error(`${methodName} failed`, error)
+     * })
+     *
+     * @param {Middleware} middleware
+     * @returns {function} - Call to remove the middleware again.
+     */
+    use(middleware) {
+        this._middleware = [...this._middleware, middleware]
+        return () => {
+            this._middleware = this._middleware.filter((m) => m !== middleware)
+        }
+    }
+
+    /**
+     * Runs a proxied SDK method call through the request/response hooks and
+     * the registered middleware, retrying it according to the retry policy.
+     * @private
+     * @param {Object} context - The `apiName`, `methodName` and `isReadOnly` flag of the call.
+     * @param {Array} args - Arguments for the SDK method.
+     * @param {function(Array): Promise} request - Calls the SDK method with the given arguments.
+     * @returns {Promise<*>}
+     */
+    async _send(context, args, request) {
+        // Middleware may be added or removed while a request is in flight, so we stick
+        // to the list that was registered when the call was made.
+        const middleware = this._middleware
+        const ctx = {...context, args}
+
+        const sendOnce = async () => {
+            ctx.args = await this.willSendRequest(context.methodName, ...args)
+
+            for (const {onRequest} of middleware) {
+                if (onRequest) {
+                    ctx.args = (await onRequest(ctx.args, ctx)) || ctx.args
+                }
+            }
+
+            const response = await request(ctx.args)
+            return this.didReceiveResponse(response, ctx.args)
+        }
+
+        try {
+            let response = await this._withRetries(ctx, sendOnce)
+
+            for (const {onResponse} of middleware) {
+                if (onResponse) {
+                    const result = await onResponse(response, ctx)
+                    response = result === undefined ? response : result
+                }
+            }
+
+            return response
+        } catch (error) {
+            let currentError = error
+            for (const {onError} of middleware) {
+                if (onError) {
+                    try {
+                        const result = await onError(currentError, ctx)
+                        if (result !== undefined) {
+                            return result
+                        }
+                    } catch (mappedError) {
+                        currentError = mappedError
+                    }
+                }
+            }
+            throw currentError
+        }
+    }
+
+    /**
+     * Sends a request and retries it when it fails:
+     * - once, after logging in again, when the access token was rejected (401)
+     * - for read-only calls, on transient failures (e.g. 429, 502, 503, 504 or network errors)
+     *   with an exponential backoff, up to the limits in the `retryConfig`
+     * @private
+     * @param {Object} ctx - The call context, where `ctx.args` holds the arguments last sent.
+     * @param {function(): Promise} sendOnce - Sends the request.
+     * @returns {Promise<*>}
+     */
+    async _withRetries(ctx, sendOnce) {
+        const {
+            maxRetries = 0,
+            baseDelay = 100,
+            maxDelay = 2000,
+            retryStatuses = [429, 502, 503, 504]
+        } = this._config.retryConfig || {}
+
+        // Requests to get or renew tokens can't be fixed by logging in again.
+        let canReauthorize = ctx.apiName !== 'shopperLogin'
+        let retries = 0
+
+        for (;;) {
+            let response, error
+            try {
+                response = await sendOnce()
+            } catch (e) {
+                error = e
+            }
+
+            if (canReauthorize && isUnauthorized(error || response)) {
+                canReauthorize = false
+                // Another request may have already renewed the token that was rejected.
+                const rejectedToken = ctx.args?.[0]?.headers?.Authorization
+                if (!rejectedToken || rejectedToken === this.auth.authToken) {
+                    await this.auth.forceLogin()
+                }
+                continue
+            }
+
+            // The SDK returns error responses rather than throwing them
+            const failure = error || (isError(response) ? response : undefined)
+            if (
+                failure &&
+                ctx.isReadOnly &&
+                retries < maxRetries &&
+                isRetryable(failure, retryStatuses)
+            ) {
+                await wait(getBackoffDelay(retries, baseDelay, maxDelay))
+                retries++
+                continue
+            }
+
+            if (error) {
+                throw error
+            }
+            return response
+        }
+    }
+
+    /**
+     * Sends the request, unless an identical one is already in flight, in which case
+     * the pending promise is returned instead.
+     * @private
+     * @param {string} requestKey
+     * @param {function(): Promise} send - Sends the request.
+     * @returns {Promise<*>}
+     */
+    _sendDeduped(requestKey, send) {
+        if (this._pendingRequests.has(requestKey)) {
+            return this._pendingRequests.get(requestKey)
+        }
+
+        const pendingRequest = send().finally(() => {
+            // Once settled, subsequent calls need to send a new request.
+            this._pendingRequests.delete(requestKey)
+        })
+        this._pendingRequests.set(requestKey, pendingRequest)
+
+        return pendingRequest
+    }
+
+    /**
+     * Returns the cached response for the key if there is a fresh one, otherwise sends
+     * the request and caches its response. Error responses are not cached. Every caller
+     * gets a copy of the cached response, so one changing it doesn't affect the others.
+     * @private
+     * @param {string} cacheKey
+     * @param {function(): Promise} send - Sends the request.
+     * @returns {Promise<*>}
+     */
+    async _sendCached(cacheKey, send) {
+        const cached = this.responseCache.get(cacheKey)
+        if (cached !== undefined) {
+            return cloneResponse(cached)
+        }
+
+        const response = await send()
+        if (!isError(response)) {
+            this.responseCache.set(cacheKey, cloneResponse(response))
+        }
+        return response
+    }
+
     /**
      * Executed before every proxied method call to the SDK. Provides the method
      * name and arguments. This can be overidden in a subclass to perform any
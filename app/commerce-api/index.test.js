@@ -6,6 +6,7 @@
  */
 import CommerceAPI from '.'
 import fetch from 'jest-fetch-mock'
+import jwt from 'njwt'
 
 // NOTE: this will need to be a fixed or known config for testing against
 // It will probably end up living in pwa-kit later on so we may want to
@@ -13,6 +14,7 @@ import fetch from 'jest-fetch-mock'
 import {app as appConfig} from '../../config/default'
 import {createGetTokenBody} from './utils'
 import {generateCodeChallenge, createCodeVerifier} from './pkce'
+import {InvalidCredentialsError} from './errors'
 import {
     exampleRedirectUrl as mockExampleRedirectUrl,
     exampleTokenReponse as mockExampleTokenResponse,
@@ -25,7 +27,11 @@ import {
     ocapiFaultResponse
 } from './mock-data'
 
-jest.mock('cross-fetch', () => jest.requireActual('jest-fetch-mock'))
+jest.mock('cross-fetch', () => {
+    const fetchMock = jest.requireActual('jest-fetch-mock')
+    // The SDK calls `fetch` off the module rather than its default export
+    return Object.assign(fetchMock, {fetch: fetchMock})
+})
 
 jest.mock('./utils', () => {
     const originalModule = jest.requireActual('./utils')
@@ -48,11 +54,12 @@ jest.mock('commerce-sdk-isomorphic', () => {
     return {
         ...sdk,
         ShopperProducts: class ShopperProductsMock extends sdk.ShopperProducts {
-            async getProduct(args) {
-                return args
+            async getProduct(args, rawResponse) {
+                return rawResponse ? new Response(JSON.stringify(args)) : args
             }
-            async getProducts(options) {
-                return options.parameters.ids.map((id) => ({id}))
+            async getProducts(options, rawResponse) {
+                const products = options.parameters.ids.map((id) => ({id}))
+                return rawResponse ? new Response(JSON.stringify(products)) : products
             }
         },
         ShopperLogin: class ShopperLoginMock {
@@ -127,7 +134,8 @@ describe('CommerceAPI', () => {
             'shopperOrders',
             'shopperProducts',
             'shopperPromotions',
-            'shopperSearch'
+            'shopperSearch',
+            'shopperStores'
         ]
         expect(api.shopperCustomers.clientConfig.parameters).toEqual(apiConfig.parameters)
         apiNames.forEach((name) => expect(api[name]).toBeDefined())
@@ -205,6 +213,242 @@ describe('CommerceAPI', () => {
         )
         expect(result).toBe('1 product')
     })
+    test('applies registered middleware to requests and responses', async () => {
+        class MyAPI extends CommerceAPI {
+            async willSendRequest(method, ...args) {
+                return args
+            }
+        }
+        const myAPI = new MyAPI(apiConfig)
+        const onRequest = jest.fn(([fetchOptions, ...rest]) => [
+            {...fetchOptions, parameters: {...fetchOptions.parameters, id: '567'}},
+            ...rest
+        ])
+        const onResponse = jest.fn((response) => ({...response, decorated: true}))
+        myAPI.use({onRequest, onResponse})
+
+        const result = await myAPI.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(onRequest).toHaveBeenCalledWith(
+            [{parameters: {id: '123', locale: 'en-GB', currency: 'GBP'}}],
+            expect.objectContaining({apiName: 'shopperProducts', methodName: 'getProduct'})
+        )
+        expect(onResponse).toHaveBeenCalled()
+        expect(result).toEqual({
+            parameters: {id: '567', locale: 'en-GB', currency: 'GBP'},
+            decorated: true
+        })
+    })
+    test('middleware can be removed', async () => {
+        class MyAPI extends CommerceAPI {
+            async willSendRequest(method, ...args) {
+                return args
+            }
+        }
+        const myAPI = new MyAPI(apiConfig)
+        const onResponse = jest.fn()
+        const remove = myAPI.use({onResponse})
+        remove()
+        await myAPI.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(onResponse).not.toHaveBeenCalled()
+    })
+    test('middleware can map or recover from errors', async () => {
+        class MyAPI extends CommerceAPI {
+            async willSendRequest() {
+                throw new Error('Request failed')
+            }
+        }
+        const myAPI = new MyAPI(apiConfig)
+        const remove = myAPI.use({
+            onError: (error) => {
+                throw new Error(`Mapped: ${error.message}`)
+            }
+        })
+        await expect(myAPI.shopperProducts.getProduct({parameters: {id: '123'}})).rejects.toThrow(
+            'Mapped: Request failed'
+        )
+        remove()
+
+        myAPI.use({onError: () => ({recovered: true})})
+        const result = await myAPI.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(result).toEqual({recovered: true})
+    })
+    test('caches responses of read-only calls when the response cache is enabled', async () => {
+        const api = new CommerceAPI({...apiConfig, cacheConfig: {ttl: 60}})
+        const spy = jest.spyOn(api, 'willSendRequest')
+        const getProductCalls = () =>
+            spy.mock.calls.filter(([methodName]) => methodName === 'getProduct').length
+
+        const first = await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        const second = await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(second).toEqual(first)
+        expect(getProductCalls()).toEqual(1)
+
+        await api.shopperProducts.getProduct({parameters: {id: '123', currency: 'EUR'}})
+        expect(getProductCalls()).toEqual(2)
+    })
+    test('hands out copies of cached responses that callers can change', async () => {
+        const api = new CommerceAPI({...apiConfig, cacheConfig: {ttl: 60}})
+
+        const first = await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        first.parameters.id = 'changed'
+        const second = await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(second.parameters.id).toEqual('123')
+
+        second.parameters.id = 'changed'
+        const third = await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(third.parameters.id).toEqual('123')
+        expect(third).not.toBe(second)
+    })
+    test('calls can skip the response cache', async () => {
+        const api = new CommerceAPI({...apiConfig, cacheConfig: {ttl: 60}})
+        const spy = jest.spyOn(api, 'willSendRequest')
+        const getProductCalls = () =>
+            spy.mock.calls.filter(([methodName]) => methodName === 'getProduct').length
+
+        await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        await api.shopperProducts.getProduct({parameters: {id: '123'}, cache: false})
+        await api.shopperProducts.getProduct({parameters: {id: '123'}, cache: false})
+        expect(getProductCalls()).toEqual(3)
+    })
+    test('does not cache responses when the response cache is disabled', async () => {
+        const api = new CommerceAPI({...apiConfig, cacheConfig: undefined})
+        const spy = jest.spyOn(api, 'willSendRequest')
+        await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(api.responseCache).toBeUndefined()
+        expect(spy.mock.calls.filter(([methodName]) => methodName === 'getProduct').length).toEqual(
+            2
+        )
+    })
+    test('identical concurrent read-only calls share one request', async () => {
+        const api = new CommerceAPI({...apiConfig, cacheConfig: undefined})
+        const spy = jest.spyOn(api, 'willSendRequest')
+        const getProductCalls = () =>
+            spy.mock.calls.filter(([methodName]) => methodName === 'getProduct').length
+
+        const [first, second, other] = await Promise.all([
+            api.shopperProducts.getProduct({parameters: {id: '123'}}),
+            api.shopperProducts.getProduct({parameters: {id: '123'}}),
+            api.shopperProducts.getProduct({parameters: {id: '456'}})
+        ])
+        expect(second).toBe(first)
+        expect(other).not.toBe(first)
+        expect(getProductCalls()).toEqual(2)
+
+        // Once settled, the same call is sent again
+        await api.shopperProducts.getProduct({parameters: {id: '123'}})
+        expect(getProductCalls()).toEqual(3)
+    })
+    test('concurrent calls can opt out of sharing a request', async () => {
+        const api = new CommerceAPI({...apiConfig, cacheConfig: undefined})
+        const spy = jest.spyOn(api, 'willSendRequest')
+        await Promise.all([
+            api.shopperProducts.getProduct({parameters: {id: '123'}}),
+            api.shopperProducts.getProduct({parameters: {id: '123'}, dedupe: false})
+        ])
+        expect(spy.mock.calls.filter(([methodName]) => methodName === 'getProduct').length).toEqual(
+            2
+        )
+    })
+    test('logs in again and replays the call once when the access token is rejected', async () => {
+        const api = new CommerceAPI({...apiConfig, cacheConfig: undefined})
+        const unauthorized = {
+            title: 'Unauthorized',
+            type: 'https://api.commercecloud.salesforce.com/documentation/error/v1/errors/unauthorized',
+            detail: 'Customer credentials are not valid'
+        }
+        const request = jest
+            .fn()
+            .mockResolvedValueOnce(unauthorized)
+            .mockResolvedValueOnce({id: '123'})
+        const forceLogin = jest.spyOn(api.auth, 'forceLogin').mockResolvedValue({})
+
+        const response = await api._send(
+            {apiName: 'shopperProducts', methodName: 'getProduct', isReadOnly: true},
+            [{parameters: {id: '123'}}],
+            request
+        )
+        expect(forceLogin).toHaveBeenCalledTimes(1)
+        expect(request).toHaveBeenCalledTimes(2)
+        expect(response).toEqual({id: '123'})
+
+        // The call is only replayed once
+        request.mockResolvedValue(unauthorized)
+        const secondResponse = await api._send(
+            {apiName: 'shopperProducts', methodName: 'getProduct', isReadOnly: true},
+            [{parameters: {id: '123'}}],
+            request
+        )
+        expect(request).toHaveBeenCalledTimes(4)
+        expect(secondResponse.isError).toBe(true)
+    })
+    test('retries read-only calls on transient failures', async () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            retryConfig: {maxRetries: 2, baseDelay: 1, maxDelay: 1}
+        })
+        const {HTTPError} = require('pwa-kit-react-sdk/ssr/universal/errors')
+        const request = jest
+            .fn()
+            .mockRejectedValueOnce(new HTTPError(503, 'Service Unavailable'))
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockResolvedValueOnce({id: '123'})
+
+        const response = await api._send(
+            {apiName: 'shopperProducts', methodName: 'getProduct', isReadOnly: true},
+            [{parameters: {id: '123'}}],
+            request
+        )
+        expect(request).toHaveBeenCalledTimes(3)
+        expect(response).toEqual({id: '123'})
+
+        // Calls that change data are not retried
+        request.mockReset()
+        request.mockRejectedValue(new HTTPError(503, 'Service Unavailable'))
+        await expect(
+            api._send(
+                {apiName: 'shopperBaskets', methodName: 'createBasket', isReadOnly: false},
+                [{}],
+                request
+            )
+        ).rejects.toThrow('Service Unavailable')
+        expect(request).toHaveBeenCalledTimes(1)
+    })
+    test('retries read-only calls that return a transient error response', async () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            retryConfig: {maxRetries: 2, baseDelay: 1, maxDelay: 1}
+        })
+        const errorResponse = {
+            title: 'Service Unavailable',
+            type: 'https://api.commercecloud.salesforce.com/documentation/error/v1/errors/service-unavailable',
+            detail: 'The service is temporarily unavailable.'
+        }
+        const promotions = {limit: 1, data: [{id: 'promo1'}], total: 1}
+
+        fetch.mockResponses(
+            [JSON.stringify(errorResponse), {status: 503}],
+            [JSON.stringify(promotions), {status: 200}]
+        )
+        const response = await api.shopperPromotions.getPromotions({parameters: {ids: 'promo1'}})
+        expect(response).toEqual(promotions)
+        expect(fetch).toHaveBeenCalledTimes(2)
+
+        // Other error responses are returned as before, without retrying
+        fetch.resetMocks()
+        const notFound = {...errorResponse, title: 'Not Found', detail: 'Unknown promotion'}
+        fetch.mockResponse(JSON.stringify(notFound), {status: 404})
+        const notFoundResponse = await api.shopperPromotions.getPromotions({
+            parameters: {ids: 'unknown'}
+        })
+        expect(notFoundResponse).toEqual({
+            ...notFound,
+            status: 404,
+            isError: true,
+            message: notFound.detail
+        })
+        expect(fetch).toHaveBeenCalledTimes(1)
+    })
     test('authorizes guest user', async () => {
         const _CommerceAPI = require('./index').default
         const api = new _CommerceAPI(apiConfig)
@@ -220,6 +464,24 @@ describe('CommerceAPI', () => {
         expect(customer.authType).toEqual('registered')
         expect(api.auth.encUserId.length).toBeGreaterThan(0)
     })
+    test('records the login time, which refreshing the token keeps', async () => {
+        const api = getAPI()
+        await api.auth.login({email, password})
+        const {loginTime} = api.auth
+        expect(Date.now() - loginTime).toBeLessThan(1000)
+
+        api.auth.authToken = ''
+        await api.auth.login()
+        expect(api.auth.loginTime).toEqual(loginTime)
+    })
+    test('records how the customer logged in', async () => {
+        const api = getAPI()
+        await api.auth.login({email, password})
+        expect(api.auth.loginMethod).toEqual({method: 'password'})
+
+        await api.auth.logout()
+        expect(window.localStorage.getItem('login-method')).toBeNull()
+    })
     test('refreshes existing logged in token', async () => {
         const _CommerceAPI = require('./index').default
         const api = new _CommerceAPI(apiConfig)
@@ -347,6 +609,251 @@ describe('CommerceAPI', () => {
         const api = getAPI()
         expect(api.auth._onClient).toEqual(true)
     })
+    test('exchanges tokens through the app server in the httpOnly session mode', async () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            sessionConfig: {mode: 'httpOnly', path: '/session'}
+        })
+        // The app server removes the refresh token from the response
+        // eslint-disable-next-line no-unused-vars
+        const {refresh_token, ...tokens} = mockExampleTokenResponse
+        fetch.mockResponse(JSON.stringify(tokens))
+
+        const customer = await api.auth.login({email, password})
+        expect(customer.authType).toEqual('registered')
+        expect(fetch.mock.calls[0][0]).toEqual('http://localhost/session/token')
+        expect(fetch.mock.calls[0][1].credentials).toEqual('same-origin')
+        expect(api.auth.authToken).toEqual(`Bearer ${mockExampleTokenResponse.access_token}`)
+        expect(api.auth.userType).toEqual('registered')
+        expect(window.localStorage.getItem('token')).toBeNull()
+        expect(window.localStorage.getItem('cc-nx')).toBeNull()
+
+        // Refreshes with the refresh token the app server keeps in a cookie
+        api.auth.authToken = expiredAuthToken
+        await api.auth.login()
+        const refreshBody = fetch.mock.calls[1][1].body
+        expect(refreshBody.get('grant_type')).toEqual('refresh_token')
+        expect(refreshBody.has('refresh_token')).toBe(false)
+
+        await api.auth.logout(false)
+        expect(fetch.mock.calls[2][0]).toEqual('http://localhost/session/logout')
+        expect(api.auth.hasRefreshToken).toBe(false)
+    })
+    test('sends the shopper to log in with an identity provider', async () => {
+        const originalLocation = window.location
+        delete window.location
+        window.location = {origin: 'http://localhost', assign: jest.fn()}
+
+        const api = new CommerceAPI({...apiConfig, proxy: 'http://localhost/mobify/proxy/api'})
+        api.auth.usid = 'guest-usid'
+        await api.auth.loginWithIdp('google')
+
+        const url = new URL(window.location.assign.mock.calls[0][0])
+        window.location = originalLocation
+
+        expect(url.pathname).toEqual(
+            `/mobify/proxy/api/shopper/auth/v1/organizations/${apiConfig.parameters.organizationId}/oauth2/authorize`
+        )
+        expect(url.searchParams.get('hint')).toEqual('google')
+        expect(url.searchParams.get('redirect_uri')).toEqual('http://localhost/callback')
+        expect(url.searchParams.get('usid')).toEqual('guest-usid')
+        expect(url.searchParams.get('code_challenge')).toEqual(
+            await generateCodeChallenge(window.sessionStorage.getItem('codeVerifier'))
+        )
+    })
+    test('completes the identity provider login on the callback page', async () => {
+        const api = getAPI()
+        const customer = await api.auth.loginWithIdpCallback(mockExampleRedirectUrl)
+        expect(customer).toEqual({
+            customerId: mockExampleTokenResponse.customer_id,
+            authType: 'registered'
+        })
+        expect(api.auth.authToken).toEqual(`Bearer ${mockExampleTokenResponse.access_token}`)
+        expect(api.auth.userType).toEqual('registered')
+    })
+    test('waits for the pending login before completing the identity provider login', async () => {
+        const api = getAPI()
+        const completeLogin = jest.spyOn(api.auth, '_loginWithIdpCallback')
+        const guestLogin = api.auth.login()
+        const idpLogin = api.auth.loginWithIdpCallback(mockExampleRedirectUrl)
+        expect(completeLogin).not.toHaveBeenCalled()
+
+        await guestLogin
+        const customer = await idpLogin
+        expect(completeLogin).toHaveBeenCalledWith(mockExampleRedirectUrl)
+        expect(customer.authType).toEqual('registered')
+    })
+    test('rejects identity provider callbacks without an authorization code', async () => {
+        const api = getAPI()
+        await expect(
+            api.auth.loginWithIdpCallback(
+                'http://localhost/callback?error=access_denied&error_description=Login%20cancelled'
+            )
+        ).rejects.toThrow('Login cancelled')
+    })
+    test('requests passwordless login codes through the app server', async () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            passwordlessConfig: {enabled: true, path: '/passwordless'}
+        })
+        fetch.mockResponse('', {status: 204})
+
+        await api.auth.requestLoginCode(email)
+        expect(fetch.mock.calls[0][0]).toEqual('http://localhost/passwordless/login')
+        const body = fetch.mock.calls[0][1].body
+        expect(body.get('user_id')).toEqual(email)
+        expect(body.get('channel_id')).toEqual(apiConfig.parameters.siteId)
+    })
+    test('logs in with a passwordless login code', async () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            passwordlessConfig: {enabled: true, path: '/passwordless'}
+        })
+        api.auth.usid = 'guest-usid'
+        fetch.mockResponse(JSON.stringify(mockExampleTokenResponse))
+
+        const customer = await api.auth.loginWithCode('12345678')
+        expect(customer).toEqual({
+            customerId: mockExampleTokenResponse.customer_id,
+            authType: 'registered'
+        })
+        expect(fetch.mock.calls[0][0]).toEqual('http://localhost/passwordless/token')
+        const body = fetch.mock.calls[0][1].body
+        expect(body.get('pwdless_login_token')).toEqual('12345678')
+        expect(body.get('usid')).toEqual('guest-usid')
+        expect(api.auth.authToken).toEqual(`Bearer ${mockExampleTokenResponse.access_token}`)
+        expect(api.auth.userType).toEqual('registered')
+    })
+    test('rejects incorrect passwordless login codes', async () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            passwordlessConfig: {enabled: true, path: '/passwordless'}
+        })
+        fetch.mockResponse(JSON.stringify({message: 'Invalid token'}), {status: 401})
+
+        await expect(api.auth.loginWithCode('00000000')).rejects.toBeInstanceOf(
+            InvalidCredentialsError
+        )
+    })
+    test('tells the other tabs about logins and logouts', async () => {
+        const setItem = jest.spyOn(window.localStorage, 'setItem')
+        const getMessages = () =>
+            setItem.mock.calls
+                .filter(([key]) => key === 'auth')
+                .map(([, value]) => JSON.parse(value).message.type)
+        const api = getAPI()
+
+        await api.auth.login({email, password})
+        await api.auth.logout(false)
+
+        const messages = getMessages()
+        expect(messages[0]).toEqual('login')
+        expect(messages[messages.length - 1]).toEqual('logout')
+        setItem.mockRestore()
+    })
+
+    test('notifies listeners about session changes in other tabs', () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            sessionConfig: {mode: 'httpOnly', path: '/session'}
+        })
+        const listener = jest.fn()
+        api.auth.onSessionChange(listener)
+        api.auth.authToken = mockExampleTokenResponse.access_token
+
+        const message = {type: 'login', customerId: 'customerid', userType: 'registered'}
+        window.dispatchEvent(
+            new StorageEvent('storage', {key: 'auth', newValue: JSON.stringify({message})})
+        )
+
+        expect(listener).toHaveBeenCalledWith(message)
+        // The access token kept in memory belongs to the previous session
+        expect(api.auth.authToken).toBeUndefined()
+    })
+
+    test('tells the other tabs about an idle logout without changing the session', () => {
+        const api = new CommerceAPI({
+            ...apiConfig,
+            sessionConfig: {mode: 'httpOnly', path: '/session'}
+        })
+        const listener = jest.fn()
+        api.auth.onSessionChange(listener)
+        api.auth.authToken = mockExampleTokenResponse.access_token
+
+        const message = {type: 'idle-logout', customerId: 'customerid', userType: 'registered'}
+        window.dispatchEvent(
+            new StorageEvent('storage', {key: 'auth', newValue: JSON.stringify({message})})
+        )
+
+        expect(listener).toHaveBeenCalledWith(message)
+        // The other tab logs out, and tells about the new session once it's done
+        expect(api.auth.authToken).toEqual(mockExampleTokenResponse.access_token)
+    })
+
+    test('reuses the access token another tab refreshed while waiting for the lock', async () => {
+        const Utils = require('./utils')
+        jest.spyOn(Utils, 'isTokenValid').mockReturnValueOnce(false).mockReturnValueOnce(true)
+        const _CommerceAPI = require('./index').default
+        const api = new _CommerceAPI(apiConfig)
+        api.auth._saveRefreshToken(mockExampleTokenResponse.refresh_token, 'registered')
+        navigator.locks = {
+            request: jest.fn((name, callback) => {
+                api.auth.authToken = mockExampleTokenReponseForRefresh.access_token
+                return callback()
+            })
+        }
+        const refresh = jest.spyOn(api.auth, '_refreshAccessToken')
+
+        const customer = await api.auth.login()
+
+        expect(navigator.locks.request).toHaveBeenCalledWith('auth-refresh', expect.any(Function))
+        expect(refresh).not.toHaveBeenCalled()
+        expect(customer.authType).toEqual('registered')
+        delete navigator.locks
+        Utils.isTokenValid.mockRestore()
+    })
+    test('refreshes the access token in the background before it expires', () => {
+        jest.useFakeTimers()
+        const api = getAPI()
+        const refresh = jest.spyOn(api.auth, '_refreshAccessToken')
+        const token = jwt.create({}, 'test')
+        token.setExpiration(Date.now() + 600 * 1000)
+        api.auth._saveRefreshToken(mockExampleTokenResponse.refresh_token, 'registered')
+        api.auth.authToken = `Bearer ${token.compact()}`
+
+        api.auth._scheduleTokenRefresh()
+        jest.advanceTimersByTime(500 * 1000)
+        expect(refresh).not.toHaveBeenCalled()
+        jest.advanceTimersByTime(20 * 1000)
+        expect(refresh).toHaveBeenCalledTimes(1)
+        jest.useRealTimers()
+    })
+
+    test('pauses the background refresh while the tab is hidden and catches up afterwards', () => {
+        jest.useFakeTimers()
+        const api = getAPI()
+        const refresh = jest.spyOn(api.auth, '_refreshAccessToken')
+        api.auth._saveRefreshToken(mockExampleTokenResponse.refresh_token, 'registered')
+        api.auth.authToken = expiredAuthToken
+
+        const setVisibilityState = (visibilityState) => {
+            Object.defineProperty(document, 'visibilityState', {
+                value: visibilityState,
+                configurable: true
+            })
+            document.dispatchEvent(new Event('visibilitychange'))
+        }
+
+        setVisibilityState('hidden')
+        jest.runAllTimers()
+        expect(refresh).not.toHaveBeenCalled()
+
+        setVisibilityState('visible')
+        jest.runOnlyPendingTimers()
+        expect(refresh).toHaveBeenCalledTimes(1)
+        jest.useRealTimers()
+    })
+
     test('calling createBasket returns basket object in camelCase', async () => {
         const api = getAPI()
         fetch.mockResponseOnce(JSON.stringify(ocapiBasketResponse))
@@ -5623,3 +5623,44 @@ export const mockProductSearch = {
     offset: 0,
     total: 43
 }
+
+export const ocapiStoresResponse = {
+    _v: '21.3',
+    _type: 'stores',
+    count: 2,
+    data: [
+        {
+            _type: 'store',
+            address1: '162 University Ave',
+            city: 'Palo Alto',
+            country_code: 'US',
+            distance: 1.23,
+            id: '00019',
+            inventory_id: 'inventory_m_store_store19',
+            latitude: 37.4475,
+            longitude: -122.1602,
+            name: 'Palo Alto',
+            phone: '+1-650-555-0101',
+            postal_code: '94301',
+            state_code: 'CA',
+            store_hours: 'Mon - Sat: 10am - 9pm'
+        },
+        {
+            _type: 'store',
+            address1: '2855 Stevens Creek Blvd',
+            city: 'Santa Clara',
+            country_code: 'US',
+            distance: 11.7,
+            id: '00021',
+            inventory_id: 'inventory_m_store_store21',
+            latitude: 37.3235,
+            longitude: -121.9466,
+            name: 'Santa Clara',
+            phone: '+1-408-555-0102',
+            postal_code: '95050',
+            state_code: 'CA'
+        }
+    ],
+    start: 0,
+    total: 2
+}
@@ -152,6 +152,40 @@ class OcapiShopperBaskets {
         )
     }
 
+    async createShipmentForBasket(...args) {
+        const required = ['basketId', 'body']
+        let requiredParametersError = checkRequiredParameters(args[0], required)
+        if (requiredParametersError) {
+            return requiredParametersError
+        }
+        let {
+            parameters: {basketId},
+            body
+        } = args[0]
+        return this.fetch(
+            `baskets/${basketId}/shipments`,
+            'POST',
+            args,
+            'createShipmentForBasket',
+            camelCaseKeysToUnderscore(body)
+        )
+    }
+
+    async removeShipmentFromBasket(...args) {
+        const required = ['basketId', 'shipmentId']
+        let requiredParametersError = checkRequiredParameters(args[0], required)
+        if (requiredParametersError) {
+            return requiredParametersError
+        }
+        const {basketId, shipmentId} = args[0].parameters
+        return this.fetch(
+            `baskets/${basketId}/shipments/${shipmentId}`,
+            'DELETE',
+            args,
+            'removeShipmentFromBasket'
+        )
+    }
+
     async getShippingMethodsForShipment(...args) {
         const required = ['basketId', 'shipmentId']
         let requiredParametersError = checkRequiredParameters(args[0], required)
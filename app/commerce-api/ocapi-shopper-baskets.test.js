@@ -172,6 +172,49 @@ describe('test OcapiShopperBaskets class', () => {
         expect(basket.paymentInstruments[0]).toBeDefined()
         expect(basket.paymentInstruments[0].paymentCard).toBeDefined()
     })
+    test('createShipmentForBasket returns error object when no params are passed', async () => {
+        const ocapiShopperBaskets = getOcapiShopperBaskets()
+        fetch.mockResponseOnce(JSON.stringify(ocapiBasketResponse))
+        const response = await ocapiShopperBaskets.createShipmentForBasket({})
+        expect(response).toBeDefined()
+        expect(response.title).toEqual('Parameters are required for this request')
+    })
+    test('createShipmentForBasket sends the shipment in snake_case', async () => {
+        const ocapiShopperBaskets = getOcapiShopperBaskets()
+        fetch.mockResponseOnce(JSON.stringify(ocapiBasketResponse))
+        const basket = await ocapiShopperBaskets.createShipmentForBasket({
+            parameters: {basketId: 'testBasketId'},
+            body: {shipmentId: 'shipment-2', shippingAddress: {firstName: 'Test'}}
+        })
+        const [url, options] = fetch.mock.calls[0]
+        expect(url).toMatch(/baskets\/testBasketId\/shipments$/)
+        expect(JSON.parse(options.body)).toEqual({
+            shipment_id: 'shipment-2',
+            shipping_address: {first_name: 'Test'}
+        })
+        expect(basket.shipments[0].shipmentId).toBeDefined()
+    })
+    test('removeShipmentFromBasket returns error object when no params are passed', async () => {
+        const ocapiShopperBaskets = getOcapiShopperBaskets()
+        fetch.mockResponseOnce(JSON.stringify(ocapiBasketResponse))
+        const response = await ocapiShopperBaskets.removeShipmentFromBasket({
+            parameters: {basketId: 'testBasketId'}
+        })
+        expect(response).toBeDefined()
+        expect(response.title).toEqual(
+            'The following parameters were missing from your resquest: shipmentId'
+        )
+    })
+    test('removeShipmentFromBasket returns a basket object in camelCase when params are passed', async () => {
+        const ocapiShopperBaskets = getOcapiShopperBaskets()
+        fetch.mockResponseOnce(JSON.stringify(ocapiBasketResponse))
+        const basket = await ocapiShopperBaskets.removeShipmentFromBasket({
+            parameters: {basketId: 'testBasketId', shipmentId: 'shipment-2'}
+        })
+        expect(fetch.mock.calls[0][0]).toMatch(/baskets\/testBasketId\/shipments\/shipment-2$/)
+        expect(fetch.mock.calls[0][1].method).toEqual('DELETE')
+        expect(basket.shipments[0].shipmentId).toBeDefined()
+    })
     test('getShippingMethodsForShipment returns error object when no params are passed', async () => {
         const ocapiShopperBaskets = getOcapiShopperBaskets()
         fetch.mockResponseOnce(JSON.stringify(ocapiBasketWithPaymentInstrumentAndBillingAddress))
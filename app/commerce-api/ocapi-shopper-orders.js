@@ -45,7 +45,7 @@ class OcapiShopperOrders {
             return requiredParametersError
         }
         const {orderNo} = args[0].parameters
-        return this.fetch(`orders/${orderNo}`, 'GET', args, 'getOrder')
+        return this.fetch(`orders/${encodeURIComponent(orderNo)}`, 'GET', args, 'getOrder')
     }
 }
 
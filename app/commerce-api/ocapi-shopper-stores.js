@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+// This class allows integration with OCAPI Stores Resource
+// https://documentation.b2c.commercecloud.salesforce.com/DOC2/topic/com.demandware.dochelp/OCAPI/current/shop/Resources/Stores.html
+// There is no CAPI counterpart for stores, so the methods follow the CAPI conventions of the other
+// OCAPI classes: parameters in camelCase, responses converted to camelCase by createOcapiFetch
+
+import {checkRequiredParameters, createOcapiFetch} from './utils'
+
+// The query parameters of the stores search, in OCAPI naming
+const SEARCH_PARAMETERS = {
+    latitude: 'latitude',
+    longitude: 'longitude',
+    countryCode: 'country_code',
+    postalCode: 'postal_code',
+    maxDistance: 'max_distance',
+    distanceUnit: 'distance_unit',
+    start: 'start',
+    count: 'count'
+}
+
+class OcapiShopperStores {
+    constructor(config) {
+        this.fetch = createOcapiFetch(config)
+    }
+
+    /**
+     * Searches the stores around a location, given either by its `latitude` and `longitude` or
+     * by its `countryCode` and `postalCode`.
+     */
+    async searchStores(...args) {
+        let requiredParametersError = checkRequiredParameters(args[0], [])
+        if (requiredParametersError) {
+            return requiredParametersError
+        }
+
+        const {parameters} = args[0]
+        const hasCoordinates = parameters.latitude != null && parameters.longitude != null
+        const hasPostalCode = parameters.countryCode && parameters.postalCode
+        if (!hasCoordinates && !hasPostalCode) {
+            const detail =
+                'Either latitude and longitude, or countryCode and postalCode are required for this request'
+            return {title: detail, type: 'MissingParameters', detail}
+        }
+
+        const query = Object.keys(SEARCH_PARAMETERS)
+            .filter((key) => parameters[key] != null && parameters[key] !== '')
+            .map((key) => `${SEARCH_PARAMETERS[key]}=${encodeURIComponent(parameters[key])}`)
+            .join('&')
+        return this.fetch(`stores?${query}`, 'GET', args, 'searchStores')
+    }
+
+    async getStore(...args) {
+        const required = ['storeId']
+        let requiredParametersError = checkRequiredParameters(args[0], required)
+        if (requiredParametersError) {
+            return requiredParametersError
+        }
+        const {storeId} = args[0].parameters
+        return this.fetch(`stores/${storeId}`, 'GET', args, 'getStore')
+    }
+}
+
+export default OcapiShopperStores
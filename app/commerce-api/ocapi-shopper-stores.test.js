@@ -0,0 +1,61 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import fetch from 'jest-fetch-mock'
+import {app as appConfig} from '../../config/default'
+import OcapiShopperStores from './ocapi-shopper-stores'
+import {ocapiStoresResponse} from './mock-data'
+
+jest.mock('cross-fetch', () => jest.requireActual('jest-fetch-mock'))
+
+const apiConfig = {...appConfig.commerceAPI, proxy: undefined}
+const getOcapiShopperStores = () => new OcapiShopperStores(apiConfig)
+beforeEach(() => {
+    jest.resetModules()
+    fetch.resetMocks()
+})
+
+describe('test OcapiShopperStores class', () => {
+    test('searchStores returns the stores in camelCase', async () => {
+        const ocapiShopperStores = getOcapiShopperStores()
+        fetch.mockResponseOnce(JSON.stringify(ocapiStoresResponse))
+        const stores = await ocapiShopperStores.searchStores({
+            parameters: {countryCode: 'US', postalCode: '94301', maxDistance: 50}
+        })
+        expect(stores.data[0].inventoryId).toEqual('inventory_m_store_store19')
+        expect(fetch.mock.calls[0][0]).toMatch(
+            /\/stores\?country_code=US&postal_code=94301&max_distance=50$/
+        )
+    })
+    test('searchStores searches by coordinates', async () => {
+        const ocapiShopperStores = getOcapiShopperStores()
+        fetch.mockResponseOnce(JSON.stringify(ocapiStoresResponse))
+        await ocapiShopperStores.searchStores({
+            parameters: {latitude: 37.44, longitude: -122.16, distanceUnit: 'km'}
+        })
+        expect(fetch.mock.calls[0][0]).toMatch(
+            /\/stores\?latitude=37.44&longitude=-122.16&distance_unit=km$/
+        )
+    })
+    test('searchStores returns error object when no location is passed', async () => {
+        const ocapiShopperStores = getOcapiShopperStores()
+        const response = await ocapiShopperStores.searchStores({parameters: {countryCode: 'US'}})
+        expect(response.type).toEqual('MissingParameters')
+        expect(fetch).not.toHaveBeenCalled()
+    })
+    test('getStore returns the store', async () => {
+        const ocapiShopperStores = getOcapiShopperStores()
+        fetch.mockResponseOnce(JSON.stringify(ocapiStoresResponse.data[0]))
+        const store = await ocapiShopperStores.getStore({parameters: {storeId: '00019'}})
+        expect(store.postalCode).toEqual('94301')
+        expect(fetch.mock.calls[0][0]).toMatch(/\/stores\/00019$/)
+    })
+    test('getStore returns error object when no params are passed', async () => {
+        const ocapiShopperStores = getOcapiShopperStores()
+        const response = await ocapiShopperStores.getStore({})
+        expect(response.title).toEqual('Parameters are required for this request')
+    })
+})
@@ -0,0 +1,119 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+const DEFAULT_TTL = 60 // seconds
+
+// Serializes a value into JSON with its object keys sorted, so that two parameter
+// objects holding the same values always produce the same cache key.
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`
+    }
+    return JSON.stringify(value)
+}
+
+/**
+ * An in-memory cache for responses of read-only API calls. Entries expire after their
+ * time-to-live and the unexpired ones can be serialized, so that responses loaded during
+ * server-side rendering can be restored on the client.
+ */
+class ResponseCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Time in seconds an entry is considered fresh.
+     */
+    constructor({ttl = DEFAULT_TTL} = {}) {
+        this._ttl = ttl
+        this._entries = new Map()
+    }
+
+    /**
+     * Builds a cache key from the given parts, e.g. the api and method names and
+     * the request parameters.
+     * @param {...*} parts
+     * @returns {string}
+     */
+    static createKey(...parts) {
+        return stableStringify(parts)
+    }
+
+    get size() {
+        return this._entries.size
+    }
+
+    /**
+     * Returns the cached value for the key, or `undefined` if there is none or it has expired.
+     * @param {string} key
+     * @returns {*}
+     */
+    get(key) {
+        const entry = this._entries.get(key)
+        if (!entry) {
+            return undefined
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this._entries.delete(key)
+            return undefined
+        }
+        return entry.value
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {number} [ttl] - Overrides the default time-to-live (in seconds) for this entry.
+     */
+    set(key, value, ttl = this._ttl) {
+        this._entries.set(key, {value, expiresAt: Date.now() + ttl * 1000})
+    }
+
+    delete(key) {
+        this._entries.delete(key)
+    }
+
+    clear() {
+        this._entries.clear()
+    }
+
+    /**
+     * Returns the unexpired entries as a plain object that can be serialized to JSON.
+     * @returns {Object}
+     */
+    serialize() {
+        const now = Date.now()
+        const entries = {}
+        this._entries.forEach((entry, key) => {
+            if (entry.expiresAt > now) {
+                entries[key] = entry
+            }
+        })
+        return entries
+    }
+
+    /**
+     * Adds the entries of a previously serialized cache, skipping the ones that have expired.
+     * @param {Object} [entries]
+     */
+    restore(entries = {}) {
+        const now = Date.now()
+        Object.keys(entries).forEach((key) => {
+            const entry = entries[key]
+            if (entry?.expiresAt > now) {
+                this._entries.set(key, entry)
+            }
+        })
+    }
+}
+
+export default ResponseCache
@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import ResponseCache from './response-cache'
+
+describe('ResponseCache', () => {
+    afterEach(() => {
+        jest.restoreAllMocks()
+    })
+
+    test('creates the same key regardless of parameter order', () => {
+        expect(ResponseCache.createKey('getProduct', {id: '1', locale: 'en-GB'})).toEqual(
+            ResponseCache.createKey('getProduct', {locale: 'en-GB', id: '1'})
+        )
+        expect(ResponseCache.createKey('getProduct', {id: '1'})).not.toEqual(
+            ResponseCache.createKey('getProduct', {id: '2'})
+        )
+    })
+
+    test('returns cached values until they expire', () => {
+        const now = Date.now()
+        jest.spyOn(Date, 'now').mockReturnValue(now)
+        const cache = new ResponseCache({ttl: 10})
+        cache.set('key', {id: '1'})
+        expect(cache.get('key')).toEqual({id: '1'})
+
+        Date.now.mockReturnValue(now + 10 * 1000)
+        expect(cache.get('key')).toBeUndefined()
+        expect(cache.size).toEqual(0)
+    })
+
+    test('restores serialized entries that have not expired', () => {
+        const now = Date.now()
+        jest.spyOn(Date, 'now').mockReturnValue(now)
+        const serverCache = new ResponseCache({ttl: 10})
+        serverCache.set('fresh', 'fresh value')
+        serverCache.set('stale', 'stale value', 1)
+
+        Date.now.mockReturnValue(now + 5 * 1000)
+        const clientCache = new ResponseCache()
+        clientCache.restore(JSON.parse(JSON.stringify(serverCache.serialize())))
+        expect(clientCache.get('fresh')).toEqual('fresh value')
+        expect(clientCache.get('stale')).toBeUndefined()
+    })
+})
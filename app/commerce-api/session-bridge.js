@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {getAppOrigin} from 'pwa-kit-react-sdk/utils/url'
+import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import fetch from 'cross-fetch'
+
+// SFRA sessions time out after 30 minutes without requests by default.
+const DEFAULT_MAX_AGE = 25 * 60 // seconds
+
+/**
+ * Bridges the shopper's SLAS session to a legacy storefront session (the `dwsid` cookie) for
+ * hybrid deployments, where some pages are still served by SFRA on the same domain. The OCAPI
+ * `/sessions` resource exchanges the SLAS access token for the session cookies, so SFRA pages see
+ * the same shopper, login and basket as the PWA.
+ *
+ * The bridged session is recorded with the other auth data, so it's bridged again when the
+ * shopper logs in or out, or when the SFRA session may have timed out.
+ */
+class SessionBridge {
+    constructor(api) {
+        this._api = api
+        this._config = api._config
+
+        const {routePrefixes = [], maxAge = DEFAULT_MAX_AGE} = this._config.sessionBridgeConfig
+        this._routePrefixes = routePrefixes
+        this._maxAge = maxAge
+    }
+
+    /**
+     * Returns true when the path belongs to the pages served by SFRA, i.e. starts with one of the
+     * configured route prefixes.
+     * @param {string} pathname
+     * @returns {boolean}
+     */
+    isLegacyRoute(pathname) {
+        return this._routePrefixes.some(
+            (prefix) => pathname === prefix || pathname.startsWith(`${prefix.replace(/\/$/, '')}/`)
+        )
+    }
+
+    /**
+     * Returns true when the SFRA session was bridged for the current SLAS session, and it's
+     * recent enough to still be valid.
+     * @returns {boolean}
+     */
+    get isBridged() {
+        const {auth} = this._api
+        const session = auth.bridgedSession
+        return (
+            !!session &&
+            session.customerId === auth.cid &&
+            session.userType === auth.userType &&
+            Date.now() - session.timestamp < this._maxAge * 1000
+        )
+    }
+
+    /**
+     * Bridges the SLAS session to an SFRA session, unless that was done already.
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Bridge the session even if it was done already
+     * @returns {Promise}
+     */
+    async bridge({force = false} = {}) {
+        if (this._pendingBridge) {
+            return this._pendingBridge
+        }
+
+        this._pendingBridge = this._bridge(force).finally(() => {
+            this._pendingBridge = undefined
+        })
+        return this._pendingBridge
+    }
+
+    async _bridge(force) {
+        const {auth} = this._api
+        // Make sure the access token is valid
+        await auth.login()
+        if (!force && this.isBridged) {
+            return
+        }
+
+        const {clientId, siteId} = this._config.parameters
+        // The session cookies are set for the domain the request is sent to, so unlike the other
+        // OCAPI requests, this one isn't proxied.
+        const response = await fetch(`${getAppOrigin()}/s/${siteId}/dw/shop/v21_3/sessions`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                Authorization: auth.authToken,
+                'x-dw-client-id': clientId
+            }
+        })
+        if (!response.ok) {
+            throw new HTTPError(response.status, 'Failed to bridge the session')
+        }
+
+        auth.bridgedSession = {
+            customerId: auth.cid,
+            userType: auth.userType,
+            timestamp: Date.now()
+        }
+    }
+}
+
+export default SessionBridge
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import fetch from 'cross-fetch'
+import SessionBridge from './session-bridge'
+
+jest.mock('cross-fetch', () => {
+    return {
+        __esModule: true,
+        default: jest.fn(() => ({ok: true, status: 204}))
+    }
+})
+
+const createApi = () => ({
+    _config: {
+        parameters: {clientId: 'client-id', siteId: 'RefArch'},
+        sessionBridgeConfig: {enabled: true, routePrefixes: ['/s/RefArch', '/legacy/'], maxAge: 60}
+    },
+    auth: {
+        login: jest.fn(),
+        authToken: 'Bearer token',
+        cid: 'guest-id',
+        userType: 'guest',
+        bridgedSession: undefined
+    }
+})
+
+beforeEach(() => {
+    fetch.mockClear()
+})
+
+describe('SessionBridge', () => {
+    test('matches the configured route prefixes', () => {
+        const sessionBridge = new SessionBridge(createApi())
+        expect(sessionBridge.isLegacyRoute('/s/RefArch')).toBe(true)
+        expect(sessionBridge.isLegacyRoute('/s/RefArch/home')).toBe(true)
+        expect(sessionBridge.isLegacyRoute('/legacy/cart')).toBe(true)
+        expect(sessionBridge.isLegacyRoute('/s/RefArchGlobal/home')).toBe(false)
+        expect(sessionBridge.isLegacyRoute('/uk/en-GB/cart')).toBe(false)
+    })
+
+    test('bridges the session with the access token and records it', async () => {
+        const api = createApi()
+        const sessionBridge = new SessionBridge(api)
+        await sessionBridge.bridge()
+
+        expect(api.auth.login).toHaveBeenCalled()
+        expect(fetch).toHaveBeenCalledWith(
+            'http://localhost/s/RefArch/dw/shop/v21_3/sessions',
+            expect.objectContaining({
+                method: 'POST',
+                credentials: 'include',
+                headers: {Authorization: 'Bearer token', 'x-dw-client-id': 'client-id'}
+            })
+        )
+        expect(api.auth.bridgedSession).toEqual({
+            customerId: 'guest-id',
+            userType: 'guest',
+            timestamp: expect.any(Number)
+        })
+        expect(sessionBridge.isBridged).toBe(true)
+    })
+
+    test('bridges the session again when the shopper or the session changes', async () => {
+        const api = createApi()
+        const sessionBridge = new SessionBridge(api)
+        await sessionBridge.bridge()
+        await sessionBridge.bridge()
+        expect(fetch).toHaveBeenCalledTimes(1)
+
+        api.auth.cid = 'registered-id'
+        api.auth.userType = 'registered'
+        await sessionBridge.bridge()
+        expect(fetch).toHaveBeenCalledTimes(2)
+
+        api.auth.bridgedSession.timestamp -= 60 * 1000
+        await sessionBridge.bridge()
+        expect(fetch).toHaveBeenCalledTimes(3)
+
+        await sessionBridge.bridge({force: true})
+        expect(fetch).toHaveBeenCalledTimes(4)
+    })
+
+    test('shares the pending request', async () => {
+        const sessionBridge = new SessionBridge(createApi())
+        await Promise.all([sessionBridge.bridge(), sessionBridge.bridge()])
+        expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('throws when the session cannot be bridged', async () => {
+        fetch.mockImplementationOnce(() => ({ok: false, status: 401}))
+        const api = createApi()
+        const sessionBridge = new SessionBridge(api)
+        await expect(sessionBridge.bridge()).rejects.toThrow('Failed to bridge the session')
+        expect(api.auth.bridgedSession).toBeUndefined()
+    })
+})
@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+/**
+ * Passes messages to the other tabs of the shopper's browser. Uses a `BroadcastChannel` where
+ * available, and falls back to `storage` events otherwise. Messages aren't received by the tab
+ * that sent them.
+ */
+class SessionChannel {
+    /**
+     * @param {string} name - The channel name, which is also the local storage key of the fallback.
+     */
+    constructor(name) {
+        this._name = name
+        this._listeners = []
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this._channel = new BroadcastChannel(name)
+            this._channel.onmessage = (event) => this._notify(event.data)
+        } else {
+            window.addEventListener('storage', (event) => {
+                if (event.key === name && event.newValue) {
+                    this._notify(JSON.parse(event.newValue).message)
+                }
+            })
+        }
+    }
+
+    /**
+     * @param {function} listener - Called with every message from the other tabs
+     * @returns {function} A function that removes the listener again.
+     */
+    subscribe(listener) {
+        this._listeners.push(listener)
+        return () => {
+            this._listeners = this._listeners.filter((l) => l !== listener)
+        }
+    }
+
+    /**
+     * @param {Object} message - A message that can be serialized to JSON
+     */
+    postMessage(message) {
+        if (this._channel) {
+            this._channel.postMessage(message)
+            return
+        }
+        // Other tabs receive a `storage` event for every change of the value. The timestamp makes
+        // repeated messages a change, and the value is only needed for the event.
+        window.localStorage.setItem(this._name, JSON.stringify({message, timestamp: Date.now()}))
+        window.localStorage.removeItem(this._name)
+    }
+
+    _notify(message) {
+        this._listeners.forEach((listener) => listener(message))
+    }
+}
+
+export default SessionChannel
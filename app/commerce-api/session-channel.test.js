@@ -0,0 +1,38 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import SessionChannel from './session-channel'
+
+const dispatchStorageEvent = (key, newValue) =>
+    window.dispatchEvent(new StorageEvent('storage', {key, newValue}))
+
+describe('SessionChannel', () => {
+    test('posts messages to the other tabs through local storage', () => {
+        const setItem = jest.spyOn(window.localStorage, 'setItem')
+        const channel = new SessionChannel('test-channel')
+
+        channel.postMessage({type: 'login'})
+
+        expect(JSON.parse(setItem.mock.calls[0][1]).message).toEqual({type: 'login'})
+        expect(window.localStorage.getItem('test-channel')).toBeNull()
+        setItem.mockRestore()
+    })
+
+    test('passes the messages of the other tabs to its listeners', () => {
+        const channel = new SessionChannel('test-channel')
+        const listener = jest.fn()
+        const unsubscribe = channel.subscribe(listener)
+
+        dispatchStorageEvent('test-channel', JSON.stringify({message: {type: 'logout'}}))
+        dispatchStorageEvent('test-channel', null)
+        dispatchStorageEvent('other-key', JSON.stringify({message: {type: 'login'}}))
+        unsubscribe()
+        dispatchStorageEvent('test-channel', JSON.stringify({message: {type: 'login'}}))
+
+        expect(listener).toHaveBeenCalledTimes(1)
+        expect(listener).toHaveBeenCalledWith({type: 'logout'})
+    })
+})
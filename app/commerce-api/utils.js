@@ -7,6 +7,7 @@
 import jwtDecode from 'jwt-decode'
 import {getAppOrigin} from 'pwa-kit-react-sdk/utils/url'
 import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import {createCommerceAPIError} from './errors'
 import fetch from 'cross-fetch'
 
 /**
@@ -17,17 +18,23 @@ import fetch from 'cross-fetch'
  * @returns {boolean}
  */
 export function isTokenValid(token) {
+    return getTokenValidSeconds(token) > 0
+}
+
+/**
+ * Returns the number of seconds until `isTokenValid` considers the token invalid.
+ * @function
+ * @param {string} token - The JWT bearer token to be inspected
+ * @returns {number}
+ */
+export function getTokenValidSeconds(token) {
     if (!token) {
-        return false
+        return 0
     }
     const {exp, iat} = jwtDecode(token.replace('Bearer ', ''))
     const validTimeSeconds = exp - iat - 60
     const tokenAgeSeconds = Date.now() / 1000 - iat
-    if (validTimeSeconds > tokenAgeSeconds) {
-        return true
-    }
-
-    return false
+    return Math.max(validTimeSeconds - tokenAgeSeconds, 0)
 }
 
 // Returns fomrulated body for SopperLogin getToken endpoint
@@ -79,7 +86,7 @@ export const keysToCamel = (obj) => {
 }
 
 export const camelCaseKeysToUnderscore = (_obj) => {
-    if (typeof _obj != 'object') return _obj
+    if (_obj === null || typeof _obj != 'object') return _obj
 
     // Copy the incoming object so we dont mutate it
     let obj
@@ -90,7 +97,14 @@ export const camelCaseKeysToUnderscore = (_obj) => {
     }
 
     for (var oldName in obj) {
-        // Camel to underscore
+        // Camel to underscore, leaving custom attributes (c_) and system keys (_) as they are,
+        // like `toCamel` does on the way back
+        if (oldName.startsWith('_') || oldName.startsWith('c_')) {
+            if (typeof obj[oldName] == 'object') {
+                obj[oldName] = camelCaseKeysToUnderscore(obj[oldName])
+            }
+            continue
+        }
 
         let newName = oldName.replace(/([A-Z])/g, ($1) => {
             return '_' + $1.toLowerCase()
@@ -207,7 +221,7 @@ export const createOcapiFetch =
         const convertedResponse = keysToCamel(response)
         if (convertedResponse.fault) {
             const error = convertOcapiFaultToCapiError(convertedResponse.fault)
-            throw new HTTPError(httpStatus, error.detail)
+            throw createCommerceAPIError(error, httpStatus)
         } else {
             return convertedResponse
         }
@@ -239,6 +253,117 @@ export const isError = (jsonResponse) => {
     return false
 }
 
+/**
+ * Reads the body of a raw SDK response, the way the SDK does when it isn't asked for the raw
+ * response. SCAPI error bodies don't tell the HTTP status, so it's added to them as
+ * `status`. Error responses without a JSON body are thrown as `HTTPError`s.
+ * @param {Response} response - The raw response of an SDK call
+ * @returns {Promise<object>}
+ */
+export const readSdkResponse = async (response) => {
+    const isOk = response.ok || response.status === 304
+    const text = await response.text()
+
+    let body
+    try {
+        body = text ? JSON.parse(text) : {}
+    } catch (error) {
+        if (isOk) {
+            throw error
+        }
+        throw new HTTPError(response.status, response.statusText)
+    }
+
+    if (!isOk && body && typeof body === 'object' && !('status' in body)) {
+        return {...body, status: response.status}
+    }
+    return body
+}
+
+/**
+ * Returns a deep copy of a JSON response from the SDK, so that changing the copy doesn't
+ * change the original. Falls back to a JSON round trip where `structuredClone` isn't
+ * available (Node 14 and 16), which copies JSON responses just as well.
+ * @param {*} jsonResponse - The response object returned from SDK calls
+ * @returns {*}
+ */
+export const cloneResponse = (jsonResponse) => {
+    if (jsonResponse === undefined) {
+        return undefined
+    }
+    return typeof structuredClone === 'function'
+        ? structuredClone(jsonResponse)
+        : JSON.parse(JSON.stringify(jsonResponse))
+}
+
+/**
+ * Returns the HTTP status of a failed request, if it is known. Errors thrown for OCAPI
+ * faults carry the status, the SDK's error responses only carry their error `type`.
+ * @param {Error|object} errorOrResponse - A thrown error or a response returned from SDK calls
+ * @returns {number|undefined}
+ */
+export const getErrorStatus = (errorOrResponse) => {
+    if (!errorOrResponse) {
+        return undefined
+    }
+    const status = errorOrResponse.status || errorOrResponse.response?.status
+    if (status) {
+        return status
+    }
+    if (isError(errorOrResponse) && /unauthorized$/i.test(errorOrResponse.type)) {
+        return 401
+    }
+    return undefined
+}
+
+/**
+ * Indicates if a request failed because its access token was rejected.
+ * @param {Error|object} errorOrResponse - A thrown error or a response returned from SDK calls
+ * @returns {boolean}
+ */
+export const isUnauthorized = (errorOrResponse) => getErrorStatus(errorOrResponse) === 401
+
+/**
+ * Indicates if a failed request may succeed when it is sent again, i.e. it failed with
+ * one of the given (gateway or rate limit) statuses or because of a network error.
+ * @param {Error|object} error - The error thrown by the request, or the error response it returned
+ * @param {Array<number>} retryStatuses - HTTP statuses considered transient
+ * @returns {boolean}
+ */
+export const isRetryable = (error, retryStatuses) => {
+    const status = getErrorStatus(error)
+    if (status) {
+        return retryStatuses.includes(status)
+    }
+
+    // `fetch` rejects with a `TypeError` in browsers and a `FetchError` on the server when
+    // the network request itself failed.
+    return (
+        error?.name === 'FetchError' ||
+        (error instanceof TypeError && /fetch|network|load failed/i.test(error.message))
+    )
+}
+
+/**
+ * Returns the delay before the next retry, growing exponentially with each retry and
+ * randomized ("full jitter") so that clients don't retry in lockstep.
+ * @param {number} retries - The number of retries made so far
+ * @param {number} baseDelay - Delay in ms for the first retry
+ * @param {number} maxDelay - Upper limit for the delay in ms
+ * @returns {number}
+ */
+export const getBackoffDelay = (retries, baseDelay, maxDelay) => {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** retries)
+    return Math.round(Math.random() * delay)
+}
+
+/**
+ * Returns a promise that resolves after the given time.
+ * @param {number} ms
+ * @returns {Promise}
+ */
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
 /**
  * Decorator that wraps functions to handle error response.
  * @param {function} func - A function which returns a promise
@@ -248,7 +373,7 @@ export const handleAsyncError = (func) => {
     return async (...args) => {
         const result = await func(...args)
         if (isError(result)) {
-            throw new Error(result.detail)
+            throw createCommerceAPIError(result)
         }
         return result
     }
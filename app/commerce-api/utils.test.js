@@ -8,10 +8,16 @@ import jwt from 'njwt'
 import {
     camelCaseKeysToUnderscore,
     isTokenValid,
+    getTokenValidSeconds,
     keysToCamel,
     convertSnakeCaseToSentenceCase,
-    handleAsyncError
+    handleAsyncError,
+    getBackoffDelay,
+    isRetryable,
+    isUnauthorized,
+    readSdkResponse
 } from './utils'
+import {HTTPError} from 'pwa-kit-react-sdk/ssr/universal/errors'
 
 const createJwt = (secondsToExp) => {
     const token = jwt.create({}, 'test')
@@ -43,6 +49,16 @@ describe('isTokenValid', () => {
     })
 })
 
+describe('getTokenValidSeconds', () => {
+    test('returns the seconds until the token is considered invalid', () => {
+        expect(getTokenValidSeconds()).toBe(0)
+        const validSeconds = getTokenValidSeconds(`Bearer ${createJwt(600)}`)
+        expect(validSeconds).toBeGreaterThan(530)
+        expect(validSeconds).toBeLessThanOrEqual(540)
+        expect(getTokenValidSeconds(createJwt(30))).toBe(0)
+    })
+})
+
 describe('keysToCamel', () => {
     test('converts object keys to camelcase', () => {
         const input = {
@@ -178,6 +194,24 @@ describe('camelCaseKeysToUnderscore', () => {
         })
     })
 
+    test('leaves custom attributes, system keys and null values as they are', () => {
+        const input = {
+            shipmentId: 'me',
+            c_fromStoreId: 'store1',
+            _resourceState: 'abc',
+            inventoryId: null,
+            shippingAddress: {c_storeName: 'Downtown', postalCode: '02108'}
+        }
+
+        expect(camelCaseKeysToUnderscore(input)).toEqual({
+            shipment_id: 'me',
+            c_fromStoreId: 'store1',
+            _resourceState: 'abc',
+            inventory_id: null,
+            shipping_address: {c_storeName: 'Downtown', postal_code: '02108'}
+        })
+    })
+
     test('converts keys in array of objects', () => {
         const input = [
             {
@@ -244,3 +278,74 @@ describe('handleAsyncError', () => {
         expect(await handleAsyncError(func)()).toBe(1)
     })
 })
+
+describe('isUnauthorized', () => {
+    test('detects rejected access tokens from errors and error responses', () => {
+        expect(isUnauthorized(new HTTPError(401, 'Unauthorized'))).toBe(true)
+        expect(
+            isUnauthorized({
+                title: 'Unauthorized',
+                type: 'https://api.commercecloud.salesforce.com/documentation/error/v1/errors/unauthorized',
+                detail: 'Customer credentials are not valid'
+            })
+        ).toBe(true)
+        expect(isUnauthorized(new HTTPError(404, 'Not Found'))).toBe(false)
+        expect(isUnauthorized({id: 'product'})).toBe(false)
+        expect(isUnauthorized(undefined)).toBe(false)
+    })
+})
+
+describe('isRetryable', () => {
+    const retryStatuses = [502, 503, 504]
+    test('retries the given statuses and network errors', () => {
+        expect(isRetryable(new HTTPError(503, 'Service Unavailable'), retryStatuses)).toBe(true)
+        expect(isRetryable(new TypeError('Failed to fetch'), retryStatuses)).toBe(true)
+        const fetchError = new Error('request to https://example.com failed')
+        fetchError.name = 'FetchError'
+        expect(isRetryable(fetchError, retryStatuses)).toBe(true)
+    })
+    test('does not retry other errors', () => {
+        expect(isRetryable(new HTTPError(400, 'Bad Request'), retryStatuses)).toBe(false)
+        expect(isRetryable(new HTTPError(500, 'Server Error'), retryStatuses)).toBe(false)
+        expect(isRetryable(new TypeError('x is undefined'), retryStatuses)).toBe(false)
+    })
+    test('retries error responses with the given statuses', () => {
+        const errorResponse = {title: 'Service Unavailable', type: 'error', detail: 'Try again'}
+        expect(isRetryable({...errorResponse, status: 503}, retryStatuses)).toBe(true)
+        expect(isRetryable({...errorResponse, status: 404}, retryStatuses)).toBe(false)
+    })
+})
+
+describe('readSdkResponse', () => {
+    const {Response} = jest.requireActual('cross-fetch')
+    test('returns the body of successful responses', async () => {
+        const body = {id: 'product-1'}
+        expect(await readSdkResponse(new Response(JSON.stringify(body)))).toEqual(body)
+        expect(await readSdkResponse(new Response('', {status: 200}))).toEqual({})
+    })
+    test('adds the status to error bodies', async () => {
+        const body = {title: 'Not Found', type: 'error', detail: 'Unknown product'}
+        const response = new Response(JSON.stringify(body), {status: 404})
+        expect(await readSdkResponse(response)).toEqual({...body, status: 404})
+    })
+    test('throws error responses without a JSON body', async () => {
+        const response = new Response('Bad Gateway', {status: 502, statusText: 'Bad Gateway'})
+        await expect(readSdkResponse(response)).rejects.toMatchObject({status: 502})
+    })
+})
+
+describe('getBackoffDelay', () => {
+    afterEach(() => {
+        jest.restoreAllMocks()
+    })
+    test('grows exponentially up to the max delay', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(1)
+        expect(getBackoffDelay(0, 100, 1000)).toEqual(100)
+        expect(getBackoffDelay(2, 100, 1000)).toEqual(400)
+        expect(getBackoffDelay(5, 100, 1000)).toEqual(1000)
+    })
+    test('randomizes the delay', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.5)
+        expect(getBackoffDelay(1, 100, 1000)).toEqual(100)
+    })
+})
@@ -52,7 +52,7 @@ const AppConfig = ({children, locals = {}}) => {
     )
 }
 
-AppConfig.restore = (locals = {}) => {
+AppConfig.restore = (locals = {}, frozen = {}) => {
     const path =
         typeof window === 'undefined'
             ? locals.originalUrl
@@ -70,12 +70,20 @@ AppConfig.restore = (locals = {}) => {
     apiConfig.parameters.siteId = site.id
 
     locals.api = new CommerceAPI({...apiConfig, locale: locale.id, currency})
+    // Reuse the API responses that were cached while rendering on the server, so the
+    // client doesn't request the same data again.
+    if (frozen.responseCache) {
+        locals.api.responseCache?.restore(frozen.responseCache)
+    }
     locals.buildUrl = createUrlTemplate(appConfig, site.alias || site.id, locale.id)
     locals.site = site
     locals.locale = locale
 }
 
-AppConfig.freeze = () => undefined
+AppConfig.freeze = (locals = {}) => {
+    const responseCache = locals.api?.responseCache
+    return responseCache ? {responseCache: responseCache.serialize()} : undefined
+}
 
 AppConfig.extraGetPropsArgs = (locals = {}) => {
     return {
@@ -13,18 +13,25 @@ import {getAssetUrl} from 'pwa-kit-react-sdk/ssr/universal/utils'
 import {getAppOrigin} from 'pwa-kit-react-sdk/utils/url'
 
 // Chakra
-import {Box, Text, useDisclosure, useStyleConfig} from '@chakra-ui/react'
+import {Box, useDisclosure, useStyleConfig} from '@chakra-ui/react'
 import {SkipNavLink, SkipNavContent} from '@chakra-ui/skip-nav'
-import {InfoOutlineIcon} from '@chakra-ui/icons'
 
 // Contexts
-import {CategoriesProvider, CurrencyProvider} from '../../contexts'
+import {
+    CategoriesProvider,
+    ConsentProvider,
+    CurrencyProvider,
+    PreferredStoreProvider
+} from '../../contexts'
 
 // Local Project Components
 import Header from '../../components/header'
 import OfflineBanner from '../../components/offline-banner'
 import OfflineBoundary from '../../components/offline-boundary'
 import ScrollToTop from '../../components/scroll-to-top'
+import ConsentBanner from '../../components/consent-banner'
+import PreferredStoreBanner from '../../components/preferred-store-banner'
+import IdleTimeoutModal from '../../components/idle-timeout-modal'
 import Footer from '../../components/footer'
 import CheckoutHeader from '../../pages/checkout/partials/checkout-header'
 import CheckoutFooter from '../../pages/checkout/partials/checkout-footer'
@@ -38,6 +45,8 @@ import useCustomer from '../../commerce-api/hooks/useCustomer'
 import {AuthModal, useAuthModal} from '../../hooks/use-auth-modal'
 import {AddToCartModalProvider} from '../../hooks/use-add-to-cart-modal'
 import useWishlist from '../../hooks/use-wishlist'
+import useAnalyticsSubscribers from '../../hooks/use-analytics-subscribers'
+import useSessionBridge from '../../hooks/use-session-bridge'
 
 // Localization
 import {IntlProvider} from 'react-intl'
@@ -60,11 +69,6 @@ import Seo from '../seo'
 import {resolveSiteFromUrl} from '../../utils/site-utils'
 import useMultiSite from '../../hooks/use-multi-site'
 
-const GEO_LOCATION = {
-    lat: '34.052235',
-    long: '-118.243683'
-}
-
 const App = (props) => {
     const {
         children,
@@ -84,7 +88,6 @@ const App = (props) => {
 
     const [isOnline, setIsOnline] = useState(true)
     const styles = useStyleConfig('App')
-    const [closestStore, setClosestStore] = useState(undefined)
 
     const {isOpen, onOpen, onClose} = useDisclosure()
 
@@ -98,6 +101,12 @@ const App = (props) => {
     // Set up customer and basket
     useShopper({currency})
 
+    // Forward the analytics events to Einstein and the other configured destinations
+    useAnalyticsSubscribers()
+
+    // Keep the SFRA session in sync for the pages that are still served by SFRA
+    useSessionBridge()
+
     const wishlist = useWishlist()
     useEffect(() => {
         if (!customer.isInitialized) {
@@ -116,20 +125,6 @@ const App = (props) => {
         watchOnlineStatus((isOnline) => {
             setIsOnline(isOnline)
         })
-        const fetchStore = async () => {
-            const res = await fetch(
-                `${getAppOrigin}/mobify/proxy/ocapi/s/${SITE_ID}/dw/shop/v20_2/stores?latitude=${GEO_LOCATION.lat}&longitude=${GEO_LOCATION.long}&client_id=${CLIENT_ID}`
-            )
-            if (res.ok) {
-                const storeResult = await res.json()
-                const firstStore = storeResult.data[0]
-                console.log(storeResult);
-                if (firstStore) {
-                    setClosestStore(firstStore)
-                }
-            }
-        }
-        fetchStore()
     }, [])
 
     useEffect(() => {
@@ -193,124 +188,129 @@ const App = (props) => {
                 // - "compile-translations:pseudo"
                 defaultLocale={DEFAULT_LOCALE}
             >
-                <CategoriesProvider treeRoot={allCategories} locale={targetLocale}>
-                    <CurrencyProvider currency={currency}>
-                        <Seo>
-                            <meta name="theme-color" content={THEME_COLOR} />
-                            <meta name="apple-mobile-web-app-title" content={DEFAULT_SITE_TITLE} />
-                            <link
-                                rel="apple-touch-icon"
-                                href={getAssetUrl('static/img/global/apple-touch-icon.png')}
-                            />
-                            <link rel="manifest" href={getAssetUrl('static/manifest.json')} />
-
-                            {/* Urls for all localized versions of this page (including current page)
-                            For more details on hrefLang, see https://developers.google.com/search/docs/advanced/crawling/localized-versions */}
-                            {site.l10n?.supportedLocales.map((locale) => (
-                                <link
-                                    rel="alternate"
-                                    hrefLang={locale.id.toLowerCase()}
-                                    href={`${appOrigin}${buildUrl(location.pathname)}`}
-                                    key={locale.id}
-                                />
-                            ))}
-                            {/* A general locale as fallback. For example: "en" if default locale is "en-GB" */}
-                            <link
-                                rel="alternate"
-                                hrefLang={site.l10n.defaultLocale.slice(0, 2)}
-                                href={`${appOrigin}${buildUrl(location.pathname)}`}
-                            />
-                            {/* A wider fallback for user locales that the app does not support */}
-                            <link rel="alternate" hrefLang="x-default" href={`${appOrigin}/`} />
-                        </Seo>
-
-                        <ScrollToTop />
-
-                        <Box id="app" display="flex" flexDirection="column" flex={1}>
-                            <SkipNavLink zIndex="skipLink">Skip to Content</SkipNavLink>
-
-                            <Box {...styles.headerWrapper}>
-                                {!isCheckout ? (
-                                    <Header
-                                        onMenuClick={onOpen}
-                                        onLogoClick={onLogoClick}
-                                        onMyCartClick={onCartClick}
-                                        onMyAccountClick={onAccountClick}
-                                        onWishlistClick={onWishlistClick}
-                                    >
-                                        <HideOnDesktop>
-                                            <DrawerMenu
-                                                isOpen={isOpen}
-                                                onClose={onClose}
+                <ConsentProvider>
+                    <PreferredStoreProvider>
+                        <CategoriesProvider treeRoot={allCategories} locale={targetLocale}>
+                            <CurrencyProvider currency={currency}>
+                                <Seo>
+                                    <meta name="theme-color" content={THEME_COLOR} />
+                                    <meta
+                                        name="apple-mobile-web-app-title"
+                                        content={DEFAULT_SITE_TITLE}
+                                    />
+                                    <link
+                                        rel="apple-touch-icon"
+                                        href={getAssetUrl('static/img/global/apple-touch-icon.png')}
+                                    />
+                                    <link
+                                        rel="manifest"
+                                        href={getAssetUrl('static/manifest.json')}
+                                    />
+
+                                    {/* Urls for all localized versions of this page (including current page)
+                                For more details on hrefLang, see https://developers.google.com/search/docs/advanced/crawling/localized-versions */}
+                                    {site.l10n?.supportedLocales.map((locale) => (
+                                        <link
+                                            rel="alternate"
+                                            hrefLang={locale.id.toLowerCase()}
+                                            href={`${appOrigin}${buildUrl(location.pathname)}`}
+                                            key={locale.id}
+                                        />
+                                    ))}
+                                    {/* A general locale as fallback. For example: "en" if default locale is "en-GB" */}
+                                    <link
+                                        rel="alternate"
+                                        hrefLang={site.l10n.defaultLocale.slice(0, 2)}
+                                        href={`${appOrigin}${buildUrl(location.pathname)}`}
+                                    />
+                                    {/* A wider fallback for user locales that the app does not support */}
+                                    <link
+                                        rel="alternate"
+                                        hrefLang="x-default"
+                                        href={`${appOrigin}/`}
+                                    />
+                                </Seo>
+
+                                <ScrollToTop />
+
+                                <Box id="app" display="flex" flexDirection="column" flex={1}>
+                                    <SkipNavLink zIndex="skipLink">Skip to Content</SkipNavLink>
+
+                                    <Box {...styles.headerWrapper}>
+                                        {!isCheckout ? (
+                                            <Header
+                                                onMenuClick={onOpen}
                                                 onLogoClick={onLogoClick}
-                                                locale={locale}
-                                            />
-                                        </HideOnDesktop>
-
-                                        <HideOnMobile>
-                                            <ListMenu locale={locale} />
-                                        </HideOnMobile>
-                                    </Header>
-                                ) : (
-                                    <CheckoutHeader />
-                                )}
-                            </Box>
-
-                            {!isOnline && <OfflineBanner />}
-
-                            {closestStore && (
-                                <Box
-                                    bg="blue.500"
-                                    w="100%"
-                                    d="flex"
-                                    justifyContent="center"
-                                    alignItems="center"
-                                    p={2}
-                                    color="white"
-                                >
-                                    <InfoOutlineIcon />
-                                    <Text fontWeight="bold" pl={1}>Closest Store: </Text>
-                                    <Text pl={2}>
-                                        {closestStore.name} - {closestStore.address1},{' '}
-                                        {closestStore.state_code}, {closestStore.postal_code}
-                                    </Text>
-                                </Box>
-                            )}
-
-                            <AddToCartModalProvider>
-                                <SkipNavContent
-                                    style={{
-                                        display: 'flex',
-                                        flexDirection: 'column',
-                                        flex: 1,
-                                        outline: 0
-                                    }}
-                                >
-                                    <Box
-                                        as="main"
-                                        id="app-main"
-                                        role="main"
-                                        display="flex"
-                                        flexDirection="column"
-                                        flex="1"
-                                    >
-                                        <OfflineBoundary isOnline={false}>
-                                            {children}
-                                        </OfflineBoundary>
+                                                onMyCartClick={onCartClick}
+                                                onMyAccountClick={onAccountClick}
+                                                onWishlistClick={onWishlistClick}
+                                            >
+                                                <HideOnDesktop>
+                                                    <DrawerMenu
+                                                        isOpen={isOpen}
+                                                        onClose={onClose}
+                                                        onLogoClick={onLogoClick}
+                                                        locale={locale}
+                                                    />
+                                                </HideOnDesktop>
+
+                                                <HideOnMobile>
+                                                    <ListMenu locale={locale} />
+                                                </HideOnMobile>
+                                            </Header>
+                                        ) : (
+                                            <CheckoutHeader />
+                                        )}
                                     </Box>
-                                </SkipNavContent>
 
-                                {!isCheckout ? <Footer /> : <CheckoutFooter />}
+                                    {!isOnline && <OfflineBanner />}
+
+                                    <PreferredStoreBanner />
+
+                                    <AddToCartModalProvider>
+                                        <SkipNavContent
+                                            style={{
+                                                display: 'flex',
+                                                flexDirection: 'column',
+                                                flex: 1,
+                                                outline: 0
+                                            }}
+                                        >
+                                            <Box
+                                                as="main"
+                                                id="app-main"
+                                                role="main"
+                                                display="flex"
+                                                flexDirection="column"
+                                                flex="1"
+                                            >
+                                                <OfflineBoundary isOnline={false}>
+                                                    {children}
+                                                </OfflineBoundary>
+                                            </Box>
+                                        </SkipNavContent>
+
+                                        {!isCheckout ? <Footer /> : <CheckoutFooter />}
+
+                                        {privacyPolicy && (
+                                            <div
+                                                dangerouslySetInnerHTML={{
+                                                    __html: privacyPolicy.c_body
+                                                }}
+                                            />
+                                        )}
 
-                                {privacyPolicy && (
-                                    <div dangerouslySetInnerHTML={{__html: privacyPolicy.c_body}} />
-                                )}
+                                        <AuthModal {...authModal} />
 
-                                <AuthModal {...authModal} />
-                            </AddToCartModalProvider>
-                        </Box>
-                    </CurrencyProvider>
-                </CategoriesProvider>
+                                        <IdleTimeoutModal />
+
+                                        <ConsentBanner />
+                                    </AddToCartModalProvider>
+                                </Box>
+                            </CurrencyProvider>
+                        </CategoriesProvider>
+                    </PreferredStoreProvider>
+                </ConsentProvider>
             </IntlProvider>
         </Box>
     )
@@ -0,0 +1,140 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {Box, Button, Checkbox, Container, Stack, Text} from '@chakra-ui/react'
+import {useConsent} from '../../hooks/use-consent'
+import {FULL_CONSENT, NO_CONSENT} from '../../utils/consent'
+
+/**
+ * Asks the shopper for their consent to tracking, personalization and non-essential storage,
+ * until they made a choice. With the Global Privacy Control signal, the categories it covers
+ * can't be selected.
+ */
+const ConsentBanner = () => {
+    const {formatMessage} = useIntl()
+    const {consent, hasDecided, isLoaded, globalPrivacyControl, updateConsent} = useConsent()
+    const [isCustomizing, setIsCustomizing] = useState(false)
+    const [choices, setChoices] = useState(consent)
+
+    if (!isLoaded || hasDecided) {
+        return null
+    }
+
+    const categories = [
+        {
+            id: 'functional',
+            label: formatMessage({
+                defaultMessage: 'Remember my preferences',
+                id: 'consent_banner.label.functional'
+            })
+        },
+        {
+            id: 'analytics',
+            label: formatMessage({
+                defaultMessage: 'Analyze how I use the site',
+                id: 'consent_banner.label.analytics'
+            }),
+            isDisabled: globalPrivacyControl
+        },
+        {
+            id: 'personalization',
+            label: formatMessage({
+                defaultMessage: 'Personalize my recommendations',
+                id: 'consent_banner.label.personalization'
+            }),
+            isDisabled: globalPrivacyControl
+        }
+    ]
+
+    return (
+        <Box
+            role="region"
+            aria-label={formatMessage({
+                defaultMessage: 'Privacy choices',
+                id: 'consent_banner.assistive_msg.privacy_choices'
+            })}
+            position="fixed"
+            bottom={0}
+            left={0}
+            right={0}
+            zIndex="banner"
+            background="white"
+            boxShadow="dark-lg"
+            paddingY={4}
+        >
+            <Container maxWidth="container.xl">
+                <Stack spacing={4}>
+                    <Text>
+                        <FormattedMessage
+                            defaultMessage="We use cookies and similar technologies to remember your preferences, analyze how you use the site and personalize your recommendations. You can accept or reject them, or choose what you allow."
+                            id="consent_banner.message.description"
+                        />
+                    </Text>
+
+                    {globalPrivacyControl && (
+                        <Text fontSize="sm" color="gray.700">
+                            <FormattedMessage
+                                defaultMessage="Your browser sends a Global Privacy Control signal, so we don't share your activity for analytics or personalization."
+                                id="consent_banner.message.global_privacy_control"
+                            />
+                        </Text>
+                    )}
+
+                    {isCustomizing && (
+                        <Stack direction={{base: 'column', lg: 'row'}} spacing={{base: 2, lg: 6}}>
+                            {categories.map(({id, label, isDisabled}) => (
+                                <Checkbox
+                                    key={id}
+                                    isChecked={choices[id]}
+                                    isDisabled={isDisabled}
+                                    onChange={(e) =>
+                                        setChoices({...choices, [id]: e.target.checked})
+                                    }
+                                >
+                                    {label}
+                                </Checkbox>
+                            ))}
+                        </Stack>
+                    )}
+
+                    <Stack direction={{base: 'column', lg: 'row'}} spacing={4}>
+                        {isCustomizing ? (
+                            <Button onClick={() => updateConsent(choices)}>
+                                <FormattedMessage
+                                    defaultMessage="Save Choices"
+                                    id="consent_banner.button.save_choices"
+                                />
+                            </Button>
+                        ) : (
+                            <Button onClick={() => setIsCustomizing(true)} variant="outline">
+                                <FormattedMessage
+                                    defaultMessage="Customize"
+                                    id="consent_banner.button.customize"
+                                />
+                            </Button>
+                        )}
+                        <Button onClick={() => updateConsent(NO_CONSENT)} variant="outline">
+                            <FormattedMessage
+                                defaultMessage="Reject All"
+                                id="consent_banner.button.reject_all"
+                            />
+                        </Button>
+                        <Button onClick={() => updateConsent(FULL_CONSENT)}>
+                            <FormattedMessage
+                                defaultMessage="Accept All"
+                                id="consent_banner.button.accept_all"
+                            />
+                        </Button>
+                    </Stack>
+                </Stack>
+            </Container>
+        </Box>
+    )
+}
+
+export default ConsentBanner
@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import Cookies from 'js-cookie'
+import {screen} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {renderWithProviders} from '../../utils/test-utils'
+import {CONSENT_COOKIE_NAME, getStoredConsent} from '../../utils/consent'
+import ConsentBanner from './index'
+
+afterEach(() => {
+    Cookies.remove(CONSENT_COOKIE_NAME)
+    delete navigator.globalPrivacyControl
+})
+
+test('ConsentBanner stores the accepted consent and hides itself', async () => {
+    renderWithProviders(<ConsentBanner />)
+
+    user.click(await screen.findByText(/accept all/i))
+
+    expect(screen.queryByText(/accept all/i)).not.toBeInTheDocument()
+    expect(getStoredConsent()).toEqual({
+        functional: true,
+        analytics: true,
+        personalization: true
+    })
+})
+
+test('ConsentBanner stores customized choices', async () => {
+    renderWithProviders(<ConsentBanner />)
+
+    user.click(await screen.findByText(/customize/i))
+    user.click(screen.getByLabelText(/remember my preferences/i))
+    user.click(screen.getByText(/save choices/i))
+
+    expect(getStoredConsent()).toEqual({
+        functional: true,
+        analytics: false,
+        personalization: false
+    })
+})
+
+test('ConsentBanner is not rendered once the shopper decided', () => {
+    Cookies.set(CONSENT_COOKIE_NAME, JSON.stringify({functional: true}))
+    renderWithProviders(<ConsentBanner />)
+
+    expect(screen.queryByText(/accept all/i)).not.toBeInTheDocument()
+})
+
+test('ConsentBanner disables the choices covered by Global Privacy Control', async () => {
+    navigator.globalPrivacyControl = true
+    renderWithProviders(<ConsentBanner />)
+
+    expect(await screen.findByText(/global privacy control/i)).toBeInTheDocument()
+    user.click(screen.getByText(/customize/i))
+    expect(screen.getByLabelText(/analyze how i use the site/i)).toBeDisabled()
+    expect(screen.getByLabelText(/personalize my recommendations/i)).toBeDisabled()
+})
@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {Box, Button, Radio, RadioGroup, Stack, Text, useDisclosure} from '@chakra-ui/react'
+import StorePickerModal from '../store-picker-modal'
+import {usePreferredStore} from '../../hooks/use-preferred-store'
+
+const SHIP = 'ship'
+const PICKUP = 'pickup'
+
+/**
+ * Lets the shopper choose between having a product shipped or picking it up in a store they
+ * pick. Picking up in store picks the shopper's store if they have one, and opens the store
+ * picker otherwise: it's only chosen once a store is picked.
+ */
+const DeliveryOptions = ({pickupStore, onChange}) => {
+    const {formatMessage} = useIntl()
+    const {isOpen, onOpen, onClose} = useDisclosure()
+    const {preferredStore} = usePreferredStore()
+
+    const selectStore = (store) => {
+        onChange(store)
+        onClose()
+    }
+
+    return (
+        <Stack spacing={2} data-testid="sf-delivery-options">
+            <Box fontWeight="bold">
+                {formatMessage({
+                    defaultMessage: 'Delivery',
+                    id: 'delivery_options.label.delivery'
+                })}
+                :
+            </Box>
+            <RadioGroup
+                name="delivery-options"
+                value={pickupStore ? PICKUP : SHIP}
+                onChange={(value) => {
+                    if (value === SHIP) {
+                        onChange(null)
+                    } else if (preferredStore) {
+                        onChange(preferredStore)
+                    } else {
+                        onOpen()
+                    }
+                }}
+            >
+                <Stack spacing={2}>
+                    <Radio value={SHIP}>
+                        <FormattedMessage
+                            defaultMessage="Ship to an address"
+                            id="delivery_options.label.ship"
+                        />
+                    </Radio>
+                    <Radio value={PICKUP}>
+                        <FormattedMessage
+                            defaultMessage="Pick up in store"
+                            id="delivery_options.label.pick_up"
+                        />
+                    </Radio>
+                </Stack>
+            </RadioGroup>
+            {pickupStore && (
+                <Stack direction="row" spacing={2} pl={6} fontSize="sm">
+                    <Text>
+                        <FormattedMessage
+                            defaultMessage="Pick up at {storeName}"
+                            id="delivery_options.info.pick_up_at"
+                            values={{storeName: pickupStore.name}}
+                        />
+                    </Text>
+                    <Button variant="link" size="sm" onClick={onOpen}>
+                        <FormattedMessage
+                            defaultMessage="Change Store"
+                            id="delivery_options.action.change_store"
+                        />
+                    </Button>
+                </Stack>
+            )}
+            <StorePickerModal
+                isOpen={isOpen}
+                onClose={onClose}
+                onSelect={selectStore}
+                selectedStoreId={pickupStore?.id}
+            />
+        </Stack>
+    )
+}
+
+DeliveryOptions.propTypes = {
+    /** The store the product is picked up at, or null when it's shipped */
+    pickupStore: PropTypes.object,
+    /** Callback for changing the delivery, with the store picked or null to ship the product */
+    onChange: PropTypes.func.isRequired
+}
+
+export default DeliveryOptions
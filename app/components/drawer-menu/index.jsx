@@ -71,7 +71,7 @@ const DrawerSeparator = () => (
 
 // CUSTOMIZE YOUR NAVIGATION BY ALTERING THESE VALUES
 const SIGN_IN_HREF = '/login'
-const STORE_LOCATOR_HREF = '/store-locator'
+const STORE_LOCATOR_HREF = '/stores'
 
 /**
  * This is the navigation component used for mobile devices (phone and tablet). It's
@@ -76,7 +76,7 @@ const Footer = ({...otherProps}) => {
                                 })}
                                 links={[
                                     {
-                                        href: '/',
+                                        href: '/order-lookup',
                                         text: intl.formatMessage({
                                             id: 'footer.link.order_status',
                                             defaultMessage: 'Order Status'
@@ -98,7 +98,7 @@ const Footer = ({...otherProps}) => {
                                 })}
                                 links={[
                                     {
-                                        href: '/',
+                                        href: '/stores',
                                         text: intl.formatMessage({
                                             id: 'footer.link.store_locator',
                                             defaultMessage: 'Store Locator'
@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {Stack} from '@chakra-ui/react'
+import useResetPasswordFields from './useResetPasswordFields'
+import useUpdatePasswordFields from './useUpdatePasswordFields'
+import Field from '../field'
+import PasswordRequirements from './password-requirements'
+
+/**
+ * The fields for setting a new password with a password reset token: the customer's email,
+ * and the new password with the same requirements as when updating it in the account.
+ */
+const NewPasswordFields = ({form, prefix = ''}) => {
+    const {email} = useResetPasswordFields({form, prefix})
+    const {password} = useUpdatePasswordFields({form, prefix})
+    const value = form.watch(`${prefix}password`)
+
+    return (
+        <Stack spacing={5}>
+            <Field {...email} />
+            <Stack spacing={3} pb={2}>
+                <Field {...password} />
+                <PasswordRequirements value={value} />
+            </Stack>
+        </Stack>
+    )
+}
+
+NewPasswordFields.propTypes = {
+    /** Object returned from `useForm` */
+    form: PropTypes.object.isRequired,
+
+    /** Optional prefix for field names */
+    prefix: PropTypes.string
+}
+
+export default NewPasswordFields
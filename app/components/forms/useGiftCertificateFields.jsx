@@ -0,0 +1,33 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useIntl} from 'react-intl'
+
+export default function useGiftCertificateFields({form: {control, errors}, prefix = ''}) {
+    const {formatMessage} = useIntl()
+
+    const fields = {
+        giftCertificateCode: {
+            name: `${prefix}giftCertificateCode`,
+            label: formatMessage({
+                defaultMessage: 'Gift Certificate Code',
+                id: 'use_gift_certificate_fields.label.gift_certificate_code'
+            }),
+            type: 'text',
+            defaultValue: '',
+            rules: {
+                required: formatMessage({
+                    defaultMessage: 'Please enter a gift certificate code.',
+                    id: 'use_gift_certificate_fields.error.required_gift_certificate_code'
+                })
+            },
+            error: errors[`${prefix}giftCertificateCode`],
+            control
+        }
+    }
+
+    return fields
+}
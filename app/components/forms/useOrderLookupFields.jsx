@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useIntl} from 'react-intl'
+
+export default function useOrderLookupFields({form: {control, errors}, prefix = ''}) {
+    const {formatMessage} = useIntl()
+
+    const fields = {
+        orderNo: {
+            name: `${prefix}orderNo`,
+            label: formatMessage({
+                defaultMessage: 'Order Number',
+                id: 'use_order_lookup_fields.label.order_number'
+            }),
+            defaultValue: '',
+            type: 'text',
+            rules: {
+                required: formatMessage({
+                    defaultMessage: 'Please enter your order number.',
+                    id: 'use_order_lookup_fields.error.required_order_number'
+                })
+            },
+            error: errors[`${prefix}orderNo`],
+            control
+        },
+        email: {
+            name: `${prefix}email`,
+            label: formatMessage({
+                defaultMessage: 'Email',
+                id: 'use_order_lookup_fields.label.email'
+            }),
+            placeholder: 'you@email.com',
+            defaultValue: '',
+            type: 'email',
+            rules: {
+                required: formatMessage({
+                    defaultMessage: 'Please enter the email address you used for the order.',
+                    id: 'use_order_lookup_fields.error.required_email'
+                })
+            },
+            error: errors[`${prefix}email`],
+            control
+        },
+        postalCode: {
+            name: `${prefix}postalCode`,
+            label: formatMessage({
+                defaultMessage: 'Postal Code',
+                id: 'use_order_lookup_fields.label.postal_code'
+            }),
+            defaultValue: '',
+            type: 'text',
+            rules: {
+                required: formatMessage({
+                    defaultMessage:
+                        'Please enter the postal code of your billing or shipping address.',
+                    id: 'use_order_lookup_fields.error.required_postal_code'
+                })
+            },
+            error: errors[`${prefix}postalCode`],
+            control
+        }
+    }
+
+    return fields
+}
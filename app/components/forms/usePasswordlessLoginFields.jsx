@@ -0,0 +1,52 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useIntl} from 'react-intl'
+
+export default function usePasswordlessLoginFields({form: {control, errors}, prefix = ''}) {
+    const {formatMessage} = useIntl()
+
+    const fields = {
+        email: {
+            name: `${prefix}email`,
+            label: formatMessage({
+                defaultMessage: 'Email',
+                id: 'use_passwordless_login_fields.label.email'
+            }),
+            placeholder: 'you@email.com',
+            defaultValue: '',
+            type: 'email',
+            rules: {
+                required: formatMessage({
+                    defaultMessage: 'Please enter a valid email address.',
+                    id: 'use_passwordless_login_fields.error.required_email'
+                })
+            },
+            error: errors[`${prefix}email`],
+            control
+        },
+        code: {
+            name: `${prefix}code`,
+            label: formatMessage({
+                defaultMessage: 'Login Code',
+                id: 'use_passwordless_login_fields.label.code'
+            }),
+            defaultValue: '',
+            type: 'text',
+            inputProps: {autoComplete: 'one-time-code', inputMode: 'numeric'},
+            rules: {
+                required: formatMessage({
+                    defaultMessage: 'Please enter the code from the email.',
+                    id: 'use_passwordless_login_fields.error.required_code'
+                })
+            },
+            error: errors[`${prefix}code`],
+            control
+        }
+    }
+
+    return fields
+}
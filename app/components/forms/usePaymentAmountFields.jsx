@@ -0,0 +1,58 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useIntl} from 'react-intl'
+
+/**
+ * The amount of the order total paid with a payment instrument, up to the remaining balance.
+ */
+export default function usePaymentAmountFields({form: {control, errors}, prefix = '', maxAmount}) {
+    const {formatMessage, formatNumber} = useIntl()
+
+    const fields = {
+        amount: {
+            name: `${prefix}amount`,
+            label: formatMessage({
+                defaultMessage: 'Amount',
+                id: 'use_payment_amount_fields.label.amount'
+            }),
+            type: 'text',
+            defaultValue: maxAmount?.toFixed(2) || '',
+            rules: {
+                required: formatMessage({
+                    defaultMessage: 'Please enter the amount to pay with this card.',
+                    id: 'use_payment_amount_fields.error.required_amount'
+                }),
+                validate: (value) => {
+                    const amount = Number(value)
+                    if (!/^\d+(\.\d{1,2})?$/.test(value.trim()) || amount <= 0) {
+                        return formatMessage({
+                            defaultMessage: 'Please enter a valid amount.',
+                            id: 'use_payment_amount_fields.error.invalid_amount'
+                        })
+                    }
+                    return (
+                        amount <= maxAmount ||
+                        formatMessage(
+                            {
+                                defaultMessage: 'The amount cannot exceed {maxAmount}.',
+                                id: 'use_payment_amount_fields.error.amount_too_high'
+                            },
+                            {maxAmount: formatNumber(maxAmount, {minimumFractionDigits: 2})}
+                        )
+                    )
+                }
+            },
+            error: errors[`${prefix}amount`],
+            inputProps: {
+                inputmode: 'decimal'
+            },
+            control
+        }
+    }
+
+    return fields
+}
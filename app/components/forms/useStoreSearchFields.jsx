@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useIntl} from 'react-intl'
+
+export default function useStoreSearchFields({form: {control, errors}, prefix = ''}) {
+    const {formatMessage} = useIntl()
+
+    const fields = {
+        countryCode: {
+            name: `${prefix}countryCode`,
+            label: formatMessage({
+                defaultMessage: 'Country',
+                id: 'use_store_search_fields.label.country'
+            }),
+            defaultValue: 'US',
+            type: 'select',
+            options: [
+                {value: 'CA', label: 'Canada'},
+                {value: 'US', label: 'United States'}
+            ],
+            error: errors[`${prefix}countryCode`],
+            control
+        },
+        postalCode: {
+            name: `${prefix}postalCode`,
+            label: formatMessage({
+                defaultMessage: 'Postal Code',
+                id: 'use_store_search_fields.label.postal_code'
+            }),
+            defaultValue: '',
+            type: 'text',
+            rules: {
+                required: formatMessage({
+                    defaultMessage: 'Please enter a postal code.',
+                    id: 'use_store_search_fields.error.required_postal_code'
+                })
+            },
+            error: errors[`${prefix}postalCode`],
+            control
+        },
+        city: {
+            name: `${prefix}city`,
+            label: formatMessage({
+                defaultMessage: 'City',
+                id: 'use_store_search_fields.label.city'
+            }),
+            defaultValue: '',
+            type: 'text',
+            error: errors[`${prefix}city`],
+            control
+        },
+        maxDistance: {
+            name: `${prefix}maxDistance`,
+            label: formatMessage({
+                defaultMessage: 'Within',
+                id: 'use_store_search_fields.label.max_distance'
+            }),
+            defaultValue: '30',
+            type: 'select',
+            options: [15, 30, 50, 100].map((distance) => ({
+                value: `${distance}`,
+                label: formatMessage(
+                    {
+                        defaultMessage: '{distance} miles',
+                        id: 'use_store_search_fields.label.distance_miles'
+                    },
+                    {distance}
+                )
+            })),
+            error: errors[`${prefix}maxDistance`],
+            control
+        }
+    }
+
+    return fields
+}
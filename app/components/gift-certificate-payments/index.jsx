@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {FormattedNumber} from 'react-intl'
+import {Flex, Stack, Text} from '@chakra-ui/react'
+
+/**
+ * Lists the gift certificates redeemed on a basket or order, with the amount paid with each.
+ * An action, like removing the gift certificate, can be rendered next to each of them.
+ */
+const GiftCertificatePayments = ({paymentInstruments, currency, renderAction, ...props}) => (
+    <Stack spacing={1} {...props}>
+        {paymentInstruments.map((paymentInstrument) => (
+            <Flex
+                key={paymentInstrument.paymentInstrumentId}
+                justify="space-between"
+                align="center"
+                fontSize="sm"
+            >
+                <Text>
+                    {paymentInstrument.maskedGiftCertificateCode ||
+                        paymentInstrument.giftCertificateCode}
+                </Text>
+                <Stack direction="row" spacing={4} align="center">
+                    <Text fontWeight="semibold">
+                        <FormattedNumber
+                            style="currency"
+                            currency={currency}
+                            value={paymentInstrument.amount}
+                        />
+                    </Text>
+                    {renderAction?.(paymentInstrument)}
+                </Stack>
+            </Flex>
+        ))}
+    </Stack>
+)
+
+GiftCertificatePayments.propTypes = {
+    /** The gift certificate payment instruments of the basket or order */
+    paymentInstruments: PropTypes.arrayOf(PropTypes.object).isRequired,
+    /** The currency of the basket or order */
+    currency: PropTypes.string,
+    /** Renders an action for a gift certificate, e.g. a remove button */
+    renderAction: PropTypes.func
+}
+
+export default GiftCertificatePayments
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useEffect, useRef} from 'react'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {getConfig} from 'pwa-kit-runtime/utils/ssr-config'
+import {
+    AlertDialog,
+    AlertDialogBody,
+    AlertDialogContent,
+    AlertDialogFooter,
+    AlertDialogHeader,
+    AlertDialogOverlay,
+    Button,
+    Text
+} from '@chakra-ui/react'
+import {useCommerceAPI} from '../../commerce-api/contexts'
+import useBasket from '../../commerce-api/hooks/useBasket'
+import useCustomer from '../../commerce-api/hooks/useCustomer'
+import useIdleTimeout from '../../hooks/use-idle-timeout'
+import {useToast} from '../../hooks/use-toast'
+import {API_ERROR_MESSAGE} from '../../constants'
+
+/**
+ * Logs registered shoppers out to a guest session, which keeps their basket, after the idle time
+ * configured in `app.login.idleTimeout`. The modal warns them before, so they can stay logged in.
+ * The shopper's tabs time out together, and only the first one logs them out.
+ */
+const IdleTimeoutModal = () => {
+    const {formatMessage} = useIntl()
+    const api = useCommerceAPI()
+    const customer = useCustomer()
+    const basket = useBasket()
+    const showToast = useToast()
+    const {idleTimeout = 0, idleWarning = 0} = getConfig().app.login || {}
+    const cancelRef = useRef()
+    const isLoggingOut = useRef(false)
+
+    // Another tab is logging the shopper out, and this one follows the logout once it's done.
+    useEffect(
+        () =>
+            api.auth.onSessionChange(({type}) => {
+                if (type === 'idle-logout') {
+                    isLoggingOut.current = true
+                } else if (type === 'login' || type === 'logout') {
+                    isLoggingOut.current = false
+                }
+            }),
+        []
+    )
+
+    const logout = async () => {
+        if (isLoggingOut.current) {
+            return
+        }
+        isLoggingOut.current = true
+        api.auth.announceIdleLogout()
+        try {
+            await customer.logoutToGuest(basket)
+            showToast({
+                title: formatMessage({
+                    defaultMessage: "You've been signed out. Your cart has been kept.",
+                    id: 'idle_timeout_modal.info.signed_out'
+                }),
+                status: 'info'
+            })
+        } catch (error) {
+            showToast({title: formatMessage(API_ERROR_MESSAGE), status: 'error'})
+        } finally {
+            isLoggingOut.current = false
+        }
+    }
+
+    const {isWarning, remaining, stayActive} = useIdleTimeout({
+        timeout: idleTimeout * 60 * 1000,
+        warning: idleWarning * 60 * 1000,
+        enabled: customer.isRegistered,
+        since: customer.isRegistered ? api.auth.loginTime : 0,
+        onTimeout: logout
+    })
+
+    return (
+        <AlertDialog
+            isOpen={isWarning}
+            isCentered
+            leastDestructiveRef={cancelRef}
+            onClose={stayActive}
+        >
+            <AlertDialogOverlay />
+            <AlertDialogContent data-testid="sf-idle-timeout-modal">
+                <AlertDialogHeader>
+                    <FormattedMessage
+                        defaultMessage="Are you still there?"
+                        id="idle_timeout_modal.title.still_there"
+                    />
+                </AlertDialogHeader>
+                <AlertDialogBody>
+                    <Text>
+                        <FormattedMessage
+                            defaultMessage="For your security, you'll be signed out in {seconds} seconds. Your cart will be kept."
+                            id="idle_timeout_modal.message.signing_out"
+                            values={{seconds: remaining}}
+                        />
+                    </Text>
+                </AlertDialogBody>
+                <AlertDialogFooter>
+                    <Button variant="ghost" mr={3} onClick={logout}>
+                        <FormattedMessage
+                            defaultMessage="Sign Out"
+                            id="idle_timeout_modal.action.sign_out"
+                        />
+                    </Button>
+                    <Button ref={cancelRef} onClick={stayActive}>
+                        <FormattedMessage
+                            defaultMessage="Stay Signed In"
+                            id="idle_timeout_modal.action.stay_signed_in"
+                        />
+                    </Button>
+                </AlertDialogFooter>
+            </AlertDialogContent>
+        </AlertDialog>
+    )
+}
+
+export default IdleTimeoutModal
@@ -8,12 +8,27 @@
 import React, {Fragment} from 'react'
 import PropTypes from 'prop-types'
 import {FormattedMessage} from 'react-intl'
-import {Alert, Box, Button, Stack, Text} from '@chakra-ui/react'
+import {Alert, Button, Divider, Flex, Stack, Text} from '@chakra-ui/react'
 import {AlertIcon, BrandLogo} from '../icons'
 import LoginFields from '../../components/forms/login-fields'
 import {noop} from '../../utils/utils'
 
-const LoginForm = ({submitForm, clickForgotPassword = noop, clickCreateAccount = noop, form}) => {
+// The display names of the identity providers, which are shown as they are configured otherwise.
+export const IDP_NAMES = {
+    google: 'Google',
+    apple: 'Apple',
+    facebook: 'Facebook'
+}
+
+const LoginForm = ({
+    submitForm,
+    clickForgotPassword = noop,
+    clickCreateAccount = noop,
+    clickPasswordlessLogin,
+    clickIdpLogin,
+    idps = [],
+    form
+}) => {
     return (
         <Fragment>
             <Stack justify="center" align="center" spacing={8} marginBottom={8}>
@@ -42,14 +57,22 @@ const LoginForm = ({submitForm, clickForgotPassword = noop, clickCreateAccount =
                     <Stack>
                         <LoginFields form={form} />
 
-                        <Box>
+                        <Stack direction="row" justify="space-between">
                             <Button variant="link" size="sm" onClick={clickForgotPassword}>
                                 <FormattedMessage
                                     defaultMessage="Forgot password?"
                                     id="login_form.link.forgot_password"
                                 />
                             </Button>
-                        </Box>
+                            {clickPasswordlessLogin && (
+                                <Button variant="link" size="sm" onClick={clickPasswordlessLogin}>
+                                    <FormattedMessage
+                                        defaultMessage="Email me a login code"
+                                        id="login_form.link.passwordless_login"
+                                    />
+                                </Button>
+                            )}
+                        </Stack>
                     </Stack>
                     <Stack spacing={6}>
                         <Button
@@ -63,6 +86,34 @@ const LoginForm = ({submitForm, clickForgotPassword = noop, clickCreateAccount =
                             />
                         </Button>
 
+                        {clickIdpLogin && idps.length > 0 && (
+                            <Stack spacing={4}>
+                                <Flex align="center">
+                                    <Divider />
+                                    <Text fontSize="sm" paddingLeft={3} paddingRight={3}>
+                                        <FormattedMessage
+                                            defaultMessage="Or"
+                                            id="login_form.message.or"
+                                        />
+                                    </Text>
+                                    <Divider />
+                                </Flex>
+                                {idps.map((idp) => (
+                                    <Button
+                                        key={idp}
+                                        variant="outline"
+                                        onClick={() => clickIdpLogin(idp)}
+                                    >
+                                        <FormattedMessage
+                                            defaultMessage="Continue with {idp}"
+                                            id="login_form.button.continue_with_idp"
+                                            values={{idp: IDP_NAMES[idp] || idp}}
+                                        />
+                                    </Button>
+                                ))}
+                            </Stack>
+                        )}
+
                         <Stack direction="row" spacing={1} justify="center">
                             <Text fontSize="sm">
                                 <FormattedMessage
@@ -88,6 +139,9 @@ LoginForm.propTypes = {
     submitForm: PropTypes.func,
     clickForgotPassword: PropTypes.func,
     clickCreateAccount: PropTypes.func,
+    clickPasswordlessLogin: PropTypes.func,
+    clickIdpLogin: PropTypes.func,
+    idps: PropTypes.arrayOf(PropTypes.string),
     form: PropTypes.object
 }
 
@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {Fragment} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage} from 'react-intl'
+import {Alert, Button, Stack, Text} from '@chakra-ui/react'
+import {AlertIcon, BrandLogo} from '../icons'
+import {noop} from '../../utils/utils'
+import NewPasswordFields from '../forms/new-password-fields'
+
+const NewPasswordForm = ({submitForm, clickResetPassword = noop, form}) => {
+    return (
+        <Fragment>
+            <Stack justify="center" align="center" spacing={8}>
+                <BrandLogo width="60px" height="auto" />
+                <Stack spacing={2}>
+                    <Text align="center" fontSize="xl" fontWeight="semibold">
+                        <FormattedMessage
+                            defaultMessage="Set a New Password"
+                            id="new_password_form.title.set_new_password"
+                        />
+                    </Text>
+                    <Text fontSize="sm" align="center" color="gray.700">
+                        <FormattedMessage
+                            defaultMessage="You'll be signed in with your new password right away"
+                            id="new_password_form.message.signed_in_after_reset"
+                        />
+                    </Text>
+                </Stack>
+            </Stack>
+            <form onSubmit={form.handleSubmit(submitForm)} data-testid="sf-new-password-form">
+                <Stack paddingTop={8} spacing={8} paddingLeft={4} paddingRight={4}>
+                    {form.errors?.global && (
+                        <Alert status="error">
+                            <AlertIcon color="red.500" boxSize={4} />
+                            <Text fontSize="sm" ml={3}>
+                                {form.errors.global.message}
+                            </Text>
+                        </Alert>
+                    )}
+                    <NewPasswordFields form={form} />
+                    <Stack spacing={6}>
+                        <Button
+                            type="submit"
+                            onClick={() => form.clearErrors('global')}
+                            isLoading={form.formState.isSubmitting}
+                        >
+                            <FormattedMessage
+                                defaultMessage="Save and Sign In"
+                                id="new_password_form.button.save_and_sign_in"
+                            />
+                        </Button>
+
+                        <Stack direction="row" spacing={1} justify="center">
+                            <Text fontSize="sm">
+                                <FormattedMessage
+                                    defaultMessage="Link expired?"
+                                    id="new_password_form.message.link_expired"
+                                    description="Precedes link to request a new password reset email"
+                                />
+                            </Text>
+                            <Button variant="link" size="sm" onClick={clickResetPassword}>
+                                <FormattedMessage
+                                    defaultMessage="Request a new one"
+                                    id="new_password_form.action.request_new_link"
+                                />
+                            </Button>
+                        </Stack>
+                    </Stack>
+                </Stack>
+            </form>
+        </Fragment>
+    )
+}
+
+NewPasswordForm.propTypes = {
+    submitForm: PropTypes.func,
+    clickResetPassword: PropTypes.func,
+    form: PropTypes.object
+}
+
+export default NewPasswordForm
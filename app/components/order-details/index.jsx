@@ -0,0 +1,481 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {
+    Box,
+    Heading,
+    Text,
+    Stack,
+    Badge,
+    Button,
+    Flex,
+    Divider,
+    Grid,
+    SimpleGrid,
+    Skeleton
+} from '@chakra-ui/react'
+import {getCreditCardIcon} from '../../utils/cc-utils'
+import {getGiftCertificatePayments} from '../../utils/gift-certificate-utils'
+import {getCardPayments} from '../../utils/payment-utils'
+import GiftCertificatePayments from '../gift-certificate-payments'
+import {
+    getDeliveryShipments,
+    getPickupShipments,
+    isPickupShipment
+} from '../../utils/store-pickup-utils'
+import OrderSummary from '../order-summary'
+import ItemVariantProvider from '../item-variant'
+import CartItemVariantImage from '../item-variant/item-image'
+import CartItemVariantName from '../item-variant/item-name'
+import CartItemVariantAttributes from '../item-variant/item-attributes'
+import CartItemVariantPrice from '../item-variant/item-price'
+import {getUnavailableReason, UNAVAILABLE_REASONS, useReorder} from '../../hooks/use-reorder'
+import {BUY_IT_AGAIN_MESSAGE} from '../../constants'
+
+/**
+ * The details of an order: its status, shipping, payment, summary and items, which the shopper can
+ * buy again. Shows skeletons while the order is loading.
+ */
+const OrderDetails = ({order, productsById = {}, isLoading, backLink, ...props}) => {
+    const {formatMessage, formatDate} = useIntl()
+
+    // The empty default shipment of orders picked up in store is left out
+    const shipments = [...getDeliveryShipments(order), ...getPickupShipments(order)]
+    const isMultiShipment = shipments.length > 1
+    const cardPayments = getCardPayments(order)
+    const giftCertificatePayments = getGiftCertificatePayments(order)
+    const itemCount = order?.productItems.reduce((count, item) => item.quantity + count, 0)
+
+    const {reorder, isReordering} = useReorder()
+    // The whole order, or the id of the item, that is being bought again
+    const [reordering, setReordering] = useState()
+    const buyAgain = async (items, id) => {
+        setReordering(id)
+        await reorder(items)
+        setReordering(undefined)
+    }
+    // The items can only be flagged as unavailable once the product details are loaded
+    const hasProductDetails = order?.productItems.some((item) => productsById[item.productId])
+
+    return (
+        <Stack spacing={6} {...props}>
+            <Stack>
+                {backLink}
+
+                <Stack spacing={[1, 2]}>
+                    <Flex justifyContent="space-between" alignItems="center">
+                        <Heading as="h1" fontSize={['lg', '2xl']}>
+                            <FormattedMessage
+                                defaultMessage="Order Details"
+                                id="account_order_detail.title.order_details"
+                            />
+                        </Heading>
+                        {!isLoading && (
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => buyAgain(order.productItems, 'order')}
+                                isLoading={reordering === 'order'}
+                                isDisabled={isReordering}
+                            >
+                                <FormattedMessage {...BUY_IT_AGAIN_MESSAGE} />
+                            </Button>
+                        )}
+                    </Flex>
+
+                    {!isLoading ? (
+                        <Stack
+                            direction={['column', 'row']}
+                            alignItems={['flex-start', 'center']}
+                            spacing={[0, 3]}
+                            divider={
+                                <Divider
+                                    visibility={{base: 'hidden', lg: 'visible'}}
+                                    orientation={{lg: 'vertical'}}
+                                    h={[0, 4]}
+                                />
+                            }
+                        >
+                            <Text fontSize={['sm', 'md']}>
+                                <FormattedMessage
+                                    defaultMessage="Ordered: {date}"
+                                    id="account_order_detail.label.ordered_date"
+                                    values={{
+                                        date: formatDate(new Date(order.creationDate), {
+                                            year: 'numeric',
+                                            day: 'numeric',
+                                            month: 'short'
+                                        })
+                                    }}
+                                />
+                            </Text>
+                            <Stack direction="row" alignItems="center">
+                                <Text fontSize={['sm', 'md']}>
+                                    <FormattedMessage
+                                        defaultMessage="Order Number: {orderNumber}"
+                                        id="account_order_detail.label.order_number"
+                                        values={{orderNumber: order.orderNo}}
+                                    />
+                                </Text>
+                                <Badge colorScheme="green">{order.status}</Badge>
+                            </Stack>
+                        </Stack>
+                    ) : (
+                        <Skeleton h="20px" w="192px" />
+                    )}
+                </Stack>
+            </Stack>
+
+            <Box layerStyle="cardBordered">
+                <Grid templateColumns={{base: '1fr', xl: '60% 1fr'}} gap={{base: 6, xl: 2}}>
+                    <SimpleGrid columns={{base: 1, sm: 2}} columnGap={4} rowGap={5} py={{xl: 6}}>
+                        {isLoading && (
+                            <>
+                                <Stack>
+                                    <Skeleton h="20px" w="84px" />
+                                    <Skeleton h="20px" w="112px" />
+                                    <Skeleton h="20px" w="56px" />
+                                </Stack>
+                                <Stack>
+                                    <Skeleton h="20px" w="84px" />
+                                    <Skeleton h="20px" w="56px" />
+                                </Stack>
+                                <Stack>
+                                    <Skeleton h="20px" w="112px" />
+                                    <Skeleton h="20px" w="84px" />
+                                    <Skeleton h="20px" w="56px" />
+                                </Stack>
+                                <Stack>
+                                    <Skeleton h="20px" w="60px" />
+                                    <Skeleton h="20px" w="84px" />
+                                    <Skeleton h="20px" w="56px" />
+                                </Stack>
+                            </>
+                        )}
+
+                        {!isLoading && (
+                            <>
+                                {shipments.map((shipment, index) => (
+                                    <React.Fragment key={shipment.shipmentId}>
+                                        <Stack spacing={1}>
+                                            <Text fontWeight="bold" fontSize="sm">
+                                                <FormattedMessage
+                                                    defaultMessage="Shipping Method"
+                                                    id="account_order_detail.heading.shipping_method"
+                                                />
+                                                {isMultiShipment && (
+                                                    <>
+                                                        {' '}
+                                                        <FormattedMessage
+                                                            defaultMessage="(Shipment {number} of {count})"
+                                                            id="order_details.label.shipment_number"
+                                                            values={{
+                                                                number: index + 1,
+                                                                count: shipments.length
+                                                            }}
+                                                        />
+                                                    </>
+                                                )}
+                                            </Text>
+                                            <Box>
+                                                <Text fontSize="sm" textTransform="titlecase">
+                                                    {shipment.shippingStatus.replace(/_/g, ' ')}
+                                                </Text>
+                                                <Text fontSize="sm">
+                                                    {shipment.shippingMethod.name}
+                                                </Text>
+                                                <Text fontSize="sm">
+                                                    <FormattedMessage
+                                                        defaultMessage="Tracking Number"
+                                                        id="account_order_detail.label.tracking_number"
+                                                    />
+                                                    :{' '}
+                                                    {shipment.trackingNumber ||
+                                                        formatMessage({
+                                                            defaultMessage: 'Pending',
+                                                            id: 'account_order_detail.label.pending_tracking_number'
+                                                        })}
+                                                </Text>
+                                            </Box>
+                                        </Stack>
+                                        <Stack spacing={1}>
+                                            <Text fontWeight="bold" fontSize="sm">
+                                                {isPickupShipment(shipment) ? (
+                                                    <FormattedMessage
+                                                        defaultMessage="Pickup Store"
+                                                        id="account_order_detail.heading.pickup_store"
+                                                    />
+                                                ) : (
+                                                    <FormattedMessage
+                                                        defaultMessage="Shipping Address"
+                                                        id="account_order_detail.heading.shipping_address"
+                                                    />
+                                                )}
+                                            </Text>
+                                            <Box>
+                                                <Text fontSize="sm">
+                                                    {shipment.shippingAddress.firstName}{' '}
+                                                    {shipment.shippingAddress.lastName}
+                                                </Text>
+                                                <Text fontSize="sm">
+                                                    {shipment.shippingAddress.address1}
+                                                </Text>
+                                                <Text fontSize="sm">
+                                                    {shipment.shippingAddress.city},{' '}
+                                                    {shipment.shippingAddress.stateCode}{' '}
+                                                    {shipment.shippingAddress.postalCode}
+                                                </Text>
+                                            </Box>
+                                        </Stack>
+                                    </React.Fragment>
+                                ))}
+                                <Stack spacing={1}>
+                                    <Text fontWeight="bold" fontSize="sm">
+                                        <FormattedMessage
+                                            defaultMessage="Payment Method"
+                                            id="account_order_detail.heading.payment_method"
+                                        />
+                                    </Text>
+                                    {cardPayments.map(({paymentInstrumentId, paymentCard}) => {
+                                        const CardIcon = getCreditCardIcon(paymentCard?.cardType)
+                                        return (
+                                            <Stack key={paymentInstrumentId} direction="row">
+                                                {CardIcon && <CardIcon layerStyle="ccIcon" />}
+                                                <Box>
+                                                    <Text fontSize="sm">
+                                                        {paymentCard?.cardType}
+                                                    </Text>
+                                                    <Stack direction="row">
+                                                        <Text fontSize="sm">
+                                                            &bull;&bull;&bull;&bull;{' '}
+                                                            {paymentCard?.numberLastDigits}
+                                                        </Text>
+                                                        <Text fontSize="sm">
+                                                            {paymentCard?.expirationMonth}/
+                                                            {paymentCard?.expirationYear}
+                                                        </Text>
+                                                    </Stack>
+                                                </Box>
+                                            </Stack>
+                                        )
+                                    })}
+                                    {giftCertificatePayments.length > 0 && (
+                                        <Box>
+                                            <Text fontSize="sm">
+                                                <FormattedMessage
+                                                    defaultMessage="Gift Certificates"
+                                                    id="account_order_detail.label.gift_certificates"
+                                                />
+                                            </Text>
+                                            <GiftCertificatePayments
+                                                paymentInstruments={giftCertificatePayments}
+                                                currency={order.currency}
+                                            />
+                                        </Box>
+                                    )}
+                                </Stack>
+                                <Stack spacing={1}>
+                                    <Text fontWeight="bold" fontSize="sm">
+                                        <FormattedMessage
+                                            defaultMessage="Billing Address"
+                                            id="account_order_detail.heading.billing_address"
+                                        />
+                                    </Text>
+                                    <Box>
+                                        <Text fontSize="sm">
+                                            {order.billingAddress.firstName}{' '}
+                                            {order.billingAddress.lastName}
+                                        </Text>
+                                        <Text fontSize="sm">{order.billingAddress.address1}</Text>
+                                        <Text fontSize="sm">
+                                            {order.billingAddress.city},{' '}
+                                            {order.billingAddress.stateCode}{' '}
+                                            {order.billingAddress.postalCode}
+                                        </Text>
+                                    </Box>
+                                </Stack>
+                            </>
+                        )}
+                    </SimpleGrid>
+
+                    {!isLoading ? (
+                        <Box
+                            py={{base: 6}}
+                            px={{base: 6, xl: 8}}
+                            background="gray.50"
+                            borderRadius="base"
+                        >
+                            <OrderSummary basket={order} fontSize="sm" />
+                        </Box>
+                    ) : (
+                        <Skeleton h="full" />
+                    )}
+                </Grid>
+            </Box>
+
+            <Stack spacing={4}>
+                {!isLoading && (
+                    <Text>
+                        <FormattedMessage
+                            defaultMessage="{count} items"
+                            values={{count: itemCount}}
+                            id="account_order_detail.heading.num_of_items"
+                        />
+                    </Text>
+                )}
+
+                <Stack spacing={4}>
+                    {isLoading &&
+                        [1, 2, 3].map((i) => (
+                            <Box
+                                key={i}
+                                p={[4, 6]}
+                                border="1px solid"
+                                borderColor="gray.100"
+                                borderRadius="base"
+                            >
+                                <Flex width="full" align="flex-start">
+                                    <Skeleton boxSize={['88px', 36]} mr={4} />
+
+                                    <Stack spacing={2}>
+                                        <Skeleton h="20px" w="112px" />
+                                        <Skeleton h="20px" w="84px" />
+                                        <Skeleton h="20px" w="140px" />
+                                    </Stack>
+                                </Flex>
+                            </Box>
+                        ))}
+
+                    {!isLoading &&
+                        order.productItems?.map((product, idx) => {
+                            const variant = {
+                                ...product,
+                                ...productsById[product.productId],
+                                price: product.price
+                            }
+                            const unavailableReason =
+                                hasProductDetails &&
+                                getUnavailableReason(
+                                    productsById[product.productId],
+                                    product.quantity
+                                )
+                            return (
+                                <Box
+                                    p={[4, 6]}
+                                    key={product.productId}
+                                    border="1px solid"
+                                    borderColor="gray.100"
+                                    borderRadius="base"
+                                >
+                                    <ItemVariantProvider
+                                        index={idx}
+                                        variant={variant}
+                                        currency={order.currency}
+                                    >
+                                        <Flex width="full" alignItems="flex-start">
+                                            <CartItemVariantImage width={['88px', 36]} mr={4} />
+                                            <Stack spacing={1} marginTop="-3px" flex={1}>
+                                                <CartItemVariantName />
+                                                <Flex
+                                                    width="full"
+                                                    justifyContent="space-between"
+                                                    alignItems="flex-end"
+                                                >
+                                                    <CartItemVariantAttributes
+                                                        includeQuantity
+                                                        currency={order.currency}
+                                                    />
+                                                    <CartItemVariantPrice
+                                                        currency={order.currency}
+                                                    />
+                                                </Flex>
+                                                <Flex
+                                                    width="full"
+                                                    justifyContent="space-between"
+                                                    alignItems="center"
+                                                    pt={2}
+                                                >
+                                                    <Box>
+                                                        {isMultiShipment && (
+                                                            <Text fontSize="sm" color="gray.700">
+                                                                <FormattedMessage
+                                                                    defaultMessage="Shipment {number}"
+                                                                    id="order_details.label.item_shipment"
+                                                                    values={{
+                                                                        number:
+                                                                            shipments.findIndex(
+                                                                                (shipment) =>
+                                                                                    shipment.shipmentId ===
+                                                                                    product.shipmentId
+                                                                            ) + 1
+                                                                    }}
+                                                                />
+                                                            </Text>
+                                                        )}
+                                                        {unavailableReason && (
+                                                            <Badge colorScheme="red">
+                                                                {unavailableReason ===
+                                                                UNAVAILABLE_REASONS.DISCONTINUED ? (
+                                                                    <FormattedMessage
+                                                                        defaultMessage="No longer available"
+                                                                        id="order_details.label.discontinued"
+                                                                    />
+                                                                ) : (
+                                                                    <FormattedMessage
+                                                                        defaultMessage="Out of stock"
+                                                                        id="order_details.label.out_of_stock"
+                                                                    />
+                                                                )}
+                                                            </Badge>
+                                                        )}
+                                                    </Box>
+                                                    {/* Bonus products come with promotions */}
+                                                    {!product.bonusProductLineItem && (
+                                                        <Button
+                                                            variant="link"
+                                                            size="sm"
+                                                            onClick={() =>
+                                                                buyAgain([product], product.itemId)
+                                                            }
+                                                            isLoading={
+                                                                reordering === product.itemId
+                                                            }
+                                                            isDisabled={
+                                                                !!unavailableReason || isReordering
+                                                            }
+                                                        >
+                                                            <FormattedMessage
+                                                                {...BUY_IT_AGAIN_MESSAGE}
+                                                            />
+                                                        </Button>
+                                                    )}
+                                                </Flex>
+                                            </Stack>
+                                        </Flex>
+                                    </ItemVariantProvider>
+                                </Box>
+                            )
+                        })}
+                </Stack>
+            </Stack>
+        </Stack>
+    )
+}
+
+OrderDetails.propTypes = {
+    /** The order, which is only read when it isn't loading */
+    order: PropTypes.object,
+    /** The details of the ordered products, by their ids */
+    productsById: PropTypes.object,
+    isLoading: PropTypes.bool,
+    /** A link shown above the heading, e.g. to go back to the order history */
+    backLink: PropTypes.node
+}
+
+export default OrderDetails
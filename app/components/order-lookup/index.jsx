@@ -0,0 +1,96 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {Fragment} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage} from 'react-intl'
+import {Alert, Button, Stack, Text} from '@chakra-ui/react'
+import {AlertIcon, BrandLogo} from '../icons'
+import Field from '../field'
+import useOrderLookupFields from '../forms/useOrderLookupFields'
+import {noop} from '../../utils/utils'
+
+const OrderLookupForm = ({submitForm, clickSignIn = noop, form}) => {
+    const fields = useOrderLookupFields({form})
+
+    return (
+        <Fragment>
+            <Stack justify="center" align="center" spacing={8} marginBottom={8}>
+                <BrandLogo width="60px" height="auto" />
+                <Stack spacing={2}>
+                    <Text align="center" fontSize="xl" fontWeight="semibold">
+                        <FormattedMessage
+                            defaultMessage="Look Up an Order"
+                            id="order_lookup_form.title.look_up_order"
+                        />
+                    </Text>
+                    <Text align="center" fontSize="sm">
+                        <FormattedMessage
+                            defaultMessage="Enter the details of an order you placed as a guest to see its status."
+                            id="order_lookup_form.message.enter_details"
+                        />
+                    </Text>
+                </Stack>
+            </Stack>
+            <form
+                id="order-lookup-form"
+                onSubmit={form.handleSubmit(submitForm)}
+                data-testid="sf-order-lookup-form"
+            >
+                <Stack spacing={8} paddingLeft={4} paddingRight={4}>
+                    {form.errors?.global && (
+                        <Alert status="error">
+                            <AlertIcon color="red.500" boxSize={4} />
+                            <Text fontSize="sm" ml={3}>
+                                {form.errors.global.message}
+                            </Text>
+                        </Alert>
+                    )}
+                    <Stack spacing={5}>
+                        <Field {...fields.orderNo} />
+                        <Field {...fields.email} />
+                        <Field {...fields.postalCode} />
+                    </Stack>
+                    <Stack spacing={6}>
+                        <Button
+                            type="submit"
+                            onClick={() => form.clearErrors('global')}
+                            isLoading={form.formState.isSubmitting}
+                        >
+                            <FormattedMessage
+                                defaultMessage="Find Order"
+                                id="order_lookup_form.button.find_order"
+                            />
+                        </Button>
+
+                        <Stack direction="row" spacing={1} justify="center">
+                            <Text fontSize="sm">
+                                <FormattedMessage
+                                    defaultMessage="Have an account?"
+                                    id="order_lookup_form.message.have_account"
+                                />
+                            </Text>
+                            <Button variant="link" size="sm" onClick={clickSignIn}>
+                                <FormattedMessage
+                                    defaultMessage="Sign in to see your orders"
+                                    id="order_lookup_form.action.sign_in"
+                                />
+                            </Button>
+                        </Stack>
+                    </Stack>
+                </Stack>
+            </form>
+        </Fragment>
+    )
+}
+
+OrderLookupForm.propTypes = {
+    submitForm: PropTypes.func,
+    clickSignIn: PropTypes.func,
+    form: PropTypes.object
+}
+
+export default OrderLookupForm
@@ -94,8 +94,17 @@ const OrderSummary = ({
     basket = basket || useBasket()
 
     const {removePromoCode, ...promoCodeProps} = usePromoCode()
-    const shippingItem = basket.shippingItems?.[0]
-    const hasShippingPromos = shippingItem?.priceAdjustments?.length > 0
+    // A basket that is shipped to several addresses has a shipping item per shipment
+    const shippingPriceAdjustments =
+        basket.shippingItems?.flatMap((shippingItem) => shippingItem.priceAdjustments || []) || []
+    const hasShippingPromos = shippingPriceAdjustments.length > 0
+    const isShippingFree =
+        basket.shippingItems?.length > 0 &&
+        basket.shippingItems.every((shippingItem) =>
+            shippingItem.priceAdjustments?.some(
+                ({appliedDiscount}) => appliedDiscount?.type === 'free'
+            )
+        )
 
     if (!basket.basketId && !basket.orderNo) {
         return null
@@ -164,7 +173,7 @@ const OrderSummary = ({
                             {hasShippingPromos && (
                                 <PromoPopover ml={1}>
                                     <Stack>
-                                        {shippingItem?.priceAdjustments?.map((adjustment) => (
+                                        {shippingPriceAdjustments.map((adjustment) => (
                                             <Text key={adjustment.priceAdjustmentId} fontSize="sm">
                                                 {adjustment.itemText}
                                             </Text>
@@ -174,9 +183,7 @@ const OrderSummary = ({
                             )}
                         </Flex>
 
-                        {shippingItem?.priceAdjustments?.some(
-                            ({appliedDiscount}) => appliedDiscount?.type === 'free'
-                        ) ? (
+                        {isShippingFree ? (
                             <Text
                                 as="span"
                                 color="green.500"
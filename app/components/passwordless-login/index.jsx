@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {Fragment} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage} from 'react-intl'
+import {Alert, Button, Stack, Text} from '@chakra-ui/react'
+import {AlertIcon, BrandLogo} from '../icons'
+import {noop} from '../../utils/utils'
+import Field from '../field'
+import usePasswordlessLoginFields from '../forms/usePasswordlessLoginFields'
+
+/**
+ * The form of the passwordless login. The shopper enters their email first, and then the code
+ * that was emailed to them, once `email` is passed.
+ */
+const PasswordlessLoginForm = ({
+    submitForm,
+    clickSignIn = noop,
+    clickResendCode = noop,
+    email,
+    form
+}) => {
+    const fields = usePasswordlessLoginFields({form})
+
+    return (
+        <Fragment>
+            <Stack justify="center" align="center" spacing={8}>
+                <BrandLogo width="60px" height="auto" />
+                <Stack spacing={2}>
+                    <Text align="center" fontSize="xl" fontWeight="semibold">
+                        <FormattedMessage
+                            defaultMessage="Sign In With a Code"
+                            id="passwordless_login_form.title.sign_in_with_code"
+                        />
+                    </Text>
+                    <Text fontSize="sm" align="center" color="gray.700">
+                        {email ? (
+                            <FormattedMessage
+                                defaultMessage="Enter the code we sent to <b>{email}</b>"
+                                id="passwordless_login_form.message.enter_code"
+                                values={{
+                                    email,
+                                    // eslint-disable-next-line react/display-name
+                                    b: (chunks) => <b>{chunks}</b>
+                                }}
+                            />
+                        ) : (
+                            <FormattedMessage
+                                defaultMessage="Enter your email to receive a code to sign in without your password"
+                                id="passwordless_login_form.message.enter_your_email"
+                            />
+                        )}
+                    </Text>
+                </Stack>
+            </Stack>
+            <form onSubmit={form.handleSubmit(submitForm)} data-testid="sf-auth-modal-form">
+                <Stack paddingTop={8} spacing={8} paddingLeft={4} paddingRight={4}>
+                    {form.errors?.global && (
+                        <Alert status="error">
+                            <AlertIcon color="red.500" boxSize={4} />
+                            <Text fontSize="sm" ml={3}>
+                                {form.errors.global.message}
+                            </Text>
+                        </Alert>
+                    )}
+                    {email ? <Field {...fields.code} /> : <Field {...fields.email} />}
+                    <Stack spacing={6}>
+                        <Button
+                            type="submit"
+                            onClick={() => form.clearErrors('global')}
+                            isLoading={form.formState.isSubmitting}
+                        >
+                            {email ? (
+                                <FormattedMessage
+                                    defaultMessage="Sign In"
+                                    id="passwordless_login_form.button.sign_in"
+                                />
+                            ) : (
+                                <FormattedMessage
+                                    defaultMessage="Send Code"
+                                    id="passwordless_login_form.button.send_code"
+                                />
+                            )}
+                        </Button>
+
+                        {email && (
+                            <Button variant="link" size="sm" onClick={clickResendCode}>
+                                <FormattedMessage
+                                    defaultMessage="Send a new code"
+                                    id="passwordless_login_form.action.resend_code"
+                                />
+                            </Button>
+                        )}
+
+                        <Stack direction="row" spacing={1} justify="center">
+                            <Text fontSize="sm">
+                                <FormattedMessage
+                                    defaultMessage="Or return to"
+                                    id="passwordless_login_form.message.return_to_sign_in"
+                                    description="Precedes link to return to sign in"
+                                />
+                            </Text>
+                            <Button variant="link" size="sm" onClick={clickSignIn}>
+                                <FormattedMessage
+                                    defaultMessage="Sign in"
+                                    id="passwordless_login_form.action.sign_in"
+                                />
+                            </Button>
+                        </Stack>
+                    </Stack>
+                </Stack>
+            </form>
+        </Fragment>
+    )
+}
+
+PasswordlessLoginForm.propTypes = {
+    submitForm: PropTypes.func,
+    clickSignIn: PropTypes.func,
+    clickResendCode: PropTypes.func,
+    email: PropTypes.string,
+    form: PropTypes.object
+}
+
+export default PasswordlessLoginForm
@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {FormattedMessage} from 'react-intl'
+import {Box, Text} from '@chakra-ui/react'
+import {InfoOutlineIcon} from '@chakra-ui/icons'
+import {usePreferredStore} from '../../hooks/use-preferred-store'
+import Link from '../link'
+
+/**
+ * Shows the store the shopper picked as their store, with a link to pick another one.
+ */
+const PreferredStoreBanner = () => {
+    const {preferredStore} = usePreferredStore()
+
+    if (!preferredStore) {
+        return null
+    }
+
+    return (
+        <Box
+            bg="blue.500"
+            w="100%"
+            d="flex"
+            justifyContent="center"
+            alignItems="center"
+            p={2}
+            color="white"
+            data-testid="sf-preferred-store-banner"
+        >
+            <InfoOutlineIcon />
+            <Text fontWeight="bold" pl={1}>
+                <FormattedMessage
+                    defaultMessage="My Store:"
+                    id="preferred_store_banner.label.my_store"
+                />
+            </Text>
+            <Text pl={2}>
+                {preferredStore.name} - {preferredStore.address1}, {preferredStore.stateCode},{' '}
+                {preferredStore.postalCode}
+            </Text>
+            <Link to="/stores" pl={2} textDecoration="underline">
+                <FormattedMessage defaultMessage="Change" id="preferred_store_banner.link.change" />
+            </Link>
+        </Box>
+    )
+}
+
+export default PreferredStoreBanner
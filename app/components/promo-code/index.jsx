@@ -21,6 +21,7 @@ import {ChevronDownIcon, ChevronUpIcon} from '../../components/icons'
 import useBasket from '../../commerce-api/hooks/useBasket'
 import PromoCodeFields from '../../components/forms/promo-code-fields'
 import {API_ERROR_MESSAGE} from '../../constants'
+import {InvalidCouponError} from '../../commerce-api/errors'
 
 export const usePromoCode = () => {
     const {formatMessage} = useIntl()
@@ -44,11 +45,14 @@ export const usePromoCode = () => {
         } catch (err) {
             form.setError('code', {
                 type: 'manual',
-                message: formatMessage({
-                    defaultMessage:
-                        'Check the code and try again, it may already be applied or the promo has expired.',
-                    id: 'use_promocode.error.check_the_code'
-                })
+                message:
+                    err instanceof InvalidCouponError
+                        ? formatMessage({
+                              defaultMessage:
+                                  'Check the code and try again, it may already be applied or the promo has expired.',
+                              id: 'use_promocode.error.check_the_code'
+                          })
+                        : formatMessage(API_ERROR_MESSAGE)
             })
         }
     }
@@ -0,0 +1,172 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useMemo, useState} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {useForm} from 'react-hook-form'
+import {useLocation} from 'react-router-dom'
+import {getConfig} from 'pwa-kit-runtime/utils/ssr-config'
+import {Alert, Button, Container, Heading, Stack, Text} from '@chakra-ui/react'
+import {useCommerceAPI} from '../../commerce-api/contexts'
+import useCustomer from '../../commerce-api/hooks/useCustomer'
+import {InvalidCredentialsError} from '../../commerce-api/errors'
+import useLoginFields from '../forms/useLoginFields'
+import usePasswordlessLoginFields from '../forms/usePasswordlessLoginFields'
+import Field from '../field'
+import {IDP_NAMES} from '../login'
+import {AlertIcon} from '../icons'
+import {API_ERROR_MESSAGE} from '../../constants'
+
+/**
+ * Renders its children only when the registered shopper logged in recently enough, as configured
+ * in `app.login.reauthAge`. Otherwise, the shopper logs in again first, the same way they did
+ * before: with their password, a code emailed to them or their identity provider. Used for the
+ * sensitive parts of the app, like the payment methods.
+ */
+const RecentLoginRequired = ({children}) => {
+    const {formatMessage} = useIntl()
+    const api = useCommerceAPI()
+    const customer = useCustomer()
+    const location = useLocation()
+    const form = useForm()
+    const fields = useLoginFields({form})
+    const codeFields = usePasswordlessLoginFields({form})
+    const [isConfirmed, setIsConfirmed] = useState(false)
+    const [isCodeSent, setIsCodeSent] = useState(false)
+    const {reauthAge = 0} = getConfig().app.login || {}
+
+    // Checked when the shopper gets here, so that the form doesn't show up while they're busy
+    const isLoginStale = useMemo(
+        () =>
+            customer.isRegistered &&
+            reauthAge > 0 &&
+            Date.now() - api.auth.loginTime > reauthAge * 60 * 1000,
+        [customer.customerId, customer.authType]
+    )
+    const {method, idp} = useMemo(
+        () => api.auth.loginMethod,
+        [customer.customerId, customer.authType]
+    )
+    const isIdp = method === 'idp'
+    const isPasswordless = method === 'passwordless'
+
+    const submitForm = async ({password, code}) => {
+        try {
+            if (isIdp) {
+                // The browser leaves the app, and comes back to this page after the login.
+                await customer.loginWithIdp(idp, location.pathname)
+                return
+            }
+            if (isPasswordless) {
+                if (!isCodeSent) {
+                    await customer.requestLoginCode(customer.email)
+                    setIsCodeSent(true)
+                    return
+                }
+                await customer.loginWithCode(code)
+            } else {
+                await customer.login({email: customer.email, password})
+            }
+            setIsConfirmed(true)
+        } catch (error) {
+            let message = formatMessage(API_ERROR_MESSAGE)
+            if (error instanceof InvalidCredentialsError) {
+                message = isPasswordless
+                    ? formatMessage({
+                          defaultMessage: 'This code is incorrect or has expired. Try again.',
+                          id: 'recent_login_required.error.incorrect_code'
+                      })
+                    : formatMessage({
+                          defaultMessage: 'Incorrect password, please try again.',
+                          id: 'recent_login_required.error.incorrect_password'
+                      })
+            }
+            form.setError('global', {type: 'manual', message})
+        }
+    }
+
+    if (!isLoginStale || isConfirmed) {
+        return children
+    }
+
+    return (
+        <Container variant="form" data-testid="sf-recent-login-required">
+            <form onSubmit={form.handleSubmit(submitForm)}>
+                <Stack spacing={6}>
+                    <Stack spacing={2}>
+                        <Heading as="h3" fontSize="md">
+                            <FormattedMessage
+                                defaultMessage="Confirm it's you"
+                                id="recent_login_required.title.confirm"
+                            />
+                        </Heading>
+                        <Text fontSize="sm">
+                            {isIdp ? (
+                                <FormattedMessage
+                                    defaultMessage="For your security, please sign in with {idp} again to continue."
+                                    id="recent_login_required.message.sign_in_with_idp"
+                                    values={{idp: IDP_NAMES[idp] || idp}}
+                                />
+                            ) : isPasswordless ? (
+                                <FormattedMessage
+                                    defaultMessage="For your security, please confirm it's you with a code we email to {email}."
+                                    id="recent_login_required.message.sign_in_with_code"
+                                    values={{email: customer.email}}
+                                />
+                            ) : (
+                                <FormattedMessage
+                                    defaultMessage="For your security, please enter the password for {email} again to continue."
+                                    id="recent_login_required.message.enter_password"
+                                    values={{email: customer.email}}
+                                />
+                            )}
+                        </Text>
+                    </Stack>
+                    {form.errors?.global && (
+                        <Alert status="error">
+                            <AlertIcon color="red.500" boxSize={4} />
+                            <Text fontSize="sm" ml={3}>
+                                {form.errors.global.message}
+                            </Text>
+                        </Alert>
+                    )}
+                    {!isIdp && !isPasswordless && <Field {...fields.password} />}
+                    {isPasswordless && isCodeSent && <Field {...codeFields.code} />}
+                    <Button
+                        type="submit"
+                        onClick={() => form.clearErrors('global')}
+                        isLoading={form.formState.isSubmitting}
+                    >
+                        {isIdp ? (
+                            <FormattedMessage
+                                defaultMessage="Continue with {idp}"
+                                id="recent_login_required.button.continue_with_idp"
+                                values={{idp: IDP_NAMES[idp] || idp}}
+                            />
+                        ) : isPasswordless && !isCodeSent ? (
+                            <FormattedMessage
+                                defaultMessage="Email me a code"
+                                id="recent_login_required.button.send_code"
+                            />
+                        ) : (
+                            <FormattedMessage
+                                defaultMessage="Continue"
+                                id="recent_login_required.button.continue"
+                            />
+                        )}
+                    </Button>
+                </Stack>
+            </form>
+        </Container>
+    )
+}
+
+RecentLoginRequired.propTypes = {
+    children: PropTypes.node
+}
+
+export default RecentLoginRequired
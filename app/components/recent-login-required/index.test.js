@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useEffect, useState} from 'react'
+import PropTypes from 'prop-types'
+import {screen, waitFor} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {renderWithProviders} from '../../utils/test-utils'
+import useCustomer from '../../commerce-api/hooks/useCustomer'
+import {exampleTokenReponse, mockedRegisteredCustomer} from '../../commerce-api/mock-data'
+import mockConfig from '../../../config/mocks/default'
+import RecentLoginRequired from './index'
+
+const HOUR = 60 * 60 * 1000
+
+const MockedComponent = ({loginAge, loginMethod}) => {
+    const customer = useCustomer()
+    const [isReady, setIsReady] = useState(false)
+    useEffect(() => {
+        customer.login({email: 'test@test.com', password: 'password'}).then(() => {
+            localStorage.setItem('login-time', Date.now() - loginAge)
+            if (loginMethod) {
+                localStorage.setItem('login-method', JSON.stringify(loginMethod))
+            }
+            setIsReady(true)
+        })
+    }, [])
+    return isReady ? (
+        <RecentLoginRequired>
+            <div>Payment methods</div>
+        </RecentLoginRequired>
+    ) : null
+}
+
+MockedComponent.propTypes = {
+    loginAge: PropTypes.number,
+    loginMethod: PropTypes.object
+}
+
+beforeEach(() => {
+    mockConfig.app.login.reauthAge = 15
+    global.server.use(
+        rest.get('*/customers/:customerId', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.status(200), ctx.json(mockedRegisteredCustomer))
+        )
+    )
+})
+afterEach(() => {
+    delete mockConfig.app.login.reauthAge
+    localStorage.clear()
+    sessionStorage.clear()
+})
+
+test('Renders the children when the customer logged in recently', async () => {
+    renderWithProviders(<MockedComponent loginAge={0} />)
+    expect(await screen.findByText('Payment methods')).toBeInTheDocument()
+})
+
+test('Asks for the password when the login is older than the threshold', async () => {
+    renderWithProviders(<MockedComponent loginAge={HOUR} />)
+    expect(await screen.findByTestId('sf-recent-login-required')).toBeInTheDocument()
+    expect(screen.queryByText('Payment methods')).toBeNull()
+
+    user.type(screen.getByLabelText('Password'), 'Password!1')
+    user.click(screen.getByRole('button', {name: 'Continue'}))
+    expect(await screen.findByText('Payment methods')).toBeInTheDocument()
+    await waitFor(() => expect(Date.now() - localStorage.getItem('login-time')).toBeLessThan(HOUR))
+})
+
+test('Shows an error for an incorrect password', async () => {
+    renderWithProviders(<MockedComponent loginAge={HOUR} />)
+    await screen.findByTestId('sf-recent-login-required')
+
+    global.server.use(
+        rest.post('*/oauth2/login', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.status(401), ctx.json({message: 'Unauthorized Credentials.'}))
+        )
+    )
+    user.type(screen.getByLabelText('Password'), 'wrong')
+    user.click(screen.getByRole('button', {name: 'Continue'}))
+    expect(await screen.findByText(/incorrect password/i)).toBeInTheDocument()
+})
+
+test('Asks for a code when the customer logged in with a code', async () => {
+    const requestCode = jest.fn()
+    global.server.use(
+        rest.post('*/passwordless/login', (req, res, ctx) => {
+            requestCode(new URLSearchParams(req.body).get('user_id'))
+            return res(ctx.delay(0), ctx.status(204))
+        }),
+        rest.post('*/passwordless/token', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.status(200), ctx.json(exampleTokenReponse))
+        )
+    )
+    renderWithProviders(<MockedComponent loginAge={HOUR} loginMethod={{method: 'passwordless'}} />)
+    await screen.findByTestId('sf-recent-login-required')
+    expect(screen.queryByLabelText('Password')).toBeNull()
+
+    user.click(screen.getByRole('button', {name: 'Email me a code'}))
+    user.type(await screen.findByLabelText('Login Code'), '12345678')
+    user.click(screen.getByRole('button', {name: 'Continue'}))
+
+    expect(await screen.findByText('Payment methods')).toBeInTheDocument()
+    expect(requestCode).toHaveBeenCalledWith(mockedRegisteredCustomer.email)
+})
+
+test('Sends the customer to the identity provider they logged in with', async () => {
+    renderWithProviders(
+        <MockedComponent loginAge={HOUR} loginMethod={{method: 'idp', idp: 'google'}} />
+    )
+    await screen.findByTestId('sf-recent-login-required')
+    expect(screen.queryByLabelText('Password')).toBeNull()
+
+    user.click(screen.getByRole('button', {name: 'Continue with Google'}))
+
+    // The customer comes back to this page after logging in
+    await waitFor(() => expect(sessionStorage.getItem('idp')).toEqual('google'))
+    expect(sessionStorage.getItem('idp-redirect-path')).toEqual(window.location.pathname)
+})
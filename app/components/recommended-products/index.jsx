@@ -91,7 +91,8 @@ const RecommendedProducts = ({zone, recommender, products, title, shouldFetch, .
     }, [products])
 
     useEffect(() => {
-        if (isOnScreen && recommendations?.recs) {
+        // Fallback recommendations don't come from Einstein, so there is nothing to report.
+        if (isOnScreen && recommendations?.recs && !recommendations.isFallback) {
             sendViewReco(
                 {
                     recommenderName: recommendations.recommenderName,
@@ -109,7 +110,7 @@ const RecommendedProducts = ({zone, recommender, products, title, shouldFetch, .
 
     // The component should remove itself altogether if it has no recommendations
     // and we aren't loading any.
-    if (!loading && (!recommendations || recommendations.length < 1)) {
+    if (!loading && !recommendations?.recs?.length) {
         return null
     }
 
@@ -167,6 +168,9 @@ const RecommendedProducts = ({zone, recommender, products, title, shouldFetch, .
             isLoading={loading}
             productTileProps={(product) => ({
                 onClick: () => {
+                    if (recommendations.isFallback) {
+                        return
+                    }
                     sendClickReco(
                         {
                             recommenderName: recommendations.recommenderName,
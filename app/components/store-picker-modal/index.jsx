@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {
+    Alert,
+    Box,
+    Button,
+    Flex,
+    Modal,
+    ModalBody,
+    ModalCloseButton,
+    ModalContent,
+    ModalHeader,
+    ModalOverlay,
+    SimpleGrid,
+    Stack,
+    Text
+} from '@chakra-ui/react'
+import {useForm} from 'react-hook-form'
+import {AlertIcon} from '../icons'
+import Field from '../field'
+import useStoreSearchFields from '../forms/useStoreSearchFields'
+import {STORE_SEARCH_ERRORS, useStoreSearch} from '../../hooks/use-store-search'
+
+/**
+ * A modal to pick the store items are picked up at. The shopper looks for stores around a postal
+ * code or around their current location.
+ */
+const StorePickerModal = ({isOpen, onClose, onSelect, selectedStoreId}) => {
+    const {formatMessage, formatNumber} = useIntl()
+    const form = useForm()
+    const fields = useStoreSearchFields({form})
+    const {stores, isSearching, error, distanceUnit, searchByPostalCode, searchByLocation} =
+        useStoreSearch()
+    const [selectingStoreId, setSelectingStoreId] = useState()
+
+    const selectStore = async (store) => {
+        setSelectingStoreId(store.id)
+        try {
+            await onSelect(store)
+        } finally {
+            setSelectingStoreId(undefined)
+        }
+    }
+
+    return (
+        <Modal size="xl" isOpen={isOpen} onClose={onClose}>
+            <ModalOverlay />
+            <ModalContent data-testid="sf-store-picker-modal">
+                <ModalHeader>
+                    <FormattedMessage
+                        defaultMessage="Pick Up in Store"
+                        id="store_picker_modal.title.pick_up_in_store"
+                    />
+                </ModalHeader>
+                <ModalCloseButton />
+                <ModalBody pb={8}>
+                    <Stack spacing={6}>
+                        <form onSubmit={form.handleSubmit(searchByPostalCode)}>
+                            <Stack spacing={4}>
+                                <SimpleGrid columns={[1, 2]} spacing={4}>
+                                    <Field {...fields.countryCode} />
+                                    <Field {...fields.postalCode} />
+                                </SimpleGrid>
+                                <Flex justify="space-between" align="center">
+                                    <Button
+                                        variant="link"
+                                        size="sm"
+                                        onClick={() => searchByLocation()}
+                                        isDisabled={isSearching}
+                                    >
+                                        <FormattedMessage
+                                            defaultMessage="Use My Location"
+                                            id="store_picker_modal.action.use_my_location"
+                                        />
+                                    </Button>
+                                    <Button type="submit" isLoading={isSearching}>
+                                        <FormattedMessage
+                                            defaultMessage="Find Stores"
+                                            id="store_picker_modal.button.find_stores"
+                                        />
+                                    </Button>
+                                </Flex>
+                            </Stack>
+                        </form>
+
+                        {error && (
+                            <Alert status="error">
+                                <AlertIcon color="red.500" boxSize={4} />
+                                <Text fontSize="sm" ml={3}>
+                                    {error === STORE_SEARCH_ERRORS.LOCATION_UNAVAILABLE ? (
+                                        <FormattedMessage
+                                            defaultMessage="We couldn't get your location. Please search by postal code instead."
+                                            id="store_picker_modal.error.location_unavailable"
+                                        />
+                                    ) : (
+                                        <FormattedMessage
+                                            defaultMessage="We couldn't search the stores. Please try again."
+                                            id="store_picker_modal.error.search_failed"
+                                        />
+                                    )}
+                                </Text>
+                            </Alert>
+                        )}
+
+                        {stores?.length === 0 && (
+                            <Text>
+                                <FormattedMessage
+                                    defaultMessage="There are no stores near this location."
+                                    id="store_picker_modal.info.no_stores"
+                                />
+                            </Text>
+                        )}
+
+                        {stores?.length > 0 && (
+                            <Stack spacing={4} data-testid="sf-store-picker-results">
+                                {stores.map((store) => (
+                                    <Flex
+                                        key={store.id}
+                                        justify="space-between"
+                                        align="flex-start"
+                                        borderTop="1px solid"
+                                        borderColor="gray.100"
+                                        pt={4}
+                                    >
+                                        <Box fontSize="sm">
+                                            <Text fontWeight="semibold">{store.name}</Text>
+                                            <Text>{store.address1}</Text>
+                                            <Text>
+                                                {store.city}, {store.stateCode} {store.postalCode}
+                                            </Text>
+                                            {store.distance != null && (
+                                                <Text color="gray.700">
+                                                    <FormattedMessage
+                                                        defaultMessage="{distance} {unit, select, km {km} other {mi}} away"
+                                                        id="store_picker_modal.label.distance"
+                                                        values={{
+                                                            distance: formatNumber(store.distance, {
+                                                                maximumFractionDigits: 1
+                                                            }),
+                                                            unit: distanceUnit
+                                                        }}
+                                                    />
+                                                </Text>
+                                            )}
+                                        </Box>
+                                        <Button
+                                            size="sm"
+                                            variant={
+                                                store.id === selectedStoreId ? 'solid' : 'outline'
+                                            }
+                                            isLoading={selectingStoreId === store.id}
+                                            aria-label={formatMessage(
+                                                {
+                                                    defaultMessage: 'Pick up at {storeName}',
+                                                    id: 'store_picker_modal.button.assistive_msg.pick_up_at'
+                                                },
+                                                {storeName: store.name}
+                                            )}
+                                            onClick={() => selectStore(store)}
+                                        >
+                                            {store.id === selectedStoreId ? (
+                                                <FormattedMessage
+                                                    defaultMessage="Selected"
+                                                    id="store_picker_modal.button.selected"
+                                                />
+                                            ) : (
+                                                <FormattedMessage
+                                                    defaultMessage="Pick Up Here"
+                                                    id="store_picker_modal.button.pick_up_here"
+                                                />
+                                            )}
+                                        </Button>
+                                    </Flex>
+                                ))}
+                            </Stack>
+                        )}
+                    </Stack>
+                </ModalBody>
+            </ModalContent>
+        </Modal>
+    )
+}
+
+StorePickerModal.propTypes = {
+    isOpen: PropTypes.bool.isRequired,
+    onClose: PropTypes.func.isRequired,
+    /** Callback for picking a store, with the store. The modal isn't closed by it. */
+    onSelect: PropTypes.func.isRequired,
+    /** The id of the store currently picked, if any */
+    selectedStoreId: PropTypes.string
+}
+
+export default StorePickerModal
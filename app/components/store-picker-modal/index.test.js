@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {screen, waitFor} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {renderWithProviders} from '../../utils/test-utils'
+import {ocapiStoresResponse} from '../../commerce-api/mock-data'
+import StorePickerModal from './index'
+
+let searchParams
+beforeEach(() => {
+    searchParams = undefined
+    global.server.use(
+        rest.get('*/stores', (req, res, ctx) => {
+            searchParams = Object.fromEntries(req.url.searchParams)
+            return res(
+                ctx.delay(0),
+                ctx.json(
+                    req.url.searchParams.get('postal_code') === '00000'
+                        ? {count: 0}
+                        : ocapiStoresResponse
+                )
+            )
+        })
+    )
+})
+afterEach(() => {
+    delete global.navigator.geolocation
+})
+
+test('finds the stores around a postal code and picks one', async () => {
+    const onSelect = jest.fn()
+    renderWithProviders(<StorePickerModal isOpen onClose={jest.fn()} onSelect={onSelect} />)
+
+    user.type(screen.getByLabelText('Postal Code'), '94301')
+    user.click(screen.getByText('Find Stores'))
+
+    expect(await screen.findByText('162 University Ave')).toBeInTheDocument()
+    expect(screen.getByText('1.2 mi away')).toBeInTheDocument()
+    expect(searchParams).toEqual({country_code: 'US', postal_code: '94301', distance_unit: 'mi'})
+
+    user.click(screen.getByRole('button', {name: 'Pick up at Santa Clara'}))
+    await waitFor(() =>
+        expect(onSelect).toHaveBeenCalledWith(expect.objectContaining({id: '00021'}))
+    )
+})
+
+test('tells when there is no store around', async () => {
+    renderWithProviders(<StorePickerModal isOpen onClose={jest.fn()} onSelect={jest.fn()} />)
+
+    user.type(screen.getByLabelText('Postal Code'), '00000')
+    user.click(screen.getByText('Find Stores'))
+
+    expect(await screen.findByText(/no stores near this location/i)).toBeInTheDocument()
+})
+
+test('finds the stores around the current location', async () => {
+    global.navigator.geolocation = {
+        getCurrentPosition: (resolve) => resolve({coords: {latitude: 37.44, longitude: -122.16}})
+    }
+    renderWithProviders(<StorePickerModal isOpen onClose={jest.fn()} onSelect={jest.fn()} />)
+
+    user.click(screen.getByText('Use My Location'))
+
+    expect(await screen.findByText('162 University Ave')).toBeInTheDocument()
+    expect(searchParams).toEqual({latitude: '37.44', longitude: '-122.16', distance_unit: 'mi'})
+})
+
+test('asks for a postal code when the location is not available', async () => {
+    renderWithProviders(<StorePickerModal isOpen onClose={jest.fn()} onSelect={jest.fn()} />)
+
+    user.click(screen.getByText('Use My Location'))
+
+    expect(await screen.findByText(/couldn't get your location/i)).toBeInTheDocument()
+})
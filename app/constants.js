@@ -55,11 +55,29 @@ export const THEME_COLOR = '#0176D3'
 
 export const FILTER_ACCORDION_SATE = 'filters-expanded-index'
 
+// The local storage key of the store the shopper picked as their store.
+export const PREFERRED_STORE = 'preferred-store'
+
+// The local storage key of the registered shopper's basket that was copied to a guest basket when
+// they were logged out for being idle. It is deleted when they log in again.
+export const COPIED_BASKET = 'copied-basket'
+
 export const API_ERROR_MESSAGE = defineMessage({
     id: 'global.error.something_went_wrong',
     defaultMessage: 'Something went wrong. Try again!'
 })
 
+export const STORE_OUT_OF_STOCK_MESSAGE = defineMessage({
+    id: 'global.error.store_out_of_stock',
+    defaultMessage:
+        'This item is not in stock at the selected store. Choose another store or have it shipped.'
+})
+
+export const BUY_IT_AGAIN_MESSAGE = defineMessage({
+    id: 'global.button.buy_it_again',
+    defaultMessage: 'Buy It Again'
+})
+
 export const HOME_HREF = '/'
 
 export const MAX_ORDER_QUANTITY = 10
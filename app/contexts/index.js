@@ -5,10 +5,17 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 
-import React, {useEffect, useState} from 'react'
+import React, {useContext, useEffect, useState} from 'react'
 import PropTypes from 'prop-types'
 import {useCommerceAPI} from '../commerce-api/contexts'
-import {CAT_MENU_STALE_TIME} from '../constants'
+import {CAT_MENU_STALE_TIME, PREFERRED_STORE} from '../constants'
+import {
+    NO_CONSENT,
+    applyGlobalPrivacyControl,
+    getStoredConsent,
+    hasGlobalPrivacyControl,
+    storeConsent
+} from '../utils/consent'
 
 /**
  * This is the global state for categories, we use this for navigation and for
@@ -191,3 +198,129 @@ CurrencyProvider.propTypes = {
     children: PropTypes.node.isRequired,
     currency: PropTypes.string
 }
+
+/**
+ * This is the global state for the shopper's consent to tracking, personalization and
+ * non-essential storage. Until the shopper makes a choice, none of these are allowed.
+ * The choices are also passed on to the Einstein API, which suppresses or anonymizes
+ * its requests accordingly.
+ *
+ * To use the context simply import them into the component requiring context
+ * like the below example:
+ *
+ * import React, {useContext} from 'react'
+ * import {ConsentContext} from './contexts'
+ *
+ * export const AnalyticsStatus = () => {
+ *    const {consent} = useContext(ConsentContext)
+ *    return <div>{consent.analytics ? 'on' : 'off'}</div>
+ * }
+ *
+ * Alternatively you can use the hook provided by us:
+ *
+ * import {useConsent} from './hooks'
+ *
+ * const {consent, hasDecided, updateConsent} = useConsent()
+ *
+ */
+export const ConsentContext = React.createContext()
+export const ConsentProvider = ({children}) => {
+    const api = useCommerceAPI()
+    // The choices are only known on the client, `isLoaded` tells when they have been read.
+    const [state, setState] = useState({
+        consent: NO_CONSENT,
+        hasDecided: false,
+        isLoaded: false,
+        globalPrivacyControl: false
+    })
+
+    useEffect(() => {
+        const storedConsent = getStoredConsent()
+        setState({
+            consent: applyGlobalPrivacyControl(storedConsent || NO_CONSENT),
+            hasDecided: !!storedConsent,
+            isLoaded: true,
+            globalPrivacyControl: hasGlobalPrivacyControl()
+        })
+    }, [])
+
+    useEffect(() => {
+        api?.einstein?.setConsent(state.consent)
+    }, [state.consent])
+
+    const updateConsent = (choices) => {
+        const consent = applyGlobalPrivacyControl({...NO_CONSENT, ...choices})
+        storeConsent(consent)
+        setState((state) => ({...state, consent, hasDecided: true}))
+    }
+
+    return (
+        <ConsentContext.Provider value={{...state, updateConsent}}>
+            {children}
+        </ConsentContext.Provider>
+    )
+}
+
+ConsentProvider.propTypes = {
+    children: PropTypes.node.isRequired
+}
+
+/**
+ * This is the global state for the store the shopper picked as their store, e.g. on the store
+ * locator. Pages can use it to show the shopper's store or to pick it by default. The store is
+ * only remembered between visits when the shopper consents to functional storage, so this
+ * provider has to be rendered inside the `ConsentProvider`.
+ *
+ * To use the context simply import them into the component requiring context
+ * like the below example:
+ *
+ * import React, {useContext} from 'react'
+ * import {PreferredStoreContext} from './contexts'
+ *
+ * export const MyStoreLabel = () => {
+ *    const {preferredStore} = useContext(PreferredStoreContext)
+ *    return <div>{preferredStore?.name}</div>
+ * }
+ *
+ * Alternatively you can use the hook provided by us:
+ *
+ * import {usePreferredStore} from './hooks'
+ *
+ * const {preferredStore, setPreferredStore} = usePreferredStore()
+ *
+ */
+export const PreferredStoreContext = React.createContext()
+export const PreferredStoreProvider = ({children}) => {
+    const {consent} = useContext(ConsentContext)
+    // The stored store is only known on the client, it's read once the app is mounted.
+    const [preferredStore, setPreferredStore] = useState(null)
+
+    useEffect(() => {
+        try {
+            setPreferredStore(JSON.parse(window.localStorage.getItem(PREFERRED_STORE)))
+        } catch {
+            window.localStorage.removeItem(PREFERRED_STORE)
+        }
+    }, [])
+
+    useEffect(() => {
+        if (!consent.functional) {
+            return
+        }
+        if (preferredStore) {
+            window.localStorage.setItem(PREFERRED_STORE, JSON.stringify(preferredStore))
+        } else {
+            window.localStorage.removeItem(PREFERRED_STORE)
+        }
+    }, [preferredStore, consent.functional])
+
+    return (
+        <PreferredStoreContext.Provider value={{preferredStore, setPreferredStore}}>
+            {children}
+        </PreferredStoreContext.Provider>
+    )
+}
+
+PreferredStoreProvider.propTypes = {
+    children: PropTypes.node.isRequired
+}
@@ -15,3 +15,5 @@ export {useVariationAttributes} from './use-variation-attributes'
 export {useVariationParams} from './use-variation-params'
 export {useProduct} from './use-product'
 export {useCurrency} from './use-currency'
+export {useConsent} from './use-consent'
+export {usePreferredStore} from './use-preferred-store'
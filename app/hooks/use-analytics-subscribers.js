@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useEffect, useRef} from 'react'
+import {getConfig} from 'pwa-kit-runtime/utils/ssr-config'
+import {useCommerceAPI} from '../commerce-api/contexts'
+import analytics from '../analytics'
+import createEinsteinSubscriber from '../analytics/subscribers/einstein'
+import createDataLayerSubscriber from '../analytics/subscribers/data-layer'
+import createLoggerSubscriber from '../analytics/subscribers/logger'
+import {hasConsent} from '../utils/consent'
+
+/**
+ * Subscribes the analytics destinations configured in `app.analytics` to the analytics bus.
+ * @param {CommerceAPI} api
+ * @returns {function[]} Functions that remove the subscribers again.
+ */
+const subscribe = (api) => {
+    const {dataLayer, debug} = getConfig().app.analytics || {}
+    const subscribers = []
+
+    // The Einstein API checks the shopper's consent itself.
+    if (api.einstein) {
+        subscribers.push(createEinsteinSubscriber(api.einstein))
+    }
+    if (dataLayer) {
+        subscribers.push(createDataLayerSubscriber({isAllowed: () => hasConsent('analytics')}))
+    }
+    if (debug) {
+        subscribers.push(createLoggerSubscriber())
+    }
+
+    return subscribers.map((subscriber) => analytics.subscribe(subscriber))
+}
+
+/**
+ * Subscribes the analytics destinations configured in `app.analytics` to the analytics bus,
+ * for as long as the component using this hook is mounted.
+ */
+const useAnalyticsSubscribers = () => {
+    const api = useCommerceAPI()
+    const unsubscribes = useRef()
+
+    // Pages publish their first events from their effects, which run before the effects of the
+    // app around them. So the subscribers are added on the first render instead of in an effect.
+    // Events are only published on the client, and the bus is shared between server requests.
+    if (!unsubscribes.current && typeof window !== 'undefined') {
+        unsubscribes.current = subscribe(api)
+    }
+
+    useEffect(
+        () => () => {
+            unsubscribes.current?.forEach((unsubscribe) => unsubscribe())
+            unsubscribes.current = undefined
+        },
+        []
+    )
+}
+
+export default useAnalyticsSubscribers
@@ -0,0 +1,63 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useEffect} from 'react'
+import PropTypes from 'prop-types'
+import useAnalyticsSubscribers from './use-analytics-subscribers'
+import analytics, {EVENTS} from '../analytics'
+import EinsteinAPI from '../commerce-api/einstein'
+import {renderWithProviders} from '../utils/test-utils'
+
+const product = {id: '25502228M'}
+
+const MockApp = ({children}) => {
+    useAnalyticsSubscribers()
+    return <>{children}</>
+}
+
+MockApp.propTypes = {
+    children: PropTypes.node
+}
+
+const MockPage = () => {
+    useEffect(() => {
+        analytics.publish(EVENTS.VIEW_ITEM, {product})
+    }, [])
+    return null
+}
+
+afterEach(() => {
+    jest.restoreAllMocks()
+})
+
+describe('useAnalyticsSubscribers', () => {
+    test('forwards the events the first page publishes', () => {
+        const sendViewProduct = jest
+            .spyOn(EinsteinAPI.prototype, 'sendViewProduct')
+            .mockResolvedValue({})
+
+        renderWithProviders(
+            <MockApp>
+                <MockPage />
+            </MockApp>
+        )
+
+        expect(sendViewProduct).toHaveBeenCalledTimes(1)
+        expect(sendViewProduct).toHaveBeenCalledWith(product)
+    })
+
+    test('removes the subscribers on unmount', () => {
+        const sendViewProduct = jest
+            .spyOn(EinsteinAPI.prototype, 'sendViewProduct')
+            .mockResolvedValue({})
+
+        const {unmount} = renderWithProviders(<MockApp />)
+        unmount()
+        analytics.publish(EVENTS.VIEW_ITEM, {product})
+
+        expect(sendViewProduct).not.toHaveBeenCalled()
+    })
+})
@@ -8,6 +8,7 @@ import React, {useEffect, useRef, useState} from 'react'
 import PropTypes from 'prop-types'
 import {FormattedMessage, useIntl} from 'react-intl'
 import {useForm} from 'react-hook-form'
+import {getConfig} from 'pwa-kit-runtime/utils/ssr-config'
 import {
     Button,
     Modal,
@@ -21,10 +22,12 @@ import {
     useToast
 } from '@chakra-ui/react'
 import useCustomer from '../commerce-api/hooks/useCustomer'
+import {InvalidCredentialsError} from '../commerce-api/errors'
 import {BrandLogo} from '../components/icons'
 import LoginForm from '../components/login'
 import ResetPasswordForm from '../components/reset-password'
 import RegisterForm from '../components/register'
+import PasswordlessLoginForm from '../components/passwordless-login'
 import {noop} from '../utils/utils'
 import {API_ERROR_MESSAGE} from '../constants'
 import useNavigation from './use-navigation'
@@ -32,6 +35,7 @@ import useNavigation from './use-navigation'
 const LOGIN_VIEW = 'login'
 const REGISTER_VIEW = 'register'
 const PASSWORD_VIEW = 'password'
+const PASSWORDLESS_VIEW = 'passwordless'
 
 export const AuthModal = ({
     initialView = LOGIN_VIEW,
@@ -46,7 +50,10 @@ export const AuthModal = ({
     const [currentView, setCurrentView] = useState(initialView)
     const form = useForm()
     const submittedEmail = useRef()
+    // The email the passwordless login code was sent to
+    const [passwordlessEmail, setPasswordlessEmail] = useState()
     const toast = useToast()
+    const isPasswordlessEnabled = getConfig().app.commerceAPI.passwordlessConfig?.enabled
 
     const submitForm = async (data) => {
         form.clearErrors()
@@ -54,7 +61,8 @@ export const AuthModal = ({
         return {
             login: handleLogin,
             register: handleRegister,
-            password: handleResetPassword
+            password: handleResetPassword,
+            passwordless: handlePasswordlessLogin
         }[currentView](data)
     }
 
@@ -62,13 +70,14 @@ export const AuthModal = ({
         try {
             await customer.login(data)
         } catch (error) {
-            const message = /invalid credentials/i.test(error.message)
-                ? formatMessage({
-                      defaultMessage:
-                          "Something's not right with your email or password. Try again.",
-                      id: 'auth_modal.error.incorrect_email_or_password'
-                  })
-                : formatMessage(API_ERROR_MESSAGE)
+            const message =
+                error instanceof InvalidCredentialsError
+                    ? formatMessage({
+                          defaultMessage:
+                              "Something's not right with your email or password. Try again.",
+                          id: 'auth_modal.error.incorrect_email_or_password'
+                      })
+                    : formatMessage(API_ERROR_MESSAGE)
             form.setError('global', {type: 'manual', message})
         }
     }
@@ -93,11 +102,50 @@ export const AuthModal = ({
         }
     }
 
+    const handlePasswordlessLogin = async ({email, code}) => {
+        try {
+            if (!passwordlessEmail) {
+                await customer.requestLoginCode(email)
+                setPasswordlessEmail(email)
+                return
+            }
+            await customer.loginWithCode(code)
+        } catch (error) {
+            const message =
+                error instanceof InvalidCredentialsError
+                    ? formatMessage({
+                          defaultMessage: 'This code is incorrect or has expired. Try again.',
+                          id: 'auth_modal.error.incorrect_login_code'
+                      })
+                    : formatMessage(API_ERROR_MESSAGE)
+            form.setError('global', {type: 'manual', message})
+        }
+    }
+
+    const handleResendCode = async () => {
+        form.clearErrors()
+        try {
+            await customer.requestLoginCode(passwordlessEmail)
+            toast({
+                title: formatMessage({
+                    defaultMessage: 'We sent you a new code.',
+                    id: 'auth_modal.info.sent_new_code'
+                }),
+                status: 'success',
+                position: 'top-right',
+                isClosable: true
+            })
+        } catch (error) {
+            form.setError('global', {type: 'manual', message: formatMessage(API_ERROR_MESSAGE)})
+        }
+    }
+
     // Reset form and local state when opening the modal
     useEffect(() => {
         if (props.isOpen) {
             setCurrentView(initialView)
             submittedEmail.current = undefined
+            setPasswordlessEmail(undefined)
             form.reset()
         }
     }, [props.isOpen])
@@ -107,7 +155,8 @@ export const AuthModal = ({
         const initialField = {
             [LOGIN_VIEW]: 'email',
             [REGISTER_VIEW]: 'firstName',
-            [PASSWORD_VIEW]: 'email'
+            [PASSWORD_VIEW]: 'email',
+            [PASSWORDLESS_VIEW]: passwordlessEmail ? 'code' : 'email'
         }[currentView]
         const fieldsRef = form.control?.fieldsRef?.current
         fieldsRef?.[initialField]?.ref.focus()
@@ -116,11 +165,12 @@ export const AuthModal = ({
     // Clear form state when changing views
     useEffect(() => {
         form.reset()
+        setPasswordlessEmail(undefined)
     }, [currentView])
 
     useEffect(() => {
         // Lets determine if the user has either logged in, or registed.
-        const loggingIn = currentView === LOGIN_VIEW
+        const loggingIn = currentView === LOGIN_VIEW || currentView === PASSWORDLESS_VIEW
         const registering = currentView === REGISTER_VIEW
         const {isOpen} = props
         const isNowRegistered = isOpen && customer.isRegistered && (loggingIn || registering)
@@ -212,6 +262,11 @@ export const AuthModal = ({
                             submitForm={submitForm}
                             clickCreateAccount={() => setCurrentView(REGISTER_VIEW)}
                             clickForgotPassword={() => setCurrentView(PASSWORD_VIEW)}
+                            clickPasswordlessLogin={
+                                isPasswordlessEnabled
+                                    ? () => setCurrentView(PASSWORDLESS_VIEW)
+                                    : undefined
+                            }
                         />
                     )}
                     {!form.formState.isSubmitSuccessful && currentView === REGISTER_VIEW && (
@@ -228,6 +283,16 @@ export const AuthModal = ({
                             clickSignIn={onBackToSignInClick}
                         />
                     )}
+                    {/* The code is entered after the email was submitted successfully. */}
+                    {currentView === PASSWORDLESS_VIEW && (
+                        <PasswordlessLoginForm
+                            form={form}
+                            submitForm={submitForm}
+                            email={passwordlessEmail}
+                            clickSignIn={onBackToSignInClick}
+                            clickResendCode={handleResendCode}
+                        />
+                    )}
                     {form.formState.isSubmitSuccessful && currentView === PASSWORD_VIEW && (
                         <PasswordResetSuccess />
                     )}
@@ -238,7 +303,7 @@ export const AuthModal = ({
 }
 
 AuthModal.propTypes = {
-    initialView: PropTypes.oneOf([LOGIN_VIEW, REGISTER_VIEW, PASSWORD_VIEW]),
+    initialView: PropTypes.oneOf([LOGIN_VIEW, REGISTER_VIEW, PASSWORD_VIEW, PASSWORDLESS_VIEW]),
     isOpen: PropTypes.bool.isRequired,
     onOpen: PropTypes.func.isRequired,
     onClose: PropTypes.func.isRequired,
@@ -249,7 +314,7 @@ AuthModal.propTypes = {
 
 /**
  *
- * @param {('register'|'login'|'password')} initialView - the initial view for the modal
+ * @param {('register'|'login'|'password'|'passwordless')} initialView - the initial view for the modal
  * @returns {Object} - Object props to be spread on to the AuthModal component
  */
 export const useAuthModal = (initialView = LOGIN_VIEW) => {
@@ -10,6 +10,7 @@ import {screen, within, waitFor} from '@testing-library/react'
 import user from '@testing-library/user-event'
 import {renderWithProviders, createPathWithDefaults} from '../utils/test-utils'
 import {AuthModal, useAuthModal} from './use-auth-modal'
+import {InvalidCredentialsError} from '../commerce-api/errors'
 import {BrowserRouter as Router, Route} from 'react-router-dom'
 import Account from '../pages/account'
 import {rest} from 'msw'
@@ -34,11 +35,15 @@ const mockRegisteredCustomer = {
 }
 
 const mockLogin = jest.fn()
+const mockRequestLoginCode = jest.fn()
+const mockLoginWithCode = jest.fn()
 
 jest.mock('../commerce-api/auth', () => {
     return jest.fn().mockImplementation(() => {
         return {
-            login: mockLogin
+            login: mockLogin,
+            requestLoginCode: mockRequestLoginCode,
+            loginWithCode: mockLoginWithCode
         }
     })
 })
@@ -145,7 +150,7 @@ test('Allows customer to sign in to their account', async () => {
 
 test('Renders error when given incorrect log in credentials', async () => {
     mockLogin.mockImplementationOnce(async () => {
-        throw new Error('invalid credentials')
+        throw new InvalidCredentialsError('invalid credentials', {status: 401})
     })
 
     // render our test component
@@ -237,3 +242,48 @@ test('Allows customer to create an account', async () => {
         expect(screen.getAllByText(/welcome tester/i).length).toEqual(2)
     })
 })
+
+test('Allows customer to sign in with a code sent by email', async () => {
+    mockLoginWithCode.mockImplementationOnce(async () => {
+        return {authType: 'registered', customerId: 'registeredCustomerId'}
+    })
+    // render our test component
+    renderWithProviders(<MockedComponent />)
+
+    // open the modal and switch to the passwordless login
+    user.click(screen.getByText(/open modal/i))
+    user.click(screen.getByText(/email me a login code/i))
+
+    // request a code
+    user.type(screen.getByLabelText('Email'), 'customer@test.com')
+    user.click(screen.getByText(/send code/i))
+    expect(await screen.findByLabelText('Login Code')).toBeInTheDocument()
+    expect(mockRequestLoginCode).toHaveBeenCalledWith('customer@test.com')
+
+    // enter the code and submit
+    user.type(screen.getByLabelText('Login Code'), '12345678')
+    user.click(screen.getByRole('button', {name: 'Sign In'}))
+
+    await waitFor(() => {
+        expect(mockLoginWithCode).toHaveBeenCalledWith('12345678')
+        expect(authModal.isOpen).toBe(false)
+    })
+})
+
+test('Renders error when given an incorrect login code', async () => {
+    mockLoginWithCode.mockImplementationOnce(async () => {
+        throw new InvalidCredentialsError('invalid token', {status: 401})
+    })
+    // render our test component
+    renderWithProviders(<MockedComponent initialView="passwordless" />)
+    user.click(screen.getByText(/open modal/i))
+
+    user.type(screen.getByLabelText('Email'), 'customer@test.com')
+    user.click(screen.getByText(/send code/i))
+    user.type(await screen.findByLabelText('Login Code'), '00000000')
+    user.click(screen.getByRole('button', {name: 'Sign In'}))
+
+    expect(
+        await screen.findByText(/this code is incorrect or has expired\. try again\./i)
+    ).toBeInTheDocument()
+})
@@ -0,0 +1,20 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useContext} from 'react'
+import {ConsentContext} from '../contexts'
+
+/**
+ * Custom React hook to get the shopper's consent choices and to update them
+ * @returns {{consent: Object, hasDecided: boolean, isLoaded: boolean, globalPrivacyControl: boolean, updateConsent: function}}
+ */
+export const useConsent = () => {
+    const context = useContext(ConsentContext)
+    if (context === undefined) {
+        throw new Error('useConsent must be used within ConsentProvider')
+    }
+    return context
+}
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useEffect, useRef, useState} from 'react'
+
+// The shopper's last activity in any of their tabs, so that the tabs time out together.
+const lastActivityStorageKey = 'last-activity'
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart']
+// How often the idle time is checked, and the activity is written to the storage at most.
+const INTERVAL = 1000
+
+const getLastActivity = () => Number(window.localStorage.getItem(lastActivityStorageKey)) || 0
+
+const setLastActivity = () => window.localStorage.setItem(lastActivityStorageKey, Date.now())
+
+/**
+ * Calls `onTimeout` when the shopper has been inactive in all of their tabs for `timeout`
+ * milliseconds. The activity is tracked across page loads, so the timeout also applies when the
+ * shopper comes back to the site later. During the last `warning` milliseconds, `isWarning` is true
+ * and `remaining` is the number of seconds left. The shopper's activity doesn't end the warning,
+ * only `stayActive` does.
+ *
+ * @param {Object} options
+ * @param {number} options.timeout - The idle time in milliseconds, 0 to turn the timeout off
+ * @param {number} [options.warning] - How long to warn the shopper before the timeout
+ * @param {boolean} [options.enabled] - Whether the timeout applies, e.g. to the current shopper
+ * @param {number} [options.since] - A time the shopper was active at, e.g. when they logged in
+ * @param {function} options.onTimeout
+ * @returns {{isWarning: boolean, remaining: number, stayActive: function}}
+ */
+const useIdleTimeout = ({timeout, warning = 0, enabled = true, since = 0, onTimeout}) => {
+    // The seconds left while the shopper is warned
+    const [remaining, setRemaining] = useState()
+    const isWarning = useRef(false)
+    const latest = useRef()
+    latest.current = {since, onTimeout}
+
+    // The activity is tracked even when the timeout doesn't apply, so that it starts from the
+    // shopper's last activity, e.g. clicking the login button.
+    useEffect(() => {
+        if (!getLastActivity()) {
+            setLastActivity()
+        }
+        let lastWrite = 0
+        const handleActivity = () => {
+            if (isWarning.current || Date.now() - lastWrite < INTERVAL) {
+                return
+            }
+            lastWrite = Date.now()
+            setLastActivity()
+        }
+
+        ACTIVITY_EVENTS.forEach((type) =>
+            window.addEventListener(type, handleActivity, {capture: true, passive: true})
+        )
+        return () =>
+            ACTIVITY_EVENTS.forEach((type) =>
+                window.removeEventListener(type, handleActivity, {capture: true})
+            )
+    }, [])
+
+    useEffect(() => {
+        if (!enabled || !(timeout > 0)) {
+            isWarning.current = false
+            setRemaining(undefined)
+            return
+        }
+
+        const check = () => {
+            const idle = Date.now() - Math.max(getLastActivity(), latest.current.since)
+            if (idle >= timeout) {
+                clearInterval(interval)
+                isWarning.current = false
+                setRemaining(undefined)
+                latest.current.onTimeout()
+                return
+            }
+            isWarning.current = idle >= timeout - warning
+            setRemaining(isWarning.current ? Math.ceil((timeout - idle) / 1000) : undefined)
+        }
+
+        const interval = setInterval(check, INTERVAL)
+        check()
+        return () => clearInterval(interval)
+    }, [enabled, timeout, warning])
+
+    return {
+        isWarning: remaining !== undefined,
+        remaining,
+        stayActive() {
+            setLastActivity()
+            isWarning.current = false
+            setRemaining(undefined)
+        }
+    }
+}
+
+export default useIdleTimeout
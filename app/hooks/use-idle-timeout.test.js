@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {act, fireEvent, render, screen} from '@testing-library/react'
+import useIdleTimeout from './use-idle-timeout'
+
+const MockComponent = ({onTimeout, enabled = true}) => {
+    const {isWarning, remaining, stayActive} = useIdleTimeout({
+        timeout: 60 * 1000,
+        warning: 10 * 1000,
+        enabled,
+        onTimeout
+    })
+    return (
+        <div>
+            {isWarning && <p>Signing out in {remaining}</p>}
+            <button onClick={stayActive}>Stay</button>
+        </div>
+    )
+}
+
+MockComponent.propTypes = {
+    onTimeout: PropTypes.func,
+    enabled: PropTypes.bool
+}
+
+const advance = (ms) => act(() => jest.advanceTimersByTime(ms))
+
+beforeEach(() => {
+    jest.useFakeTimers('modern')
+    window.localStorage.clear()
+})
+
+afterEach(() => {
+    jest.useRealTimers()
+})
+
+test('warns the shopper before the timeout', () => {
+    const onTimeout = jest.fn()
+    render(<MockComponent onTimeout={onTimeout} />)
+
+    advance(45 * 1000)
+    expect(screen.queryByText(/signing out/i)).toBeNull()
+
+    advance(5 * 1000)
+    expect(screen.getByText('Signing out in 10')).toBeInTheDocument()
+    // Activity doesn't end the warning
+    fireEvent.keyDown(window)
+    advance(9 * 1000)
+    expect(screen.getByText('Signing out in 1')).toBeInTheDocument()
+    expect(onTimeout).not.toHaveBeenCalled()
+
+    advance(1000)
+    expect(onTimeout).toHaveBeenCalledTimes(1)
+    expect(screen.queryByText(/signing out/i)).toBeNull()
+})
+
+test('restarts the timeout on activity and when the shopper stays', () => {
+    const onTimeout = jest.fn()
+    render(<MockComponent onTimeout={onTimeout} />)
+
+    advance(40 * 1000)
+    fireEvent.mouseDown(window)
+    advance(40 * 1000)
+    expect(screen.queryByText(/signing out/i)).toBeNull()
+
+    advance(10 * 1000)
+    expect(screen.getByText(/signing out/i)).toBeInTheDocument()
+    fireEvent.click(screen.getByText('Stay'))
+    expect(screen.queryByText(/signing out/i)).toBeNull()
+
+    advance(45 * 1000)
+    expect(onTimeout).not.toHaveBeenCalled()
+})
+
+test('counts the activity in other tabs', () => {
+    const onTimeout = jest.fn()
+    render(<MockComponent onTimeout={onTimeout} />)
+
+    advance(55 * 1000)
+    window.localStorage.setItem('last-activity', Date.now())
+    advance(2000)
+    expect(screen.queryByText(/signing out/i)).toBeNull()
+})
+
+test('times out right away when the shopper comes back after the timeout', () => {
+    window.localStorage.setItem('last-activity', Date.now() - 2 * 60 * 1000)
+    const onTimeout = jest.fn()
+    render(<MockComponent onTimeout={onTimeout} />)
+    expect(onTimeout).toHaveBeenCalledTimes(1)
+})
+
+test('does nothing when disabled', () => {
+    const onTimeout = jest.fn()
+    render(<MockComponent onTimeout={onTimeout} enabled={false} />)
+
+    advance(2 * 60 * 1000)
+    expect(onTimeout).not.toHaveBeenCalled()
+})
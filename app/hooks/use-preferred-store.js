@@ -0,0 +1,20 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useContext} from 'react'
+import {PreferredStoreContext} from '../contexts'
+
+/**
+ * Custom React hook to get the store the shopper picked as their store and to change it
+ * @returns {{preferredStore: Object|null, setPreferredStore: function}}
+ */
+export const usePreferredStore = () => {
+    const context = useContext(PreferredStoreContext)
+    if (context === undefined) {
+        throw new Error('usePreferredStore must be used within PreferredStoreProvider')
+    }
+    return context
+}
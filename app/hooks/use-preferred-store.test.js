@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import Cookies from 'js-cookie'
+import {act, renderHook} from '@testing-library/react-hooks'
+import {usePreferredStore} from './use-preferred-store'
+import {ConsentProvider, PreferredStoreProvider} from '../contexts'
+import {CONSENT_COOKIE_NAME, FULL_CONSENT, NO_CONSENT} from '../utils/consent'
+import {PREFERRED_STORE} from '../constants'
+
+const store = {id: '00019', name: 'Palo Alto'}
+
+const wrapper = ({children}) => (
+    <ConsentProvider>
+        <PreferredStoreProvider>{children}</PreferredStoreProvider>
+    </ConsentProvider>
+)
+
+afterEach(() => {
+    Cookies.remove(CONSENT_COOKIE_NAME)
+    window.localStorage.clear()
+})
+
+describe('usePreferredStore', () => {
+    test('throws outside of the provider', () => {
+        const {result} = renderHook(() => usePreferredStore())
+        expect(result.error).toEqual(
+            Error('usePreferredStore must be used within PreferredStoreProvider')
+        )
+    })
+
+    test('restores the stored store', () => {
+        window.localStorage.setItem(PREFERRED_STORE, JSON.stringify(store))
+        const {result} = renderHook(() => usePreferredStore(), {wrapper})
+        expect(result.current.preferredStore).toEqual(store)
+    })
+
+    test('remembers the store with the functional consent', () => {
+        Cookies.set(CONSENT_COOKIE_NAME, JSON.stringify(FULL_CONSENT))
+        const {result} = renderHook(() => usePreferredStore(), {wrapper})
+
+        act(() => result.current.setPreferredStore(store))
+        expect(result.current.preferredStore).toEqual(store)
+        expect(JSON.parse(window.localStorage.getItem(PREFERRED_STORE))).toEqual(store)
+
+        act(() => result.current.setPreferredStore(null))
+        expect(window.localStorage.getItem(PREFERRED_STORE)).toBeNull()
+    })
+
+    test('only keeps the store for the visit without the functional consent', () => {
+        Cookies.set(CONSENT_COOKIE_NAME, JSON.stringify(NO_CONSENT))
+        const {result} = renderHook(() => usePreferredStore(), {wrapper})
+
+        act(() => result.current.setPreferredStore(store))
+        expect(result.current.preferredStore).toEqual(store)
+        expect(window.localStorage.getItem(PREFERRED_STORE)).toBeNull()
+    })
+})
@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import {useIntl} from 'react-intl'
+import {Button} from '@chakra-ui/react'
+import {useCommerceAPI} from '../commerce-api/contexts'
+import useBasket from '../commerce-api/hooks/useBasket'
+import {isError} from '../commerce-api/utils'
+import {createCommerceAPIError} from '../commerce-api/errors'
+import {useToast} from './use-toast'
+import useNavigation from './use-navigation'
+import {API_ERROR_MESSAGE} from '../constants'
+
+export const UNAVAILABLE_REASONS = Object.freeze({
+    DISCONTINUED: 'discontinued',
+    OUT_OF_STOCK: 'out-of-stock'
+})
+
+/**
+ * Returns why an ordered item can't be bought again, or undefined if it can.
+ * @param {Object} [product] - The current details of the item's product, if it's still sold
+ * @param {number} quantity - The ordered quantity
+ * @returns {string|undefined} One of `UNAVAILABLE_REASONS`
+ */
+export const getUnavailableReason = (product, quantity) => {
+    if (!product) {
+        return UNAVAILABLE_REASONS.DISCONTINUED
+    }
+    const {orderable, ats = 0} = product.inventory || {}
+    if (!orderable || ats < quantity) {
+        return UNAVAILABLE_REASONS.OUT_OF_STOCK
+    }
+    return undefined
+}
+
+/**
+ * Adds the items of a past order to the basket again. The products are looked up again, as they
+ * may have changed since the order: items that are no longer sold, or not in stock in the ordered
+ * quantity, are skipped and the shopper is told about them. The others are added in one request.
+ * Bonus products are left out, as they come with the promotions that apply to the basket.
+ * @returns {{reorder: function, isReordering: boolean}}
+ */
+export const useReorder = () => {
+    const api = useCommerceAPI()
+    const basket = useBasket()
+    const navigate = useNavigation()
+    const showToast = useToast()
+    const {formatMessage} = useIntl()
+    const [isReordering, setIsReordering] = useState(false)
+
+    /**
+     * @param {Array<Object>} orderItems - The product items of the order
+     * @returns {Promise<{added: Array<Object>, unavailable: Array<Object>}>} The items that were
+     * added, and those that weren't
+     */
+    const reorder = async (orderItems) => {
+        const items = orderItems.filter((item) => !item.bonusProductLineItem)
+        if (items.length === 0) {
+            return {added: [], unavailable: []}
+        }
+        setIsReordering(true)
+        try {
+            const response = await api.shopperProducts.getProducts({
+                parameters: {ids: [...new Set(items.map((item) => item.productId))].join(',')},
+                // The stock may have changed since the products were cached
+                cache: false
+            })
+            if (isError(response)) {
+                throw createCommerceAPIError(response)
+            }
+            const productsById = Object.fromEntries(
+                (response.data || []).map((product) => [product.id, product])
+            )
+
+            const added = []
+            const unavailable = []
+            items.forEach((item) => {
+                const reason = getUnavailableReason(productsById[item.productId], item.quantity)
+                if (reason) {
+                    unavailable.push({...item, reason})
+                } else {
+                    added.push(item)
+                }
+            })
+
+            if (added.length > 0) {
+                await basket.addItemToBasket(
+                    added.map(({productId, quantity}) => ({productId, quantity}))
+                )
+                showToast({
+                    title: formatMessage(
+                        {
+                            defaultMessage:
+                                '{quantity} {quantity, plural, one {item} other {items}} added to cart',
+                            id: 'use_reorder.info.added_to_cart'
+                        },
+                        {quantity: added.reduce((sum, item) => sum + item.quantity, 0)}
+                    ),
+                    status: 'success',
+                    action: (
+                        // The toast is rendered in a portal, outside of the intl provider, so
+                        // the label is formatted here rather than with FormattedMessage.
+                        <Button variant="link" onClick={() => navigate('/cart')}>
+                            {formatMessage({
+                                defaultMessage: 'View Cart',
+                                id: 'use_reorder.link.view_cart'
+                            })}
+                        </Button>
+                    )
+                })
+            }
+            if (unavailable.length > 0) {
+                showToast({
+                    title: formatMessage(
+                        {
+                            defaultMessage:
+                                '{names} {count, plural, one {is} other {are}} not available anymore and {count, plural, one {was} other {were}} not added to your cart.',
+                            id: 'use_reorder.info.items_unavailable'
+                        },
+                        {
+                            names: unavailable.map((item) => item.productName).join(', '),
+                            count: unavailable.length
+                        }
+                    ),
+                    status: 'warning'
+                })
+            }
+            return {added, unavailable}
+        } catch (error) {
+            showToast({title: formatMessage(API_ERROR_MESSAGE), status: 'error'})
+            return {added: [], unavailable: []}
+        } finally {
+            setIsReordering(false)
+        }
+    }
+
+    return {reorder, isReordering}
+}
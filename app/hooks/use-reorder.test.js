@@ -0,0 +1,147 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import PropTypes from 'prop-types'
+import {screen, waitFor} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {renderWithProviders} from '../utils/test-utils'
+import mockConfig from '../../config/mocks/default'
+import {mockOrderProducts} from '../commerce-api/mock-data'
+import {getUnavailableReason, UNAVAILABLE_REASONS, useReorder} from './use-reorder'
+
+const [product, outOfStockProduct] = mockOrderProducts.data
+
+const items = [
+    {itemId: '1', productId: product.id, productName: 'Shirt', quantity: 2},
+    {itemId: '2', productId: outOfStockProduct.id, productName: 'Crew Neck', quantity: 1},
+    {itemId: '3', productId: 'discontinued', productName: 'Old Dress', quantity: 1}
+]
+
+const MockComponent = ({items}) => {
+    const {reorder} = useReorder()
+    const [result, setResult] = useState()
+    return (
+        <div>
+            <button onClick={async () => setResult(await reorder(items))}>Buy it again</button>
+            {result && (
+                <div>
+                    Added {result.added.map((item) => item.itemId).join(',')}
+                    Unavailable{' '}
+                    {result.unavailable.map((item) => `${item.itemId}:${item.reason}`).join(',')}
+                </div>
+            )}
+        </div>
+    )
+}
+
+MockComponent.propTypes = {
+    items: PropTypes.array
+}
+
+let addedItems
+beforeEach(() => {
+    addedItems = undefined
+    global.server.use(
+        rest.get('*/products', (req, res, ctx) =>
+            res(
+                ctx.delay(0),
+                ctx.json({
+                    ...mockOrderProducts,
+                    data: [product, {...outOfStockProduct, inventory: {ats: 0, orderable: false}}]
+                })
+            )
+        ),
+        rest.post('*/baskets/:basketId/items', (req, res, ctx) => {
+            addedItems = req.body
+            return res(ctx.delay(0), ctx.json({basket_id: 'basketId', product_items: req.body}))
+        })
+    )
+})
+
+test('getUnavailableReason flags discontinued and out of stock products', () => {
+    expect(getUnavailableReason(undefined, 1)).toEqual(UNAVAILABLE_REASONS.DISCONTINUED)
+    expect(getUnavailableReason({inventory: {orderable: false, ats: 0}}, 1)).toEqual(
+        UNAVAILABLE_REASONS.OUT_OF_STOCK
+    )
+    expect(getUnavailableReason({inventory: {orderable: true, ats: 1}}, 2)).toEqual(
+        UNAVAILABLE_REASONS.OUT_OF_STOCK
+    )
+    expect(getUnavailableReason({inventory: {orderable: true, ats: 2}}, 2)).toBeUndefined()
+})
+
+test('adds the available items to the basket in one request', async () => {
+    renderWithProviders(<MockComponent items={items} />, {
+        wrapperProps: {initialBasket: {basketId: 'basketId'}}
+    })
+
+    user.click(screen.getByText('Buy it again'))
+    expect(await screen.findByText(/Added 1/)).toBeInTheDocument()
+    expect(screen.getByText(/2:out-of-stock,3:discontinued/)).toBeInTheDocument()
+    expect(addedItems).toEqual([{product_id: product.id, quantity: 2}])
+    await waitFor(() =>
+        expect(
+            screen.getByText(/Crew Neck, Old Dress are not available anymore/i)
+        ).toBeInTheDocument()
+    )
+})
+
+test('leaves out bonus products', async () => {
+    renderWithProviders(
+        <MockComponent
+            items={[
+                items[0],
+                {
+                    itemId: '4',
+                    productId: product.id,
+                    productName: 'Shirt',
+                    quantity: 1,
+                    bonusProductLineItem: true
+                }
+            ]}
+        />,
+        {wrapperProps: {initialBasket: {basketId: 'basketId'}}}
+    )
+
+    user.click(screen.getByText('Buy it again'))
+    expect(await screen.findByText(/Added 1/)).toBeInTheDocument()
+    expect(addedItems).toEqual([{product_id: product.id, quantity: 2}])
+})
+
+test('reads the current stock rather than a cached one', async () => {
+    renderWithProviders(<MockComponent items={items.slice(1, 2)} />, {
+        wrapperProps: {
+            initialBasket: {basketId: 'basketId'},
+            appConfig: {
+                ...mockConfig.app,
+                commerceAPI: {...mockConfig.app.commerceAPI, cacheConfig: {ttl: 60}}
+            }
+        }
+    })
+
+    user.click(screen.getByText('Buy it again'))
+    expect(await screen.findByText(/2:out-of-stock/)).toBeInTheDocument()
+
+    global.server.use(
+        rest.get('*/products', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.json({...mockOrderProducts, data: [outOfStockProduct]}))
+        )
+    )
+    user.click(screen.getByText('Buy it again'))
+    expect(await screen.findByText(/Added 2/)).toBeInTheDocument()
+    expect(addedItems).toEqual([{product_id: outOfStockProduct.id, quantity: 1}])
+})
+
+test('does not add anything when no item is available', async () => {
+    renderWithProviders(<MockComponent items={items.slice(1)} />, {
+        wrapperProps: {initialBasket: {basketId: 'basketId'}}
+    })
+
+    user.click(screen.getByText('Buy it again'))
+    expect(await screen.findByText(/Unavailable/)).toBeInTheDocument()
+    expect(addedItems).toBeUndefined()
+})
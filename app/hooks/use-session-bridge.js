@@ -0,0 +1,78 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useEffect} from 'react'
+import {useCommerceAPI} from '../commerce-api/contexts'
+import useCustomer from '../commerce-api/hooks/useCustomer'
+
+/**
+ * Keeps the SFRA session in sync with the shopper's session when the session bridge is enabled
+ * (see `app.commerceAPI.sessionBridgeConfig`). The session is bridged whenever the shopper logs
+ * in or out, and links to the SFRA pages wait for it to be bridged before they're followed.
+ */
+const useSessionBridge = () => {
+    const api = useCommerceAPI()
+    const customer = useCustomer()
+    const {sessionBridge} = api
+
+    useEffect(() => {
+        if (!sessionBridge || !customer.isInitialized) {
+            return
+        }
+        sessionBridge.bridge().catch((error) => {
+            console.warn('Failed to bridge the session', error)
+        })
+    }, [customer.customerId, customer.authType])
+
+    useEffect(() => {
+        if (!sessionBridge) {
+            return
+        }
+
+        const handleClick = (event) => {
+            // Leave the links opened in other tabs and windows to the browser
+            if (
+                event.defaultPrevented ||
+                event.button !== 0 ||
+                event.metaKey ||
+                event.ctrlKey ||
+                event.shiftKey ||
+                event.altKey
+            ) {
+                return
+            }
+            const link = event.target.closest?.('a[href]')
+            if (
+                !link ||
+                (link.target && link.target !== '_self') ||
+                link.hasAttribute('download')
+            ) {
+                return
+            }
+            const url = new URL(link.href, window.location.href)
+            if (
+                url.origin !== window.location.origin ||
+                !sessionBridge.isLegacyRoute(url.pathname)
+            ) {
+                return
+            }
+
+            // The listener runs in the capture phase, before the router handles the click.
+            event.preventDefault()
+            sessionBridge
+                .bridge()
+                .catch((error) => {
+                    console.warn('Failed to bridge the session', error)
+                })
+                .then(() => window.location.assign(url.href))
+        }
+
+        document.addEventListener('click', handleClick, true)
+        return () => document.removeEventListener('click', handleClick, true)
+    }, [])
+}
+
+export default useSessionBridge
@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {useState} from 'react'
+import fetch from 'cross-fetch'
+import {getConfig} from 'pwa-kit-runtime/utils/ssr-config'
+import {useCommerceAPI} from '../commerce-api/contexts'
+import {isError} from '../commerce-api/utils'
+import {createCommerceAPIError} from '../commerce-api/errors'
+
+export const STORE_SEARCH_ERRORS = Object.freeze({
+    LOCATION_UNAVAILABLE: 'location-unavailable',
+    CITY_NOT_FOUND: 'city-not-found',
+    SEARCH_FAILED: 'search-failed'
+})
+
+// Resolves with the shopper's current position, as given by the browser
+const getCurrentPosition = () =>
+    new Promise((resolve, reject) => {
+        if (typeof navigator === 'undefined' || !navigator.geolocation) {
+            reject(new Error('Geolocation is not supported'))
+            return
+        }
+        navigator.geolocation.getCurrentPosition(resolve, reject)
+    })
+
+// Resolves with the position of a city, see `storeLocator` in the app config
+const geocodeCity = async (countryCode, city) => {
+    const {geocodingURL} = getConfig().app.storeLocator
+    const query = new URLSearchParams({format: 'json', limit: '1', city, countrycodes: countryCode})
+    const response = await fetch(`${geocodingURL}?${query}`)
+    if (!response.ok) {
+        throw new Error(`Failed to geocode the city (${response.status})`)
+    }
+    const [place] = await response.json()
+    if (!place) {
+        throw new Error(`The city ${city} was not found`)
+    }
+    return {latitude: Number(place.lat), longitude: Number(place.lon)}
+}
+
+/**
+ * Searches the stores around a postal code, a city, or the shopper's current location.
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance] - The default search radius, the API's default if not given
+ * @param {string} [options.distanceUnit] - The unit of the radius and of the stores' distance, `mi` or `km`
+ * @returns {{stores: Array<Object>|undefined, isSearching: boolean, error: string|undefined,
+ * searchByPostalCode: function, searchByCity: function, searchByLocation: function}} The stores are undefined until a
+ * search is made, and the error is one of `STORE_SEARCH_ERRORS`
+ */
+export const useStoreSearch = ({maxDistance, distanceUnit = 'mi'} = {}) => {
+    const api = useCommerceAPI()
+    const [state, setState] = useState({stores: undefined, isSearching: false, error: undefined})
+
+    const search = async (
+        getLocation,
+        radius = maxDistance,
+        locationError = STORE_SEARCH_ERRORS.LOCATION_UNAVAILABLE
+    ) => {
+        setState((state) => ({...state, isSearching: true, error: undefined}))
+        let location
+        try {
+            location = await getLocation()
+        } catch (error) {
+            setState({stores: undefined, isSearching: false, error: locationError})
+            return
+        }
+        try {
+            const response = await api.shopperStores.searchStores({
+                parameters: {...location, maxDistance: radius, distanceUnit}
+            })
+            if (isError(response)) {
+                throw createCommerceAPIError(response)
+            }
+            setState({stores: response.data || [], isSearching: false, error: undefined})
+        } catch (error) {
+            setState({
+                stores: undefined,
+                isSearching: false,
+                error: STORE_SEARCH_ERRORS.SEARCH_FAILED
+            })
+        }
+    }
+
+    return {
+        ...state,
+        distanceUnit,
+
+        /**
+         * @param {Object} location
+         * @param {string} location.countryCode
+         * @param {string} location.postalCode
+         * @param {number} [location.maxDistance] - The search radius, the default one if not given
+         */
+        searchByPostalCode({countryCode, postalCode, maxDistance}) {
+            return search(async () => ({countryCode, postalCode: postalCode.trim()}), maxDistance)
+        },
+
+        /**
+         * @param {Object} location
+         * @param {string} location.countryCode
+         * @param {string} location.city
+         * @param {number} [location.maxDistance] - The search radius, the default one if not given
+         */
+        searchByCity({countryCode, city, maxDistance}) {
+            return search(
+                () => geocodeCity(countryCode, city.trim()),
+                maxDistance,
+                STORE_SEARCH_ERRORS.CITY_NOT_FOUND
+            )
+        },
+
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.maxDistance] - The search radius, the default one if not given
+         */
+        searchByLocation({maxDistance} = {}) {
+            return search(async () => {
+                const {coords} = await getCurrentPosition()
+                return {latitude: coords.latitude, longitude: coords.longitude}
+            }, maxDistance)
+        }
+    }
+}
@@ -5,11 +5,14 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import useCustomerProductList from '../commerce-api/hooks/useCustomerProductList'
+import analytics, {EVENTS} from '../analytics'
 
 const PWA_DEFAULT_WISHLIST_NAME = 'PWA wishlist'
 const PWA_DEFAULT_WISHLIST_TYPE = 'wish_list'
 
+const onItemCreated = (item) => analytics.publish(EVENTS.ADD_TO_WISHLIST, {item})
+
 const useWishlist = () =>
-    useCustomerProductList(PWA_DEFAULT_WISHLIST_NAME, PWA_DEFAULT_WISHLIST_TYPE)
+    useCustomerProductList(PWA_DEFAULT_WISHLIST_NAME, PWA_DEFAULT_WISHLIST_TYPE, {onItemCreated})
 
 export default useWishlist
@@ -9,6 +9,7 @@ import React from 'react'
 import useWishlist from './use-wishlist'
 import useCustomerProductLists from '../commerce-api/hooks/useCustomerProductLists'
 import {renderWithProviders} from '../utils/test-utils'
+import analytics, {EVENTS} from '../analytics'
 
 jest.mock('../commerce-api/hooks/useCustomerProductLists')
 
@@ -329,4 +330,26 @@ describe('useWishlist hook', () => {
 
         expect(result.init).toBeCalled()
     })
+    test('createListItem publishes an analytics event', async () => {
+        const subscriber = jest.fn()
+        const unsubscribe = analytics.subscribe(subscriber)
+        const mockFindListByName = jest
+            .fn()
+            .mockReturnValue(mockData.data['f25ad12f60bdf2fb6ec932b78e'])
+
+        useCustomerProductLists.mockReturnValue({
+            createListItem: jest.fn(),
+            findListByName: mockFindListByName
+        })
+        renderWithProviders(<MockComponent />)
+        await result.createListItem({id: '25697212M', quantity: 1})
+        unsubscribe()
+
+        expect(subscriber).toHaveBeenCalledWith(
+            expect.objectContaining({
+                type: EVENTS.ADD_TO_WISHLIST,
+                payload: {item: {id: '25697212M', quantity: 1}}
+            })
+        )
+    })
 })
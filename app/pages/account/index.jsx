@@ -27,6 +27,7 @@ import useCustomer from '../../commerce-api/hooks/useCustomer'
 import Seo from '../../components/seo'
 import Link from '../../components/link'
 import {ChevronDownIcon, ChevronUpIcon, SignoutIcon} from '../../components/icons'
+import RecentLoginRequired from '../../components/recent-login-required'
 import AccountDetail from './profile'
 import AccountAddresses from './addresses'
 import AccountOrders from './orders'
@@ -209,7 +210,9 @@ const Account = () => {
                         <AccountOrders />
                     </Route>
                     <Route exact path={`${path}/payments`}>
-                        <AccountPaymentMethods />
+                        <RecentLoginRequired>
+                            <AccountPaymentMethods />
+                        </RecentLoginRequired>
                     </Route>
                 </Switch>
             </Grid>
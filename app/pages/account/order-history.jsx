@@ -5,7 +5,7 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 
-import React, {useEffect} from 'react'
+import React, {useEffect, useState} from 'react'
 import {FormattedMessage, FormattedNumber, useIntl} from 'react-intl'
 import {useLocation} from 'react-router'
 import {
@@ -26,10 +26,12 @@ import useCustomer from '../../commerce-api/hooks/useCustomer'
 import useNavigation from '../../hooks/use-navigation'
 import {usePageUrls, useSearchParams} from '../../hooks'
 import {useAccountOrders} from './util/order-context'
+import {useReorder} from '../../hooks/use-reorder'
 import PageActionPlaceHolder from '../../components/page-action-placeholder'
 import Link from '../../components/link'
 import {ChevronRightIcon, ReceiptIcon} from '../../components/icons'
 import Pagination from '../../components/pagination'
+import {BUY_IT_AGAIN_MESSAGE} from '../../constants'
 
 const AccountOrderHistory = () => {
     const location = useLocation()
@@ -40,6 +42,15 @@ const AccountOrderHistory = () => {
     const {orderIdsByOffset, ordersById, productsById, isLoading, fetchOrders, paging} =
         useAccountOrders()
     const pageUrls = usePageUrls({total: paging.total, limit: paging.limit})
+    const {reorder, isReordering} = useReorder()
+    // The number of the order that is being bought again
+    const [reorderingOrderNo, setReorderingOrderNo] = useState()
+
+    const buyAgain = async (order) => {
+        setReorderingOrderNo(order.orderNo)
+        await reorder(order.productItems)
+        setReorderingOrderNo(undefined)
+    }
 
     const orders =
         orderIdsByOffset[searchParams.offset || 0]?.map((orderId) => ordersById[orderId]) || []
@@ -96,7 +107,16 @@ const AccountOrderHistory = () => {
                                                 }}
                                             />
                                         </Text>
-                                        <Box>
+                                        <Stack direction="row" spacing={4} alignItems="center">
+                                            <Button
+                                                variant="link"
+                                                fontSize={{base: 'sm', lg: 'md'}}
+                                                onClick={() => buyAgain(order)}
+                                                isLoading={reorderingOrderNo === order.orderNo}
+                                                isDisabled={isReordering}
+                                            >
+                                                <FormattedMessage {...BUY_IT_AGAIN_MESSAGE} />
+                                            </Button>
                                             <Button
                                                 as={Link}
                                                 to={`/account/orders/${order.orderNo}`}
@@ -111,7 +131,7 @@ const AccountOrderHistory = () => {
                                                     id="account_order_history.link.view_details"
                                                 />
                                             </Button>
-                                        </Box>
+                                        </Stack>
                                     </Flex>
                                     <Stack direction="row" alignItems="center">
                                         <Text>
@@ -13,6 +13,7 @@ import {Box, Stack, Grid, GridItem, Container, useDisclosure, Button} from '@cha
 
 // Project Components
 import CartCta from './partials/cart-cta'
+import CartItemFulfillment from './partials/cart-item-fulfillment'
 import CartSecondaryButtonGroup from './partials/cart-secondary-button-group'
 import CartSkeleton from './partials/cart-skeleton'
 import CartTitle from './partials/cart-title'
@@ -22,6 +23,7 @@ import OrderSummary from '../../components/order-summary'
 import ProductItem from '../../components/product-item/index'
 import ProductViewModal from '../../components/product-view-modal'
 import RecommendedProducts from '../../components/recommended-products'
+import StorePickerModal from '../../components/store-picker-modal'
 
 // Hooks
 import {useToast} from '../../hooks/use-toast'
@@ -29,10 +31,13 @@ import useWishlist from '../../hooks/use-wishlist'
 import useCustomer from '../../commerce-api/hooks/useCustomer'
 import useNavigation from '../../hooks/use-navigation'
 import useBasket from '../../commerce-api/hooks/useBasket'
+import {OutOfStockError} from '../../commerce-api/errors'
+import analytics, {EVENTS} from '../../analytics'
 
 // Constants
 import {
     API_ERROR_MESSAGE,
+    STORE_OUT_OF_STOCK_MESSAGE,
     TOAST_ACTION_VIEW_WISHLIST,
     TOAST_MESSAGE_ADDED_TO_WISHLIST
 } from '../../constants'
@@ -47,6 +52,8 @@ const Cart = () => {
     const [selectedItem, setSelectedItem] = useState(undefined)
     const [localQuantity, setLocalQuantity] = useState({})
     const [isCartItemLoading, setCartItemLoading] = useState(false)
+    // The item the shopper is picking a store for
+    const [pickupItem, setPickupItem] = useState(undefined)
     const {isOpen, onOpen, onClose} = useDisclosure()
     const {formatMessage} = useIntl()
     const toast = useToast()
@@ -97,6 +104,13 @@ const Cart = () => {
         }
     }, [basket.basketId])
 
+    /**************** Analytics ****************/
+    useEffect(() => {
+        if (basket.basketId && basket.productItems) {
+            analytics.publish(EVENTS.VIEW_CART, {basket})
+        }
+    }, [basket.basketId])
+
     if (!basket?.basketId) {
         return <CartSkeleton />
     }
@@ -216,6 +230,24 @@ const Cart = () => {
         }
     }
 
+    const handleSetItemPickupStore = async (product, store) => {
+        setSelectedItem(product)
+        setCartItemLoading(true)
+        try {
+            await basket.setItemPickupStore(product, store)
+        } catch (error) {
+            if (error instanceof OutOfStockError) {
+                toast({title: formatMessage(STORE_OUT_OF_STOCK_MESSAGE), status: 'error'})
+            } else {
+                showError()
+            }
+        } finally {
+            // reset the state
+            setCartItemLoading(false)
+            setSelectedItem(undefined)
+        }
+    }
+
     return (
         <Box background="gray.50" flex="1" data-testid="sf-cart-container">
             <Container
@@ -236,17 +268,25 @@ const Cart = () => {
                                 <Stack spacing={4}>
                                     {basket.productItems.map((product, idx) => (
                                         <ProductItem
-                                            key={product.productId}
+                                            key={product.itemId}
                                             index={idx}
                                             secondaryActions={
-                                                <CartSecondaryButtonGroup
-                                                    onAddToWishlistClick={handleAddToWishlist}
-                                                    onEditClick={(product) => {
-                                                        setSelectedItem(product)
-                                                        onOpen()
-                                                    }}
-                                                    onRemoveItemClick={handleRemoveItem}
-                                                />
+                                                <Stack spacing={3}>
+                                                    <CartItemFulfillment
+                                                        onPickUpInStoreClick={setPickupItem}
+                                                        onShipClick={(product) =>
+                                                            handleSetItemPickupStore(product, null)
+                                                        }
+                                                    />
+                                                    <CartSecondaryButtonGroup
+                                                        onAddToWishlistClick={handleAddToWishlist}
+                                                        onEditClick={(product) => {
+                                                            setSelectedItem(product)
+                                                            onOpen()
+                                                        }}
+                                                        onRemoveItemClick={handleRemoveItem}
+                                                    />
+                                                </Stack>
                                             }
                                             product={{
                                                 ...product,
@@ -281,6 +321,17 @@ const Cart = () => {
                                             }
                                         />
                                     )}
+                                    {pickupItem && (
+                                        <StorePickerModal
+                                            isOpen={true}
+                                            onClose={() => setPickupItem(undefined)}
+                                            onSelect={(store) => {
+                                                setPickupItem(undefined)
+                                                return handleSetItemPickupStore(pickupItem, store)
+                                            }}
+                                            selectedStoreId={pickupItem.c_fromStoreId}
+                                        />
+                                    )}
                                 </Box>
                             </GridItem>
                             <GridItem>
@@ -56,6 +56,9 @@ jest.mock('../../commerce-api/auth', () => {
         login() {
             return mockedGuestCustomer
         }
+        onSessionChange() {
+            return () => {}
+        }
     }
 })
 
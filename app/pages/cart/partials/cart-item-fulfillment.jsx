@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {Button, ButtonGroup, Stack, Text} from '@chakra-ui/react'
+import {FormattedMessage} from 'react-intl'
+import {useItemVariant} from '../../../components/item-variant'
+import useBasket from '../../../commerce-api/hooks/useBasket'
+import {isPickupShipment} from '../../../utils/store-pickup-utils'
+import {noop} from '../../../utils/utils'
+
+/**
+ * Renders how a cart item is fulfilled, shipped or picked up in store, with the actions to
+ * change it.
+ */
+const CartItemFulfillment = ({onPickUpInStoreClick = noop, onShipClick = noop}) => {
+    const variant = useItemVariant()
+    const basket = useBasket()
+    const shipment = basket.shipments?.find(
+        (shipment) => shipment.shipmentId === variant.shipmentId
+    )
+
+    if (!isPickupShipment(shipment)) {
+        return (
+            <Stack direction="row" spacing={2} fontSize="sm" alignItems="center">
+                <Text>
+                    <FormattedMessage
+                        defaultMessage="Ship to an address"
+                        id="cart_item_fulfillment.label.ship"
+                    />
+                </Text>
+                <Button variant="link" size="sm" onClick={() => onPickUpInStoreClick(variant)}>
+                    <FormattedMessage
+                        defaultMessage="Pick up in store instead"
+                        id="cart_item_fulfillment.action.pick_up_in_store"
+                    />
+                </Button>
+            </Stack>
+        )
+    }
+
+    return (
+        <Stack
+            direction={{base: 'column', lg: 'row'}}
+            spacing={2}
+            fontSize="sm"
+            alignItems={{base: 'flex-start', lg: 'center'}}
+        >
+            <Text>
+                <FormattedMessage
+                    defaultMessage="Pick up at {storeName}"
+                    id="cart_item_fulfillment.label.pick_up_at"
+                    values={{storeName: shipment.shippingAddress?.firstName}}
+                />
+            </Text>
+            <ButtonGroup spacing="4">
+                <Button variant="link" size="sm" onClick={() => onPickUpInStoreClick(variant)}>
+                    <FormattedMessage
+                        defaultMessage="Change Store"
+                        id="cart_item_fulfillment.action.change_store"
+                    />
+                </Button>
+                <Button variant="link" size="sm" onClick={() => onShipClick(variant)}>
+                    <FormattedMessage
+                        defaultMessage="Ship instead"
+                        id="cart_item_fulfillment.action.ship"
+                    />
+                </Button>
+            </ButtonGroup>
+        </Stack>
+    )
+}
+
+CartItemFulfillment.propTypes = {
+    onPickUpInStoreClick: PropTypes.func,
+    onShipClick: PropTypes.func
+}
+
+export default CartItemFulfillment
@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {screen} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import ItemVariantProvider from '../../../components/item-variant'
+import {renderWithProviders} from '../../../utils/test-utils'
+import CartItemFulfillment from './cart-item-fulfillment'
+
+const basket = {
+    basketId: 'basketId',
+    shipments: [
+        {shipmentId: 'me'},
+        {
+            shipmentId: 'pickup-00019',
+            c_fromStoreId: '00019',
+            shippingAddress: {firstName: 'Palo Alto', address1: '162 University Ave'}
+        }
+    ]
+}
+
+const MockedComponent = ({item, ...props}) => (
+    <ItemVariantProvider variant={item}>
+        <CartItemFulfillment {...props} />
+    </ItemVariantProvider>
+)
+
+MockedComponent.propTypes = {
+    item: PropTypes.object
+}
+
+test('offers to pick up a shipped item in store', () => {
+    const onPickUpInStoreClick = jest.fn()
+    const item = {itemId: '1', shipmentId: 'me'}
+    renderWithProviders(
+        <MockedComponent item={item} onPickUpInStoreClick={onPickUpInStoreClick} />,
+        {wrapperProps: {initialBasket: basket}}
+    )
+
+    expect(screen.getByText('Ship to an address')).toBeInTheDocument()
+    user.click(screen.getByText('Pick up in store instead'))
+    expect(onPickUpInStoreClick).toHaveBeenCalledWith(item)
+})
+
+test('shows the store of an item picked up in store', () => {
+    const onShipClick = jest.fn()
+    const item = {itemId: '1', shipmentId: 'pickup-00019', c_fromStoreId: '00019'}
+    renderWithProviders(<MockedComponent item={item} onShipClick={onShipClick} />, {
+        wrapperProps: {initialBasket: basket}
+    })
+
+    expect(screen.getByText('Pick up at Palo Alto')).toBeInTheDocument()
+    user.click(screen.getByText('Ship instead'))
+    expect(onShipClick).toHaveBeenCalledWith(item)
+})
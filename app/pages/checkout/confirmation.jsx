@@ -5,6 +5,7 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import React, {useEffect, useState, Fragment} from 'react'
+import PropTypes from 'prop-types'
 import {FormattedMessage, FormattedNumber} from 'react-intl'
 import {
     Box,
@@ -22,9 +23,14 @@ import {
 } from '@chakra-ui/react'
 import {useForm} from 'react-hook-form'
 import {getCreditCardIcon} from '../../utils/cc-utils'
+import {getGiftCertificatePayments} from '../../utils/gift-certificate-utils'
+import {getCardPayments} from '../../utils/payment-utils'
+import GiftCertificatePayments from '../../components/gift-certificate-payments'
 import useBasket from '../../commerce-api/hooks/useBasket'
 import useCustomer from '../../commerce-api/hooks/useCustomer'
+import {LoginAlreadyInUseError} from '../../commerce-api/errors'
 import useNavigation from '../../hooks/use-navigation'
+import analytics, {EVENTS} from '../../analytics'
 import Link from '../../components/link'
 import AddressDisplay from '../../components/address-display'
 import PostCheckoutRegistrationFields from '../../components/forms/post-checkout-registration-fields'
@@ -34,6 +40,11 @@ import CartItemVariantImage from '../../components/item-variant/item-image'
 import CartItemVariantName from '../../components/item-variant/item-name'
 import CartItemVariantAttributes from '../../components/item-variant/item-attributes'
 import CartItemVariantPrice from '../../components/item-variant/item-price'
+import {
+    getDeliveryShipments,
+    getPickupShipments,
+    isPickupShipment
+} from '../../utils/store-pickup-utils'
 
 const CheckoutConfirmation = () => {
     const navigate = useNavigation()
@@ -59,14 +70,28 @@ const CheckoutConfirmation = () => {
     useEffect(() => {
         if (!order || order._type !== 'order') {
             navigate('/')
+            return
         }
+        analytics.publish(EVENTS.PURCHASE, {order})
     }, [order])
 
     if (!order || !order.orderNo) {
         return null
     }
 
-    const CardIcon = getCreditCardIcon(order.paymentInstruments[0].paymentCard?.cardType)
+    const cardPayments = getCardPayments(order)
+    const giftCertificatePayments = getGiftCertificatePayments(order)
+
+    // The empty default shipment of orders picked up in store is left out
+    const shipments = [...getDeliveryShipments(order), ...getPickupShipments(order)]
+
+    // An order that is shipped to several addresses has a shipping item per shipment
+    const shippingPriceAdjustments = order.shippingItems.flatMap(
+        (shippingItem) => shippingItem.priceAdjustments || []
+    )
+    const isShippingFree = order.shippingItems.every((shippingItem) =>
+        shippingItem.priceAdjustments?.some(({appliedDiscount}) => appliedDiscount?.type === 'free')
+    )
 
     const submitForm = async (data) => {
         try {
@@ -88,9 +113,8 @@ const CheckoutConfirmation = () => {
                 </Fragment>
             )
 
-            const message = /the login is already in use/i.test(error.message)
-                ? existingAccountMessage
-                : error.message
+            const message =
+                error instanceof LoginAlreadyInUseError ? existingAccountMessage : error.message
 
             form.setError('global', {type: 'manual', message})
             return
@@ -144,6 +168,25 @@ const CheckoutConfirmation = () => {
                                                 }}
                                             />
                                         </Text>
+                                        {customer.isGuest && (
+                                            <Text align="center">
+                                                <FormattedMessage
+                                                    defaultMessage="You can <link>look up your order</link> with its number at any time."
+                                                    id="checkout_confirmation.message.look_up_order"
+                                                    values={{
+                                                        // eslint-disable-next-line react/display-name
+                                                        link: (chunks) => (
+                                                            <Link
+                                                                to="/order-lookup"
+                                                                textDecoration="underline"
+                                                            >
+                                                                {chunks}
+                                                            </Link>
+                                                        )
+                                                    }}
+                                                />
+                                            </Text>
+                                        )}
 
                                         <Spacer />
 
@@ -212,34 +255,70 @@ const CheckoutConfirmation = () => {
                                     />
                                 </Heading>
 
-                                <SimpleGrid columns={[1, 1, 2]} spacing={6}>
-                                    <Stack spacing={1}>
-                                        <Heading as="h3" fontSize="sm">
-                                            <FormattedMessage
-                                                defaultMessage="Shipping Address"
-                                                id="checkout_confirmation.heading.shipping_address"
-                                            />
-                                        </Heading>
-                                        <AddressDisplay
-                                            address={order.shipments[0].shippingAddress}
-                                        />
-                                    </Stack>
+                                {shipments.map((shipment, index) => (
+                                    <Stack key={shipment.shipmentId} spacing={4}>
+                                        {shipments.length > 1 && (
+                                            <Box>
+                                                <Heading as="h3" fontSize="md">
+                                                    <FormattedMessage
+                                                        defaultMessage="Shipment {number} of {count}"
+                                                        id="checkout_confirmation.heading.shipment"
+                                                        values={{
+                                                            number: index + 1,
+                                                            count: shipments.length
+                                                        }}
+                                                    />
+                                                </Heading>
+                                                {order.productItems
+                                                    .filter(
+                                                        (item) =>
+                                                            item.shipmentId === shipment.shipmentId
+                                                    )
+                                                    .map((item) => (
+                                                        <Text key={item.itemId} fontSize="sm">
+                                                            {item.productName} &times;{' '}
+                                                            {item.quantity}
+                                                        </Text>
+                                                    ))}
+                                            </Box>
+                                        )}
+                                        <SimpleGrid columns={[1, 1, 2]} spacing={6}>
+                                            <Stack spacing={1}>
+                                                <Heading as="h3" fontSize="sm">
+                                                    {isPickupShipment(shipment) ? (
+                                                        <FormattedMessage
+                                                            defaultMessage="Pickup Store"
+                                                            id="checkout_confirmation.heading.pickup_store"
+                                                        />
+                                                    ) : (
+                                                        <FormattedMessage
+                                                            defaultMessage="Shipping Address"
+                                                            id="checkout_confirmation.heading.shipping_address"
+                                                        />
+                                                    )}
+                                                </Heading>
+                                                <AddressDisplay
+                                                    address={shipment.shippingAddress}
+                                                />
+                                            </Stack>
 
-                                    <Stack spacing={1}>
-                                        <Heading as="h3" fontSize="sm">
-                                            <FormattedMessage
-                                                defaultMessage="Shipping Method"
-                                                id="checkout_confirmation.heading.shipping_method"
-                                            />
-                                        </Heading>
-                                        <Box>
-                                            <Text>{order.shipments[0].shippingMethod.name}</Text>
-                                            <Text>
-                                                {order.shipments[0].shippingMethod.description}
-                                            </Text>
-                                        </Box>
+                                            <Stack spacing={1}>
+                                                <Heading as="h3" fontSize="sm">
+                                                    <FormattedMessage
+                                                        defaultMessage="Shipping Method"
+                                                        id="checkout_confirmation.heading.shipping_method"
+                                                    />
+                                                </Heading>
+                                                <Box>
+                                                    <Text>{shipment.shippingMethod.name}</Text>
+                                                    <Text>
+                                                        {shipment.shippingMethod.description}
+                                                    </Text>
+                                                </Box>
+                                            </Stack>
+                                        </SimpleGrid>
                                     </Stack>
-                                </SimpleGrid>
+                                ))}
                             </Stack>
                         </Container>
                     </Box>
@@ -357,8 +436,7 @@ const CheckoutConfirmation = () => {
                                                             defaultMessage="Shipping"
                                                             id="checkout_confirmation.label.shipping"
                                                         />
-                                                        {order.shippingItems[0].priceAdjustments
-                                                            ?.length > 0 && (
+                                                        {shippingPriceAdjustments.length > 0 && (
                                                             <Text as="span" ml={1}>
                                                                 (
                                                                 <FormattedMessage
@@ -369,11 +447,10 @@ const CheckoutConfirmation = () => {
                                                             </Text>
                                                         )}
                                                     </Text>
-                                                    {order.shippingItems?.[0]?.priceAdjustments
-                                                        ?.length > 0 && (
+                                                    {shippingPriceAdjustments.length > 0 && (
                                                         <PromoPopover ml={2}>
                                                             <Stack>
-                                                                {order.shippingItems[0].priceAdjustments?.map(
+                                                                {shippingPriceAdjustments.map(
                                                                     (adjustment) => (
                                                                         <Text
                                                                             key={
@@ -390,10 +467,7 @@ const CheckoutConfirmation = () => {
                                                     )}
                                                 </Flex>
 
-                                                {order.shippingItems[0].priceAdjustments?.some(
-                                                    ({appliedDiscount}) =>
-                                                        appliedDiscount?.type === 'free'
-                                                ) ? (
+                                                {isShippingFree ? (
                                                     <Text
                                                         as="span"
                                                         color="green.500"
@@ -473,47 +547,38 @@ const CheckoutConfirmation = () => {
                                         <AddressDisplay address={order.billingAddress} />
                                     </Stack>
 
-                                    <Stack spacing={1}>
-                                        <Heading as="h3" fontSize="sm">
-                                            <FormattedMessage
-                                                defaultMessage="Credit Card"
-                                                id="checkout_confirmation.heading.credit_card"
-                                            />
-                                        </Heading>
+                                    {cardPayments.length > 0 && (
+                                        <Stack spacing={1}>
+                                            <Heading as="h3" fontSize="sm">
+                                                <FormattedMessage
+                                                    defaultMessage="Credit Card"
+                                                    id="checkout_confirmation.heading.credit_card"
+                                                />
+                                            </Heading>
 
-                                        <Stack direction="row">
-                                            {CardIcon && <CardIcon layerStyle="ccIcon" />}
+                                            {cardPayments.map((payment) => (
+                                                <PaymentCardSummary
+                                                    key={payment.paymentInstrumentId}
+                                                    paymentCard={payment.paymentCard}
+                                                />
+                                            ))}
+                                        </Stack>
+                                    )}
 
-                                            <Box>
-                                                <Text>
-                                                    {
-                                                        order.paymentInstruments[0].paymentCard
-                                                            ?.cardType
-                                                    }
-                                                </Text>
-                                                <Stack direction="row">
-                                                    <Text>
-                                                        &bull;&bull;&bull;&bull;{' '}
-                                                        {
-                                                            order.paymentInstruments[0].paymentCard
-                                                                ?.numberLastDigits
-                                                        }
-                                                    </Text>
-                                                    <Text>
-                                                        {
-                                                            order.paymentInstruments[0].paymentCard
-                                                                ?.expirationMonth
-                                                        }
-                                                        /
-                                                        {
-                                                            order.paymentInstruments[0].paymentCard
-                                                                ?.expirationYear
-                                                        }
-                                                    </Text>
-                                                </Stack>
-                                            </Box>
+                                    {giftCertificatePayments.length > 0 && (
+                                        <Stack spacing={1}>
+                                            <Heading as="h3" fontSize="sm">
+                                                <FormattedMessage
+                                                    defaultMessage="Gift Certificates"
+                                                    id="checkout_confirmation.heading.gift_certificates"
+                                                />
+                                            </Heading>
+                                            <GiftCertificatePayments
+                                                paymentInstruments={giftCertificatePayments}
+                                                currency={order.currency}
+                                            />
                                         </Stack>
-                                    </Stack>
+                                    )}
                                 </SimpleGrid>
                             </Stack>
                         </Container>
@@ -524,4 +589,25 @@ const CheckoutConfirmation = () => {
     )
 }
 
+const PaymentCardSummary = ({paymentCard}) => {
+    const CardIcon = getCreditCardIcon(paymentCard?.cardType)
+    return (
+        <Stack direction="row">
+            {CardIcon && <CardIcon layerStyle="ccIcon" />}
+
+            <Box>
+                <Text>{paymentCard?.cardType}</Text>
+                <Stack direction="row">
+                    <Text>&bull;&bull;&bull;&bull; {paymentCard?.numberLastDigits}</Text>
+                    <Text>
+                        {paymentCard?.expirationMonth}/{paymentCard?.expirationYear}
+                    </Text>
+                </Stack>
+            </Box>
+        </Stack>
+    )
+}
+
+PaymentCardSummary.propTypes = {paymentCard: PropTypes.object}
+
 export default CheckoutConfirmation
@@ -23,6 +23,9 @@ jest.mock('../../commerce-api/auth', () => {
         login() {
             return mockedGuestCustomer
         }
+        onSessionChange() {
+            return () => {}
+        }
     }
 })
 
@@ -250,3 +253,40 @@ test('Create Account form - successful submission results in redirect to the Acc
         expect(window.location.pathname).toEqual('/uk/en-GB/account')
     })
 })
+
+test('Renders every shipment of an order shipped to several addresses', async () => {
+    const [shipment] = mockOrder.shipments
+    const mockMultiShipmentOrder = {
+        ...mockOrder,
+        productItems: [
+            {...mockOrder.productItems[0], shipmentId: 'me'},
+            {
+                ...mockOrder.productItems[0],
+                itemId: 'secondItem',
+                productName: 'Gift Product',
+                shipmentId: 'shipment-2'
+            }
+        ],
+        shipments: [
+            {...shipment, shipmentId: 'me'},
+            {
+                ...shipment,
+                shipmentId: 'shipment-2',
+                shippingAddress: {...shipment.shippingAddress, city: 'Seattle'},
+                shippingMethod: {...shipment.shippingMethod, name: 'Express Shipping Method'}
+            }
+        ]
+    }
+    global.server.use(
+        rest.get('*/baskets*', (_, res, ctx) => {
+            return res(ctx.json({baskets: [mockMultiShipmentOrder]}))
+        })
+    )
+    renderWithProviders(<WrappedConfirmation />)
+
+    expect(await screen.findByText(/shipment 2 of 2/i)).toBeInTheDocument()
+    expect(screen.getByText(/shipment 1 of 2/i)).toBeInTheDocument()
+    expect(screen.getByText(/Seattle/)).toBeInTheDocument()
+    expect(screen.getByText('Express Shipping Method')).toBeInTheDocument()
+    expect(screen.getByText(/Gift Product ×/)).toBeInTheDocument()
+})
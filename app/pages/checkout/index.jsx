@@ -10,6 +10,7 @@ import {Alert, AlertIcon, Box, Button, Container, Grid, GridItem, Stack} from '@
 import useNavigation from '../../hooks/use-navigation'
 import {CheckoutProvider, useCheckout} from './util/checkout-context'
 import ContactInfo from './partials/contact-info'
+import PickupDetails from './partials/pickup-details'
 import ShippingAddress from './partials/shipping-address'
 import ShippingOptions from './partials/shipping-options'
 import useCustomer from '../../commerce-api/hooks/useCustomer'
@@ -59,6 +60,7 @@ const Checkout = () => {
                             )}
 
                             <ContactInfo />
+                            <PickupDetails />
                             <ShippingAddress />
                             <ShippingOptions />
                             <Payment />
@@ -197,6 +197,8 @@ test('Can proceed through checkout steps as guest', async () => {
         rest.put('*/shipments/me/shipping_method', (req, res, ctx) => {
             currentBasket.shipments[0].shipping_method =
                 mockShippingMethods.applicable_shipping_methods[0]
+            // The order total is calculated once the basket has a shipping method
+            currentBasket.order_total = 61.43
             return res(ctx.json(currentBasket))
         }),
 
@@ -204,7 +206,7 @@ test('Can proceed through checkout steps as guest', async () => {
         rest.post('*/baskets/:basketId/payment_instruments', (req, res, ctx) => {
             currentBasket.payment_instruments = [
                 {
-                    amount: 0,
+                    amount: req.body.amount,
                     payment_card: {
                         card_type: 'Visa',
                         credit_card_expired: false,
@@ -403,6 +405,8 @@ test('Can proceed through checkout as registered customer', async () => {
         rest.put('*/shipments/me/shipping_method', (req, res, ctx) => {
             currentBasket.shipments[0].shipping_method =
                 mockShippingMethods.applicable_shipping_methods[0]
+            // The order total is calculated once the basket has a shipping method
+            currentBasket.order_total = 61.43
             return res(ctx.json(currentBasket))
         }),
 
@@ -410,7 +414,7 @@ test('Can proceed through checkout as registered customer', async () => {
         rest.post('*/baskets/:basketId/payment_instruments', (req, res, ctx) => {
             currentBasket.payment_instruments = [
                 {
-                    amount: 0,
+                    amount: req.body.amount,
                     payment_card: {
                         cardType: 'Master Card',
                         creditCardExpired: false,
@@ -741,3 +745,299 @@ test('Can add address during checkout as a registered customer', async () => {
         expect(await screen.findByText(/test2 mctester/i)).toBeInTheDocument()
     })
 })
+
+test('Skips the shipping steps when all the items are picked up in store', async () => {
+    const pickupBasket = JSON.parse(JSON.stringify(ocapiBasketWithItem))
+    pickupBasket.customer_info.email = 'customer@test.com'
+    pickupBasket.shipments.push({
+        _type: 'shipment',
+        shipment_id: 'pickup-00019',
+        c_fromStoreId: '00019',
+        shipping_address: {
+            first_name: 'Palo Alto',
+            last_name: '',
+            address1: '162 University Ave',
+            city: 'Palo Alto',
+            state_code: 'CA',
+            postal_code: '94301',
+            country_code: 'US'
+        },
+        shipping_method: {id: '005', name: 'Store Pickup', c_storePickupEnabled: true}
+    })
+    pickupBasket.product_items.forEach((item) => {
+        item.shipment_id = 'pickup-00019'
+        item.c_fromStoreId = '00019'
+    })
+
+    global.server.use(
+        rest.get('*/customers/:customerId/baskets', (req, res, ctx) =>
+            res(ctx.json({baskets: [keysToCamel(pickupBasket)]}))
+        )
+    )
+
+    window.history.pushState({}, 'Checkout', createPathWithDefaults('/checkout'))
+    renderWithProviders(<WrappedCheckout history={history} />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+    // The checkout starts at the payment step, without the shipping steps
+    await waitFor(() =>
+        expect(screen.getByTestId('sf-toggle-card-step-3-content')).not.toBeEmptyDOMElement()
+    )
+    expect(screen.queryByTestId('sf-toggle-card-step-1')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('sf-toggle-card-step-2')).not.toBeInTheDocument()
+
+    // The store is shown instead, and there is no shipping address to bill to
+    const pickupCard = screen.getByTestId('sf-toggle-card-pickup')
+    expect(within(pickupCard).getByText('162 University Ave')).toBeInTheDocument()
+    expect(screen.queryByText('Same as shipping address')).not.toBeInTheDocument()
+})
+
+test('Can pay for the whole order with a gift certificate', async () => {
+    let currentBasket = JSON.parse(JSON.stringify(ocapiBasketWithItem))
+    const shippingAddress = {
+        address1: '123 Main St',
+        city: 'Tampa',
+        country_code: 'US',
+        first_name: 'Test',
+        last_name: 'McTester',
+        postal_code: '33712',
+        state_code: 'FL'
+    }
+    currentBasket.customer_info.email = 'customer@test.com'
+    currentBasket.order_total = 61.43
+    currentBasket.shipments[0].shipping_address = shippingAddress
+    currentBasket.shipments[0].shipping_method = mockShippingMethods.applicable_shipping_methods[0]
+
+    let paymentInstrumentBody
+    global.server.use(
+        rest.get('*/customers/:customerId/baskets', (req, res, ctx) =>
+            res(ctx.json({baskets: [keysToCamel(currentBasket)]}))
+        ),
+        rest.post('*/gift-certificate', (req, res, ctx) =>
+            res(
+                ctx.json({
+                    amount: 100,
+                    balance: 80,
+                    enabled: true,
+                    maskedGiftCertificateCode: '**ABCD',
+                    status: 'partially_redeemed'
+                })
+            )
+        ),
+        rest.post('*/baskets/:basketId/payment_instruments', (req, res, ctx) => {
+            paymentInstrumentBody = req.body
+            currentBasket.payment_instruments = [
+                {
+                    amount: req.body.amount,
+                    masked_gift_certificate_code: '**ABCD',
+                    payment_instrument_id: 'gc1',
+                    payment_method_id: 'GIFT_CERTIFICATE'
+                }
+            ]
+            return res(ctx.json(currentBasket))
+        })
+    )
+
+    window.history.pushState({}, 'Checkout', createPathWithDefaults('/checkout'))
+    renderWithProviders(<WrappedCheckout history={history} />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+    await waitFor(() =>
+        expect(screen.getByTestId('sf-toggle-card-step-3-content')).not.toBeEmptyDOMElement()
+    )
+
+    const giftCertificates = screen.getByTestId('sf-gift-certificates')
+    user.type(within(giftCertificates).getByLabelText('Gift Certificate Code'), 'GCABCD')
+    user.click(within(giftCertificates).getByText('Check Balance'))
+    expect(await screen.findByText('Balance: US$80.00')).toBeInTheDocument()
+
+    user.click(within(giftCertificates).getByText('Apply'))
+    const balance = within(screen.getByTestId('sf-payment-balance'))
+    expect(await balance.findByText('US$0.00')).toBeInTheDocument()
+    expect(paymentInstrumentBody).toEqual({
+        amount: 61.43,
+        gift_certificate_code: 'GCABCD',
+        payment_method_id: 'GIFT_CERTIFICATE'
+    })
+
+    // No credit card is asked for
+    expect(screen.queryByLabelText('Card Number')).not.toBeInTheDocument()
+    expect(screen.getByText('**ABCD')).toBeInTheDocument()
+})
+
+test('Can split the payment between a gift certificate and several cards', async () => {
+    let currentBasket = JSON.parse(JSON.stringify(ocapiBasketWithItem))
+    const shippingAddress = {
+        address1: '123 Main St',
+        city: 'Tampa',
+        country_code: 'US',
+        first_name: 'Test',
+        last_name: 'McTester',
+        postal_code: '33712',
+        state_code: 'FL'
+    }
+    currentBasket.customer_info.email = 'customer@test.com'
+    currentBasket.order_total = 61.43
+    currentBasket.shipments[0].shipping_address = shippingAddress
+    currentBasket.shipments[0].shipping_method = mockShippingMethods.applicable_shipping_methods[0]
+    currentBasket.payment_instruments = []
+
+    const paymentInstrumentBodies = []
+    global.server.use(
+        rest.get('*/customers/:customerId/baskets', (req, res, ctx) =>
+            res(ctx.json({baskets: [keysToCamel(currentBasket)]}))
+        ),
+        rest.post('*/gift-certificate', (req, res, ctx) =>
+            res(
+                ctx.json({
+                    amount: 20,
+                    balance: 20,
+                    enabled: true,
+                    maskedGiftCertificateCode: '**ABCD',
+                    status: 'issued'
+                })
+            )
+        ),
+        rest.post('*/baskets/:basketId/payment_instruments', (req, res, ctx) => {
+            paymentInstrumentBodies.push(req.body)
+            const paymentInstrumentId = `pi${paymentInstrumentBodies.length}`
+            currentBasket.payment_instruments.push(
+                req.body.payment_method_id === 'GIFT_CERTIFICATE'
+                    ? {
+                          amount: req.body.amount,
+                          masked_gift_certificate_code: '**ABCD',
+                          payment_instrument_id: paymentInstrumentId,
+                          payment_method_id: 'GIFT_CERTIFICATE'
+                      }
+                    : {
+                          amount: req.body.amount,
+                          payment_card: {
+                              card_type: 'Visa',
+                              expiration_month: 12,
+                              expiration_year: 2030,
+                              number_last_digits: '1111'
+                          },
+                          payment_instrument_id: paymentInstrumentId,
+                          payment_method_id: 'CREDIT_CARD'
+                      }
+            )
+            return res(ctx.json(currentBasket))
+        }),
+        rest.post('*/customers/:customerId/payment-instruments', (req, res, ctx) =>
+            res(ctx.json({}))
+        ),
+        rest.post('*/customers/:customerId/addresses', (req, res, ctx) => res(ctx.json({}))),
+        rest.put('*/billing_address', (req, res, ctx) => {
+            currentBasket.billing_address = shippingAddress
+            return res(ctx.json(currentBasket))
+        }),
+        rest.post('*/orders', (req, res, ctx) => {
+            currentBasket = {
+                ...ocapiOrderResponse,
+                customer_info: {...ocapiOrderResponse.customer_info, email: 'customer@test.com'}
+            }
+            return res(ctx.json(currentBasket))
+        })
+    )
+
+    window.history.pushState({}, 'Checkout', createPathWithDefaults('/checkout'))
+    renderWithProviders(<WrappedCheckout history={history} />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+    await waitFor(() =>
+        expect(screen.getByTestId('sf-toggle-card-step-3-content')).not.toBeEmptyDOMElement()
+    )
+    const balance = within(screen.getByTestId('sf-payment-balance'))
+    // Nothing is paid yet
+    expect(balance.getAllByText('US$61.43')).toHaveLength(2)
+
+    // The gift certificate pays what its balance covers
+    const giftCertificates = screen.getByTestId('sf-gift-certificates')
+    user.type(within(giftCertificates).getByLabelText('Gift Certificate Code'), 'GCABCD')
+    user.click(within(giftCertificates).getByText('Apply'))
+    expect(await balance.findByText('US$41.43')).toBeInTheDocument()
+
+    // A saved card pays part of the remaining balance, so the payment step stays open
+    user.click(screen.getByDisplayValue('testcard1'))
+    expect(screen.getByLabelText('Amount')).toHaveValue('41.43')
+    user.clear(screen.getByLabelText('Amount'))
+    user.type(screen.getByLabelText('Amount'), '30')
+    user.click(screen.getByText(/review order/i))
+
+    expect(await balance.findByText('US$11.43')).toBeInTheDocument()
+    expect(paymentInstrumentBodies[1]).toEqual({
+        amount: 30,
+        customer_payment_instrument_id: 'testcard1'
+    })
+    expect(screen.getByRole('button', {name: 'Remove card ending in 1111'})).toBeInTheDocument()
+    expect(screen.queryByTestId('sf-checkout-place-order-btn')).not.toBeInTheDocument()
+
+    // A new card pays the rest, and the order can be placed
+    user.click(screen.getByText('Add New Card'))
+    user.type(screen.getByLabelText(/card number/i), '4111111111111111')
+    user.type(screen.getByLabelText(/name on card/i), 'Testy McTester')
+    user.type(screen.getByLabelText(/expiration date/i), '1230')
+    user.type(screen.getByLabelText(/security code/i), '123')
+    await waitFor(() => expect(screen.getByLabelText('Amount')).toHaveValue('11.43'))
+    user.click(screen.getByText(/review order/i))
+
+    const placeOrderBtn = await screen.findByTestId('sf-checkout-place-order-btn')
+    expect(paymentInstrumentBodies[2]).toEqual(
+        expect.objectContaining({amount: 11.43, payment_method_id: 'CREDIT_CARD'})
+    )
+
+    user.click(placeOrderBtn)
+    await waitFor(() => {
+        expect(window.location.pathname).toEqual('/uk/en-GB/checkout/confirmation')
+    })
+})
+
+test('Tells the shopper when the payments exceed the order total', async () => {
+    let currentBasket = JSON.parse(JSON.stringify(ocapiBasketWithItem))
+    currentBasket.customer_info.email = 'customer@test.com'
+    currentBasket.shipments[0].shipping_address = {
+        address1: '123 Main St',
+        city: 'Tampa',
+        country_code: 'US',
+        first_name: 'Test',
+        last_name: 'McTester',
+        postal_code: '33712',
+        state_code: 'FL'
+    }
+    currentBasket.shipments[0].shipping_method = mockShippingMethods.applicable_shipping_methods[0]
+    // A promotion lowered the order total after the card was added
+    currentBasket.order_total = 50
+    currentBasket.payment_instruments = [
+        {
+            amount: 61.43,
+            payment_card: {card_type: 'Visa', number_last_digits: '1111'},
+            payment_instrument_id: 'card1',
+            payment_method_id: 'CREDIT_CARD'
+        }
+    ]
+
+    global.server.use(
+        rest.get('*/customers/:customerId/baskets', (req, res, ctx) =>
+            res(ctx.json({baskets: [keysToCamel(currentBasket)]}))
+        )
+    )
+
+    window.history.pushState({}, 'Checkout', createPathWithDefaults('/checkout'))
+    renderWithProviders(<WrappedCheckout history={history} />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+    await waitFor(() =>
+        expect(screen.getByTestId('sf-toggle-card-step-3-content')).not.toBeEmptyDOMElement()
+    )
+    expect(screen.getByTestId('sf-payment-balance')).toHaveTextContent(
+        /payments exceed the order total by US\$11\.43/
+    )
+    user.click(screen.getByText('Review Order'))
+    expect(
+        await screen.findByText(/Your payments do not match the order total/)
+    ).toBeInTheDocument()
+})
@@ -29,6 +29,7 @@ import useLoginFields from '../../../components/forms/useLoginFields'
 import {ToggleCard, ToggleCardEdit, ToggleCardSummary} from '../../../components/toggle-card'
 import Field from '../../../components/field'
 import {AuthModal, useAuthModal} from '../../../hooks/use-auth-modal'
+import {InvalidCredentialsError} from '../../../commerce-api/errors'
 
 const ContactInfo = () => {
     const {formatMessage} = useIntl()
@@ -63,7 +64,7 @@ const ContactInfo = () => {
             await login(data)
             goToNextStep()
         } catch (error) {
-            if (/invalid credentials/i.test(error.message)) {
+            if (error instanceof InvalidCredentialsError) {
                 setError(
                     formatMessage({
                         defaultMessage: 'Incorrect username or password, please try again.',
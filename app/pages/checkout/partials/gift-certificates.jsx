@@ -0,0 +1,174 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import {FormattedMessage, FormattedNumber, useIntl} from 'react-intl'
+import {Button, Heading, Stack, Text, useToast} from '@chakra-ui/react'
+import {useForm} from 'react-hook-form'
+import {useCheckout} from '../util/checkout-context'
+import Field from '../../../components/field'
+import GiftCertificatePayments from '../../../components/gift-certificate-payments'
+import useGiftCertificateFields from '../../../components/forms/useGiftCertificateFields'
+import {InvalidGiftCertificateError} from '../../../commerce-api/errors'
+import {isRedeemable} from '../../../utils/gift-certificate-utils'
+import {API_ERROR_MESSAGE} from '../../../constants'
+
+/**
+ * Lets the shopper check the balance of gift certificates and redeem them to pay part or all of
+ * the order. What they don't pay is paid by credit card. Gift certificates can be redeemed until
+ * the payments cover the order total.
+ */
+const GiftCertificates = () => {
+    const {formatMessage} = useIntl()
+    const toast = useToast()
+    const {
+        basket,
+        isPaymentDue,
+        giftCertificatePayments,
+        getGiftCertificate,
+        applyGiftCertificate,
+        removePayment
+    } = useCheckout()
+    const form = useForm()
+    const fields = useGiftCertificateFields({form})
+    const [checkedGiftCertificate, setCheckedGiftCertificate] = useState()
+
+    const setCodeError = (error) => {
+        form.setError('giftCertificateCode', {
+            type: 'manual',
+            message:
+                error instanceof InvalidGiftCertificateError
+                    ? formatMessage({
+                          defaultMessage:
+                              "This gift certificate can't be used. Check the code and try again.",
+                          id: 'gift_certificates.error.invalid_gift_certificate'
+                      })
+                    : formatMessage(API_ERROR_MESSAGE)
+        })
+    }
+
+    const checkBalance = async ({giftCertificateCode}) => {
+        setCheckedGiftCertificate(undefined)
+        try {
+            setCheckedGiftCertificate(await getGiftCertificate(giftCertificateCode))
+        } catch (error) {
+            setCodeError(error)
+        }
+    }
+
+    const apply = async ({giftCertificateCode}) => {
+        try {
+            await applyGiftCertificate(giftCertificateCode)
+            setCheckedGiftCertificate(undefined)
+            form.reset({giftCertificateCode: ''})
+        } catch (error) {
+            setCodeError(error)
+        }
+    }
+
+    const remove = async (paymentInstrumentId) => {
+        try {
+            await removePayment(paymentInstrumentId)
+        } catch (error) {
+            toast({
+                title: formatMessage(API_ERROR_MESSAGE),
+                status: 'error',
+                position: 'top-right',
+                isClosable: true
+            })
+        }
+    }
+
+    return (
+        <Stack spacing={3} data-testid="sf-gift-certificates">
+            <Heading as="h3" fontSize="md">
+                <FormattedMessage
+                    defaultMessage="Gift Certificates"
+                    id="gift_certificates.heading.gift_certificates"
+                />
+            </Heading>
+
+            {giftCertificatePayments.length > 0 && (
+                <GiftCertificatePayments
+                    paymentInstruments={giftCertificatePayments}
+                    currency={basket.currency}
+                    renderAction={({paymentInstrumentId, maskedGiftCertificateCode}) => (
+                        <Button
+                            variant="link"
+                            size="sm"
+                            colorScheme="red"
+                            aria-label={formatMessage(
+                                {
+                                    defaultMessage: 'Remove gift certificate {code}',
+                                    id: 'gift_certificates.assistive_msg.remove'
+                                },
+                                {code: maskedGiftCertificateCode}
+                            )}
+                            onClick={() => remove(paymentInstrumentId)}
+                        >
+                            <FormattedMessage
+                                defaultMessage="Remove"
+                                id="gift_certificates.action.remove"
+                            />
+                        </Button>
+                    )}
+                />
+            )}
+
+            {isPaymentDue && (
+                <form onSubmit={form.handleSubmit(apply)}>
+                    <Stack spacing={3} maxWidth="350px">
+                        <Field {...fields.giftCertificateCode} />
+                        {checkedGiftCertificate && (
+                            <Text fontSize="sm" data-testid="sf-gift-certificate-balance">
+                                {isRedeemable(checkedGiftCertificate) ? (
+                                    <FormattedMessage
+                                        defaultMessage="Balance: {balance}"
+                                        id="gift_certificates.info.balance"
+                                        values={{
+                                            balance: (
+                                                <FormattedNumber
+                                                    style="currency"
+                                                    currency={basket.currency}
+                                                    value={checkedGiftCertificate.balance}
+                                                />
+                                            )
+                                        }}
+                                    />
+                                ) : (
+                                    <FormattedMessage
+                                        defaultMessage="This gift certificate can no longer be used."
+                                        id="gift_certificates.info.not_redeemable"
+                                    />
+                                )}
+                            </Text>
+                        )}
+                        <Stack direction="row" spacing={3}>
+                            <Button
+                                variant="outline"
+                                isLoading={form.formState.isSubmitting}
+                                onClick={form.handleSubmit(checkBalance)}
+                            >
+                                <FormattedMessage
+                                    defaultMessage="Check Balance"
+                                    id="gift_certificates.button.check_balance"
+                                />
+                            </Button>
+                            <Button type="submit" isLoading={form.formState.isSubmitting}>
+                                <FormattedMessage
+                                    defaultMessage="Apply"
+                                    id="gift_certificates.button.apply"
+                                />
+                            </Button>
+                        </Stack>
+                    </Stack>
+                </form>
+            )}
+        </Stack>
+    )
+}
+
+export default GiftCertificates
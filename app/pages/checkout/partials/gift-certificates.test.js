@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {screen, waitFor} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import GiftCertificates from './gift-certificates'
+import {useCheckout} from '../util/checkout-context'
+import {renderWithProviders} from '../../../utils/test-utils'
+import {InvalidGiftCertificateError} from '../../../commerce-api/errors'
+
+jest.mock('../util/checkout-context', () => ({useCheckout: jest.fn()}))
+
+const giftCertificatePayment = {
+    paymentInstrumentId: 'gc1',
+    paymentMethodId: 'GIFT_CERTIFICATE',
+    maskedGiftCertificateCode: '************ABCD',
+    amount: 20
+}
+
+let checkout
+beforeEach(() => {
+    checkout = {
+        basket: {currency: 'GBP'},
+        isPaymentDue: true,
+        giftCertificatePayments: [],
+        getGiftCertificate: jest.fn().mockResolvedValue({enabled: true, balance: 50}),
+        applyGiftCertificate: jest.fn().mockResolvedValue(),
+        removePayment: jest.fn().mockResolvedValue()
+    }
+    useCheckout.mockImplementation(() => checkout)
+})
+
+test('checks the balance of a gift certificate and applies it', async () => {
+    renderWithProviders(<GiftCertificates />)
+
+    user.type(screen.getByLabelText('Gift Certificate Code'), 'GCABCD')
+    user.click(screen.getByText('Check Balance'))
+    expect(await screen.findByText('Balance: £50.00')).toBeInTheDocument()
+    expect(checkout.getGiftCertificate).toHaveBeenCalledWith('GCABCD')
+
+    user.click(screen.getByText('Apply'))
+    await waitFor(() => expect(checkout.applyGiftCertificate).toHaveBeenCalledWith('GCABCD'))
+})
+
+test('tells when a gift certificate cannot be used', async () => {
+    checkout.applyGiftCertificate.mockRejectedValue(new InvalidGiftCertificateError('Not found'))
+    renderWithProviders(<GiftCertificates />)
+
+    user.type(screen.getByLabelText('Gift Certificate Code'), 'UNKNOWN')
+    user.click(screen.getByText('Apply'))
+
+    expect(await screen.findByText(/gift certificate can't be used/i)).toBeInTheDocument()
+})
+
+test('lists and removes the applied gift certificates', async () => {
+    checkout.giftCertificatePayments = [giftCertificatePayment]
+    checkout.isPaymentDue = false
+    renderWithProviders(<GiftCertificates />)
+
+    expect(screen.getByText('************ABCD')).toBeInTheDocument()
+    expect(screen.getByText('£20.00')).toBeInTheDocument()
+    expect(screen.queryByLabelText('Gift Certificate Code')).toBeNull()
+
+    user.click(screen.getByRole('button', {name: 'Remove gift certificate ************ABCD'}))
+    await waitFor(() => expect(checkout.removePayment).toHaveBeenCalledWith('gc1'))
+})
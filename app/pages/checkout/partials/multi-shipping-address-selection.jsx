@@ -0,0 +1,234 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useState} from 'react'
+import PropTypes from 'prop-types'
+import {defineMessage, FormattedMessage, useIntl} from 'react-intl'
+import {Box, Button, Container, Flex, Heading, Select, Stack, Text} from '@chakra-ui/react'
+import {useForm} from 'react-hook-form'
+import {useCheckout} from '../util/checkout-context'
+import {PlusIcon} from '../../../components/icons'
+import AddressFields from '../../../components/forms/address-fields'
+import FormActionButtons from '../../../components/forms/form-action-buttons'
+import {isMatchingAddress} from '../../../utils/utils'
+import {MESSAGE_PROPTYPE} from '../../../utils/locale'
+
+const saveAddressMessage = defineMessage({
+    defaultMessage: 'Save Address',
+    id: 'multi_shipping_address_selection.button.save_address'
+})
+
+const formatAddress = (address) =>
+    `${address.firstName} ${address.lastName}, ${address.address1}, ${address.city}`
+
+/**
+ * Lets the shopper pick the address each item of the basket is shipped to, among their saved
+ * addresses, the addresses the basket is already shipped to and the ones they add here.
+ */
+const MultiShippingAddressSelection = ({submitButtonLabel, onSubmit}) => {
+    const {formatMessage} = useIntl()
+    const {customer, shipments, deliveryItems} = useCheckout()
+
+    // The addresses that can be picked, each with a key to refer to it in the item selects
+    const [addresses, setAddresses] = useState(() => {
+        const savedAddresses = (customer.addresses || []).map((address) => ({
+            key: address.addressId,
+            address
+        }))
+        const shipmentAddresses = shipments
+            .filter(
+                ({shippingAddress}) =>
+                    shippingAddress &&
+                    !savedAddresses.some(({address}) => isMatchingAddress(address, shippingAddress))
+            )
+            .map(({shipmentId, shippingAddress}) => ({
+                key: `shipment-${shipmentId}`,
+                address: shippingAddress
+            }))
+        return [...savedAddresses, ...shipmentAddresses]
+    })
+
+    // The key of the address each item is shipped to, by item id
+    const [itemAddressKeys, setItemAddressKeys] = useState(() => {
+        const defaultAddress =
+            addresses.find(({address}) => address.preferred) || addresses[0] || {}
+        return Object.fromEntries(
+            deliveryItems.map((item) => {
+                const shippingAddress = shipments.find(
+                    (shipment) => shipment.shipmentId === item.shipmentId
+                )?.shippingAddress
+                const address =
+                    shippingAddress &&
+                    addresses.find(({address}) => isMatchingAddress(address, shippingAddress))
+                return [item.itemId, (address || defaultAddress).key]
+            })
+        )
+    })
+
+    const [isAddingAddress, setIsAddingAddress] = useState(addresses.length === 0)
+    const [isSubmitting, setIsSubmitting] = useState(false)
+    const form = useForm({mode: 'onChange', shouldUnregister: false})
+
+    const addAddress = (address) => {
+        const key = `new-${addresses.length}`
+        setAddresses([...addresses, {key, address}])
+        // Items that couldn't be shipped anywhere yet are shipped to the first address added
+        setItemAddressKeys(
+            Object.fromEntries(
+                Object.entries(itemAddressKeys).map(([itemId, addressKey]) => [
+                    itemId,
+                    addressKey || key
+                ])
+            )
+        )
+        setIsAddingAddress(false)
+        form.reset({})
+    }
+
+    const submit = async () => {
+        // One shipment per address, in the order of the items that are shipped there
+        const shipmentsByKey = {}
+        deliveryItems.forEach(({itemId}) => {
+            const key = itemAddressKeys[itemId]
+            if (!shipmentsByKey[key]) {
+                const {address} = addresses.find((address) => address.key === key)
+                shipmentsByKey[key] = {addressData: address, itemIds: []}
+            }
+            shipmentsByKey[key].itemIds.push(itemId)
+        })
+
+        setIsSubmitting(true)
+        try {
+            await onSubmit(Object.values(shipmentsByKey))
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    return (
+        <Stack spacing={6} data-testid="sf-checkout-multi-shipping-address">
+            <Stack spacing={4}>
+                {deliveryItems.map((item) => (
+                    <Flex
+                        key={item.itemId}
+                        direction={['column', 'column', 'row']}
+                        justify="space-between"
+                        gap={2}
+                    >
+                        <Box>
+                            <Text fontWeight="semibold">{item.productName}</Text>
+                            <Text fontSize="sm" color="gray.700">
+                                <FormattedMessage
+                                    defaultMessage="Quantity: {quantity}"
+                                    id="multi_shipping_address_selection.label.quantity"
+                                    values={{quantity: item.quantity}}
+                                />
+                            </Text>
+                        </Box>
+                        <Select
+                            maxWidth={['full', 'full', '60%']}
+                            aria-label={formatMessage(
+                                {
+                                    defaultMessage: 'Ship {productName} to',
+                                    id: 'multi_shipping_address_selection.label.ship_item_to'
+                                },
+                                {productName: item.productName}
+                            )}
+                            placeholder={
+                                addresses.length === 0
+                                    ? formatMessage({
+                                          defaultMessage: 'Add an address first',
+                                          id: 'multi_shipping_address_selection.placeholder.add_address'
+                                      })
+                                    : undefined
+                            }
+                            value={itemAddressKeys[item.itemId] || ''}
+                            onChange={(e) =>
+                                setItemAddressKeys({
+                                    ...itemAddressKeys,
+                                    [item.itemId]: e.target.value
+                                })
+                            }
+                        >
+                            {addresses.map(({key, address}) => (
+                                <option key={key} value={key}>
+                                    {formatAddress(address)}
+                                </option>
+                            ))}
+                        </Select>
+                    </Flex>
+                ))}
+            </Stack>
+
+            {isAddingAddress ? (
+                <Box
+                    paddingX={[4, 4, 6]}
+                    paddingY={6}
+                    rounded="base"
+                    border="1px solid"
+                    borderColor="blue.600"
+                >
+                    <form onSubmit={form.handleSubmit(addAddress)}>
+                        <Stack spacing={6}>
+                            <Heading as="h3" size="sm">
+                                <FormattedMessage
+                                    defaultMessage="Add New Address"
+                                    id="multi_shipping_address_selection.title.add_address"
+                                />
+                            </Heading>
+                            <AddressFields form={form} />
+                            <FormActionButtons
+                                saveButtonLabel={saveAddressMessage}
+                                onCancel={() => setIsAddingAddress(false)}
+                                cancelButtonProps={{isDisabled: addresses.length === 0}}
+                            />
+                        </Stack>
+                    </form>
+                </Box>
+            ) : (
+                <Box>
+                    <Button
+                        variant="link"
+                        size="sm"
+                        leftIcon={<PlusIcon boxSize={'15px'} />}
+                        onClick={() => setIsAddingAddress(true)}
+                    >
+                        <FormattedMessage
+                            defaultMessage="Add New Address"
+                            id="multi_shipping_address_selection.button.add_address"
+                        />
+                    </Button>
+                </Box>
+            )}
+
+            <Box>
+                <Container variant="form">
+                    <Button
+                        width="full"
+                        onClick={submit}
+                        isLoading={isSubmitting}
+                        isDisabled={addresses.length === 0 || isAddingAddress}
+                    >
+                        {formatMessage(submitButtonLabel)}
+                    </Button>
+                </Container>
+            </Box>
+        </Stack>
+    )
+}
+
+MultiShippingAddressSelection.propTypes = {
+    /** The label of the submit button */
+    submitButtonLabel: MESSAGE_PROPTYPE,
+
+    /**
+     * Callback for submitting, with the shipments: the data of each address and the ids of
+     * the items shipped there
+     */
+    onSubmit: PropTypes.func
+}
+
+export default MultiShippingAddressSelection
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {screen, waitFor} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {defineMessage} from 'react-intl'
+
+import MultiShippingAddressSelection from './multi-shipping-address-selection'
+import {useCheckout} from '../util/checkout-context'
+import {renderWithProviders} from '../../../utils/test-utils'
+
+jest.mock('../util/checkout-context', () => {
+    return {
+        useCheckout: jest.fn()
+    }
+})
+
+const homeAddress = {
+    addressId: 'home',
+    firstName: 'Test',
+    lastName: 'McTester',
+    address1: '123 Main St',
+    city: 'Tampa',
+    stateCode: 'FL',
+    postalCode: '33712',
+    countryCode: 'US',
+    preferred: true
+}
+const officeAddress = {
+    ...homeAddress,
+    addressId: 'office',
+    address1: '500 Office Park',
+    preferred: false
+}
+
+const basket = {
+    productItems: [
+        {itemId: 'item1', productName: 'Shirt', quantity: 1, shipmentId: 'me'},
+        {itemId: 'item2', productName: 'Socks', quantity: 2, shipmentId: 'me'}
+    ]
+}
+
+const submitButtonLabel = defineMessage({defaultMessage: 'Continue', id: 'test.continue'})
+
+test('ships each item to the address picked for it', async () => {
+    useCheckout.mockReturnValue({
+        deliveryItems: basket.productItems,
+        customer: {addresses: [homeAddress, officeAddress]},
+        shipments: [{shipmentId: 'me'}]
+    })
+    const onSubmit = jest.fn()
+    renderWithProviders(
+        <MultiShippingAddressSelection submitButtonLabel={submitButtonLabel} onSubmit={onSubmit} />
+    )
+
+    // Items are shipped to the preferred address by default
+    expect(screen.getByLabelText('Ship Shirt to')).toHaveValue('home')
+    user.selectOptions(screen.getByLabelText('Ship Socks to'), 'office')
+    user.click(screen.getByRole('button', {name: 'Continue'}))
+
+    await waitFor(() =>
+        expect(onSubmit).toHaveBeenCalledWith([
+            {addressData: homeAddress, itemIds: ['item1']},
+            {addressData: officeAddress, itemIds: ['item2']}
+        ])
+    )
+})
+
+test('keeps the items of a basket shipped to several addresses where they are', () => {
+    useCheckout.mockReturnValue({
+        deliveryItems: [
+            basket.productItems[0],
+            {...basket.productItems[1], shipmentId: 'shipment-2'}
+        ],
+        customer: {addresses: [homeAddress]},
+        shipments: [
+            {shipmentId: 'me', shippingAddress: homeAddress},
+            {shipmentId: 'shipment-2', shippingAddress: {...officeAddress, addressId: undefined}}
+        ]
+    })
+    renderWithProviders(<MultiShippingAddressSelection submitButtonLabel={submitButtonLabel} />)
+
+    expect(screen.getByLabelText('Ship Shirt to')).toHaveValue('home')
+    expect(screen.getByLabelText('Ship Socks to')).toHaveValue('shipment-shipment-2')
+})
+
+test('asks for an address when there is none to pick', () => {
+    useCheckout.mockReturnValue({
+        deliveryItems: basket.productItems,
+        customer: {},
+        shipments: [{shipmentId: 'me'}]
+    })
+    renderWithProviders(<MultiShippingAddressSelection submitButtonLabel={submitButtonLabel} />)
+
+    expect(screen.getByText('Add New Address')).toBeInTheDocument()
+    expect(screen.getByRole('button', {name: 'Continue'})).toBeDisabled()
+})
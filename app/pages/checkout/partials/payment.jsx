@@ -6,8 +6,20 @@
  */
 import React, {useEffect} from 'react'
 import PropTypes from 'prop-types'
-import {FormattedMessage, useIntl} from 'react-intl'
-import {Box, Button, Checkbox, Container, Heading, Stack, Text, Divider} from '@chakra-ui/react'
+import {FormattedMessage, FormattedNumber, useIntl} from 'react-intl'
+import {
+    Alert,
+    Box,
+    Button,
+    Checkbox,
+    Container,
+    Flex,
+    Heading,
+    Stack,
+    Text,
+    Divider,
+    useToast
+} from '@chakra-ui/react'
 import {useCheckout} from '../util/checkout-context'
 import usePaymentForms from '../util/usePaymentForms'
 import {getCreditCardIcon} from '../../../utils/cc-utils'
@@ -16,29 +28,83 @@ import PaymentSelection from './payment-selection'
 import ShippingAddressSelection from './shipping-address-selection'
 import AddressDisplay from '../../../components/address-display'
 import {PromoCode, usePromoCode} from '../../../components/promo-code'
+import RecentLoginRequired from '../../../components/recent-login-required'
+import GiftCertificatePayments from '../../../components/gift-certificate-payments'
+import GiftCertificates from './gift-certificates'
+import Field from '../../../components/field'
+import {AlertIcon} from '../../../components/icons'
+import usePaymentAmountFields from '../../../components/forms/usePaymentAmountFields'
+import {API_ERROR_MESSAGE} from '../../../constants'
+import {OrderTotalNotCoveredError} from '../../../commerce-api/errors'
 
 const Payment = () => {
     const {formatMessage} = useIntl()
+    const toast = useToast()
 
     const {
+        basket,
         step,
         checkoutSteps,
         setCheckoutStep,
         selectedShippingAddress,
         selectedBillingAddress,
-        selectedPayment,
+        cardPayments,
+        giftCertificatePayments,
+        remainingBalance,
+        isPaymentDue,
         getPaymentMethods,
         removePayment
     } = useCheckout()
 
     const {
         paymentMethodForm,
+        paymentAmountForm,
         billingAddressForm,
         billingSameAsShipping,
         setBillingSameAsShipping,
         reviewOrder
     } = usePaymentForms()
 
+    const amountFields = usePaymentAmountFields({
+        form: paymentAmountForm,
+        maxAmount: remainingBalance
+    })
+
+    const showError = (title = formatMessage(API_ERROR_MESSAGE)) => {
+        toast({
+            title,
+            status: 'error',
+            position: 'top-right',
+            isClosable: true
+        })
+    }
+
+    const submit = async () => {
+        try {
+            await reviewOrder()
+        } catch (error) {
+            if (error instanceof OrderTotalNotCoveredError) {
+                showError(
+                    formatMessage({
+                        defaultMessage:
+                            'Your payments do not match the order total. Please review your payments and try again.',
+                        id: 'checkout_payment.error.order_total_not_covered'
+                    })
+                )
+                return
+            }
+            showError()
+        }
+    }
+
+    const remove = async (paymentInstrumentId) => {
+        try {
+            await removePayment(paymentInstrumentId)
+        } catch (error) {
+            showError()
+        }
+    }
+
     const {removePromoCode, ...promoCodeProps} = usePromoCode()
 
     useEffect(() => {
@@ -54,96 +120,156 @@ const Payment = () => {
                 paymentMethodForm.formState.isSubmitting ||
                 billingAddressForm.formState.isSubmitting
             }
-            disabled={selectedPayment == null}
+            disabled={basket.paymentInstruments == null || basket.paymentInstruments.length === 0}
             onEdit={() => setCheckoutStep(checkoutSteps.Payment)}
         >
             <ToggleCardEdit>
-                <Box mt={-2} mb={4}>
-                    <PromoCode {...promoCodeProps} itemProps={{border: 'none'}} />
-                </Box>
+                <RecentLoginRequired>
+                    <Box mt={-2} mb={4}>
+                        <PromoCode {...promoCodeProps} itemProps={{border: 'none'}} />
+                    </Box>
 
-                <Stack spacing={6}>
-                    {!selectedPayment?.paymentCard ? (
-                        <PaymentSelection form={paymentMethodForm} hideSubmitButton />
-                    ) : (
-                        <Stack spacing={3}>
-                            <Heading as="h3" fontSize="md">
-                                <FormattedMessage
-                                    defaultMessage="Credit Card"
-                                    id="checkout_payment.heading.credit_card"
-                                />
-                            </Heading>
-                            <Stack direction="row" spacing={4}>
-                                <PaymentCardSummary payment={selectedPayment} />
-                                <Button
-                                    variant="link"
-                                    size="sm"
-                                    colorScheme="red"
-                                    onClick={removePayment}
-                                >
+                    <Stack spacing={6}>
+                        <GiftCertificates />
+
+                        <Divider borderColor="gray.100" />
+
+                        {cardPayments.length > 0 && (
+                            <Stack spacing={3}>
+                                <Heading as="h3" fontSize="md">
                                     <FormattedMessage
-                                        defaultMessage="Remove"
-                                        id="checkout_payment.action.remove"
+                                        defaultMessage="Credit Card"
+                                        id="checkout_payment.heading.credit_card"
                                     />
-                                </Button>
+                                </Heading>
+                                {cardPayments.map((payment) => (
+                                    <Stack
+                                        key={payment.paymentInstrumentId}
+                                        direction="row"
+                                        spacing={4}
+                                        align="center"
+                                    >
+                                        <PaymentCardSummary payment={payment} />
+                                        <Button
+                                            variant="link"
+                                            size="sm"
+                                            colorScheme="red"
+                                            aria-label={formatMessage(
+                                                {
+                                                    defaultMessage:
+                                                        'Remove card ending in {numberLastDigits}',
+                                                    id: 'checkout_payment.assistive_msg.remove_card'
+                                                },
+                                                {
+                                                    numberLastDigits:
+                                                        payment.paymentCard?.numberLastDigits
+                                                }
+                                            )}
+                                            onClick={() => remove(payment.paymentInstrumentId)}
+                                        >
+                                            <FormattedMessage
+                                                defaultMessage="Remove"
+                                                id="checkout_payment.action.remove"
+                                            />
+                                        </Button>
+                                    </Stack>
+                                ))}
                             </Stack>
-                        </Stack>
-                    )}
+                        )}
 
-                    <Divider borderColor="gray.100" />
+                        {/* More cards can be added until the payments cover the order total */}
+                        {isPaymentDue && (
+                            <Stack spacing={4}>
+                                <PaymentSelection form={paymentMethodForm} hideSubmitButton />
+                                {remainingBalance !== undefined && (
+                                    <Box maxWidth="350px">
+                                        <Field {...amountFields.amount} />
+                                    </Box>
+                                )}
+                            </Stack>
+                        )}
 
-                    <Stack spacing={2}>
-                        <Heading as="h3" fontSize="md">
-                            <FormattedMessage
-                                defaultMessage="Billing Address"
-                                id="checkout_payment.heading.billing_address"
+                        {remainingBalance !== undefined && (
+                            <PaymentBalance
+                                orderTotal={basket.orderTotal}
+                                remainingBalance={remainingBalance}
+                                currency={basket.currency}
                             />
-                        </Heading>
-
-                        <Checkbox
-                            name="billingSameAsShipping"
-                            isChecked={billingSameAsShipping}
-                            onChange={(e) => setBillingSameAsShipping(e.target.checked)}
-                        >
-                            <Text fontSize="sm" color="gray.700">
-                                <FormattedMessage
-                                    defaultMessage="Same as shipping address"
-                                    id="checkout_payment.label.same_as_shipping"
-                                />
-                            </Text>
-                        </Checkbox>
-
-                        {billingSameAsShipping && selectedShippingAddress && (
-                            <Box pl={7}>
-                                <AddressDisplay address={selectedShippingAddress} />
-                            </Box>
                         )}
-                    </Stack>
 
-                    {!billingSameAsShipping && (
-                        <ShippingAddressSelection
-                            form={billingAddressForm}
-                            selectedAddress={selectedBillingAddress}
-                            hideSubmitButton
-                        />
-                    )}
+                        <Divider borderColor="gray.100" />
 
-                    <Box pt={3}>
-                        <Container variant="form">
-                            <Button w="full" onClick={reviewOrder}>
+                        <Stack spacing={2}>
+                            <Heading as="h3" fontSize="md">
                                 <FormattedMessage
-                                    defaultMessage="Review Order"
-                                    id="checkout_payment.button.review_order"
+                                    defaultMessage="Billing Address"
+                                    id="checkout_payment.heading.billing_address"
                                 />
-                            </Button>
-                        </Container>
-                    </Box>
-                </Stack>
+                            </Heading>
+
+                            {/* Baskets picked up in store have no shipping address */}
+                            {selectedShippingAddress && (
+                                <Checkbox
+                                    name="billingSameAsShipping"
+                                    isChecked={billingSameAsShipping}
+                                    onChange={(e) => setBillingSameAsShipping(e.target.checked)}
+                                >
+                                    <Text fontSize="sm" color="gray.700">
+                                        <FormattedMessage
+                                            defaultMessage="Same as shipping address"
+                                            id="checkout_payment.label.same_as_shipping"
+                                        />
+                                    </Text>
+                                </Checkbox>
+                            )}
+
+                            {billingSameAsShipping && selectedShippingAddress && (
+                                <Box pl={7}>
+                                    <AddressDisplay address={selectedShippingAddress} />
+                                </Box>
+                            )}
+                        </Stack>
+
+                        {!billingSameAsShipping && (
+                            <ShippingAddressSelection
+                                form={billingAddressForm}
+                                selectedAddress={selectedBillingAddress}
+                                hideSubmitButton
+                            />
+                        )}
+
+                        <Box pt={3}>
+                            <Container variant="form">
+                                <Button w="full" onClick={submit}>
+                                    <FormattedMessage
+                                        defaultMessage="Review Order"
+                                        id="checkout_payment.button.review_order"
+                                    />
+                                </Button>
+                            </Container>
+                        </Box>
+                    </Stack>
+                </RecentLoginRequired>
             </ToggleCardEdit>
 
             <ToggleCardSummary>
                 <Stack spacing={6}>
-                    {selectedPayment && (
+                    {giftCertificatePayments.length > 0 && (
+                        <Stack spacing={3}>
+                            <Heading as="h3" fontSize="md">
+                                <FormattedMessage
+                                    defaultMessage="Gift Certificates"
+                                    id="checkout_payment.heading.gift_certificates"
+                                />
+                            </Heading>
+                            <GiftCertificatePayments
+                                paymentInstruments={giftCertificatePayments}
+                                currency={basket.currency}
+                            />
+                        </Stack>
+                    )}
+
+                    {cardPayments.length > 0 && (
                         <Stack spacing={3}>
                             <Heading as="h3" fontSize="md">
                                 <FormattedMessage
@@ -151,7 +277,25 @@ const Payment = () => {
                                     id="checkout_payment.heading.credit_card"
                                 />
                             </Heading>
-                            <PaymentCardSummary payment={selectedPayment} />
+                            {cardPayments.map((payment) => (
+                                <Flex
+                                    key={payment.paymentInstrumentId}
+                                    justify="space-between"
+                                    align="center"
+                                >
+                                    <PaymentCardSummary payment={payment} />
+                                    {/* Cards only get an amount once the order total is calculated */}
+                                    {payment.amount > 0 && (
+                                        <Text fontSize="sm" fontWeight="semibold">
+                                            <FormattedNumber
+                                                style="currency"
+                                                currency={basket.currency}
+                                                value={payment.amount}
+                                            />
+                                        </Text>
+                                    )}
+                                </Flex>
+                            ))}
                         </Stack>
                     )}
 
@@ -193,4 +337,66 @@ const PaymentCardSummary = ({payment}) => {
 
 PaymentCardSummary.propTypes = {payment: PropTypes.object}
 
+const PaymentBalance = ({orderTotal, remainingBalance, currency}) => {
+    return (
+        <Stack spacing={2} fontSize="sm" data-testid="sf-payment-balance">
+            <Flex justify="space-between">
+                <Text>
+                    <FormattedMessage
+                        defaultMessage="Order Total"
+                        id="checkout_payment.label.order_total"
+                    />
+                </Text>
+                <Text>
+                    <FormattedNumber style="currency" currency={currency} value={orderTotal} />
+                </Text>
+            </Flex>
+            <Flex justify="space-between" fontWeight="bold">
+                <Text>
+                    <FormattedMessage
+                        defaultMessage="Remaining Balance"
+                        id="checkout_payment.label.remaining_balance"
+                    />
+                </Text>
+                <Text>
+                    <FormattedNumber
+                        style="currency"
+                        currency={currency}
+                        value={Math.max(0, remainingBalance)}
+                    />
+                </Text>
+            </Flex>
+
+            {/* The order total can drop below the payments, e.g. when a promotion applies */}
+            {remainingBalance < 0 && (
+                <Alert status="warning">
+                    <AlertIcon color="orange.500" boxSize={4} />
+                    <Text ml={3}>
+                        <FormattedMessage
+                            defaultMessage="Your payments exceed the order total by {amount}. Please remove a payment."
+                            id="checkout_payment.warning.payments_exceed_order_total"
+                            values={{
+                                amount: (
+                                    <FormattedNumber
+                                        style="currency"
+                                        currency={currency}
+                                        value={-remainingBalance}
+                                    />
+                                )
+                            }}
+                        />
+                    </Text>
+                </Alert>
+            )}
+        </Stack>
+    )
+}
+
+PaymentBalance.propTypes = {
+    orderTotal: PropTypes.number,
+    /** The part of the order total not paid yet, negative when the payments exceed it */
+    remainingBalance: PropTypes.number,
+    currency: PropTypes.string
+}
+
 export default Payment
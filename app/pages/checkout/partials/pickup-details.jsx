@@ -0,0 +1,58 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {useIntl} from 'react-intl'
+import {Box, SimpleGrid, Stack, Text} from '@chakra-ui/react'
+import {useCheckout} from '../util/checkout-context'
+import {ToggleCard, ToggleCardSummary} from '../../../components/toggle-card'
+import AddressDisplay from '../../../components/address-display'
+
+/**
+ * Shows the stores the items picked up in store are picked up at. The stores are picked in the
+ * cart or on the product page, so there is nothing to edit here.
+ */
+const PickupDetails = () => {
+    const {formatMessage} = useIntl()
+    const {basket, pickupShipments} = useCheckout()
+
+    if (pickupShipments.length === 0) {
+        return null
+    }
+
+    return (
+        <ToggleCard
+            id="pickup"
+            title={formatMessage({
+                defaultMessage: 'Store Pickup',
+                id: 'pickup_details.title.store_pickup'
+            })}
+            editing={false}
+            disabled={false}
+        >
+            <ToggleCardSummary>
+                <SimpleGrid columns={[1, 1, 2]} spacing={6}>
+                    {pickupShipments.map((shipment) => (
+                        <Stack key={shipment.shipmentId} spacing={2}>
+                            <AddressDisplay address={shipment.shippingAddress} />
+                            <Box>
+                                {basket.productItems
+                                    .filter((item) => item.shipmentId === shipment.shipmentId)
+                                    .map((item) => (
+                                        <Text key={item.itemId} fontSize="sm" color="gray.700">
+                                            {item.productName} &times; {item.quantity}
+                                        </Text>
+                                    ))}
+                            </Box>
+                        </Stack>
+                    ))}
+                </SimpleGrid>
+            </ToggleCardSummary>
+        </ToggleCard>
+    )
+}
+
+export default PickupDetails
@@ -5,10 +5,12 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import React, {useState} from 'react'
-import {defineMessage, useIntl} from 'react-intl'
+import {defineMessage, FormattedMessage, useIntl} from 'react-intl'
+import {Box, Button, SimpleGrid, Stack, Text} from '@chakra-ui/react'
 import {useCheckout} from '../util/checkout-context'
 import {ToggleCard, ToggleCardEdit, ToggleCardSummary} from '../../../components/toggle-card'
 import ShippingAddressSelection from './shipping-address-selection'
+import MultiShippingAddressSelection from './multi-shipping-address-selection'
 import AddressDisplay from '../../../components/address-display'
 
 const submitButtonMessage = defineMessage({
@@ -20,14 +22,24 @@ export default function ShippingAddress() {
     const {formatMessage} = useIntl()
 
     const {
+        basket,
         step,
         checkoutSteps,
+        shipments,
+        deliveryItems,
+        isMultiShipment,
+        isPickupOnly,
         selectedShippingAddress,
         setShippingAddress,
+        setShipments,
         setCheckoutStep,
         goToNextStep
     } = useCheckout()
     const [isLoading, setIsLoading] = useState()
+    const [isShippingToMultipleAddresses, setIsShippingToMultipleAddresses] =
+        useState(isMultiShipment)
+    // Items can only be shipped to different addresses when there are several of them
+    const canShipToMultipleAddresses = deliveryItems.length > 1
 
     const submitAndContinue = async (address) => {
         setIsLoading(true)
@@ -36,6 +48,18 @@ export default function ShippingAddress() {
         setIsLoading(false)
     }
 
+    const submitShipmentsAndContinue = async (itemShipments) => {
+        setIsLoading(true)
+        await setShipments(itemShipments)
+        goToNextStep()
+        setIsLoading(false)
+    }
+
+    // Items picked up in store aren't shipped
+    if (isPickupOnly) {
+        return null
+    }
+
     return (
         <ToggleCard
             id="step-1"
@@ -49,15 +73,74 @@ export default function ShippingAddress() {
             onEdit={() => setCheckoutStep(checkoutSteps.Shipping_Address)}
         >
             <ToggleCardEdit>
-                <ShippingAddressSelection
-                    selectedAddress={selectedShippingAddress}
-                    submitButtonLabel={submitButtonMessage}
-                    onSubmit={submitAndContinue}
-                />
+                <Stack spacing={6}>
+                    {canShipToMultipleAddresses && (
+                        <Box>
+                            <Button
+                                variant="link"
+                                size="sm"
+                                onClick={() =>
+                                    setIsShippingToMultipleAddresses(!isShippingToMultipleAddresses)
+                                }
+                            >
+                                {isShippingToMultipleAddresses ? (
+                                    <FormattedMessage
+                                        defaultMessage="Ship to one address"
+                                        id="shipping_address.action.ship_to_one_address"
+                                    />
+                                ) : (
+                                    <FormattedMessage
+                                        defaultMessage="Ship to multiple addresses"
+                                        id="shipping_address.action.ship_to_multiple_addresses"
+                                    />
+                                )}
+                            </Button>
+                        </Box>
+                    )}
+                    {canShipToMultipleAddresses && isShippingToMultipleAddresses ? (
+                        <MultiShippingAddressSelection
+                            submitButtonLabel={submitButtonMessage}
+                            onSubmit={submitShipmentsAndContinue}
+                        />
+                    ) : (
+                        <ShippingAddressSelection
+                            selectedAddress={selectedShippingAddress}
+                            submitButtonLabel={submitButtonMessage}
+                            onSubmit={submitAndContinue}
+                        />
+                    )}
+                </Stack>
             </ToggleCardEdit>
             {selectedShippingAddress && (
                 <ToggleCardSummary>
-                    <AddressDisplay address={selectedShippingAddress} />
+                    {isMultiShipment ? (
+                        <SimpleGrid columns={[1, 1, 2]} spacing={6}>
+                            {shipments.map((shipment) => (
+                                <Stack key={shipment.shipmentId} spacing={2}>
+                                    {shipment.shippingAddress && (
+                                        <AddressDisplay address={shipment.shippingAddress} />
+                                    )}
+                                    <Box>
+                                        {basket.productItems
+                                            ?.filter(
+                                                (item) => item.shipmentId === shipment.shipmentId
+                                            )
+                                            .map((item) => (
+                                                <Text
+                                                    key={item.itemId}
+                                                    fontSize="sm"
+                                                    color="gray.700"
+                                                >
+                                                    {item.productName} &times; {item.quantity}
+                                                </Text>
+                                            ))}
+                                    </Box>
+                                </Stack>
+                            ))}
+                        </SimpleGrid>
+                    ) : (
+                        <AddressDisplay address={selectedShippingAddress} />
+                    )}
                 </ToggleCardSummary>
             )}
         </ToggleCard>
@@ -5,6 +5,7 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import React, {useEffect} from 'react'
+import PropTypes from 'prop-types'
 import {FormattedMessage, FormattedNumber, useIntl} from 'react-intl'
 import {Box, Button, Container, Flex, Radio, RadioGroup, Stack, Text} from '@chakra-ui/react'
 import {useForm, Controller} from 'react-hook-form'
@@ -12,6 +13,95 @@ import {useCheckout} from '../util/checkout-context'
 import {ChevronDownIcon} from '../../../components/icons'
 import {ToggleCard, ToggleCardEdit, ToggleCardSummary} from '../../../components/toggle-card'
 
+/**
+ * Names a shipment by its address and items, for baskets shipped to several addresses.
+ */
+const ShipmentTitle = ({shipment, items}) => {
+    const {shippingAddress} = shipment
+    return (
+        <Box>
+            {shippingAddress && (
+                <Text fontWeight="semibold">
+                    <FormattedMessage
+                        defaultMessage="Shipping to {name}, {address}"
+                        id="shipping_options.title.shipment"
+                        values={{
+                            name: `${shippingAddress.firstName} ${shippingAddress.lastName}`,
+                            address: shippingAddress.address1
+                        }}
+                    />
+                </Text>
+            )}
+            <Text fontSize="sm" color="gray.700">
+                {items.map((item) => `${item.productName} \u00d7 ${item.quantity}`).join(', ')}
+            </Text>
+        </Box>
+    )
+}
+
+ShipmentTitle.propTypes = {
+    shipment: PropTypes.object,
+    items: PropTypes.array
+}
+
+const ShippingMethodSummary = ({shippingMethod, shippingItem, currency}) => {
+    const selectedMethodDisplayPrice = Math.min(
+        shippingItem?.price || 0,
+        shippingItem?.priceAfterItemDiscount || 0
+    )
+
+    return (
+        <Box>
+            <Flex justify="space-between" w="full">
+                <Text>{shippingMethod.name}</Text>
+                <Flex alignItems="center">
+                    <Text fontWeight="bold">
+                        {selectedMethodDisplayPrice === 0 ? (
+                            'Free'
+                        ) : (
+                            <FormattedNumber
+                                value={selectedMethodDisplayPrice}
+                                style="currency"
+                                currency={currency}
+                            />
+                        )}
+                    </Text>
+                    {selectedMethodDisplayPrice !== shippingItem?.price && (
+                        <Text
+                            fontWeight="normal"
+                            textDecoration="line-through"
+                            color="gray.500"
+                            marginLeft={1}
+                        >
+                            <FormattedNumber
+                                style="currency"
+                                currency={currency}
+                                value={shippingItem?.price}
+                            />
+                        </Text>
+                    )}
+                </Flex>
+            </Flex>
+            <Text fontSize="sm" color="gray.700">
+                {shippingMethod.description}
+            </Text>
+            {shippingItem?.priceAdjustments?.map((adjustment) => {
+                return (
+                    <Text key={adjustment.priceAdjustmentId} fontSize="sm" color="green.500">
+                        {adjustment.itemText}
+                    </Text>
+                )
+            })}
+        </Box>
+    )
+}
+
+ShippingMethodSummary.propTypes = {
+    shippingMethod: PropTypes.object,
+    shippingItem: PropTypes.object,
+    currency: PropTypes.string
+}
+
 export default function ShippingOptions() {
     const {formatMessage} = useIntl()
 
@@ -19,6 +109,9 @@ export default function ShippingOptions() {
         basket,
         step,
         checkoutSteps,
+        shipments,
+        isMultiShipment,
+        isPickupOnly,
         shippingMethods,
         getShippingMethods,
         setCheckoutStep,
@@ -28,11 +121,22 @@ export default function ShippingOptions() {
         goToNextStep
     } = useCheckout()
 
+    // The form holds the id of the shipping method of each shipment, by shipment id. It defaults
+    // to the method applied to the shipment, or else to the default method of the shipment.
+    const getShippingMethodIds = (values = {}) =>
+        Object.fromEntries(
+            shipments.map(({shipmentId, shippingMethod}) => [
+                shipmentId,
+                shippingMethod?.id ||
+                    values[shipmentId] ||
+                    shippingMethods?.[shipmentId]?.defaultShippingMethodId ||
+                    ''
+            ])
+        )
+
     const form = useForm({
         shouldUnregister: false,
-        defaultValues: {
-            shippingMethodId: selectedShippingMethod?.id || shippingMethods?.defaultShippingMethodId
-        }
+        defaultValues: getShippingMethodIds()
     })
 
     useEffect(() => {
@@ -42,27 +146,33 @@ export default function ShippingOptions() {
     }, [step])
 
     useEffect(() => {
-        const defaultMethodId = shippingMethods?.defaultShippingMethodId
-        const methodId = form.getValues().shippingMethodId
-        if (!selectedShippingMethod && !methodId && defaultMethodId) {
-            form.reset({shippingMethodId: defaultMethodId})
+        const values = form.getValues()
+        const shippingMethodIds = getShippingMethodIds(values)
+        if (
+            shipments.some(({shipmentId}) => values[shipmentId] !== shippingMethodIds[shipmentId])
+        ) {
+            form.reset(shippingMethodIds)
         }
-        if (selectedShippingMethod && methodId !== selectedShippingMethod.id) {
-            form.reset({shippingMethodId: selectedShippingMethod.id})
-        }
-    }, [selectedShippingMethod, shippingMethods])
+    }, [basket.shipments, shippingMethods])
 
-    const submitForm = async ({shippingMethodId}) => {
-        await setShippingMethod(shippingMethodId)
+    const submitForm = async (shippingMethodIds) => {
+        for (const {shipmentId} of shipments) {
+            await setShippingMethod(shippingMethodIds[shipmentId], shipmentId)
+        }
         goToNextStep()
     }
 
-    const shippingItem = basket?.shippingItems?.[0]
+    const getShipmentItems = (shipment) =>
+        basket.productItems?.filter((item) => item.shipmentId === shipment.shipmentId) || []
 
-    const selectedMethodDisplayPrice = Math.min(
-        shippingItem.price || 0,
-        shippingItem.priceAfterItemDiscount || 0
-    )
+    const getShippingItem = (shipment, index) =>
+        basket.shippingItems?.find((item) => item.shipmentId === shipment.shipmentId) ||
+        basket.shippingItems?.[index]
+
+    // Items picked up in store aren't shipped
+    if (isPickupOnly) {
+        return null
+    }
 
     // Note that this card is disabled when there is no shipping address as well as no shipping method.
     // We do this because we apply the default shipping method to the basket before checkout - so when
@@ -86,59 +196,85 @@ export default function ShippingOptions() {
                     data-testid="sf-checkout-shipping-options-form"
                 >
                     <Stack spacing={6}>
-                        {shippingMethods?.applicableShippingMethods && (
-                            <Controller
-                                name="shippingMethodId"
-                                control={form.control}
-                                defaultValue=""
-                                render={({value, onChange}) => (
-                                    <RadioGroup
-                                        name="shipping-options-radiogroup"
-                                        value={value}
-                                        onChange={onChange}
-                                    >
-                                        <Stack spacing={5}>
-                                            {shippingMethods.applicableShippingMethods.map(
-                                                (opt) => (
-                                                    <Radio value={opt.id} key={opt.id}>
-                                                        <Flex justify="space-between" w="full">
-                                                            <Box>
-                                                                <Text>{opt.name}</Text>
-                                                                <Text
-                                                                    fontSize="sm"
-                                                                    color="gray.600"
-                                                                >
-                                                                    {opt.description}
-                                                                </Text>
-                                                            </Box>
-                                                            <Text fontWeight="bold">
-                                                                <FormattedNumber
-                                                                    value={opt.price}
-                                                                    style="currency"
-                                                                    currency={basket.currency}
-                                                                />
-                                                            </Text>
-                                                        </Flex>
-
-                                                        {opt.shippingPromotions?.map((promo) => {
-                                                            return (
-                                                                <Text
-                                                                    key={promo.promotionId}
-                                                                    fontSize="sm"
-                                                                    color="green.500"
+                        {shipments.map((shipment) => {
+                            const {shipmentId} = shipment
+                            const applicableShippingMethods =
+                                shippingMethods?.[shipmentId]?.applicableShippingMethods
+                            return (
+                                <Stack key={shipmentId} spacing={4}>
+                                    {isMultiShipment && (
+                                        <ShipmentTitle
+                                            shipment={shipment}
+                                            items={getShipmentItems(shipment)}
+                                        />
+                                    )}
+                                    {applicableShippingMethods && (
+                                        <Controller
+                                            name={shipmentId}
+                                            control={form.control}
+                                            defaultValue=""
+                                            render={({value, onChange}) => (
+                                                <RadioGroup
+                                                    name={
+                                                        shipmentId === 'me'
+                                                            ? 'shipping-options-radiogroup'
+                                                            : `shipping-options-radiogroup-${shipmentId}`
+                                                    }
+                                                    value={value}
+                                                    onChange={onChange}
+                                                >
+                                                    <Stack spacing={5}>
+                                                        {applicableShippingMethods.map((opt) => (
+                                                            <Radio value={opt.id} key={opt.id}>
+                                                                <Flex
+                                                                    justify="space-between"
+                                                                    w="full"
                                                                 >
-                                                                    {promo.calloutMsg}
-                                                                </Text>
-                                                            )
-                                                        })}
-                                                    </Radio>
-                                                )
+                                                                    <Box>
+                                                                        <Text>{opt.name}</Text>
+                                                                        <Text
+                                                                            fontSize="sm"
+                                                                            color="gray.600"
+                                                                        >
+                                                                            {opt.description}
+                                                                        </Text>
+                                                                    </Box>
+                                                                    <Text fontWeight="bold">
+                                                                        <FormattedNumber
+                                                                            value={opt.price}
+                                                                            style="currency"
+                                                                            currency={
+                                                                                basket.currency
+                                                                            }
+                                                                        />
+                                                                    </Text>
+                                                                </Flex>
+
+                                                                {opt.shippingPromotions?.map(
+                                                                    (promo) => {
+                                                                        return (
+                                                                            <Text
+                                                                                key={
+                                                                                    promo.promotionId
+                                                                                }
+                                                                                fontSize="sm"
+                                                                                color="green.500"
+                                                                            >
+                                                                                {promo.calloutMsg}
+                                                                            </Text>
+                                                                        )
+                                                                    }
+                                                                )}
+                                                            </Radio>
+                                                        ))}
+                                                    </Stack>
+                                                </RadioGroup>
                                             )}
-                                        </Stack>
-                                    </RadioGroup>
-                                )}
-                            />
-                        )}
+                                        />
+                                    )}
+                                </Stack>
+                            )
+                        })}
 
                         <Box>
                             <Button variant="link" size="sm" rightIcon={<ChevronDownIcon />}>
@@ -164,50 +300,26 @@ export default function ShippingOptions() {
 
             {selectedShippingMethod && selectedShippingAddress && (
                 <ToggleCardSummary>
-                    <Flex justify="space-between" w="full">
-                        <Text>{selectedShippingMethod.name}</Text>
-                        <Flex alignItems="center">
-                            <Text fontWeight="bold">
-                                {selectedMethodDisplayPrice === 0 ? (
-                                    'Free'
-                                ) : (
-                                    <FormattedNumber
-                                        value={selectedMethodDisplayPrice}
-                                        style="currency"
-                                        currency={basket.currency}
-                                    />
-                                )}
-                            </Text>
-                            {selectedMethodDisplayPrice !== shippingItem.price && (
-                                <Text
-                                    fontWeight="normal"
-                                    textDecoration="line-through"
-                                    color="gray.500"
-                                    marginLeft={1}
-                                >
-                                    <FormattedNumber
-                                        style="currency"
-                                        currency={basket.currency}
-                                        value={shippingItem.price}
-                                    />
-                                </Text>
-                            )}
-                        </Flex>
-                    </Flex>
-                    <Text fontSize="sm" color="gray.700">
-                        {selectedShippingMethod.description}
-                    </Text>
-                    {shippingItem?.priceAdjustments?.map((adjustment) => {
-                        return (
-                            <Text
-                                key={adjustment.priceAdjustmentId}
-                                fontSize="sm"
-                                color="green.500"
-                            >
-                                {adjustment.itemText}
-                            </Text>
-                        )
-                    })}
+                    <Stack spacing={4}>
+                        {shipments.map(
+                            (shipment, index) =>
+                                shipment.shippingMethod && (
+                                    <Stack key={shipment.shipmentId} spacing={1}>
+                                        {isMultiShipment && (
+                                            <ShipmentTitle
+                                                shipment={shipment}
+                                                items={getShipmentItems(shipment)}
+                                            />
+                                        )}
+                                        <ShippingMethodSummary
+                                            shippingMethod={shipment.shippingMethod}
+                                            shippingItem={getShippingItem(shipment, index)}
+                                            currency={basket.currency}
+                                        />
+                                    </Stack>
+                                )
+                        )}
+                    </Stack>
                 </ToggleCardSummary>
             )}
         </ToggleCard>
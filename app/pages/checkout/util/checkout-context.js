@@ -8,21 +8,52 @@ import React, {useCallback, useEffect, useRef, useState} from 'react'
 import PropTypes from 'prop-types'
 import useBasket from '../../../commerce-api/hooks/useBasket'
 import useCustomer from '../../../commerce-api/hooks/useCustomer'
-import useEinstein from '../../../commerce-api/hooks/useEinstein'
 import {useCommerceAPI} from '../../../commerce-api/contexts'
+import {
+    BasketNotFoundError,
+    InvalidGiftCertificateError,
+    OrderTotalNotCoveredError,
+    OutOfStockError,
+    createCommerceAPIError
+} from '../../../commerce-api/errors'
+import {isError} from '../../../commerce-api/utils'
 import {getPaymentInstrumentCardType} from '../../../utils/cc-utils'
 import {isMatchingAddress} from '../../../utils/utils'
+import {
+    getDeliveryShipments,
+    getPickupShipments,
+    isPickupOnly
+} from '../../../utils/store-pickup-utils'
+import {
+    GIFT_CERTIFICATE_PAYMENT_METHOD,
+    getGiftCertificatePayments,
+    isRedeemable
+} from '../../../utils/gift-certificate-utils'
+import {
+    getCardPayments,
+    getRemainingBalance,
+    isOrderTotalCovered,
+    isPaymentDue
+} from '../../../utils/payment-utils'
 import {useIntl} from 'react-intl'
+import analytics, {EVENTS} from '../../../analytics'
 
 const CheckoutContext = React.createContext()
 
+// Splits a customer or order address into the fields of the address itself and the ones that
+// only identify it in the customer's account.
+const splitAddressData = (addressData) => {
+    const {id, preferred, creationDate, lastModified, addressId, addressName, ...address} =
+        addressData
+    return {address, addressId}
+}
+
 export const CheckoutProvider = ({children}) => {
     const mounted = useRef()
     const api = useCommerceAPI()
     const customer = useCustomer()
     const basket = useBasket()
     const {formatMessage} = useIntl()
-    const einstein = useEinstein()
 
     const [state, setState] = useState({
         step: undefined,
@@ -81,15 +112,17 @@ export const CheckoutProvider = ({children}) => {
                 mergeState({step: CheckoutSteps.Contact_Info})
                 return
             }
-            if (basket.shipments && !basket.shipments[0]?.shippingAddress) {
+            // Pickup shipments get the store's address and shipping method when they're created
+            const deliveryShipments = getDeliveryShipments(basket)
+            if (deliveryShipments.some((shipment) => !shipment.shippingAddress)) {
                 mergeState({step: CheckoutSteps.Shipping_Address})
                 return
             }
-            if (basket.shipments && !basket.shipments[0]?.shippingMethod) {
+            if (deliveryShipments.some((shipment) => !shipment.shippingMethod)) {
                 mergeState({step: CheckoutSteps.Shipping_Options})
                 return
             }
-            if (!basket.paymentInstruments || !basket.billingAddress) {
+            if (!isOrderTotalCovered(basket) || !basket.billingAddress) {
                 mergeState({step: CheckoutSteps.Payment})
                 return
             }
@@ -98,18 +131,22 @@ export const CheckoutProvider = ({children}) => {
         }
     }, [customer, basket])
 
-    /**************** Einstein ****************/
+    /**************** Analytics ****************/
     // Run this once when checkout begins
     useEffect(() => {
         if (basket && basket.productItems) {
-            einstein.sendBeginCheckout(basket)
+            analytics.publish(EVENTS.BEGIN_CHECKOUT, {basket})
         }
     }, [])
 
     // Run this every time checkout steps change
     useEffect(() => {
         if (state.step != undefined) {
-            einstein.sendCheckoutStep(getCheckoutStepName(state.step), state.step, basket)
+            analytics.publish(EVENTS.CHECKOUT_PROGRESS, {
+                step: state.step,
+                stepName: getCheckoutStepName(state.step),
+                basket
+            })
         }
     }, [state.step])
 
@@ -134,16 +171,61 @@ export const CheckoutProvider = ({children}) => {
                 return basket
             },
 
+            /** The shipments delivered to an address, without the ones picked up in store */
+            get shipments() {
+                return getDeliveryShipments(basket)
+            },
+
+            /** The items of the shipments delivered to an address */
+            get deliveryItems() {
+                return (basket.productItems || []).filter((item) =>
+                    ctx.shipments.some(({shipmentId}) => shipmentId === item.shipmentId)
+                )
+            },
+
+            get pickupShipments() {
+                return getPickupShipments(basket)
+            },
+
+            /** Whether all the items are picked up in store, with nothing to ship */
+            get isPickupOnly() {
+                return isPickupOnly(basket)
+            },
+
+            get isMultiShipment() {
+                return ctx.shipments.length > 1
+            },
+
             get selectedShippingAddress() {
-                return basket.shipments && basket.shipments[0].shippingAddress
+                return ctx.shipments[0]?.shippingAddress
             },
 
             get selectedShippingMethod() {
-                return basket.shipments && basket.shipments[0].shippingMethod
+                return ctx.shipments[0]?.shippingMethod
+            },
+
+            /** The credit card payments, without the gift certificates */
+            get cardPayments() {
+                return getCardPayments(basket)
             },
 
-            get selectedPayment() {
-                return basket.paymentInstruments && basket.paymentInstruments[0]
+            get giftCertificatePayments() {
+                return getGiftCertificatePayments(basket)
+            },
+
+            /** The part of the order total not paid yet, undefined until the total is calculated */
+            get remainingBalance() {
+                return getRemainingBalance(basket)
+            },
+
+            /** Whether another payment is needed to pay the order total */
+            get isPaymentDue() {
+                return isPaymentDue(basket)
+            },
+
+            /** Whether the payments add up to the order total, so the order can be placed */
+            get isOrderTotalCovered() {
+                return isOrderTotalCovered(basket)
             },
 
             get selectedBillingAddress() {
@@ -173,7 +255,16 @@ export const CheckoutProvider = ({children}) => {
             // ----------------
 
             goToNextStep() {
-                mergeState({step: state.step + 1})
+                let step = state.step + 1
+                // There is nothing to ship when all the items are picked up in store
+                if (
+                    ctx.isPickupOnly &&
+                    (step === CheckoutSteps.Shipping_Address ||
+                        step === CheckoutSteps.Shipping_Options)
+                ) {
+                    step = CheckoutSteps.Payment
+                }
+                mergeState({step})
             },
 
             setCheckoutStep(step) {
@@ -202,22 +293,25 @@ export const CheckoutProvider = ({children}) => {
 
             /**
              * Applies the given address to the basket's shipment. Accepts CustomerAddress and OrderAddress.
+             * If the basket was shipped to several addresses, all of its items are shipped to this one,
+             * except the ones picked up in store.
              * @see {@link https://salesforcecommercecloud.github.io/commerce-sdk-isomorphic/modules/shoppercustomers.html#customeraddress}
              * @see {@link https://salesforcecommercecloud.github.io/commerce-sdk-isomorphic/modules/shoppercustomers.html#orderaddress}
              * @param {Object} addressData
              */
             async setShippingAddress(addressData) {
-                const {
-                    id,
-                    preferred,
-                    creationDate,
-                    lastModified,
-                    addressId,
-                    addressName,
-                    ...address
-                } = addressData
-
-                await basket.setShippingAddress(address)
+                const {address, addressId} = splitAddressData(addressData)
+
+                if (ctx.isMultiShipment) {
+                    await basket.setShipments([
+                        {
+                            shippingAddress: address,
+                            itemIds: ctx.deliveryItems.map((item) => item.itemId)
+                        }
+                    ])
+                } else {
+                    await basket.setShippingAddress(address)
+                }
 
                 // Add/Update the address to the customer's account if they are registered.
                 if (!state.isGuestCheckout) {
@@ -227,6 +321,31 @@ export const CheckoutProvider = ({children}) => {
                 }
             },
 
+            /**
+             * Ships the basket's items to several addresses, with one shipment per address.
+             * Accepts CustomerAddress and OrderAddress.
+             * @param {Array<Object>} shipments
+             * @param {Object} shipments[].addressData - The address to ship to
+             * @param {Array<string>} shipments[].itemIds - The ids of the items shipped there
+             */
+            async setShipments(shipments) {
+                const addresses = shipments.map(({addressData}) => splitAddressData(addressData))
+
+                await basket.setShipments(
+                    shipments.map(({itemIds}, index) => ({
+                        shippingAddress: addresses[index].address,
+                        itemIds
+                    }))
+                )
+
+                // Add the new addresses to the customer's account if they are registered.
+                if (!state.isGuestCheckout) {
+                    addresses
+                        .filter(({addressId}) => !addressId)
+                        .forEach(({address}) => customer.addSavedAddress(address))
+                }
+            },
+
             /**
              * Removes a customer's saved address from their account.
              * @param {string} addressId - The name/identifier of the address to be removed
@@ -236,19 +355,36 @@ export const CheckoutProvider = ({children}) => {
             },
 
             /**
-             * Gets the applicable shipping methods for the basket's items and stores it in local state.
+             * Gets the applicable shipping methods of each of the basket's delivered shipments and
+             * stores them in local state, by shipment id. The store pickup method is left out.
              */
             async getShippingMethods() {
-                const shippingMethods = await basket.getShippingMethods()
+                const responses = await Promise.all(
+                    ctx.shipments.map(({shipmentId}) => basket.getShippingMethods(shipmentId))
+                )
+                const shippingMethods = Object.fromEntries(
+                    ctx.shipments.map(({shipmentId}, index) => [
+                        shipmentId,
+                        responses[index] && {
+                            ...responses[index],
+                            applicableShippingMethods: responses[
+                                index
+                            ].applicableShippingMethods?.filter(
+                                (method) => !method.c_storePickupEnabled
+                            )
+                        }
+                    ])
+                )
                 mergeState({shippingMethods})
             },
 
             /**
-             * Sets the shipment's shipping method on the basket.
+             * Sets a shipment's shipping method on the basket.
              * @param {string} id - The shipping method id from applicable shipping methods
+             * @param {string} [shipmentId] - The id of the shipment, the default one if not given
              */
-            async setShippingMethod(id) {
-                await basket.setShippingMethod(id)
+            async setShippingMethod(id, shipmentId) {
+                await basket.setShippingMethod(id, shipmentId)
             },
 
             /**
@@ -262,19 +398,28 @@ export const CheckoutProvider = ({children}) => {
             },
 
             /**
-             * Applies the given payment instrument to the basket.
+             * Adds the given card payment to the basket, for the given amount or the whole
+             * remaining balance.
              * @see {@link https://salesforcecommercecloud.github.io/commerce-sdk-isomorphic/modules/shoppercustomers.html#orderpaymentinstrument}
              * @param {Object} payment
+             * @returns {Object} The updated basket
              */
             async setPayment(payment) {
-                const {expiry, paymentInstrumentId, ...selectedPayment} = payment
+                const {
+                    expiry,
+                    paymentInstrumentId,
+                    amount: amountValue,
+                    ...selectedPayment
+                } = payment
+                // The amount is left out until the order total is calculated
+                const amount = amountValue ? parseFloat(amountValue) : ctx.remainingBalance
 
                 if (paymentInstrumentId) {
                     // Customer selected a saved card
-                    await basket.setPaymentInstrument({
-                        customerPaymentInstrumentId: paymentInstrumentId
+                    return basket.addPaymentInstrument({
+                        customerPaymentInstrumentId: paymentInstrumentId,
+                        amount
                     })
-                    return
                 }
 
                 // The form gives us the expiration date as `MM/YY` - so we need to split it into
@@ -299,20 +444,63 @@ export const CheckoutProvider = ({children}) => {
                     }
                 }
 
-                await basket.setPaymentInstrument(paymentInstrument)
+                const updatedBasket = await basket.addPaymentInstrument({
+                    ...paymentInstrument,
+                    amount
+                })
 
                 // Save the payment instrument to the customer's account if they are registered
                 if (!state.isGuestCheckout && !selectedPayment.id) {
                     customer.addSavedPaymentInstrument(paymentInstrument)
                 }
+
+                return updatedBasket
+            },
+
+            /**
+             * Removes a payment, card or gift certificate, from the basket.
+             * @param {string} paymentInstrumentId
+             */
+            async removePayment(paymentInstrumentId) {
+                await basket.removePaymentInstrument(paymentInstrumentId)
             },
 
             /**
-             * Removes the currently applied payment instrument from the basket. Multiple payment
-             * instruments can be applied to the basket, however we are only dealing with one.
+             * Gets a gift certificate, to check its balance.
+             * @param {string} giftCertificateCode
+             * @returns {Object} The gift certificate
+             * @throws {InvalidGiftCertificateError} If the code is unknown
              */
-            async removePayment() {
-                await basket.removePaymentInstrument()
+            async getGiftCertificate(giftCertificateCode) {
+                const giftCertificate = await api.shopperGiftCertificates.getGiftCertificate({
+                    body: {giftCertificateCode: giftCertificateCode.trim()}
+                })
+                if (isError(giftCertificate)) {
+                    throw createCommerceAPIError(giftCertificate)
+                }
+                return giftCertificate
+            },
+
+            /**
+             * Redeems a gift certificate for as much of the remaining balance as its balance covers.
+             * @param {string} giftCertificateCode
+             * @throws {InvalidGiftCertificateError} If the gift certificate can't be redeemed
+             */
+            async applyGiftCertificate(giftCertificateCode) {
+                const giftCertificate = await ctx.getGiftCertificate(giftCertificateCode)
+                if (!isRedeemable(giftCertificate)) {
+                    throw new InvalidGiftCertificateError(
+                        `Gift certificate ${giftCertificate.maskedGiftCertificateCode} can't be redeemed`
+                    )
+                }
+                await basket.addPaymentInstrument({
+                    paymentMethodId: GIFT_CERTIFICATE_PAYMENT_METHOD,
+                    giftCertificateCode: giftCertificateCode.trim(),
+                    amount: Math.min(
+                        giftCertificate.balance,
+                        ctx.remainingBalance ?? giftCertificate.balance
+                    )
+                })
             },
 
             /**
@@ -348,10 +536,31 @@ export const CheckoutProvider = ({children}) => {
                     // Note: It is possible to get localized error messages from OCAPI, but this
                     // is not available for all locales or all error messages. Therefore, we
                     // recommend using your own error messages, rather than those provided by OCAPI.
-                    const message = formatMessage({
-                        id: 'checkout.message.generic_error',
-                        defaultMessage: 'An unexpected error occurred during checkout.'
-                    })
+                    let message
+                    if (error instanceof OutOfStockError) {
+                        message = formatMessage({
+                            id: 'checkout.message.out_of_stock_error',
+                            defaultMessage:
+                                'Some items in your cart are no longer available in the requested quantity. Please review your cart and try again.'
+                        })
+                    } else if (error instanceof OrderTotalNotCoveredError) {
+                        message = formatMessage({
+                            id: 'checkout.message.order_total_not_covered_error',
+                            defaultMessage:
+                                'Your payments do not add up to the order total. Please review your payment and try again.'
+                        })
+                    } else if (error instanceof BasketNotFoundError) {
+                        message = formatMessage({
+                            id: 'checkout.message.basket_not_found_error',
+                            defaultMessage:
+                                'Your cart has expired or was already ordered. Please return to your cart and try again.'
+                        })
+                    } else {
+                        message = formatMessage({
+                            id: 'checkout.message.generic_error',
+                            defaultMessage: 'An unexpected error occurred during checkout.'
+                        })
+                    }
                     mergeState({globalError: message})
                     throw error
                 }
@@ -7,6 +7,8 @@
 import {useEffect, useState} from 'react'
 import {useForm} from 'react-hook-form'
 import {useCheckout} from '../util/checkout-context'
+import {getRemainingBalance, isOrderTotalCovered} from '../../../utils/payment-utils'
+import {OrderTotalNotCoveredError} from '../../../commerce-api/errors'
 
 /**
  * A hook for managing and coordinating the billing address and payment method forms.
@@ -14,7 +16,9 @@ import {useCheckout} from '../util/checkout-context'
  */
 const usePaymentForms = () => {
     const {
-        selectedPayment,
+        remainingBalance,
+        isPaymentDue,
+        isOrderTotalCovered: isCovered,
         selectedBillingAddress,
         selectedShippingAddress,
         setPayment,
@@ -30,6 +34,10 @@ const usePaymentForms = () => {
 
     const paymentMethodForm = useForm()
 
+    // The amount paid by card is kept in a form of its own, as the payment method form is reset
+    // when the shopper picks another card.
+    const paymentAmountForm = useForm()
+
     const billingAddressForm = useForm({
         mode: 'onChange',
         shouldUnregister: false,
@@ -47,13 +55,42 @@ const usePaymentForms = () => {
         }
     }, [isBillingSameAsShipping])
 
-    const submitPaymentMethodForm = async (payment) => {
-        // Make sure we only apply the payment if there isnt already one applied.
-        // This works because a payment cannot be edited, only removed. In the UI,
-        // we ensure that the any applied payment is removed before showing the
-        // the payment form.
-        if (!selectedPayment) {
-            await setPayment(payment)
+    // The amount paid by card defaults to the remaining balance, which changes as gift
+    // certificates and other cards are added or removed.
+    useEffect(() => {
+        if (remainingBalance > 0) {
+            paymentAmountForm.setValue('amount', remainingBalance.toFixed(2))
+        }
+    }, [remainingBalance])
+
+    const submitPaymentMethodForm = (payment) => {
+        // The amount is only asked for once the order total is calculated. Until then, the
+        // card pays the whole order.
+        if (isPaymentDue && remainingBalance !== undefined) {
+            return paymentAmountForm.handleSubmit(({amount}) =>
+                submitPayment({...payment, amount})
+            )()
+        }
+        return submitPayment(payment)
+    }
+
+    const submitPayment = async (payment) => {
+        // Payments can't be edited, only removed and added again, so the payment form only
+        // adds a card while a part of the order total is left to pay. The shopper stays on
+        // this step until the payments cover the order total, e.g. to pay the rest with
+        // another card.
+        if (isPaymentDue) {
+            const updatedBasket = await setPayment(payment)
+            if (!isOrderTotalCovered(updatedBasket)) {
+                paymentMethodForm.reset()
+                paymentAmountForm.reset({
+                    amount: getRemainingBalance(updatedBasket).toFixed(2)
+                })
+                return
+            }
+        } else if (!isCovered) {
+            // The payments exceed the order total, or it isn't calculated yet
+            throw new OrderTotalNotCoveredError('The payments do not match the order total')
         }
 
         // Once the payment is applied to the basket, we submit the billing address.
@@ -85,6 +122,7 @@ const usePaymentForms = () => {
 
     return {
         paymentMethodForm,
+        paymentAmountForm,
         billingAddressForm,
         billingSameAsShipping,
         setBillingSameAsShipping,
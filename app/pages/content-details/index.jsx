@@ -1,10 +1,20 @@
-import React from 'react'
+import React, {useEffect} from 'react'
 import fetch from 'cross-fetch'
+import {useLocation} from 'react-router-dom'
 
 import { CLIENT_ID, SITE_ID } from '../../constants'
 import {getAppOrigin} from 'pwa-kit-react-sdk/utils/url'
+import analytics, {EVENTS} from '../../analytics'
 
 const ContentDetails = ({ contentResult, error }) => {
+    const {pathname} = useLocation()
+
+    useEffect(() => {
+        if (contentResult) {
+            analytics.publish(EVENTS.VIEW_CONTENT, {content: contentResult, path: pathname})
+        }
+    }, [contentResult])
+
     if (error) {
         return <div>{error.fault.message}</div>
     }
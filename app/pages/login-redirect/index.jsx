@@ -6,15 +6,73 @@
  */
 
 // This page is here along witht the `callback` route to handle the redirect
-// after a user logs in using the SLAS Implementation
+// after a user logs in using the SLAS Implementation. The email and password login only
+// fetches the callback url, but shoppers logging in with an identity provider (e.g. Google)
+// are sent here by the browser, and their login is completed on this page.
 
-import React, {Fragment} from 'react'
+import React, {useEffect, useState} from 'react'
+import {FormattedMessage} from 'react-intl'
+import {Alert, Box, Button, Container, Stack, Text} from '@chakra-ui/react'
+import useCustomer from '../../commerce-api/hooks/useCustomer'
+import useNavigation from '../../hooks/use-navigation'
+import Seo from '../../components/seo'
+import LoadingSpinner from '../../components/loading-spinner'
+import {AlertIcon} from '../../components/icons'
 
 const LoginRedirect = () => {
+    const customer = useCustomer()
+    const navigate = useNavigation()
+    const [error, setError] = useState()
+
+    useEffect(() => {
+        customer
+            .loginWithIdpCallback(window.location.href)
+            .then((redirectPath) => navigate(redirectPath || '/account', 'replace'))
+            .catch((error) => setError(error.message))
+    }, [])
+
     return (
-        <Fragment>
-            <h1 data-testid="login-redirect-page-heading">Login Redirect</h1>
-        </Fragment>
+        <Box data-testid="login-redirect-page" bg="gray.50" py={[8, 16]}>
+            <Seo title="Sign in" description="Customer sign in" />
+            <Container
+                paddingTop={16}
+                width={['100%', '407px']}
+                bg="white"
+                paddingBottom={14}
+                marginTop={8}
+                marginBottom={8}
+                borderRadius="base"
+            >
+                <Stack spacing={8} paddingLeft={4} paddingRight={4}>
+                    <Text as="h1" align="center" fontSize="xl" fontWeight="semibold">
+                        <FormattedMessage
+                            defaultMessage="Signing you in"
+                            id="login_redirect.title.signing_in"
+                        />
+                    </Text>
+                    {error ? (
+                        <Stack spacing={6}>
+                            <Alert status="error">
+                                <AlertIcon color="red.500" boxSize={4} />
+                                <Text fontSize="sm" ml={3}>
+                                    {error}
+                                </Text>
+                            </Alert>
+                            <Button onClick={() => navigate('/login', 'replace')}>
+                                <FormattedMessage
+                                    defaultMessage="Back to Sign In"
+                                    id="login_redirect.button.back_to_sign_in"
+                                />
+                            </Button>
+                        </Stack>
+                    ) : (
+                        <Box position="relative" height={16}>
+                            <LoadingSpinner />
+                        </Box>
+                    )}
+                </Stack>
+            </Container>
+        </Box>
     )
 }
 
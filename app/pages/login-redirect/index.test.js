@@ -5,12 +5,47 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import React from 'react'
-import {renderWithReactIntl} from '../../utils/test-utils'
+import {screen, waitFor} from '@testing-library/react'
+import {renderWithProviders} from '../../utils/test-utils'
 import LoginRedirect from './index'
 
-test('Login Redirect renders without errors', () => {
-    const {getByRole} = renderWithReactIntl(<LoginRedirect />)
+const mockLoginWithIdpCallback = jest.fn()
+const mockNavigate = jest.fn()
 
-    expect(getByRole('heading', {name: /login redirect/i})).toBeInTheDocument()
+jest.mock('../../commerce-api/hooks/useCustomer', () => {
+    return () => ({loginWithIdpCallback: mockLoginWithIdpCallback})
+})
+
+jest.mock('../../hooks/use-navigation', () => {
+    return () => mockNavigate
+})
+
+beforeEach(() => {
+    jest.clearAllMocks()
+})
+
+test('Login Redirect completes the identity provider login', async () => {
+    mockLoginWithIdpCallback.mockResolvedValue('/checkout')
+    renderWithProviders(<LoginRedirect />)
+
+    expect(screen.getByRole('heading', {name: /signing you in/i})).toBeInTheDocument()
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/checkout', 'replace'))
+    expect(mockLoginWithIdpCallback).toHaveBeenCalledWith(window.location.href)
     expect(typeof LoginRedirect.getTemplateName()).toEqual('string')
 })
+
+test('Login Redirect sends the shopper to their account by default', async () => {
+    mockLoginWithIdpCallback.mockResolvedValue(undefined)
+    renderWithProviders(<LoginRedirect />)
+
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/account', 'replace'))
+})
+
+test('Login Redirect shows the error of a failed login', async () => {
+    mockLoginWithIdpCallback.mockRejectedValue(new Error('Login cancelled'))
+    renderWithProviders(<LoginRedirect />)
+
+    expect(await screen.findByText('Login cancelled')).toBeInTheDocument()
+    screen.getByRole('button', {name: /back to sign in/i}).click()
+    expect(mockNavigate).toHaveBeenCalledWith('/login', 'replace')
+})
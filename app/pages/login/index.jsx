@@ -14,7 +14,9 @@ import useNavigation from '../../hooks/use-navigation'
 import Seo from '../../components/seo'
 import {useForm} from 'react-hook-form'
 import {useLocation} from 'react-router-dom'
+import {getConfig} from 'pwa-kit-runtime/utils/ssr-config'
 import useEinstein from '../../commerce-api/hooks/useEinstein'
+import {InvalidCredentialsError} from '../../commerce-api/errors'
 
 import LoginForm from '../../components/login'
 
@@ -31,16 +33,25 @@ const Login = () => {
         try {
             await customer.login(data)
         } catch (error) {
-            const message = /invalid credentials/i.test(error.message)
-                ? formatMessage({
-                      defaultMessage: 'Incorrect username or password, please try again.',
-                      id: 'login_page.error.incorrect_username_or_password'
-                  })
-                : error.message
+            const message =
+                error instanceof InvalidCredentialsError
+                    ? formatMessage({
+                          defaultMessage: 'Incorrect username or password, please try again.',
+                          id: 'login_page.error.incorrect_username_or_password'
+                      })
+                    : error.message
             form.setError('global', {type: 'manual', message})
         }
     }
 
+    const loginWithIdp = async (idp) => {
+        try {
+            await customer.loginWithIdp(idp, location?.state?.directedFrom)
+        } catch (error) {
+            form.setError('global', {type: 'manual', message: error.message})
+        }
+    }
+
     // If customer is registered push to account page
     useEffect(() => {
         if (customer.authType != null && customer.isRegistered) {
@@ -74,6 +85,8 @@ const Login = () => {
                     submitForm={submitForm}
                     clickCreateAccount={() => navigate('/registration')}
                     clickForgotPassword={() => navigate('/reset-password')}
+                    clickIdpLogin={loginWithIdp}
+                    idps={getConfig().app.login?.idps}
                 />
             </Container>
         </Box>
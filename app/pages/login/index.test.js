@@ -5,7 +5,7 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import React from 'react'
-import {screen} from '@testing-library/react'
+import {screen, waitFor} from '@testing-library/react'
 import user from '@testing-library/user-event'
 import {rest} from 'msw'
 import {renderWithProviders, createPathWithDefaults} from '../../utils/test-utils'
@@ -15,6 +15,7 @@ import Account from '../account'
 import Registration from '../registration'
 import ResetPassword from '../reset-password'
 import mockConfig from '../../../config/mocks/default'
+import Auth from '../../commerce-api/auth'
 
 jest.setTimeout(60000)
 
@@ -187,3 +188,18 @@ test('should navigate to reset password page when the user clicks Forgot Passwor
         )
     ).toBeInTheDocument()
 })
+
+test('Allows customer to sign in with an identity provider', async () => {
+    const loginWithIdp = jest.spyOn(Auth.prototype, 'loginWithIdp').mockResolvedValue()
+
+    // render our test component
+    renderWithProviders(<MockedComponent />, {
+        wrapperProps: {siteAlias: 'uk', locale: {id: 'en-GB'}, appConfig: mockConfig.app}
+    })
+    user.click(screen.getByText(/continue with google/i))
+
+    await waitFor(() => expect(loginWithIdp).toHaveBeenCalledWith('google'))
+    expect(screen.getByText(/continue with apple/i)).toBeInTheDocument()
+    expect(screen.getByText(/continue with facebook/i)).toBeInTheDocument()
+    loginWithIdp.mockRestore()
+})
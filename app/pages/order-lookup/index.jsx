@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useEffect, useState} from 'react'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {Box, Button, Container} from '@chakra-ui/react'
+import {useForm} from 'react-hook-form'
+import {useLocation} from 'react-router-dom'
+import useCustomer from '../../commerce-api/hooks/useCustomer'
+import useEinstein from '../../commerce-api/hooks/useEinstein'
+import useNavigation from '../../hooks/use-navigation'
+import Seo from '../../components/seo'
+import OrderLookupForm from '../../components/order-lookup'
+import OrderDetails from '../../components/order-details'
+import {ChevronLeftIcon} from '../../components/icons'
+import {API_ERROR_MESSAGE} from '../../constants'
+
+// Guests look up their orders with the order number, and the email and postal code they used for
+// it. Registered shoppers see their orders in the account instead.
+const OrderLookup = () => {
+    const {formatMessage} = useIntl()
+    const customer = useCustomer()
+    const navigate = useNavigation()
+    const einstein = useEinstein()
+    const {pathname} = useLocation()
+    const form = useForm()
+    const [order, setOrder] = useState()
+    const [productsById, setProductsById] = useState({})
+
+    const submitForm = async (data) => {
+        try {
+            const order = await customer.getGuestOrder(data)
+            if (!order) {
+                form.setError('global', {
+                    type: 'manual',
+                    message: formatMessage({
+                        defaultMessage:
+                            "We couldn't find an order with these details. Please check them and try again.",
+                        id: 'order_lookup_page.error.order_not_found'
+                    })
+                })
+                return
+            }
+            const ids = order.productItems.map((item) => item.productId)
+            setProductsById(await customer.getCustomerOrderProductsDetail(ids))
+            setOrder(order)
+        } catch (error) {
+            form.setError('global', {type: 'manual', message: formatMessage(API_ERROR_MESSAGE)})
+        }
+    }
+
+    /**************** Einstein ****************/
+    useEffect(() => {
+        einstein.sendViewPage(pathname)
+    }, [])
+
+    if (order) {
+        return (
+            <Box data-testid="order-lookup-page" layerStyle="page" paddingTop={[4, 4, 12, 12, 16]}>
+                <Seo title="Order details" description="Guest order details" />
+                <OrderDetails
+                    order={order}
+                    productsById={productsById}
+                    isLoading={false}
+                    backLink={
+                        <Box>
+                            <Button
+                                variant="link"
+                                leftIcon={<ChevronLeftIcon />}
+                                size="sm"
+                                onClick={() => {
+                                    form.reset()
+                                    setOrder(undefined)
+                                }}
+                            >
+                                <FormattedMessage
+                                    defaultMessage="Look Up Another Order"
+                                    id="order_lookup_page.link.look_up_another"
+                                />
+                            </Button>
+                        </Box>
+                    }
+                />
+            </Box>
+        )
+    }
+
+    return (
+        <Box data-testid="order-lookup-page" bg="gray.50" py={[8, 16]}>
+            <Seo title="Look up an order" description="Guest order lookup" />
+            <Container
+                paddingTop={16}
+                width={['100%', '407px']}
+                bg="white"
+                paddingBottom={14}
+                marginTop={8}
+                marginBottom={8}
+                borderRadius="base"
+            >
+                <OrderLookupForm
+                    form={form}
+                    submitForm={submitForm}
+                    clickSignIn={() => navigate('/login')}
+                />
+            </Container>
+        </Box>
+    )
+}
+
+OrderLookup.getTemplateName = () => 'order-lookup'
+
+export default OrderLookup
@@ -0,0 +1,98 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {screen} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {renderWithProviders} from '../../utils/test-utils'
+import {mockOrderHistory, mockOrderProducts} from '../../commerce-api/mock-data'
+import OrderLookup from './index'
+import mockConfig from '../../../config/mocks/default'
+
+jest.mock('../../commerce-api/einstein')
+
+const mockOrder = mockOrderHistory.data[0]
+
+const renderPage = () =>
+    renderWithProviders(<OrderLookup />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+const lookUpOrder = ({orderNo = '00028011', email = 'Tester@test.com', postalCode = ' 33712'}) => {
+    user.type(screen.getByLabelText('Order Number'), orderNo)
+    user.type(screen.getByLabelText('Email'), email)
+    user.type(screen.getByLabelText('Postal Code'), postalCode)
+    user.click(screen.getByRole('button', {name: 'Find Order'}))
+}
+
+beforeEach(() => {
+    global.server.use(
+        // The app server only returns the order when the details match
+        rest.post('*/guest-order', (req, res, ctx) => {
+            const body = new URLSearchParams(req.body)
+            const isMatch =
+                body.get('order_no') === mockOrder.orderNo &&
+                body.get('email') === 'Tester@test.com' &&
+                body.get('postal_code') === ' 33712'
+            return isMatch
+                ? res(ctx.delay(0), ctx.json(mockOrder))
+                : res(
+                      ctx.delay(0),
+                      ctx.status(404),
+                      ctx.json({status_code: 404, message: 'No matching order found.'})
+                  )
+        }),
+        rest.get('*/products', (req, res, ctx) => res(ctx.delay(0), ctx.json(mockOrderProducts)))
+    )
+})
+afterEach(() => {
+    localStorage.clear()
+})
+
+test('Shows the order details when they match the order', async () => {
+    renderPage()
+    expect(await screen.findByTestId('sf-order-lookup-form')).toBeInTheDocument()
+
+    lookUpOrder({})
+    expect(await screen.findByText(/order number: 00028011/i)).toBeInTheDocument()
+    expect(
+        await screen.findByAltText(/Pleated Bib Long Sleeve Shirt, Silver Grey, small/i)
+    ).toBeInTheDocument()
+
+    user.click(screen.getByText(/look up another order/i))
+    expect(await screen.findByTestId('sf-order-lookup-form')).toBeInTheDocument()
+})
+
+test('Does not show the order when the email or postal code differ', async () => {
+    renderPage()
+    await screen.findByTestId('sf-order-lookup-form')
+
+    lookUpOrder({postalCode: '90210'})
+    expect(await screen.findByText(/couldn't find an order/i)).toBeInTheDocument()
+    expect(screen.queryByText(/order number: 00028011/i)).toBeNull()
+})
+
+test('Shows an error for unknown orders', async () => {
+    renderPage()
+    await screen.findByTestId('sf-order-lookup-form')
+
+    lookUpOrder({orderNo: '12345'})
+    expect(await screen.findByText(/couldn't find an order/i)).toBeInTheDocument()
+})
+
+test('Shows an error when the order cannot be looked up', async () => {
+    global.server.use(
+        rest.post('*/guest-order', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.status(502), ctx.json({status_code: 502, message: 'Bad gateway'}))
+        )
+    )
+    renderPage()
+    await screen.findByTestId('sf-order-lookup-form')
+
+    lookUpOrder({})
+    expect(await screen.findByText(/something went wrong/i)).toBeInTheDocument()
+})
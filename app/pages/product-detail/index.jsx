@@ -18,20 +18,23 @@ import useBasket from '../../commerce-api/hooks/useBasket'
 import {useVariant} from '../../hooks'
 import useWishlist from '../../hooks/use-wishlist'
 import useNavigation from '../../hooks/use-navigation'
-import useEinstein from '../../commerce-api/hooks/useEinstein'
+import analytics, {EVENTS} from '../../analytics'
 
 // Project Components
 import RecommendedProducts from '../../components/recommended-products'
 import ProductView from '../../partials/product-view'
+import DeliveryOptions from '../../components/delivery-options'
 import InformationAccordion from './partials/information-accordion'
 
 // Others/Utils
 import {HTTPNotFound} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import {OutOfStockError} from '../../commerce-api/errors'
 
 // constant
 import {
     API_ERROR_MESSAGE,
     MAX_CACHE_AGE,
+    STORE_OUT_OF_STOCK_MESSAGE,
     TOAST_ACTION_VIEW_WISHLIST,
     TOAST_MESSAGE_ADDED_TO_WISHLIST,
     TOAST_MESSAGE_REMOVED_FROM_WISHLIST
@@ -44,12 +47,13 @@ const ProductDetail = ({category, product, isLoading}) => {
     const {formatMessage} = useIntl()
     const basket = useBasket()
     const history = useHistory()
-    const einstein = useEinstein()
     const variant = useVariant(product)
     const toast = useToast()
     const navigate = useNavigation()
     const [primaryCategory, setPrimaryCategory] = useState(category)
     const [productSetSelection, setProductSetSelection] = useState({})
+    // The store the products are picked up at, or null when they are shipped
+    const [pickupStore, setPickupStore] = useState(null)
     const childProductRefs = React.useRef({})
 
     const isProductASet = product?.type.set
@@ -134,9 +138,13 @@ const ProductDetail = ({category, product, isLoading}) => {
 
     /**************** Add To Cart ****************/
     const showToast = useToast()
-    const showError = () => {
+    const showError = (error) => {
         showToast({
-            title: formatMessage(API_ERROR_MESSAGE),
+            title: formatMessage(
+                error instanceof OutOfStockError && pickupStore
+                    ? STORE_OUT_OF_STOCK_MESSAGE
+                    : API_ERROR_MESSAGE
+            ),
             status: 'error'
         })
     }
@@ -149,7 +157,7 @@ const ProductDetail = ({category, product, isLoading}) => {
                 quantity
             }))
 
-            await basket.addItemToBasket(productItems)
+            await basket.addItemToBasket(productItems, {pickupStore})
 
             // If the items were sucessfully added, set the return value to be used
             // by the add to cart modal.
@@ -198,16 +206,16 @@ const ProductDetail = ({category, product, isLoading}) => {
         return handleAddToCart(productSelectionValues)
     }
 
-    /**************** Einstein ****************/
+    /**************** Analytics ****************/
     useEffect(() => {
         if (product && product.type.set) {
-            einstein.sendViewProduct(product)
+            analytics.publish(EVENTS.VIEW_ITEM, {product})
             const childrenProducts = product.setProducts
             childrenProducts.map((child) => {
-                einstein.sendViewProduct(child)
+                analytics.publish(EVENTS.VIEW_ITEM, {product: child})
             })
         } else if (product) {
-            einstein.sendViewProduct(product)
+            analytics.publish(EVENTS.VIEW_ITEM, {product})
         }
     }, [product])
 
@@ -230,6 +238,12 @@ const ProductDetail = ({category, product, isLoading}) => {
                             product={product}
                             category={primaryCategory?.parentCategoryTree || []}
                             addToCart={handleProductSetAddToCart}
+                            deliveryOptions={
+                                <DeliveryOptions
+                                    pickupStore={pickupStore}
+                                    onChange={setPickupStore}
+                                />
+                            }
                             addToWishlist={(product, variant, quantity) =>
                                 handleAddToWishlist(product, variant, quantity)
                             }
@@ -304,6 +318,12 @@ const ProductDetail = ({category, product, isLoading}) => {
                             addToCart={(variant, quantity) =>
                                 handleAddToCart([{product, variant, quantity}])
                             }
+                            deliveryOptions={
+                                <DeliveryOptions
+                                    pickupStore={pickupStore}
+                                    onChange={setPickupStore}
+                                />
+                            }
                             addToWishlist={(product, variant, quantity) =>
                                 handleAddToWishlist(product, variant, quantity)
                             }
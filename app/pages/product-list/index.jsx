@@ -57,7 +57,7 @@ import {useLimitUrls, usePageUrls, useSortUrls, useSearchParams} from '../../hoo
 import {useToast} from '../../hooks/use-toast'
 import useWishlist from '../../hooks/use-wishlist'
 import {parse as parseSearchParams} from '../../hooks/use-search-params'
-import useEinstein from '../../commerce-api/hooks/useEinstein'
+import analytics, {EVENTS} from '../../analytics'
 import { useCommerceAPI } from '../../commerce-api/contexts'
 
 // Others
@@ -109,7 +109,6 @@ const ProductList = (props) => {
     const history = useHistory()
     const params = useParams()
     const toast = useToast()
-    const einstein = useEinstein()
     const api = useCommerceAPI()
 
     const basePath = `${location.pathname}${location.search}`
@@ -187,12 +186,18 @@ const ProductList = (props) => {
         }
     }
 
-    /**************** Einstein ****************/
+    /**************** Analytics ****************/
     useEffect(() => {
         if (productSearchResult) {
             searchQuery
-                ? einstein.sendViewSearch(searchQuery, productSearchResult)
-                : einstein.sendViewCategory(category, productSearchResult)
+                ? analytics.publish(EVENTS.VIEW_SEARCH_RESULTS, {
+                      searchText: searchQuery,
+                      searchResults: productSearchResult
+                  })
+                : analytics.publish(EVENTS.VIEW_ITEM_LIST, {
+                      category,
+                      searchResults: productSearchResult
+                  })
         }
     }, [productSearchResult])
 
@@ -480,16 +485,13 @@ const ProductList = (props) => {
                                                   openQuickView={handleQuickViewOpening}
                                                   isFavourite={isInWishlist}
                                                   onClick={() => {
-                                                      if (searchQuery) {
-                                                          einstein.sendClickSearch(
-                                                              searchQuery,
-                                                              productSearchItem
-                                                          )
-                                                      } else if (category) {
-                                                          einstein.sendClickCategory(
-                                                              category,
-                                                              productSearchItem
-                                                          )
+                                                      if (searchQuery || category) {
+                                                          analytics.publish(EVENTS.SELECT_ITEM, {
+                                                              product: productSearchItem,
+                                                              ...(searchQuery
+                                                                  ? {searchText: searchQuery}
+                                                                  : {category})
+                                                          })
                                                       }
                                                   }}
                                                   onFavouriteToggle={(isFavourite) => {
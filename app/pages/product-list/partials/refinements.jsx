@@ -24,6 +24,7 @@ import CheckboxRefinements from './checkbox-refinements'
 import LinkRefinements from './link-refinements'
 import {isServer} from '../../../utils/utils'
 import {FILTER_ACCORDION_SATE} from '../../../constants'
+import {useConsent} from '../../../hooks/use-consent'
 
 const componentMap = {
     cgid: LinkRefinements,
@@ -33,6 +34,8 @@ const componentMap = {
 }
 
 const Refinements = ({filters, toggleFilter, selectedFilters, isLoading}) => {
+    const {consent} = useConsent()
+
     // Getting the indices of filters to open accordions by default
     let filtersIndexes = filters?.map((filter, idx) => idx)
 
@@ -55,6 +58,11 @@ const Refinements = ({filters, toggleFilter, selectedFilters, isLoading}) => {
 
     // Handle saving acccordion state
     const updateAccordionState = (expandedIndex) => {
+        // Remembering the state needs the shopper's consent
+        if (!consent.functional) {
+            return
+        }
+
         const filterState = filters
             ?.filter((filter, index) => expandedIndex.includes(index))
             .map((filter) => filter.attributeId)
@@ -0,0 +1,67 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useEffect} from 'react'
+import {Box, Container} from '@chakra-ui/react'
+import {useForm} from 'react-hook-form'
+import {useLocation, useParams} from 'react-router-dom'
+import useCustomer from '../../commerce-api/hooks/useCustomer'
+import useEinstein from '../../commerce-api/hooks/useEinstein'
+import useNavigation from '../../hooks/use-navigation'
+import Seo from '../../components/seo'
+import NewPasswordForm from '../../components/new-password'
+
+// The landing page of the link in the password reset email, e.g.
+// `/reset-password/<token>?email=<email>`. The email is only prefilled if the link has it.
+const NewPassword = () => {
+    const customer = useCustomer()
+    const navigate = useNavigation()
+    const einstein = useEinstein()
+    const {token} = useParams()
+    const {pathname, search} = useLocation()
+    const form = useForm({
+        defaultValues: {email: new URLSearchParams(search).get('email') || ''}
+    })
+
+    const submitForm = async ({email, password}) => {
+        try {
+            await customer.resetPassword({resetToken: token, login: email, newPassword: password})
+            navigate('/account', 'replace')
+        } catch (error) {
+            form.setError('global', {type: 'manual', message: error.message})
+        }
+    }
+
+    /**************** Einstein ****************/
+    useEffect(() => {
+        einstein.sendViewPage(pathname)
+    }, [])
+
+    return (
+        <Box data-testid="new-password-page" bg="gray.50" py={[8, 16]}>
+            <Seo title="Reset password" description="Set a new password" />
+            <Container
+                paddingTop={16}
+                width={['100%', '407px']}
+                bg="white"
+                paddingBottom={14}
+                marginTop={8}
+                marginBottom={8}
+                borderRadius="base"
+            >
+                <NewPasswordForm
+                    form={form}
+                    submitForm={submitForm}
+                    clickResetPassword={() => navigate('/reset-password')}
+                />
+            </Container>
+        </Box>
+    )
+}
+
+NewPassword.getTemplateName = () => 'new-password'
+
+export default NewPassword
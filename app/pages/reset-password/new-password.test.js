@@ -0,0 +1,153 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {screen, waitFor} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {Route} from 'react-router-dom'
+import {createPathWithDefaults, renderWithProviders} from '../../utils/test-utils'
+import NewPassword from './new-password'
+import mockConfig from '../../../config/mocks/default'
+
+jest.mock('../../commerce-api/einstein')
+
+jest.mock('../../commerce-api/utils', () => {
+    const originalModule = jest.requireActual('../../commerce-api/utils')
+    return {
+        ...originalModule,
+        isTokenValid: jest.fn().mockReturnValue(true),
+        createGetTokenBody: jest.fn().mockReturnValue({
+            grantType: 'test',
+            code: 'test',
+            usid: 'test',
+            codeVerifier: 'test',
+            redirectUri: 'http://localhost/test'
+        })
+    }
+})
+
+jest.mock('../../commerce-api/pkce', () => {
+    return {
+        createCodeVerifier: jest.fn().mockReturnValue('codeverifier'),
+        generateCodeChallenge: jest.fn().mockReturnValue('codechallenge')
+    }
+})
+
+const mockRegisteredCustomer = {
+    authType: 'registered',
+    customerId: 'registeredCustomerId',
+    customerNo: 'testno',
+    email: 'foo@test.com',
+    firstName: 'Tester',
+    lastName: 'Testing',
+    login: 'foo@test.com'
+}
+
+const MockedComponent = () => {
+    return (
+        <Route path={createPathWithDefaults('/reset-password/:token')}>
+            <NewPassword />
+        </Route>
+    )
+}
+
+const renderPage = () =>
+    renderWithProviders(<MockedComponent />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+// Set up and clean up
+beforeEach(() => {
+    jest.resetModules()
+    window.history.pushState(
+        {},
+        'Reset Password',
+        `${createPathWithDefaults('/reset-password/testresettoken')}?email=foo@test.com`
+    )
+    global.server.use(
+        rest.get('*/customers/:customerId', (req, res, ctx) => {
+            return res(ctx.delay(0), ctx.status(200), ctx.json(mockRegisteredCustomer))
+        })
+    )
+})
+afterEach(() => {
+    localStorage.clear()
+    jest.clearAllMocks()
+})
+
+test('Allows customer to set a new password and signs them in', async () => {
+    let resetBody
+    global.server.use(
+        rest.post('*/customers/password/actions/reset', (req, res, ctx) => {
+            resetBody = req.body
+            return res(ctx.delay(0), ctx.status(204))
+        })
+    )
+    renderPage()
+
+    expect(await screen.findByLabelText('Email')).toHaveValue('foo@test.com')
+    user.type(screen.getByLabelText('New Password'), 'Password!1')
+    user.click(screen.getByText(/save and sign in/i))
+
+    await waitFor(() => {
+        expect(window.location.pathname).toEqual('/uk/en-GB/account')
+    })
+    expect(resetBody).toEqual({
+        resetToken: 'testresettoken',
+        login: 'foo@test.com',
+        newPassword: 'Password!1'
+    })
+})
+
+test('Validates the new password', async () => {
+    renderPage()
+
+    user.type(await screen.findByLabelText('New Password'), 'password')
+    user.click(screen.getByText(/save and sign in/i))
+
+    expect(
+        await screen.findByText(/password must contain at least one uppercase letter/i)
+    ).toBeInTheDocument()
+})
+
+test('Renders error message from server', async () => {
+    global.server.use(
+        rest.post('*/customers/password/actions/reset', (req, res, ctx) =>
+            res(
+                ctx.delay(0),
+                ctx.status(400),
+                ctx.json({
+                    detail: 'The reset token is expired',
+                    title: 'Invalid Reset Token',
+                    type: '/error'
+                })
+            )
+        )
+    )
+    renderPage()
+
+    user.type(await screen.findByLabelText('New Password'), 'Password!1')
+    user.click(screen.getByText(/save and sign in/i))
+
+    expect(await screen.findByText('The reset token is expired')).toBeInTheDocument()
+    expect(window.location.pathname).toEqual('/uk/en-GB/reset-password/testresettoken')
+})
+
+test('Does not sign in when the reset fails without an error body', async () => {
+    global.server.use(
+        rest.post('*/customers/password/actions/reset', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.status(502), ctx.text('Bad Gateway'))
+        )
+    )
+    renderPage()
+
+    user.type(await screen.findByLabelText('New Password'), 'Password!1')
+    user.click(screen.getByText(/save and sign in/i))
+
+    expect(await screen.findByText('Failed to reset the password')).toBeInTheDocument()
+    expect(window.location.pathname).toEqual('/uk/en-GB/reset-password/testresettoken')
+})
@@ -0,0 +1,196 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useEffect} from 'react'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {Alert, Box, Button, Flex, Heading, SimpleGrid, Stack, Text} from '@chakra-ui/react'
+import {useForm} from 'react-hook-form'
+import {useLocation} from 'react-router-dom'
+import useEinstein from '../../commerce-api/hooks/useEinstein'
+import {STORE_SEARCH_ERRORS, useStoreSearch} from '../../hooks/use-store-search'
+import {usePreferredStore} from '../../hooks/use-preferred-store'
+import Seo from '../../components/seo'
+import Link from '../../components/link'
+import Field from '../../components/field'
+import {AlertIcon} from '../../components/icons'
+import useStoreSearchFields from '../../components/forms/useStoreSearchFields'
+import StoreAddress from './partials/store-address'
+import PreferredStoreButton from './partials/preferred-store-button'
+
+const StoreLocator = () => {
+    const {formatMessage} = useIntl()
+    const einstein = useEinstein()
+    const {pathname} = useLocation()
+    const form = useForm()
+    const fields = useStoreSearchFields({form})
+    const {
+        stores,
+        isSearching,
+        error,
+        distanceUnit,
+        searchByPostalCode,
+        searchByCity,
+        searchByLocation
+    } = useStoreSearch()
+    const {preferredStore} = usePreferredStore()
+
+    // Shoppers search by postal code, or by city when they don't know it
+    const postalCodeField = {
+        ...fields.postalCode,
+        rules: {
+            validate: (postalCode) =>
+                !!postalCode.trim() ||
+                !!(form.getValues('city') || '').trim() ||
+                formatMessage({
+                    defaultMessage: 'Please enter a postal code or a city.',
+                    id: 'store_locator_page.error.required_postal_code_or_city'
+                })
+        }
+    }
+
+    const submitForm = ({countryCode, postalCode, city, maxDistance}) => {
+        if (postalCode.trim()) {
+            return searchByPostalCode({countryCode, postalCode, maxDistance: Number(maxDistance)})
+        }
+        return searchByCity({countryCode, city, maxDistance: Number(maxDistance)})
+    }
+
+    const searchAroundMe = () => {
+        return searchByLocation({maxDistance: Number(form.getValues('maxDistance'))})
+    }
+
+    /**************** Einstein ****************/
+    useEffect(() => {
+        einstein.sendViewPage(pathname)
+    }, [])
+
+    return (
+        <Box data-testid="store-locator-page" layerStyle="page">
+            <Seo title="Find a Store" description="Find the stores near you" />
+            <Stack spacing={8} maxWidth="container.md" marginX="auto">
+                <Heading as="h1" fontSize="2xl">
+                    <FormattedMessage
+                        defaultMessage="Find a Store"
+                        id="store_locator_page.title.find_a_store"
+                    />
+                </Heading>
+
+                {preferredStore && (
+                    <Box layerStyle="cardBordered" data-testid="sf-preferred-store">
+                        <Text fontWeight="bold" marginBottom={2}>
+                            <FormattedMessage
+                                defaultMessage="My Store: {storeName}"
+                                id="store_locator_page.label.my_store"
+                                values={{storeName: preferredStore.name}}
+                            />
+                        </Text>
+                        <StoreAddress store={preferredStore} />
+                        <Link to={`/stores/${preferredStore.id}`} fontSize="sm">
+                            <FormattedMessage
+                                defaultMessage="View Details"
+                                id="store_locator_page.link.view_details"
+                            />
+                        </Link>
+                    </Box>
+                )}
+
+                <form onSubmit={form.handleSubmit(submitForm)}>
+                    <Stack spacing={4}>
+                        <SimpleGrid columns={[1, 2]} spacing={4}>
+                            <Field {...fields.countryCode} />
+                            <Field {...fields.maxDistance} />
+                            <Field {...postalCodeField} />
+                            <Field {...fields.city} />
+                        </SimpleGrid>
+                        <Flex justify="space-between" align="center">
+                            <Button
+                                variant="link"
+                                size="sm"
+                                onClick={searchAroundMe}
+                                isDisabled={isSearching}
+                            >
+                                <FormattedMessage
+                                    defaultMessage="Use My Location"
+                                    id="store_locator_page.action.use_my_location"
+                                />
+                            </Button>
+                            <Button type="submit" isLoading={isSearching}>
+                                <FormattedMessage
+                                    defaultMessage="Find Stores"
+                                    id="store_locator_page.button.find_stores"
+                                />
+                            </Button>
+                        </Flex>
+                    </Stack>
+                </form>
+
+                {error && (
+                    <Alert status="error">
+                        <AlertIcon color="red.500" boxSize={4} />
+                        <Text fontSize="sm" ml={3}>
+                            {error === STORE_SEARCH_ERRORS.LOCATION_UNAVAILABLE ? (
+                                <FormattedMessage
+                                    defaultMessage="We couldn't get your location. Please search by postal code instead."
+                                    id="store_locator_page.error.location_unavailable"
+                                />
+                            ) : error === STORE_SEARCH_ERRORS.CITY_NOT_FOUND ? (
+                                <FormattedMessage
+                                    defaultMessage="We couldn't find this city. Please check it or search by postal code instead."
+                                    id="store_locator_page.error.city_not_found"
+                                />
+                            ) : (
+                                <FormattedMessage
+                                    defaultMessage="We couldn't search the stores. Please try again."
+                                    id="store_locator_page.error.search_failed"
+                                />
+                            )}
+                        </Text>
+                    </Alert>
+                )}
+
+                {stores?.length === 0 && (
+                    <Text>
+                        <FormattedMessage
+                            defaultMessage="There are no stores near this location."
+                            id="store_locator_page.info.no_stores"
+                        />
+                    </Text>
+                )}
+
+                {stores?.length > 0 && (
+                    <Stack spacing={4} data-testid="sf-store-locator-results">
+                        {stores.map((store) => (
+                            <Flex
+                                key={store.id}
+                                justify="space-between"
+                                align="flex-start"
+                                borderTop="1px solid"
+                                borderColor="gray.100"
+                                pt={4}
+                            >
+                                <Box>
+                                    <Text fontWeight="semibold">{store.name}</Text>
+                                    <StoreAddress store={store} distanceUnit={distanceUnit} />
+                                    <Link to={`/stores/${store.id}`} fontSize="sm">
+                                        <FormattedMessage
+                                            defaultMessage="View Details"
+                                            id="store_locator_page.link.view_details"
+                                        />
+                                    </Link>
+                                </Box>
+                                <PreferredStoreButton store={store} />
+                            </Flex>
+                        ))}
+                    </Stack>
+                )}
+            </Stack>
+        </Box>
+    )
+}
+
+StoreLocator.getTemplateName = () => 'store-locator'
+
+export default StoreLocator
@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {screen, within} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {rest} from 'msw'
+import {renderWithProviders} from '../../utils/test-utils'
+import {ocapiStoresResponse} from '../../commerce-api/mock-data'
+import StoreLocator from './index'
+import mockConfig from '../../../config/mocks/default'
+
+jest.mock('../../commerce-api/einstein')
+
+let searchParams
+let geocodingParams
+beforeEach(() => {
+    searchParams = undefined
+    geocodingParams = undefined
+    global.server.use(
+        rest.get('*/stores', (req, res, ctx) => {
+            searchParams = Object.fromEntries(req.url.searchParams)
+            return res(ctx.delay(0), ctx.json(ocapiStoresResponse))
+        }),
+        rest.get('https://geocoding.test.com/search', (req, res, ctx) => {
+            geocodingParams = Object.fromEntries(req.url.searchParams)
+            return res(
+                ctx.delay(0),
+                ctx.json(
+                    geocodingParams.city === 'Palo Alto'
+                        ? [{lat: '37.4418834', lon: '-122.1430195'}]
+                        : []
+                )
+            )
+        })
+    )
+})
+afterEach(() => {
+    localStorage.clear()
+    delete global.navigator.geolocation
+})
+
+const renderPage = () =>
+    renderWithProviders(<StoreLocator />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+test('finds the stores within a radius of a postal code', async () => {
+    renderPage()
+
+    user.type(screen.getByLabelText('Postal Code'), '94301')
+    user.selectOptions(screen.getByLabelText('Within'), '50')
+    user.click(screen.getByText('Find Stores'))
+
+    const results = await screen.findByTestId('sf-store-locator-results')
+    expect(within(results).getByText('162 University Ave')).toBeInTheDocument()
+    expect(within(results).getByText('11.7 mi away')).toBeInTheDocument()
+    expect(searchParams).toEqual({
+        country_code: 'US',
+        postal_code: '94301',
+        max_distance: '50',
+        distance_unit: 'mi'
+    })
+    expect(within(results).getAllByText('View Details')[0]).toHaveAttribute(
+        'href',
+        '/uk/en-GB/stores/00019'
+    )
+})
+
+test('finds the stores in a city', async () => {
+    renderPage()
+
+    user.type(screen.getByLabelText('City'), ' Palo Alto ')
+    user.click(screen.getByText('Find Stores'))
+
+    const results = await screen.findByTestId('sf-store-locator-results')
+    expect(within(results).getByText('162 University Ave')).toBeInTheDocument()
+    expect(geocodingParams).toEqual({
+        format: 'json',
+        limit: '1',
+        city: 'Palo Alto',
+        countrycodes: 'US'
+    })
+    expect(searchParams).toEqual({
+        latitude: '37.4418834',
+        longitude: '-122.1430195',
+        max_distance: '30',
+        distance_unit: 'mi'
+    })
+})
+
+test('tells the shopper when a city is not found', async () => {
+    renderPage()
+
+    user.type(screen.getByLabelText('City'), 'Atlantis')
+    user.click(screen.getByText('Find Stores'))
+
+    expect(await screen.findByText(/couldn't find this city/i)).toBeInTheDocument()
+    expect(searchParams).toBeUndefined()
+})
+
+test('asks for a postal code or a city', async () => {
+    renderPage()
+
+    user.click(screen.getByText('Find Stores'))
+
+    expect(await screen.findByText('Please enter a postal code or a city.')).toBeInTheDocument()
+    expect(searchParams).toBeUndefined()
+})
+
+test('finds the stores around the current location', async () => {
+    global.navigator.geolocation = {
+        getCurrentPosition: (resolve) => resolve({coords: {latitude: 37.44, longitude: -122.16}})
+    }
+    renderPage()
+
+    user.click(screen.getByText('Use My Location'))
+
+    const results = await screen.findByTestId('sf-store-locator-results')
+    expect(searchParams).toEqual({
+        latitude: '37.44',
+        longitude: '-122.16',
+        max_distance: '30',
+        distance_unit: 'mi'
+    })
+    expect(within(results).getByText('2855 Stevens Creek Blvd')).toBeInTheDocument()
+})
+
+test('sets a store as the shopper store', async () => {
+    renderPage()
+
+    user.type(screen.getByLabelText('Postal Code'), '94301')
+    user.click(screen.getByText('Find Stores'))
+    await screen.findByTestId('sf-store-locator-results')
+
+    user.click(screen.getByRole('button', {name: 'Set Palo Alto as my store'}))
+
+    expect(await screen.findByText('My Store: Palo Alto')).toBeInTheDocument()
+    expect(screen.getByRole('button', {name: 'My Store'})).toBeInTheDocument()
+    expect(screen.getByRole('button', {name: 'Set Santa Clara as my store'})).toBeInTheDocument()
+})
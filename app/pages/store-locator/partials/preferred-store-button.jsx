@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {Button} from '@chakra-ui/react'
+import {usePreferredStore} from '../../../hooks/use-preferred-store'
+import {CheckIcon} from '../../../components/icons'
+
+/**
+ * Sets a store as the shopper's store, or shows that it already is.
+ */
+const PreferredStoreButton = ({store, ...props}) => {
+    const {formatMessage} = useIntl()
+    const {preferredStore, setPreferredStore} = usePreferredStore()
+
+    if (preferredStore?.id === store.id) {
+        return (
+            <Button size="sm" variant="solid" leftIcon={<CheckIcon boxSize={4} />} {...props}>
+                <FormattedMessage
+                    defaultMessage="My Store"
+                    id="preferred_store_button.label.my_store"
+                />
+            </Button>
+        )
+    }
+
+    return (
+        <Button
+            size="sm"
+            variant="outline"
+            aria-label={formatMessage(
+                {
+                    defaultMessage: 'Set {storeName} as my store',
+                    id: 'preferred_store_button.assistive_msg.set_as_my_store'
+                },
+                {storeName: store.name}
+            )}
+            // The distance is the one from the search the store was found with
+            onClick={() => setPreferredStore({...store, distance: undefined})}
+            {...props}
+        >
+            <FormattedMessage
+                defaultMessage="Set as My Store"
+                id="preferred_store_button.action.set_as_my_store"
+            />
+        </Button>
+    )
+}
+
+PreferredStoreButton.propTypes = {
+    /** The store, as returned by the stores API */
+    store: PropTypes.object.isRequired
+}
+
+export default PreferredStoreButton
@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage, useIntl} from 'react-intl'
+import {Box, Text} from '@chakra-ui/react'
+
+/**
+ * Shows the address of a store and, when the store was searched for, how far it is.
+ */
+const StoreAddress = ({store, distanceUnit = 'mi'}) => {
+    const {formatNumber} = useIntl()
+
+    return (
+        <Box fontSize="sm">
+            <Text>{store.address1}</Text>
+            {store.address2 && <Text>{store.address2}</Text>}
+            <Text>
+                {store.city}, {store.stateCode} {store.postalCode}
+            </Text>
+            {store.distance != null && (
+                <Text color="gray.700">
+                    <FormattedMessage
+                        defaultMessage="{distance} {unit, select, km {km} other {mi}} away"
+                        id="store_address.label.distance"
+                        values={{
+                            distance: formatNumber(store.distance, {maximumFractionDigits: 1}),
+                            unit: distanceUnit
+                        }}
+                    />
+                </Text>
+            )}
+        </Box>
+    )
+}
+
+StoreAddress.propTypes = {
+    /** The store, as returned by the stores API */
+    store: PropTypes.object.isRequired,
+    /** The unit of the store's distance, `mi` or `km` */
+    distanceUnit: PropTypes.string
+}
+
+export default StoreAddress
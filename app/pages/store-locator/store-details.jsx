@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React, {useEffect} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage} from 'react-intl'
+import {Box, Button, Heading, Link as ChakraLink, Skeleton, Stack, Text} from '@chakra-ui/react'
+import {useLocation} from 'react-router-dom'
+import {HTTPNotFound} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import useEinstein from '../../commerce-api/hooks/useEinstein'
+import {isError} from '../../commerce-api/utils'
+import Seo from '../../components/seo'
+import Link from '../../components/link'
+import {ChevronLeftIcon} from '../../components/icons'
+import StoreAddress from './partials/store-address'
+import PreferredStoreButton from './partials/preferred-store-button'
+
+const StoreDetails = ({store, isLoading}) => {
+    const einstein = useEinstein()
+    const {pathname} = useLocation()
+
+    /**************** Einstein ****************/
+    useEffect(() => {
+        einstein.sendViewPage(pathname)
+    }, [pathname])
+
+    return (
+        <Box data-testid="store-details-page" layerStyle="page">
+            <Stack spacing={6} maxWidth="container.md" marginX="auto">
+                <Box>
+                    <Button
+                        as={Link}
+                        to="/stores"
+                        variant="link"
+                        leftIcon={<ChevronLeftIcon />}
+                        size="sm"
+                    >
+                        <FormattedMessage
+                            defaultMessage="Find Another Store"
+                            id="store_details_page.link.find_another_store"
+                        />
+                    </Button>
+                </Box>
+
+                {isLoading || !store ? (
+                    <Stack spacing={4}>
+                        <Skeleton height="32px" width="50%" />
+                        <Skeleton height="80px" />
+                    </Stack>
+                ) : (
+                    <Stack spacing={6}>
+                        <Seo title={store.name} description={`${store.name} store details`} />
+                        <Heading as="h1" fontSize="2xl">
+                            {store.name}
+                        </Heading>
+                        <StoreAddress store={store} />
+                        {store.phone && (
+                            <ChakraLink href={`tel:${store.phone}`} fontSize="sm">
+                                {store.phone}
+                            </ChakraLink>
+                        )}
+                        {store.storeHours && (
+                            <Box>
+                                <Text fontWeight="bold" fontSize="sm">
+                                    <FormattedMessage
+                                        defaultMessage="Store Hours"
+                                        id="store_details_page.title.store_hours"
+                                    />
+                                </Text>
+                                {/* The hours are entered as markup by merchants in Business Manager */}
+                                <Box
+                                    fontSize="sm"
+                                    dangerouslySetInnerHTML={{__html: store.storeHours}}
+                                />
+                            </Box>
+                        )}
+                        <Stack direction="row" spacing={4} align="center">
+                            <PreferredStoreButton store={store} />
+                            {store.latitude != null && store.longitude != null && (
+                                <ChakraLink
+                                    href={`https://www.google.com/maps/search/?api=1&query=${store.latitude},${store.longitude}`}
+                                    isExternal
+                                    fontSize="sm"
+                                >
+                                    <FormattedMessage
+                                        defaultMessage="Get Directions"
+                                        id="store_details_page.link.get_directions"
+                                    />
+                                </ChakraLink>
+                            )}
+                        </Stack>
+                    </Stack>
+                )}
+            </Stack>
+        </Box>
+    )
+}
+
+StoreDetails.getTemplateName = () => 'store-details'
+
+StoreDetails.getProps = async ({params, api}) => {
+    const store = await api.shopperStores.getStore({parameters: {storeId: params.storeId}})
+
+    // The stores API doesn't throw errors, so we have to check the returned object.
+    if (isError(store)) {
+        throw new HTTPNotFound(store.detail)
+    }
+
+    return {store}
+}
+
+StoreDetails.propTypes = {
+    /**
+     * The store, as returned by the stores API. (Provided internally)
+     */
+    store: PropTypes.object,
+    /**
+     * The current state of `getProps` when running this value is `true`, otherwise it's
+     * `false`. (Provided internally)
+     */
+    isLoading: PropTypes.bool
+}
+
+export default StoreDetails
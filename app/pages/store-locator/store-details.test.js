@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import React from 'react'
+import {screen} from '@testing-library/react'
+import user from '@testing-library/user-event'
+import {HTTPNotFound} from 'pwa-kit-react-sdk/ssr/universal/errors'
+import {renderWithProviders} from '../../utils/test-utils'
+import StoreDetails from './store-details'
+import mockConfig from '../../../config/mocks/default'
+
+jest.mock('../../commerce-api/einstein')
+
+const store = {
+    id: '00019',
+    name: 'Palo Alto',
+    address1: '162 University Ave',
+    city: 'Palo Alto',
+    stateCode: 'CA',
+    postalCode: '94301',
+    countryCode: 'US',
+    phone: '+1-650-555-0101',
+    latitude: 37.4475,
+    longitude: -122.1602,
+    storeHours: 'Mon - Sat: 10am - 9pm'
+}
+
+afterEach(() => {
+    localStorage.clear()
+})
+
+test('shows the store details', async () => {
+    renderWithProviders(<StoreDetails store={store} />, {
+        wrapperProps: {siteAlias: 'uk', appConfig: mockConfig.app}
+    })
+
+    expect(screen.getByRole('heading', {name: 'Palo Alto'})).toBeInTheDocument()
+    expect(screen.getByText('162 University Ave')).toBeInTheDocument()
+    expect(screen.getByText('Mon - Sat: 10am - 9pm')).toBeInTheDocument()
+    expect(screen.getByText('+1-650-555-0101')).toHaveAttribute('href', 'tel:+1-650-555-0101')
+    expect(screen.getByText('Get Directions')).toHaveAttribute(
+        'href',
+        'https://www.google.com/maps/search/?api=1&query=37.4475,-122.1602'
+    )
+
+    user.click(screen.getByRole('button', {name: 'Set Palo Alto as my store'}))
+    expect(await screen.findByRole('button', {name: 'My Store'})).toBeInTheDocument()
+})
+
+test('getProps gets the store', async () => {
+    const api = {shopperStores: {getStore: jest.fn().mockResolvedValue(store)}}
+
+    expect(await StoreDetails.getProps({params: {storeId: '00019'}, api})).toEqual({store})
+    expect(api.shopperStores.getStore).toHaveBeenCalledWith({parameters: {storeId: '00019'}})
+})
+
+test('getProps throws a not found error for unknown stores', async () => {
+    const api = {
+        shopperStores: {
+            getStore: jest.fn().mockResolvedValue({
+                title: 'Store not found',
+                type: 'StoreNotFoundException',
+                detail: 'No store with the id 12345 was found.'
+            })
+        }
+    }
+
+    await expect(StoreDetails.getProps({params: {storeId: '12345'}, api})).rejects.toThrow(
+        HTTPNotFound
+    )
+})
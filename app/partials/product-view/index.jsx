@@ -94,6 +94,7 @@ const ProductView = forwardRef(
             isProductLoading,
             isProductPartOfSet = false,
             onVariantSelected = () => {},
+            deliveryOptions,
             validateOrderability = (variant, quantity, stockLevel) =>
                 !isProductLoading && variant?.orderable && quantity > 0 && quantity <= stockLevel
         },
@@ -482,6 +483,7 @@ const ProductView = forwardRef(
                                     />
                                 </VStack>
                             )}
+                            {deliveryOptions}
                             {/* Show Promotions: productPromotions is the array to loop over */}
                             <Text>Available promotions:</Text>
                             {productPromotions &&
@@ -581,6 +583,8 @@ ProductView.propTypes = {
     showFullLink: PropTypes.bool,
     imageSize: PropTypes.oneOf(['sm', 'md']),
     onVariantSelected: PropTypes.func,
+    /** The delivery options of the product, shown with its quantity */
+    deliveryOptions: PropTypes.node,
     validateOrderability: PropTypes.func
 }
 
@@ -29,10 +29,14 @@ const ContentSearch = loadable(() => import('./pages/content-search'), {fallback
 const ContentDetails = loadable(() => import('./pages/content-details'), {fallback})
 const Registration = loadable(() => import('./pages/registration'), {fallback})
 const ResetPassword = loadable(() => import('./pages/reset-password'), {fallback})
+const NewPassword = loadable(() => import('./pages/reset-password/new-password'), {fallback})
 const Account = loadable(() => import('./pages/account'), {fallback})
 const Cart = loadable(() => import('./pages/cart'), {fallback})
 const Checkout = loadable(() => import('./pages/checkout'), {fallback})
 const CheckoutConfirmation = loadable(() => import('./pages/checkout/confirmation'), {fallback})
+const OrderLookup = loadable(() => import('./pages/order-lookup'), {fallback})
+const StoreLocator = loadable(() => import('./pages/store-locator'), {fallback})
+const StoreDetails = loadable(() => import('./pages/store-locator/store-details'), {fallback})
 const LoginRedirect = loadable(() => import('./pages/login-redirect'), {fallback})
 const ProductDetail = loadable(() => import('./pages/product-detail'), {fallback})
 const ProductList = loadable(() => import('./pages/product-list'), {fallback})
@@ -60,6 +64,11 @@ const routes = [
         component: ResetPassword,
         exact: true
     },
+    {
+        path: '/reset-password/:token',
+        component: NewPassword,
+        exact: true
+    },
     {
         path: '/account',
         component: Account
@@ -74,6 +83,21 @@ const routes = [
         component: CheckoutConfirmation,
         exact: true
     },
+    {
+        path: '/order-lookup',
+        component: OrderLookup,
+        exact: true
+    },
+    {
+        path: '/stores',
+        component: StoreLocator,
+        exact: true
+    },
+    {
+        path: '/stores/:storeId',
+        component: StoreDetails,
+        exact: true
+    },
     {
         path: '/callback',
         component: LoginRedirect,
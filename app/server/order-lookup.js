@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+'use strict'
+
+const fetch = require('cross-fetch')
+const {readBody} = require('./session')
+
+const ACCOUNT_MANAGER_TOKEN_URL = 'https://account.demandware.com/dwsso/oauth2/access_token'
+
+// Postal codes are compared regardless of case and spaces, e.g. `SW1A 1AA` and `sw1a1aa`.
+const normalizePostalCode = (postalCode) => postalCode.replace(/\s/g, '').toUpperCase()
+
+/**
+ * Returns true when the email and the postal code of the order's billing or shipping address match.
+ * @param {Object} order - The OCAPI order
+ * @param {string} email
+ * @param {string} postalCode
+ * @returns {boolean}
+ */
+const isOrderMatch = (order, email, postalCode) => {
+    const postalCodes = [
+        order.billing_address?.postal_code,
+        ...(order.shipments || []).map((shipment) => shipment.shipping_address?.postal_code)
+    ]
+        .filter(Boolean)
+        .map(normalizePostalCode)
+    return (
+        !!email &&
+        !!postalCode &&
+        order.customer_info?.email?.toLowerCase() === email.trim().toLowerCase() &&
+        postalCodes.includes(normalizePostalCode(postalCode))
+    )
+}
+
+/**
+ * Adds the guest order lookup endpoint to the Express app. Shoppers can't read orders placed in
+ * other sessions with their own token, so the endpoint reads the order with a trusted Account
+ * Manager API client, from the `ORDER_LOOKUP_CLIENT_ID` and `ORDER_LOOKUP_CLIENT_SECRET`
+ * environment variables. The client needs read access to the OCAPI `orders` resource.
+ *
+ * - POST `<path>`: takes the url-encoded `order_no`, `email` and `postal_code`, and responds with
+ *   the OCAPI order when the email and the postal code of its billing or shipping address match,
+ *   or with a 404 otherwise, so the response doesn't tell whether the order exists.
+ *
+ * @param {Object} app - The Express app
+ * @param {Object} commerceAPIConfig - The `app.commerceAPI` config
+ * @param {Object} options
+ * @param {string} options.ocapiHost - The host of the OCAPI instance
+ */
+const addOrderLookupEndpoint = (app, commerceAPIConfig, {ocapiHost}) => {
+    const {parameters, orderLookupConfig} = commerceAPIConfig
+    const clientId = process.env.ORDER_LOOKUP_CLIENT_ID || ''
+    const clientSecret = process.env.ORDER_LOOKUP_CLIENT_SECRET || ''
+    const ordersURL = `https://${ocapiHost}/s/${parameters.siteId}/dw/shop/v21_3/orders`
+
+    let token
+    const getAccessToken = async () => {
+        if (token && token.expiresAt > Date.now()) {
+            return token.accessToken
+        }
+        const response = await fetch(ACCOUNT_MANAGER_TOKEN_URL, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString(
+                    'base64'
+                )}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({grant_type: 'client_credentials'})
+        })
+        if (!response.ok) {
+            throw new Error(`Failed to get an access token (${response.status})`)
+        }
+        const json = await response.json()
+        // Renew the token a minute before it expires
+        token = {
+            accessToken: json.access_token,
+            expiresAt: Date.now() + (json.expires_in - 60) * 1000
+        }
+        return token.accessToken
+    }
+
+    app.post(orderLookupConfig.path, async (req, res) => {
+        const body = await readBody(req)
+        const orderNo = (body.get('order_no') || '').trim()
+        const notFound = () =>
+            res.status(404).json({status_code: 404, message: 'No matching order found.'})
+        if (!orderNo) {
+            notFound()
+            return
+        }
+
+        try {
+            const accessToken = await getAccessToken()
+            const response = await fetch(`${ordersURL}/${encodeURIComponent(orderNo)}`, {
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    'x-dw-client-id': clientId
+                }
+            })
+            if (response.status === 404) {
+                notFound()
+                return
+            }
+            if (!response.ok) {
+                throw new Error(`Failed to get the order (${response.status})`)
+            }
+
+            const order = await response.json()
+            if (!isOrderMatch(order, body.get('email'), body.get('postal_code'))) {
+                notFound()
+                return
+            }
+            res.set('Cache-Control', 'no-store')
+            res.json(order)
+        } catch (error) {
+            res.status(502).json({status_code: 502, message: error.message})
+        }
+    })
+}
+
+module.exports = {addOrderLookupEndpoint}
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import fetch from 'cross-fetch'
+import {addOrderLookupEndpoint} from './order-lookup'
+import {createApp as createTestApp, createRequest, createResponse} from './test-utils'
+
+jest.mock('cross-fetch', () => jest.fn())
+
+const order = {
+    order_no: '00028011',
+    customer_info: {email: 'Tester@test.com'},
+    billing_address: {postal_code: '33712'},
+    shipments: [{shipping_address: {postal_code: 'SW1A 1AA'}}]
+}
+
+const createApp = () =>
+    createTestApp(
+        addOrderLookupEndpoint,
+        {parameters: {siteId: 'RefArch'}, orderLookupConfig: {path: '/guest-order'}},
+        {ocapiHost: 'ocapi.test.com'}
+    )['/guest-order']
+
+const mockResponse = (status, json) => ({ok: status < 400, status, json: async () => json})
+
+beforeEach(() => {
+    jest.clearAllMocks()
+    fetch.mockImplementation(async (url) =>
+        url.includes('account.demandware.com')
+            ? mockResponse(200, {access_token: 'trusted-token', expires_in: 1799})
+            : mockResponse(200, order)
+    )
+})
+
+describe('order lookup endpoint', () => {
+    test('responds with the order when the details match', async () => {
+        const lookUpOrder = createApp()
+        const res = createResponse()
+        await lookUpOrder(
+            createRequest('order_no=+00028011&email=tester%40test.com&postal_code=sw1a1aa'),
+            res
+        )
+
+        expect(fetch).toHaveBeenCalledWith(
+            'https://ocapi.test.com/s/RefArch/dw/shop/v21_3/orders/00028011',
+            expect.objectContaining({
+                headers: expect.objectContaining({Authorization: 'Bearer trusted-token'})
+            })
+        )
+        expect(res.set).toHaveBeenCalledWith('Cache-Control', 'no-store')
+        expect(res.json).toHaveBeenCalledWith(order)
+    })
+
+    test('responds with a 404 when the email or postal code differ', async () => {
+        const lookUpOrder = createApp()
+        for (const body of [
+            'order_no=00028011&email=other%40test.com&postal_code=33712',
+            'order_no=00028011&email=tester%40test.com&postal_code=90210',
+            'order_no=00028011&email=tester%40test.com'
+        ]) {
+            const res = createResponse()
+            await lookUpOrder(createRequest(body), res)
+            expect(res.status).toHaveBeenCalledWith(404)
+            expect(res.json).not.toHaveBeenCalledWith(order)
+        }
+    })
+
+    test('encodes the order number and reuses the access token', async () => {
+        const lookUpOrder = createApp()
+        fetch.mockImplementation(async (url) =>
+            url.includes('account.demandware.com')
+                ? mockResponse(200, {access_token: 'trusted-token', expires_in: 1799})
+                : mockResponse(404, {fault: {type: 'OrderNotFoundException'}})
+        )
+
+        const res = createResponse()
+        await lookUpOrder(createRequest('order_no=..%2Fbaskets%2F123&email=a%40b.com'), res)
+        await lookUpOrder(createRequest('order_no=12345&email=a%40b.com'), createResponse())
+
+        expect(fetch).toHaveBeenCalledWith(
+            'https://ocapi.test.com/s/RefArch/dw/shop/v21_3/orders/..%2Fbaskets%2F123',
+            expect.anything()
+        )
+        expect(
+            fetch.mock.calls.filter(([url]) => url.includes('account.demandware.com'))
+        ).toHaveLength(1)
+        expect(res.status).toHaveBeenCalledWith(404)
+    })
+
+    test('responds with a 502 when the order cannot be read', async () => {
+        const lookUpOrder = createApp()
+        fetch.mockImplementation(async () => mockResponse(401, {error: 'invalid_client'}))
+
+        const res = createResponse()
+        await lookUpOrder(createRequest('order_no=00028011&email=tester%40test.com'), res)
+        expect(res.status).toHaveBeenCalledWith(502)
+    })
+})
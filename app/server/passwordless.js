@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+'use strict'
+
+const {ShopperLogin} = require('commerce-sdk-isomorphic')
+const MockPasswordlessLogin = require('../../config/mocks/passwordless')
+const {getCookieOptions, readBody, sendTokens} = require('./session')
+
+/**
+ * Adds the endpoints of the passwordless login to the Express app. SLAS only issues passwordless
+ * login codes to private clients, so the browser requests and exchanges them through these
+ * endpoints, which authenticate with the client secret from the `SLAS_PRIVATE_CLIENT_SECRET`
+ * environment variable. The endpoints forward SLAS errors as they are.
+ *
+ * - POST `<path>/login`: takes the url-encoded `user_id` (the shopper's email), `channel_id` and
+ *   `locale`, and has SLAS send the shopper a login code.
+ * - POST `<path>/token`: takes the url-encoded `pwdless_login_token` (the login code) and `usid`,
+ *   and responds with the shopper's tokens like the SLAS token endpoint. In the httpOnly session
+ *   mode, the refresh token is kept in a cookie like the session endpoints do.
+ *
+ * @param {Object} app - The Express app
+ * @param {Object} commerceAPIConfig - The `app.commerceAPI` config
+ * @param {Object} [options]
+ * @param {boolean} [options.secure] - Whether the cookies are only sent over https
+ */
+const addPasswordlessEndpoints = (app, commerceAPIConfig, {secure = true} = {}) => {
+    const {parameters, passwordlessConfig, sessionConfig} = commerceAPIConfig
+    const {path, mode, callbackURI, mock} = passwordlessConfig
+    const shopperLogin = mock ? new MockPasswordlessLogin() : new ShopperLogin({parameters})
+
+    const clientId = process.env.SLAS_PRIVATE_CLIENT_ID || parameters.clientId
+    const clientSecret = process.env.SLAS_PRIVATE_CLIENT_SECRET || ''
+    const headers = {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+    }
+
+    // Calls SLAS and forwards its error responses, or passes the successful ones on.
+    const callSLAS = async (res, request, onSuccess) => {
+        try {
+            const response = await request()
+            const json = await response.json()
+            if (!response.ok) {
+                res.status(response.status).json(json)
+                return
+            }
+            onSuccess(json)
+        } catch (error) {
+            res.status(502).json({status_code: 502, message: error.message})
+        }
+    }
+
+    app.post(`${path}/login`, async (req, res) => {
+        const body = await readBody(req)
+        const slasBody = new URLSearchParams({
+            user_id: body.get('user_id') || '',
+            mode,
+            channel_id: body.get('channel_id') || parameters.siteId
+        })
+        if (body.get('locale')) {
+            slasBody.set('locale', body.get('locale'))
+        }
+        if (mode === 'callback') {
+            slasBody.set('callback_uri', callbackURI)
+        }
+
+        await callSLAS(
+            res,
+            () => shopperLogin.authorizePasswordlessCustomer({headers, body: slasBody}, true),
+            () => res.status(204).send()
+        )
+    })
+
+    app.post(`${path}/token`, async (req, res) => {
+        const body = await readBody(req)
+        const slasBody = new URLSearchParams({
+            grant_type: 'client_credentials',
+            hint: 'pwdless_login',
+            pwdless_login_token: body.get('pwdless_login_token') || ''
+        })
+        if (body.get('usid')) {
+            slasBody.set('usid', body.get('usid'))
+        }
+
+        await callSLAS(
+            res,
+            () => shopperLogin.getPasswordLessAccessToken({headers, body: slasBody}, true),
+            (json) => {
+                if (sessionConfig?.mode === 'httpOnly') {
+                    sendTokens(res, json, getCookieOptions(sessionConfig, {secure}))
+                    return
+                }
+                res.set('Cache-Control', 'no-store')
+                res.json(json)
+            }
+        )
+    })
+}
+
+module.exports = {addPasswordlessEndpoints}
@@ -0,0 +1,121 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {addPasswordlessEndpoints} from './passwordless'
+import {createApp as createTestApp, createRequest, createResponse} from './test-utils'
+
+const mockAuthorizePasswordlessCustomer = jest.fn()
+
+jest.mock('commerce-sdk-isomorphic', () => ({
+    ShopperLogin: class ShopperLoginMock {
+        authorizePasswordlessCustomer(...args) {
+            return mockAuthorizePasswordlessCustomer(...args)
+        }
+    }
+}))
+
+const createConfig = (passwordlessConfig, sessionConfig) => ({
+    parameters: {
+        clientId: 'client-id',
+        organizationId: 'org',
+        shortCode: 'code',
+        siteId: 'RefArch'
+    },
+    passwordlessConfig: {
+        enabled: true,
+        path: '/passwordless',
+        mode: 'email',
+        mock: true,
+        ...passwordlessConfig
+    },
+    sessionConfig
+})
+
+const createApp = (config = createConfig()) => createTestApp(addPasswordlessEndpoints, config)
+
+// Requests a code from the mock SLAS, which logs it to the console
+const requestCode = async (app) => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {})
+    const res = createResponse()
+    await app['/passwordless/login'](createRequest('user_id=shopper@test.com'), res)
+    const code = log.mock.calls[0][0].match(/(\d+)$/)[1]
+    log.mockRestore()
+    return {res, code}
+}
+
+beforeEach(() => {
+    jest.clearAllMocks()
+})
+
+describe('passwordless endpoints', () => {
+    test('sends a login code and exchanges it for tokens', async () => {
+        const app = createApp()
+        const {res: loginRes, code} = await requestCode(app)
+        expect(loginRes.status).toHaveBeenCalledWith(204)
+
+        const res = createResponse()
+        await app['/passwordless/token'](
+            createRequest(`pwdless_login_token=${code}&usid=guest-usid`),
+            res
+        )
+        const tokens = res.json.mock.calls[0][0]
+        expect(tokens.usid).toEqual('guest-usid')
+        expect(tokens.refresh_token).toBeDefined()
+        expect(tokens.id_token.length).toBeGreaterThan(0)
+        expect(res.cookie).not.toHaveBeenCalled()
+    })
+
+    test('rejects unknown and reused login codes', async () => {
+        const app = createApp()
+        const {code} = await requestCode(app)
+        await app['/passwordless/token'](
+            createRequest(`pwdless_login_token=${code}`),
+            createResponse()
+        )
+
+        const res = createResponse()
+        await app['/passwordless/token'](createRequest(`pwdless_login_token=${code}`), res)
+        expect(res.status).toHaveBeenCalledWith(401)
+    })
+
+    test('keeps the refresh token in a cookie in the httpOnly session mode', async () => {
+        const app = createApp(createConfig({}, {mode: 'httpOnly', path: '/session'}))
+        const {code} = await requestCode(app)
+
+        const res = createResponse()
+        await app['/passwordless/token'](createRequest(`pwdless_login_token=${code}`), res)
+        expect(res.cookie).toHaveBeenCalledWith(
+            'cc-nx',
+            expect.any(String),
+            expect.objectContaining({httpOnly: true, path: '/session'})
+        )
+        expect(res.json.mock.calls[0][0].refresh_token).toBeUndefined()
+    })
+
+    test('authenticates as the private client with SLAS', async () => {
+        process.env.SLAS_PRIVATE_CLIENT_SECRET = 'secret'
+        mockAuthorizePasswordlessCustomer.mockResolvedValue({ok: true, json: async () => ({})})
+        const app = createApp(createConfig({mock: false, mode: 'callback', callbackURI: 'uri'}))
+
+        await app['/passwordless/login'](
+            createRequest('user_id=shopper@test.com&locale=en-US'),
+            createResponse()
+        )
+        delete process.env.SLAS_PRIVATE_CLIENT_SECRET
+
+        const {headers, body} = mockAuthorizePasswordlessCustomer.mock.calls[0][0]
+        expect(headers.Authorization).toEqual(
+            `Basic ${Buffer.from('client-id:secret').toString('base64')}`
+        )
+        expect(Object.fromEntries(body)).toEqual({
+            user_id: 'shopper@test.com',
+            mode: 'callback',
+            channel_id: 'RefArch',
+            locale: 'en-US',
+            callback_uri: 'uri'
+        })
+    })
+})
@@ -0,0 +1,176 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+'use strict'
+
+const {ShopperLogin} = require('commerce-sdk-isomorphic')
+
+const REFRESH_TOKEN_REGISTERED_COOKIE = 'cc-nx'
+const REFRESH_TOKEN_GUEST_COOKIE = 'cc-nx-g'
+const REFRESH_TOKEN_COOKIE_AGE = 90 * 24 * 60 * 60 * 1000 // 90 days. This value matches SLAS cartridge.
+
+/**
+ * Reads the url-encoded body of a request.
+ * @param {Request} req
+ * @returns {Promise<URLSearchParams>}
+ */
+const readBody = (req) =>
+    new Promise((resolve, reject) => {
+        let body = ''
+        req.on('data', (chunk) => (body += chunk))
+        req.on('end', () => resolve(new URLSearchParams(body)))
+        req.on('error', reject)
+    })
+
+/**
+ * Reads the cookies of a request.
+ * @param {Request} req
+ * @returns {Object}
+ */
+const readCookies = (req) =>
+    (req.headers.cookie || '').split(';').reduce((cookies, cookie) => {
+        const index = cookie.indexOf('=')
+        if (index > 0) {
+            cookies[cookie.slice(0, index).trim()] = decodeURIComponent(
+                cookie.slice(index + 1).trim()
+            )
+        }
+        return cookies
+    }, {})
+
+/**
+ * Returns the options of the refresh token cookies, which are only sent to the session endpoints.
+ * @param {Object} sessionConfig - The `app.commerceAPI.sessionConfig` config
+ * @param {Object} [options]
+ * @param {boolean} [options.secure] - Whether the cookies are only sent over https
+ * @returns {Object}
+ */
+const getCookieOptions = (sessionConfig, {secure = true} = {}) => ({
+    httpOnly: true,
+    sameSite: 'strict',
+    secure,
+    path: sessionConfig.path
+})
+
+/**
+ * Sends a successful SLAS token response to the browser, without the refresh token, which is
+ * kept in an httpOnly cookie instead.
+ * @param {Response} res
+ * @param {Object} json - The SLAS token response
+ * @param {Object} cookieOptions - The options returned by `getCookieOptions`
+ */
+const sendTokens = (res, json, cookieOptions) => {
+    // eslint-disable-next-line no-unused-vars
+    const {refresh_token, refresh_token_expires_in, ...tokens} = json
+
+    // We use id_token to distinguish guest and registered users, like `Auth` does.
+    const isRegistered = json.id_token?.length > 0
+    res.cookie(
+        isRegistered ? REFRESH_TOKEN_REGISTERED_COOKIE : REFRESH_TOKEN_GUEST_COOKIE,
+        refresh_token,
+        {...cookieOptions, maxAge: REFRESH_TOKEN_COOKIE_AGE}
+    )
+    res.clearCookie(
+        isRegistered ? REFRESH_TOKEN_GUEST_COOKIE : REFRESH_TOKEN_REGISTERED_COOKIE,
+        cookieOptions
+    )
+    res.set('Cache-Control', 'no-store')
+    res.json(tokens)
+}
+
+/**
+ * Adds the endpoints of the httpOnly session mode to the Express app. The browser exchanges its
+ * authorization codes and refreshes its access token through these endpoints. The refresh tokens
+ * are kept in httpOnly cookies, which are only sent to these endpoints, and never passed to the
+ * browser. The endpoints forward SLAS errors as they are, so `Auth` can handle them like in the
+ * default mode.
+ *
+ * - POST `<path>/token`: takes the same url-encoded body as the SLAS token endpoint, except that
+ *   the refresh token is read from the cookie for the `refresh_token` grant type.
+ * - POST `<path>/logout`: logs the shopper out of SLAS and removes the cookies.
+ *
+ * @param {Object} app - The Express app
+ * @param {Object} commerceAPIConfig - The `app.commerceAPI` config
+ * @param {Object} [options]
+ * @param {boolean} [options.secure] - Whether the cookies are only sent over https
+ */
+const addSessionEndpoints = (app, commerceAPIConfig, {secure = true} = {}) => {
+    const {parameters, sessionConfig} = commerceAPIConfig
+    const path = sessionConfig.path
+    const shopperLogin = new ShopperLogin({parameters})
+
+    const cookieOptions = getCookieOptions(sessionConfig, {secure})
+
+    const clearCookies = (res) => {
+        res.clearCookie(REFRESH_TOKEN_REGISTERED_COOKIE, cookieOptions)
+        res.clearCookie(REFRESH_TOKEN_GUEST_COOKIE, cookieOptions)
+    }
+
+    const getRefreshToken = (req) => {
+        const cookies = readCookies(req)
+        return cookies[REFRESH_TOKEN_REGISTERED_COOKIE] || cookies[REFRESH_TOKEN_GUEST_COOKIE]
+    }
+
+    app.post(`${path}/token`, async (req, res) => {
+        const body = await readBody(req)
+        body.set('client_id', parameters.clientId)
+
+        if (body.get('grant_type') === 'refresh_token') {
+            const refreshToken = getRefreshToken(req)
+            if (!refreshToken) {
+                res.status(401).json({status_code: 401, message: 'invalid refresh_token'})
+                return
+            }
+            body.set('refresh_token', refreshToken)
+        }
+
+        try {
+            const response = await shopperLogin.getAccessToken(
+                {
+                    headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+                    body
+                },
+                true
+            )
+            const json = await response.json()
+            if (!response.ok) {
+                res.status(response.status).json(json)
+                return
+            }
+
+            sendTokens(res, json, cookieOptions)
+        } catch (error) {
+            res.status(502).json({status_code: 502, message: error.message})
+        }
+    })
+
+    app.post(`${path}/logout`, async (req, res) => {
+        const body = await readBody(req)
+        const refreshToken = getRefreshToken(req)
+        clearCookies(res)
+
+        if (refreshToken) {
+            try {
+                await shopperLogin.logoutCustomer(
+                    {
+                        headers: {Authorization: req.headers.authorization || ''},
+                        parameters: {
+                            refresh_token: refreshToken,
+                            client_id: parameters.clientId,
+                            channel_id: body.get('channel_id') || parameters.siteId
+                        }
+                    },
+                    true
+                )
+            } catch {
+                // The cookies are removed anyway, so the shopper is logged out of the app.
+            }
+        }
+        res.status(204).send()
+    })
+}
+
+module.exports = {addSessionEndpoints, getCookieOptions, readBody, sendTokens}
@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {addSessionEndpoints} from './session'
+import {createApp as createTestApp, createRequest, createResponse} from './test-utils'
+
+const mockGetAccessToken = jest.fn()
+const mockLogoutCustomer = jest.fn()
+
+jest.mock('commerce-sdk-isomorphic', () => ({
+    ShopperLogin: class ShopperLoginMock {
+        getAccessToken(...args) {
+            return mockGetAccessToken(...args)
+        }
+        logoutCustomer(...args) {
+            return mockLogoutCustomer(...args)
+        }
+    }
+}))
+
+const config = {
+    parameters: {
+        clientId: 'client-id',
+        organizationId: 'org',
+        shortCode: 'code',
+        siteId: 'RefArch'
+    },
+    sessionConfig: {mode: 'httpOnly', path: '/session'}
+}
+
+const tokenResponse = {
+    access_token: 'access-token',
+    id_token: 'id-token',
+    refresh_token: 'refresh-token',
+    refresh_token_expires_in: 7776000,
+    customer_id: 'customer-id'
+}
+
+const createApp = () => createTestApp(addSessionEndpoints, config)
+
+const mockSLASResponse = (status, json) =>
+    mockGetAccessToken.mockResolvedValue({ok: status < 400, status, json: async () => json})
+
+beforeEach(() => {
+    jest.clearAllMocks()
+})
+
+describe('session endpoints', () => {
+    test('stores the refresh token in an httpOnly cookie and removes it from the response', async () => {
+        mockSLASResponse(200, tokenResponse)
+        const res = createResponse()
+
+        await createApp()['/session/token'](
+            createRequest('grant_type=authorization_code_pkce&code=abc'),
+            res
+        )
+
+        const body = mockGetAccessToken.mock.calls[0][0].body
+        expect(body.get('code')).toEqual('abc')
+        expect(body.get('client_id')).toEqual('client-id')
+        expect(res.cookie).toHaveBeenCalledWith(
+            'cc-nx',
+            'refresh-token',
+            expect.objectContaining({httpOnly: true, sameSite: 'strict', path: '/session'})
+        )
+        expect(res.clearCookie).toHaveBeenCalledWith('cc-nx-g', expect.anything())
+        expect(res.json).toHaveBeenCalledWith({
+            access_token: 'access-token',
+            id_token: 'id-token',
+            customer_id: 'customer-id'
+        })
+    })
+
+    test('refreshes the access token with the refresh token from the cookie', async () => {
+        mockSLASResponse(200, {...tokenResponse, id_token: ''})
+        const res = createResponse()
+
+        await createApp()['/session/token'](
+            createRequest('grant_type=refresh_token', 'cc-nx-g=guest-refresh-token'),
+            res
+        )
+
+        const body = mockGetAccessToken.mock.calls[0][0].body
+        expect(body.get('refresh_token')).toEqual('guest-refresh-token')
+        expect(res.cookie).toHaveBeenCalledWith('cc-nx-g', 'refresh-token', expect.anything())
+    })
+
+    test('rejects refreshing without a refresh token', async () => {
+        const res = createResponse()
+
+        await createApp()['/session/token'](createRequest('grant_type=refresh_token'), res)
+
+        expect(mockGetAccessToken).not.toHaveBeenCalled()
+        expect(res.status).toHaveBeenCalledWith(401)
+        expect(res.json).toHaveBeenCalledWith({status_code: 401, message: 'invalid refresh_token'})
+    })
+
+    test('forwards SLAS errors', async () => {
+        mockSLASResponse(400, {status_code: 400, message: 'invalid code'})
+        const res = createResponse()
+
+        await createApp()['/session/token'](createRequest('grant_type=authorization_code'), res)
+
+        expect(res.status).toHaveBeenCalledWith(400)
+        expect(res.json).toHaveBeenCalledWith({status_code: 400, message: 'invalid code'})
+        expect(res.cookie).not.toHaveBeenCalled()
+    })
+
+    test('logs out of SLAS and removes the cookies', async () => {
+        mockLogoutCustomer.mockResolvedValue({ok: true})
+        const res = createResponse()
+
+        await createApp()['/session/logout'](createRequest('', 'cc-nx=refresh-token'), res)
+
+        expect(mockLogoutCustomer.mock.calls[0][0].parameters).toEqual({
+            refresh_token: 'refresh-token',
+            client_id: 'client-id',
+            channel_id: 'RefArch'
+        })
+        expect(res.clearCookie).toHaveBeenCalledWith('cc-nx', expect.anything())
+        expect(res.clearCookie).toHaveBeenCalledWith('cc-nx-g', expect.anything())
+        expect(res.status).toHaveBeenCalledWith(204)
+    })
+})
@@ -0,0 +1,43 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {Readable} from 'stream'
+
+/**
+ * Adds endpoints to a stub Express app and returns their handlers by path.
+ * @param {function} addEndpoints - e.g. `addSessionEndpoints`
+ * @param {...*} args - The arguments passed to `addEndpoints` after the app
+ * @returns {Object<string, function>}
+ */
+export const createApp = (addEndpoints, ...args) => {
+    const handlers = {}
+    addEndpoints({post: (path, handler) => (handlers[path] = handler)}, ...args)
+    return handlers
+}
+
+/**
+ * Returns a request with the given url-encoded body.
+ * @param {string} [body]
+ * @param {string} [cookie] - The `Cookie` header
+ * @returns {Readable}
+ */
+export const createRequest = (body = '', cookie) => {
+    const req = Readable.from([body])
+    req.headers = cookie ? {cookie} : {}
+    return req
+}
+
+/**
+ * Returns a response whose methods are mocks, chainable like Express ones.
+ * @returns {Object}
+ */
+export const createResponse = () => {
+    const res = {}
+    ;['status', 'json', 'cookie', 'clearCookie', 'set', 'send'].forEach((method) => {
+        res[method] = jest.fn(() => res)
+    })
+    return res
+}
@@ -11,6 +11,9 @@ const {getRuntime} = require('pwa-kit-runtime/ssr/server/express')
 const {isRemote} = require('pwa-kit-runtime/utils/ssr-server')
 const {getConfig} = require('pwa-kit-runtime/utils/ssr-config')
 const helmet = require('helmet')
+const {addSessionEndpoints} = require('./server/session')
+const {addPasswordlessEndpoints} = require('./server/passwordless')
+const {addOrderLookupEndpoint} = require('./server/order-lookup')
 
 const options = {
     // The build directory (an absolute path)
@@ -41,7 +44,8 @@ const {handler} = runtime.createHandler(options, (app) => {
                 directives: {
                     'img-src': ["'self'", '*.commercecloud.salesforce.com', 'data:'],
                     'script-src': ["'self'", "'unsafe-eval'", 'storage.googleapis.com'],
-                    'connect-src': ["'self'", 'api.cquotient.com'],
+                    // Einstein, and the geocoding of the store locator (see `storeLocator`)
+                    'connect-src': ["'self'", 'api.cquotient.com', 'nominatim.openstreetmap.org'],
 
                     // Do not upgrade insecure requests for local development
                     'upgrade-insecure-requests': isRemote() ? [] : null
@@ -52,12 +56,32 @@ const {handler} = runtime.createHandler(options, (app) => {
     )
 
     // Handle the redirect from SLAS as to avoid error
-    app.get('/callback?*', (req, res) => {
+    app.get('/callback?*', (req, res, next) => {
+        // Shoppers are sent here by the browser after logging in with an identity provider,
+        // and the LoginRedirect page completes their login. Browsers ask for html when
+        // navigating, while the other logins only follow the redirect with fetch.
+        if (req.accepts(['json', 'html']) === 'html') {
+            next()
+            return
+        }
         // This endpoint does nothing and is not expected to change
         // Thus we cache it for a year to maximize performance
         res.set('Cache-Control', `max-age=31536000`)
         res.send()
     })
+    // Keep the SLAS refresh tokens in httpOnly cookies, see `sessionConfig` in the app config
+    const {commerceAPI} = getConfig().app
+    if (commerceAPI.sessionConfig?.mode === 'httpOnly') {
+        addSessionEndpoints(app, commerceAPI, {secure: isRemote()})
+    }
+    // Request and exchange passwordless login codes, see `passwordlessConfig` in the app config
+    if (commerceAPI.passwordlessConfig?.enabled) {
+        addPasswordlessEndpoints(app, commerceAPI, {secure: isRemote()})
+    }
+    // Look up guest orders with a trusted client, see `orderLookupConfig` in the app config
+    const ocapiProxy = getConfig().ssrParameters.proxyConfigs.find(({path}) => path === 'ocapi')
+    addOrderLookupEndpoint(app, commerceAPI, {ocapiHost: ocapiProxy.host})
+
     app.get('/robots.txt', runtime.serveStaticFile('static/robots.txt'))
     app.get('/favicon.ico', runtime.serveStaticFile('static/ico/favicon.ico'))
 
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import Cookies from 'js-cookie'
+import {FILTER_ACCORDION_SATE, PREFERRED_STORE} from '../constants'
+
+export const CONSENT_COOKIE_NAME = 'consent'
+const CONSENT_COOKIE_EXPIRY = 365 // days
+
+/**
+ * The optional categories a shopper can consent to. Everything else the app stores or
+ * sends is required for the site to work (e.g. login, basket).
+ * - functional: remembering preferences, like the expanded filters on the product list or the
+ *   shopper's store
+ * - analytics: sending shopper activities to Einstein
+ * - personalization: identifying the shopper to Einstein for personalized recommendations
+ */
+export const CONSENT_CATEGORIES = ['functional', 'analytics', 'personalization']
+
+// The categories covered by the Global Privacy Control signal, i.e. sharing data with third parties.
+const GPC_CATEGORIES = ['analytics', 'personalization']
+
+// The values the app stores for the `functional` category.
+const FUNCTIONAL_STORAGE_KEYS = [FILTER_ACCORDION_SATE, PREFERRED_STORE]
+
+const createConsent = (value) =>
+    CONSENT_CATEGORIES.reduce((consent, category) => ({...consent, [category]: value}), {})
+
+export const NO_CONSENT = Object.freeze(createConsent(false))
+export const FULL_CONSENT = Object.freeze(createConsent(true))
+
+/**
+ * Returns true when the browser sends the Global Privacy Control signal.
+ * https://globalprivacycontrol.github.io/gpc-spec/
+ * @returns {boolean}
+ */
+export const hasGlobalPrivacyControl = () =>
+    typeof navigator !== 'undefined' && navigator.globalPrivacyControl === true
+
+/**
+ * Withdraws the consent for the categories covered by the Global Privacy Control signal,
+ * if the browser sends it.
+ * @param {Object} consent
+ * @returns {Object}
+ */
+export const applyGlobalPrivacyControl = (consent) => {
+    if (!hasGlobalPrivacyControl()) {
+        return consent
+    }
+    return GPC_CATEGORIES.reduce((result, category) => ({...result, [category]: false}), consent)
+}
+
+/**
+ * Returns true when the shopper consents to the category. Outside of React components,
+ * this is an alternative to the `ConsentContext`.
+ * @param {string} category - One of `CONSENT_CATEGORIES`
+ * @returns {boolean}
+ */
+export const hasConsent = (category) =>
+    applyGlobalPrivacyControl(getStoredConsent() || NO_CONSENT)[category] === true
+
+/**
+ * Returns the shopper's persisted consent choices, or `undefined` if they haven't made any.
+ * @returns {Object|undefined}
+ */
+export const getStoredConsent = () => {
+    const value = Cookies.get(CONSENT_COOKIE_NAME)
+    if (!value) {
+        return undefined
+    }
+    try {
+        const stored = JSON.parse(value)
+        return CONSENT_CATEGORIES.reduce(
+            (consent, category) => ({...consent, [category]: stored[category] === true}),
+            {}
+        )
+    } catch {
+        return undefined
+    }
+}
+
+/**
+ * Persists the shopper's consent choices and removes the values stored for the
+ * categories they don't consent to.
+ * @param {Object} consent
+ */
+export const storeConsent = (consent) => {
+    Cookies.set(CONSENT_COOKIE_NAME, JSON.stringify(consent), {
+        expires: CONSENT_COOKIE_EXPIRY,
+        sameSite: 'lax',
+        secure: window.location.protocol === 'https:'
+    })
+
+    if (!consent.functional) {
+        FUNCTIONAL_STORAGE_KEYS.forEach((key) => window.localStorage.removeItem(key))
+    }
+}
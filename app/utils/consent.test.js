@@ -0,0 +1,64 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import Cookies from 'js-cookie'
+import {
+    CONSENT_COOKIE_NAME,
+    FULL_CONSENT,
+    NO_CONSENT,
+    applyGlobalPrivacyControl,
+    getStoredConsent,
+    storeConsent
+} from './consent'
+import {FILTER_ACCORDION_SATE, PREFERRED_STORE} from '../constants'
+
+afterEach(() => {
+    Cookies.remove(CONSENT_COOKIE_NAME)
+    window.localStorage.clear()
+    delete navigator.globalPrivacyControl
+})
+
+describe('consent', () => {
+    test('returns undefined when the shopper has not decided yet', () => {
+        expect(getStoredConsent()).toBeUndefined()
+    })
+
+    test('stores and restores the consent choices', () => {
+        storeConsent({...NO_CONSENT, analytics: true})
+        expect(getStoredConsent()).toEqual({
+            functional: false,
+            analytics: true,
+            personalization: false
+        })
+    })
+
+    test('ignores invalid cookie values', () => {
+        Cookies.set(CONSENT_COOKIE_NAME, 'not json')
+        expect(getStoredConsent()).toBeUndefined()
+    })
+
+    test('removes functional storage when the consent is withdrawn', () => {
+        window.localStorage.setItem(FILTER_ACCORDION_SATE, '["brand"]')
+        window.localStorage.setItem(PREFERRED_STORE, '{"id":"00019"}')
+        storeConsent(FULL_CONSENT)
+        expect(window.localStorage.getItem(FILTER_ACCORDION_SATE)).toEqual('["brand"]')
+
+        storeConsent(NO_CONSENT)
+        expect(window.localStorage.getItem(FILTER_ACCORDION_SATE)).toBeNull()
+        expect(window.localStorage.getItem(PREFERRED_STORE)).toBeNull()
+    })
+
+    test('honours the Global Privacy Control signal', () => {
+        expect(applyGlobalPrivacyControl(FULL_CONSENT)).toEqual(FULL_CONSENT)
+
+        navigator.globalPrivacyControl = true
+        expect(applyGlobalPrivacyControl(FULL_CONSENT)).toEqual({
+            functional: true,
+            analytics: false,
+            personalization: false
+        })
+    })
+})
@@ -0,0 +1,35 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+// Gift certificates are redeemed as payment instruments of the basket, each for the part of the
+// order total its balance pays. The rest of the order total is paid by credit card.
+
+export const GIFT_CERTIFICATE_PAYMENT_METHOD = 'GIFT_CERTIFICATE'
+
+/**
+ * Returns whether a basket or order payment instrument is a gift certificate.
+ * @param {Object} [paymentInstrument]
+ * @returns {boolean}
+ */
+export const isGiftCertificatePayment = (paymentInstrument) =>
+    paymentInstrument?.paymentMethodId === GIFT_CERTIFICATE_PAYMENT_METHOD
+
+/**
+ * Returns whether a gift certificate, as returned by the gift certificates API, can be redeemed.
+ * @param {Object} giftCertificate
+ * @returns {boolean}
+ */
+export const isRedeemable = (giftCertificate) =>
+    Boolean(giftCertificate?.enabled) && giftCertificate.balance > 0
+
+/**
+ * Returns the gift certificates redeemed on a basket or order.
+ * @param {Object} basket
+ * @returns {Array<Object>}
+ */
+export const getGiftCertificatePayments = (basket) =>
+    (basket?.paymentInstruments || []).filter(isGiftCertificatePayment)
@@ -0,0 +1,36 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {
+    getGiftCertificatePayments,
+    isGiftCertificatePayment,
+    isRedeemable
+} from './gift-certificate-utils'
+
+const cardPayment = {paymentInstrumentId: 'card', paymentMethodId: 'CREDIT_CARD'}
+const giftCertificatePayment = (amount) => ({
+    paymentInstrumentId: `gc-${amount}`,
+    paymentMethodId: 'GIFT_CERTIFICATE',
+    amount
+})
+
+test('isGiftCertificatePayment', () => {
+    expect(isGiftCertificatePayment(giftCertificatePayment(10))).toBe(true)
+    expect(isGiftCertificatePayment(cardPayment)).toBe(false)
+    expect(isGiftCertificatePayment(undefined)).toBe(false)
+})
+
+test('isRedeemable', () => {
+    expect(isRedeemable({enabled: true, balance: 10})).toBe(true)
+    expect(isRedeemable({enabled: true, balance: 0})).toBe(false)
+    expect(isRedeemable({enabled: false, balance: 10})).toBe(false)
+})
+
+test('getGiftCertificatePayments', () => {
+    const basket = {paymentInstruments: [giftCertificatePayment(10), cardPayment]}
+    expect(getGiftCertificatePayments(basket)).toEqual([giftCertificatePayment(10)])
+    expect(getGiftCertificatePayments({})).toEqual([])
+})
@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {isGiftCertificatePayment} from './gift-certificate-utils'
+
+// A basket can be paid with several payment instruments, e.g. gift certificates and credit cards,
+// each for the part of the order total allocated to it. The order can only be placed once their
+// amounts add up to the order total. Until the basket's order total is calculated, there is no
+// balance to allocate: a single payment instrument can be added, but the order can't be placed.
+
+// Amounts are rounded to cents to avoid floating point leftovers
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Returns the payment instruments of a basket or order that aren't gift certificates.
+ * @param {Object} basket
+ * @returns {Array<Object>}
+ */
+export const getCardPayments = (basket) =>
+    (basket?.paymentInstruments || []).filter(
+        (paymentInstrument) => !isGiftCertificatePayment(paymentInstrument)
+    )
+
+/**
+ * Returns the sum of the amounts allocated to the payment instruments of a basket or order.
+ * @param {Object} basket
+ * @returns {number}
+ */
+export const getPaymentTotal = (basket) =>
+    roundAmount(
+        (basket?.paymentInstruments || []).reduce(
+            (total, paymentInstrument) => total + (paymentInstrument.amount || 0),
+            0
+        )
+    )
+
+/**
+ * Returns the part of the order total of a basket that isn't allocated to a payment instrument.
+ * It's negative when the payment instruments exceed the order total, e.g. after a promotion.
+ * @param {Object} basket
+ * @returns {number|undefined} The balance, or undefined until the order total is calculated
+ */
+export const getRemainingBalance = (basket) =>
+    basket?.orderTotal == null
+        ? undefined
+        : roundAmount(basket.orderTotal - getPaymentTotal(basket))
+
+/**
+ * Returns whether the payment instruments of a basket cover its order total, so the order can
+ * be placed. It's false until the order total is calculated.
+ * @param {Object} basket
+ * @returns {boolean}
+ */
+export const isOrderTotalCovered = (basket) =>
+    (basket?.paymentInstruments || []).length > 0 && getRemainingBalance(basket) === 0
+
+/**
+ * Returns whether a part of the order total of a basket is left to pay.
+ * @param {Object} basket
+ * @returns {boolean}
+ */
+export const isPaymentDue = (basket) => {
+    const remainingBalance = getRemainingBalance(basket)
+    return remainingBalance === undefined
+        ? (basket?.paymentInstruments || []).length === 0
+        : remainingBalance > 0
+}
@@ -0,0 +1,78 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {
+    getCardPayments,
+    getPaymentTotal,
+    getRemainingBalance,
+    isOrderTotalCovered,
+    isPaymentDue
+} from './payment-utils'
+
+const cardPayment = (amount) => ({
+    paymentInstrumentId: `card-${amount}`,
+    paymentMethodId: 'CREDIT_CARD',
+    amount
+})
+const giftCertificatePayment = (amount) => ({
+    paymentInstrumentId: `gc-${amount}`,
+    paymentMethodId: 'GIFT_CERTIFICATE',
+    amount
+})
+
+test('getCardPayments', () => {
+    const basket = {
+        paymentInstruments: [giftCertificatePayment(10), cardPayment(20), cardPayment(31.43)]
+    }
+    expect(getCardPayments(basket)).toEqual([cardPayment(20), cardPayment(31.43)])
+    expect(getCardPayments({})).toEqual([])
+})
+
+test('getPaymentTotal', () => {
+    expect(getPaymentTotal({})).toEqual(0)
+    expect(
+        getPaymentTotal({
+            paymentInstruments: [giftCertificatePayment(10.1), cardPayment(20.2)]
+        })
+    ).toEqual(30.3)
+})
+
+test('getRemainingBalance', () => {
+    expect(getRemainingBalance({orderTotal: null})).toBeUndefined()
+    expect(getRemainingBalance({orderTotal: 61.43})).toEqual(61.43)
+    expect(
+        getRemainingBalance({
+            orderTotal: 61.43,
+            paymentInstruments: [giftCertificatePayment(10.1), cardPayment(20.2)]
+        })
+    ).toEqual(31.13)
+    expect(
+        getRemainingBalance({orderTotal: 50, paymentInstruments: [giftCertificatePayment(61.43)]})
+    ).toEqual(-11.43)
+})
+
+test('isOrderTotalCovered', () => {
+    const splitPayments = [giftCertificatePayment(20), cardPayment(41.43)]
+    expect(isOrderTotalCovered({orderTotal: 61.43, paymentInstruments: splitPayments})).toBe(true)
+    expect(isOrderTotalCovered({orderTotal: 61.43})).toBe(false)
+    expect(
+        isOrderTotalCovered({orderTotal: 61.43, paymentInstruments: [giftCertificatePayment(20)]})
+    ).toBe(false)
+    expect(isOrderTotalCovered({orderTotal: 50, paymentInstruments: splitPayments})).toBe(false)
+    expect(isOrderTotalCovered({orderTotal: null, paymentInstruments: [cardPayment(0)]})).toBe(
+        false
+    )
+    expect(isOrderTotalCovered({orderTotal: null})).toBe(false)
+})
+
+test('isPaymentDue', () => {
+    expect(isPaymentDue({orderTotal: 61.43})).toBe(true)
+    expect(isPaymentDue({orderTotal: 61.43, paymentInstruments: [cardPayment(20)]})).toBe(true)
+    expect(isPaymentDue({orderTotal: 61.43, paymentInstruments: [cardPayment(61.43)]})).toBe(false)
+    expect(isPaymentDue({orderTotal: 50, paymentInstruments: [cardPayment(61.43)]})).toBe(false)
+    expect(isPaymentDue({orderTotal: null})).toBe(true)
+    expect(isPaymentDue({orderTotal: null, paymentInstruments: [cardPayment(0)]})).toBe(false)
+})
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+
+// Items picked up in store are kept in a shipment of their own for each store. Like in SFRA, the
+// store is recorded in the `c_fromStoreId` custom attribute of the shipment and of its items, and
+// the store's address is used as the shipping address of the shipment.
+
+/**
+ * Returns whether a basket or order shipment is picked up in store.
+ * @param {Object} [shipment]
+ * @returns {boolean}
+ */
+export const isPickupShipment = (shipment) => Boolean(shipment?.c_fromStoreId)
+
+/**
+ * Returns the id of the pickup shipment of a store.
+ * @param {string} storeId
+ * @returns {string}
+ */
+export const getPickupShipmentId = (storeId) => `pickup-${storeId}`
+
+/**
+ * Returns the address of a store, as the shipping address of its pickup shipment.
+ * @param {Object} store - A store, as returned by the stores API
+ * @returns {Object} An order address
+ */
+export const getStoreAddress = (store) => ({
+    firstName: store.name,
+    lastName: '',
+    fullName: store.name,
+    address1: store.address1,
+    address2: store.address2,
+    city: store.city,
+    stateCode: store.stateCode,
+    postalCode: store.postalCode,
+    countryCode: store.countryCode,
+    phone: store.phone
+})
+
+const hasItems = (basket, shipment) =>
+    (basket.productItems || []).some((item) => item.shipmentId === shipment.shipmentId)
+
+/**
+ * Returns the shipments of a basket or order that are picked up in store and hold items.
+ * @param {Object} basket
+ * @returns {Array<Object>}
+ */
+export const getPickupShipments = (basket) =>
+    (basket?.shipments || []).filter(
+        (shipment) => isPickupShipment(shipment) && hasItems(basket, shipment)
+    )
+
+/**
+ * Returns the shipments of a basket or order that are delivered to an address. When some items
+ * are picked up in store, the delivery shipments left without items are left out: the default
+ * shipment can't be removed from a basket, even when all its items are picked up.
+ * @param {Object} basket
+ * @returns {Array<Object>}
+ */
+export const getDeliveryShipments = (basket) => {
+    const shipments = (basket?.shipments || []).filter((shipment) => !isPickupShipment(shipment))
+    return getPickupShipments(basket).length > 0
+        ? shipments.filter((shipment) => hasItems(basket, shipment))
+        : shipments
+}
+
+/**
+ * Returns whether all the items of a basket or order are picked up in store.
+ * @param {Object} basket
+ * @returns {boolean}
+ */
+export const isPickupOnly = (basket) =>
+    getPickupShipments(basket).length > 0 && getDeliveryShipments(basket).length === 0
@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+import {
+    getDeliveryShipments,
+    getPickupShipments,
+    getStoreAddress,
+    isPickupOnly,
+    isPickupShipment
+} from './store-pickup-utils'
+
+const deliveryShipment = {shipmentId: 'me'}
+const pickupShipment = {shipmentId: 'pickup-00019', c_fromStoreId: '00019'}
+
+const basketWithItemsIn = (...shipmentIds) => ({
+    shipments: [deliveryShipment, pickupShipment],
+    productItems: shipmentIds.map((shipmentId, index) => ({itemId: `${index}`, shipmentId}))
+})
+
+test('isPickupShipment', () => {
+    expect(isPickupShipment(pickupShipment)).toBe(true)
+    expect(isPickupShipment(deliveryShipment)).toBe(false)
+    expect(isPickupShipment(undefined)).toBe(false)
+})
+
+test('getStoreAddress', () => {
+    expect(
+        getStoreAddress({
+            id: '00019',
+            name: 'Palo Alto',
+            address1: '162 University Ave',
+            city: 'Palo Alto',
+            stateCode: 'CA',
+            postalCode: '94301',
+            countryCode: 'US',
+            phone: '+1-650-555-0101'
+        })
+    ).toEqual({
+        firstName: 'Palo Alto',
+        lastName: '',
+        fullName: 'Palo Alto',
+        address1: '162 University Ave',
+        address2: undefined,
+        city: 'Palo Alto',
+        stateCode: 'CA',
+        postalCode: '94301',
+        countryCode: 'US',
+        phone: '+1-650-555-0101'
+    })
+})
+
+test('splits the shipments of a mixed basket', () => {
+    const basket = basketWithItemsIn('me', 'pickup-00019')
+    expect(getDeliveryShipments(basket)).toEqual([deliveryShipment])
+    expect(getPickupShipments(basket)).toEqual([pickupShipment])
+    expect(isPickupOnly(basket)).toBe(false)
+})
+
+test('leaves out the empty default shipment of a pickup only basket', () => {
+    const basket = basketWithItemsIn('pickup-00019')
+    expect(getDeliveryShipments(basket)).toEqual([])
+    expect(getPickupShipments(basket)).toEqual([pickupShipment])
+    expect(isPickupOnly(basket)).toBe(true)
+})
+
+test('keeps the delivery shipments of a basket without pickup items', () => {
+    const basket = {shipments: [deliveryShipment, pickupShipment], productItems: []}
+    expect(getDeliveryShipments(basket)).toEqual([deliveryShipment])
+    expect(getPickupShipments(basket)).toEqual([])
+    expect(isPickupOnly(basket)).toBe(false)
+})
@@ -39,7 +39,13 @@ export const SUPPORTED_LOCALES = [
 ]
 export const DEFAULT_SITE = 'global'
 // Contexts
-import {CategoriesProvider, CurrencyProvider, MultiSiteProvider} from '../contexts'
+import {
+    CategoriesProvider,
+    ConsentProvider,
+    CurrencyProvider,
+    MultiSiteProvider,
+    PreferredStoreProvider
+} from '../contexts'
 
 import {createUrlTemplate} from './url'
 import {getSiteByReference} from './site-utils'
@@ -151,26 +157,30 @@ export const TestProviders = ({
         <IntlProvider locale={locale.id} defaultLocale={DEFAULT_LOCALE} messages={messages}>
             <MultiSiteProvider site={site} locale={locale} buildUrl={buildUrl}>
                 <CommerceAPIProvider value={api}>
-                    <CategoriesProvider treeRoot={initialCategories}>
-                        <CurrencyProvider currency={DEFAULT_CURRENCY}>
-                            <CustomerProvider value={{customer, setCustomer}}>
-                                <BasketProvider value={{basket, setBasket}}>
-                                    <CustomerProductListsProvider>
-                                        <Router>
-                                            <ChakraProvider theme={theme}>
-                                                <AddToCartModalContext.Provider
-                                                    value={addToCartModal}
-                                                >
-                                                    {children}
-                                                    <AddToCartModal />
-                                                </AddToCartModalContext.Provider>
-                                            </ChakraProvider>
-                                        </Router>
-                                    </CustomerProductListsProvider>
-                                </BasketProvider>
-                            </CustomerProvider>
-                        </CurrencyProvider>
-                    </CategoriesProvider>
+                    <ConsentProvider>
+                        <PreferredStoreProvider>
+                            <CategoriesProvider treeRoot={initialCategories}>
+                                <CurrencyProvider currency={DEFAULT_CURRENCY}>
+                                    <CustomerProvider value={{customer, setCustomer}}>
+                                        <BasketProvider value={{basket, setBasket}}>
+                                            <CustomerProductListsProvider>
+                                                <Router>
+                                                    <ChakraProvider theme={theme}>
+                                                        <AddToCartModalContext.Provider
+                                                            value={addToCartModal}
+                                                        >
+                                                            {children}
+                                                            <AddToCartModal />
+                                                        </AddToCartModalContext.Provider>
+                                                    </ChakraProvider>
+                                                </Router>
+                                            </CustomerProductListsProvider>
+                                        </BasketProvider>
+                                    </CustomerProvider>
+                                </CurrencyProvider>
+                            </CategoriesProvider>
+                        </PreferredStoreProvider>
+                    </ConsentProvider>
                 </CommerceAPIProvider>
             </MultiSiteProvider>
         </IntlProvider>
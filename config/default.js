@@ -26,8 +26,89 @@ module.exports = {
                 organizationId: 'f_ecom_zzrb_039',
                 shortCode: 'kv7kzm78',
                 siteId: 'RefArch'
+            },
+            // Read-only Shopper API responses (products, categories and search results) are
+            // cached in memory for `ttl` seconds, and shared from the server-side render with the client.
+            cacheConfig: {
+                ttl: 60
+            },
+            // Read-only Shopper API calls that fail with a gateway or rate limit error (429, 502,
+            // 503, 504) or a network error are retried up to `maxRetries` times. The delay between
+            // retries (in ms) starts at `baseDelay`, doubles with every retry up to `maxDelay`, and
+            // is randomized.
+            retryConfig: {
+                maxRetries: 2,
+                baseDelay: 200,
+                maxDelay: 2000
+            },
+            // By default (`localStorage`), the shopper's access and refresh tokens are kept in local
+            // storage. With `httpOnly`, the app server exchanges the tokens through the endpoints
+            // under `path` and keeps the refresh tokens in httpOnly cookies, so the browser only
+            // holds the short-lived access token in memory.
+            sessionConfig: {
+                mode: 'localStorage',
+                path: '/session'
+            },
+            // Passwordless login emails shoppers a one-time login code. SLAS only issues the codes
+            // to private clients, so the app server requests them through the endpoints under
+            // `path`, with the `SLAS_PRIVATE_CLIENT_ID` and `SLAS_PRIVATE_CLIENT_SECRET` environment
+            // variables. With the `email` mode, SLAS sends the emails through Marketing Cloud.
+            // With the `callback` mode, SLAS posts the codes to `callbackURI` instead, so you can
+            // send your own emails. Set `mock` to develop offline with the mock SLAS from
+            // `config/mocks/passwordless.js`, which logs the codes to the console.
+            passwordlessConfig: {
+                enabled: false,
+                path: '/passwordless',
+                mode: 'email',
+                callbackURI: '',
+                mock: false
+            },
+            // For hybrid deployments, where some pages are still served by SFRA on the same domain.
+            // Paths starting with one of `routePrefixes` are SFRA pages: before shoppers follow a
+            // link to them, the SLAS session is bridged to an SFRA session (the `dwsid` cookie), so
+            // they keep their login and basket. The SFRA session is bridged again after `maxAge`
+            // seconds, before SFRA's session timeout.
+            sessionBridgeConfig: {
+                enabled: false,
+                routePrefixes: ['/s/RefArch'],
+                maxAge: 25 * 60
+            },
+            // Guests look up their orders with the order number, and the email and postal code they
+            // used for it. The app server reads the orders through the endpoint at `path`, with
+            // the Account Manager API client from the `ORDER_LOOKUP_CLIENT_ID` and
+            // `ORDER_LOOKUP_CLIENT_SECRET` environment variables.
+            orderLookupConfig: {
+                path: '/guest-order'
             }
         },
+        // The external identity providers shoppers can log in with, as named in the SLAS client
+        // configuration. The SLAS client also needs `<app origin>/callback` as a redirect URI.
+        login: {
+            idps: ['google', 'apple', 'facebook'],
+            // Registered shoppers are logged out to a guest session, which keeps their basket, after
+            // `idleTimeout` minutes without activity in any of their tabs. They're warned
+            // `idleWarning` minutes before. Set `idleTimeout` to 0 to keep them logged in for as
+            // long as their refresh token is valid.
+            idleTimeout: 30,
+            idleWarning: 2,
+            // Registered shoppers re-enter their password to manage their payment methods and to
+            // pay in the checkout, when they logged in more than `reauthAge` minutes ago. Set to 0
+            // to turn this off.
+            reauthAge: 15
+        },
+        // The stores API only searches around a postal code or a position, so the store locator
+        // looks up the position of a city with a Nominatim compatible geocoding API at
+        // `geocodingURL`. Mind the usage policy of the public OpenStreetMap instance.
+        storeLocator: {
+            geocodingURL: 'https://nominatim.openstreetmap.org/search'
+        },
+        // Analytics events are always forwarded to Einstein, and to these destinations if enabled.
+        analytics: {
+            // Push GA4 ecommerce events to `window.dataLayer`, e.g. for Google Tag Manager.
+            dataLayer: true,
+            // Log all analytics events to the console.
+            debug: false
+        },
         // Einstein api config
         einsteinAPI: {
             host: 'https://api.cquotient.com',
@@ -36,7 +117,22 @@ module.exports = {
             // Flag Einstein activities as coming from a production environment.
             // By setting this to true, the Einstein activities generated by the environment will appear
             // in production environment reports
-            isProduction: false
+            isProduction: false,
+            // Requests to Einstein fail after `timeout` ms. After `failureThreshold` consecutive
+            // failures, Einstein isn't called at all for `resetTimeout` seconds.
+            circuitBreaker: {
+                timeout: 3000,
+                failureThreshold: 3,
+                resetTimeout: 30
+            },
+            // Products shown in recommendation zones while Einstein is unavailable: the search
+            // results for the category of the viewed products (or `categoryId`) in the `sort` order.
+            // Remove this to hide the recommendation zones instead.
+            fallbackRecommendations: {
+                categoryId: 'newarrivals',
+                sort: 'top-sellers',
+                limit: 10
+            }
         }
     },
     // This list contains server-side only libraries that you don't want to be compiled by webpack
@@ -72,8 +72,23 @@ module.exports = {
                 organizationId: 'f_ecom_zzrf_001',
                 shortCode: '11111111',
                 siteId: 'site-1'
+            },
+            passwordlessConfig: {
+                enabled: true,
+                path: '/passwordless',
+                mode: 'email',
+                mock: true
+            },
+            orderLookupConfig: {
+                path: '/guest-order'
             }
         },
+        login: {
+            idps: ['google', 'apple', 'facebook']
+        },
+        storeLocator: {
+            geocodingURL: 'https://geocoding.test.com/search'
+        },
         einsteinAPI: {
             host: 'localhost:7777',
             einsteinId: '11111111',
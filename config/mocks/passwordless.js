@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2023, salesforce.com, inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+/**
+ * A mock of the SLAS passwordless login, to develop and test the passwordless login offline.
+ * It implements the `ShopperLogin` methods used by the passwordless endpoints of the app server
+ * (see `passwordlessConfig` in the app config), accepts any email address and logs the login
+ * codes to the console instead of emailing them.
+ *
+ * The issued tokens aren't accepted by the Shopper APIs, so the mock only covers the login itself.
+ */
+const crypto = require('crypto')
+
+const CODE_LENGTH = 8
+const TOKEN_EXPIRES_IN = 30 * 60 // seconds
+
+const toBase64Url = (value) =>
+    Buffer.from(JSON.stringify(value))
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+
+const randomId = () => crypto.randomBytes(16).toString('hex')
+
+// An unsigned JWT, which is enough for the app to read its expiry.
+const createAccessToken = (subject) => {
+    const iat = Math.floor(Date.now() / 1000)
+    return [
+        toBase64Url({alg: 'none', typ: 'JWT'}),
+        toBase64Url({sub: subject, iat, exp: iat + TOKEN_EXPIRES_IN}),
+        ''
+    ].join('.')
+}
+
+// Mimics the raw responses of the SDK.
+const createResponse = (status, json) => ({
+    ok: status < 400,
+    status,
+    json: async () => json
+})
+
+class MockPasswordlessLogin {
+    constructor() {
+        // The pending logins by their code
+        this._logins = new Map()
+    }
+
+    async authorizePasswordlessCustomer({body}) {
+        const userId = body.get('user_id')
+        if (!userId) {
+            return createResponse(400, {status_code: 400, message: 'Missing user_id'})
+        }
+
+        const code = String(crypto.randomBytes(4).readUInt32BE() % 10 ** CODE_LENGTH).padStart(
+            CODE_LENGTH,
+            '0'
+        )
+        this._logins.set(code, {userId, usid: body.get('usid') || randomId()})
+        console.log(`[passwordless mock] The login code for ${userId} is ${code}`)
+
+        return createResponse(200, {})
+    }
+
+    async getPasswordLessAccessToken({body}) {
+        const code = body.get('pwdless_login_token')
+        const login = this._logins.get(code)
+        if (!login) {
+            return createResponse(401, {
+                status_code: 401,
+                message: 'Invalid passwordless login token'
+            })
+        }
+        this._logins.delete(code)
+
+        const customerId = `mock-${crypto.createHash('sha1').update(login.userId).digest('hex')}`
+        return createResponse(200, {
+            access_token: createAccessToken(customerId),
+            id_token: createAccessToken(customerId),
+            refresh_token: randomId(),
+            expires_in: TOKEN_EXPIRES_IN,
+            refresh_token_expires_in: 90 * 24 * 60 * 60,
+            token_type: 'BEARER',
+            usid: body.get('usid') || login.usid,
+            customer_id: customerId,
+            enc_user_id: customerId
+        })
+    }
+}
+
+module.exports = MockPasswordlessLogin
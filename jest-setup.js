@@ -117,32 +117,35 @@ class StorageMock {
     }
 }
 
-Object.defineProperty(window, 'crypto', {
-    value: new Crypto()
-})
+// Tests of server side code run in the node environment, without a `window`.
+if (typeof window !== 'undefined') {
+    Object.defineProperty(window, 'crypto', {
+        value: new Crypto()
+    })
 
-Object.defineProperty(window, 'localStorage', {
-    value: new StorageMock()
-})
+    Object.defineProperty(window, 'localStorage', {
+        value: new StorageMock()
+    })
 
-Object.defineProperty(window, 'sessionStorage', {
-    value: new StorageMock()
-})
+    Object.defineProperty(window, 'sessionStorage', {
+        value: new StorageMock()
+    })
 
-Object.defineProperty(window, 'scrollTo', {
-    value: () => null
-})
+    Object.defineProperty(window, 'scrollTo', {
+        value: () => null
+    })
 
-Object.defineProperty(window, 'matchMedia', {
-    writable: true,
-    value: jest.fn().mockImplementation((query) => ({
-        matches: false,
-        media: query,
-        onchange: null,
-        addListener: jest.fn(), // deprecated
-        removeListener: jest.fn(), // deprecated
-        addEventListener: jest.fn(),
-        removeEventListener: jest.fn(),
-        dispatchEvent: jest.fn()
-    }))
-})
+    Object.defineProperty(window, 'matchMedia', {
+        writable: true,
+        value: jest.fn().mockImplementation((query) => ({
+            matches: false,
+            media: query,
+            onchange: null,
+            addListener: jest.fn(), // deprecated
+            removeListener: jest.fn(), // deprecated
+            addEventListener: jest.fn(),
+            removeEventListener: jest.fn(),
+            dispatchEvent: jest.fn()
+        }))
+    })
+}
@@ -22,6 +22,7 @@ module.exports = {
         'scripts/generator/*.{js,jsx}',
         '!app/pages/test-container/**/*.{js,jsx}',
         '!app/utils/test-utils.js',
+        '!app/server/test-utils.js',
         '!app/commerce-api/mocks/*js',
         '!app/main.jsx',
         '!app/loader.js',